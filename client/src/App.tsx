@@ -1,13 +1,43 @@
 import { useState, useEffect } from "react";
 import { useCallback } from "react";
 import { useSocket } from "./hooks/useSocket";
-import { Game, User, DrawingData, ChatMessage } from "./types/game";
+import {
+  Game,
+  User,
+  DrawingData,
+  StrokeBatch,
+  ChatMessage,
+  RoomSettings,
+  WordList,
+  WordListSettings,
+  CategoryCounts,
+  ScoreAward,
+  DrawingRating,
+  DrawingRatings,
+  TeamGuessing,
+  RoomSummary,
+  Invite,
+  JoinDenial,
+  RoomBan,
+} from "./types/game";
+import { decodeBatch, findStrokeStyle } from "./utils/strokeBatch";
 import JoinGame from "./components/JoinGame";
 import GameLobby from "./components/GameLobby";
 import GameBoard from "./components/GameBoard";
 import GameFinished from "./components/GameFinished";
 import ConnectionStatus from "./components/ConnectionStatus";
+import ReplayBrowser from "./components/ReplayBrowser";
+import VoteKickPrompt from "./components/VoteKickPrompt";
+import AdminConsole from "./components/AdminConsole";
+import { InviteOptions } from "./components/RoomAccessSettings";
 import soundManager from "./utils/sounds";
+import {
+  getPlayerToken,
+  setPlayerToken,
+  getActiveRoom,
+  setActiveRoom,
+  clearActiveRoom,
+} from "./utils/playerSession";
 
 // Get server URL from environment variable or default to production
 const getServerUrl = () => {
@@ -25,17 +55,56 @@ const getServerUrl = () => {
   return "https://skribbl-production-y971.onrender.com";
 };
 
+// An invite link opens the app with ?room=CODE&invite=TOKEN
+const readInviteLink = () => {
+  const params = new URLSearchParams(window.location.search);
+  const roomCode = params.get("room");
+  const token = params.get("invite");
+  return roomCode && token ? { roomCode: roomCode.toUpperCase(), token } : null;
+};
+
 function App() {
   const socket = useSocket(getServerUrl());
   const [game, setGame] = useState<Game | null>(null);
   const [currentUser, setCurrentUser] = useState<User | null>(null);
   const [messages, setMessages] = useState<ChatMessage[]>([]);
   const [gameState, setGameState] = useState<
-    "join" | "lobby" | "playing" | "finished"
+    "join" | "lobby" | "playing" | "finished" | "replays" | "admin"
   >("join");
   const [socketConnected, setSocketConnected] = useState(false);
   const [isReconnecting, setIsReconnecting] = useState(false);
   const [showRoundEnd, setShowRoundEnd] = useState(false);
+  const [scoreBreakdown, setScoreBreakdown] = useState<ScoreAward[]>([]);
+  const [roundRatings, setRoundRatings] = useState<DrawingRatings | null>(null);
+  // This player's rating of the drawing on the canvas
+  const [myRating, setMyRating] = useState<DrawingRating>(0);
+  // The room's custom words, only ever sent to the owner
+  const [wordList, setWordList] = useState<WordList | null>(null);
+  const [categoryCounts, setCategoryCounts] = useState<CategoryCounts>({});
+  const [publicRooms, setPublicRooms] = useState<RoomSummary[]>([]);
+  const [inviteLink, setInviteLink] = useState(readInviteLink);
+  const [joinDenial, setJoinDenial] = useState<JoinDenial | null>(null);
+  // The last invite the owner created, to show as a copyable link
+  const [invite, setInvite] = useState<Invite | null>(null);
+  // Players banned from the room, shown to its owner
+  const [bans, setBans] = useState<RoomBan[]>([]);
+  // Players this user muted for themselves, whose chat is hidden locally
+  const [mutedPlayerIds, setMutedPlayerIds] = useState<string[]>([]);
+
+  // Word pack sizes for the room settings
+  useEffect(() => {
+    const fetchCategoryCounts = async () => {
+      try {
+        const response = await fetch(`${getServerUrl()}/api/words/count`);
+        const data = await response.json();
+        setCategoryCounts(data.categories || {});
+      } catch (error) {
+        console.error("Failed to fetch word categories:", error);
+      }
+    };
+
+    fetchCategoryCounts();
+  }, []);
 
   // Monitor socket connection status
   useEffect(() => {
@@ -66,11 +135,195 @@ function App() {
     };
   }, [socket]);
 
+  // Keep the public room list live while the join screen is open
+  useEffect(() => {
+    if (!socket || !socketConnected || gameState !== "join") return;
+
+    const handleRoomList = (rooms: RoomSummary[]) => {
+      setPublicRooms(rooms);
+    };
+
+    socket.on("room-list", handleRoomList);
+    socket.emit("watch-rooms");
+
+    return () => {
+      socket.off("room-list", handleRoomList);
+      socket.emit("unwatch-rooms");
+    };
+  }, [socket, socketConnected, gameState]);
+
+  // Resume the active room whenever the socket (re)connects
+  useEffect(() => {
+    if (!socket) return;
+
+    const resumeSession = () => {
+      const activeRoom = getActiveRoom();
+      if (!activeRoom) return;
+
+      socket.emit("join-game", {
+        ...activeRoom,
+        playerToken: getPlayerToken(),
+      });
+    };
+
+    socket.on("connect", resumeSession);
+
+    // The socket may already be connected by the time we subscribe
+    if (socket.connected) {
+      resumeSession();
+    }
+
+    return () => {
+      socket.off("connect", resumeSession);
+    };
+  }, [socket]);
+
   useEffect(() => {
     if (!socket) return;
     //@ts-ignore
     socket.on("game-joined", (data) => {
       setCurrentUser(data.user);
+      if (data.playerToken) {
+        setPlayerToken(data.playerToken);
+      }
+      setActiveRoom({ roomCode: data.roomCode, playerName: data.user.name });
+      setWordList(null);
+      setJoinDenial(null);
+      setInvite(null);
+      setBans([]);
+
+      // The invite has done its job; don't reuse it on reload
+      setInviteLink(null);
+      window.history.replaceState(null, "", window.location.pathname);
+    });
+
+    socket.on("join-denied", (denial: JoinDenial) => {
+      // A failed resume leaves us on the join screen to try again
+      clearActiveRoom();
+      setGame(null);
+      setGameState("join");
+      setJoinDenial(denial);
+      if (denial.reason === "invite-invalid") {
+        setInviteLink(null);
+      }
+    });
+
+    socket.on("invite-created", (created: Invite) => {
+      setInvite(created);
+    });
+
+    socket.on("ban-list", (list: RoomBan[]) => {
+      setBans(list);
+    });
+
+    // We were taken out of the room; go back to the join screen
+    const leaveRoom = (data: { message: string }) => {
+      clearActiveRoom();
+      setGame(null);
+      setCurrentUser(null);
+      setMessages([]);
+      setGameState("join");
+      setShowRoundEnd(false);
+      alert(data.message);
+    };
+    socket.on("session-replaced", leaveRoom);
+    socket.on("room-closed", leaveRoom);
+    socket.on("kicked", leaveRoom);
+
+    socket.on(
+      "vote-kick-started",
+      (data: { targetName: string; startedByName?: string }) => {
+        setMessages((prev) => [
+          ...prev,
+          {
+            userId: "system",
+            userName: "System",
+            message: `🗳️ ${data.startedByName} started a vote to kick ${data.targetName}`,
+            timestamp: new Date().toISOString(),
+          },
+        ]);
+      }
+    );
+
+    socket.on(
+      "vote-kick-ended",
+      (data: { targetName: string; result: string }) => {
+        const outcome =
+          data.result === "passed"
+            ? `${data.targetName} was voted out`
+            : `The vote to kick ${data.targetName} ${
+                data.result === "expired" ? "ran out of time" : "failed"
+              }`;
+        setMessages((prev) => [
+          ...prev,
+          {
+            userId: "system",
+            userName: "System",
+            message: `🗳️ ${outcome}`,
+            timestamp: new Date().toISOString(),
+          },
+        ]);
+      }
+    );
+
+    socket.on("vote-kick-denied", (data: { message: string }) => {
+      alert(data.message);
+    });
+
+    socket.on("report-received", (data: { message: string }) => {
+      setMessages((prev) => [
+        ...prev,
+        {
+          userId: "system",
+          userName: "System",
+          message: `🚩 ${data.message}`,
+          timestamp: new Date().toISOString(),
+        },
+      ]);
+    });
+
+    socket.on("report-denied", (data: { message: string }) => {
+      alert(data.message);
+    });
+
+    socket.on(
+      "player-muted",
+      (data: { playerName: string; muted: boolean }) => {
+        setMessages((prev) => [
+          ...prev,
+          {
+            userId: "system",
+            userName: "System",
+            message: data.muted
+              ? `🔇 The room owner muted ${data.playerName}`
+              : `🔊 The room owner unmuted ${data.playerName}`,
+            timestamp: new Date().toISOString(),
+          },
+        ]);
+      }
+    );
+
+    // Keep a personal mute on a player who comes back with a new id; the
+    // old id stays so their earlier messages remain hidden
+    socket.on(
+      "player-reconnected",
+      (data: { previousId: string; playerId: string }) => {
+        setMutedPlayerIds((prev) =>
+          prev.includes(data.previousId) ? [...prev, data.playerId] : prev
+        );
+      }
+    );
+
+    socket.on("admin-message", ({ message }: { message: string }) => {
+      setMessages((prev) => [
+        ...prev,
+        {
+          userId: "system",
+          userName: "System",
+          message: `📢 ${message}`,
+          timestamp: new Date().toISOString(),
+        },
+      ]);
     });
 
     socket.on("game-update", (gameData: Game) => {
@@ -101,6 +354,19 @@ function App() {
       });
     });
 
+    socket.on("drawing-batch", (batch: StrokeBatch) => {
+      setGame((prev) => {
+        if (!prev) return prev;
+        const style =
+          batch.style || findStrokeStyle(prev.drawingData, batch.strokeId);
+        if (!style) return prev;
+        return {
+          ...prev,
+          drawingData: [...prev.drawingData, ...decodeBatch(batch, style)],
+        };
+      });
+    });
+
     socket.on("clear-canvas", () => {
       console.log("Received clear canvas event");
       setGame((prev) => {
@@ -112,10 +378,46 @@ function App() {
       });
     });
 
+    socket.on("undo-stroke", ({ count }: { count: number }) => {
+      setGame((prev) => {
+        if (!prev) return prev;
+        return {
+          ...prev,
+          drawingData: prev.drawingData.slice(
+            0,
+            Math.max(prev.drawingData.length - count, 0)
+          ),
+        };
+      });
+    });
+
+    socket.on("redo-stroke", ({ items }: { items: DrawingData[] }) => {
+      setGame((prev) => {
+        if (!prev) return prev;
+        return {
+          ...prev,
+          drawingData: [...prev.drawingData, ...items],
+        };
+      });
+    });
+
     socket.on("chat-message", (message: ChatMessage) => {
       setMessages((prev) => [...prev, message]);
     });
 
+    // Only we see why our message didn't go through
+    socket.on("message-blocked", (data: { message: string }) => {
+      setMessages((prev) => [
+        ...prev,
+        {
+          userId: "system",
+          userName: "System",
+          message: `🚫 ${data.message}`,
+          timestamp: new Date().toISOString(),
+        },
+      ]);
+    });
+
     //@ts-ignore
     socket.on("correct-guess", (data) => {
       soundManager.playCorrectGuess();
@@ -129,10 +431,44 @@ function App() {
         },
       ]);
     });
-    //@ts-ignore
-    socket.on("round-end", (data) => {
-      soundManager.playRoundEnd();
-      setShowRoundEnd(true);
+    socket.on("word-list", (list: WordList) => {
+      setWordList(list);
+    });
+
+    socket.on("close-guess", ({ guess }: { guess: string }) => {
+      setMessages((prev) => [
+        ...prev,
+        {
+          userId: "system",
+          userName: "System",
+          message: `🔥 "${guess}" is close!`,
+          timestamp: new Date().toISOString(),
+        },
+      ]);
+    });
+    socket.on("steal-window", ({ timeLeft }: { timeLeft: number }) => {
+      setMessages((prev) => [
+        ...prev,
+        {
+          userId: "system",
+          userName: "System",
+          message: `⏱️ Nobody on the drawer's team got it! The other teams have ${timeLeft}s to steal the word`,
+          timestamp: new Date().toISOString(),
+        },
+      ]);
+    });
+    socket.on(
+      "round-end",
+      (data: { breakdown?: ScoreAward[]; ratings?: DrawingRatings }) => {
+        soundManager.playRoundEnd();
+        setScoreBreakdown(data.breakdown || []);
+        setRoundRatings(data.ratings || null);
+        setShowRoundEnd(true);
+      }
+    );
+
+    socket.on("drawing-rated", (data: { rating: DrawingRating }) => {
+      setMyRating(data.rating);
     });
 
     socket.on("next-turn", (gameData: Game) => {
@@ -166,6 +502,7 @@ function App() {
 
     //@ts-ignore
     socket.on("word-selected", (data) => {
+      setMyRating(0);
       setGame((prev) => {
         if (!prev) return prev;
         return {
@@ -222,12 +559,29 @@ function App() {
 
     return () => {
       socket.off("game-joined");
+      socket.off("session-replaced");
+      socket.off("room-closed");
+      socket.off("kicked");
+      socket.off("vote-kick-started");
+      socket.off("vote-kick-ended");
+      socket.off("vote-kick-denied");
+      socket.off("report-received");
+      socket.off("report-denied");
+      socket.off("player-muted");
+      socket.off("player-reconnected");
+      socket.off("admin-message");
       socket.off("game-update");
       socket.off("game-started");
       socket.off("drawing");
+      socket.off("drawing-batch");
       socket.off("clear-canvas");
+      socket.off("undo-stroke");
+      socket.off("redo-stroke");
       socket.off("chat-message");
+      socket.off("message-blocked");
       socket.off("correct-guess");
+      socket.off("close-guess");
+      socket.off("word-list");
       socket.off("next-turn");
       socket.off("word-choices");
       socket.off("word-selected");
@@ -236,28 +590,44 @@ function App() {
       socket.off("game-restarted");
       socket.off("timer-update");
       socket.off("round-end");
+      socket.off("drawing-rated");
+      socket.off("steal-window");
+      socket.off("join-denied");
+      socket.off("invite-created");
+      socket.off("ban-list");
     };
   }, [socket]);
 
-  const handleJoinGame = (roomCode: string, playerName: string) => {
+  const handleJoinGame = (
+    roomCode: string,
+    playerName: string,
+    asSpectator: boolean,
+    password?: string
+  ) => {
     console.log("handleJoinGame called:", {
       roomCode,
       playerName,
+      asSpectator,
       socketConnected,
     });
     if (socket && socketConnected) {
       console.log("Emitting join-game event");
-      socket.emit("join-game", { roomCode, playerName });
+      socket.emit("join-game", {
+        roomCode,
+        playerName,
+        asSpectator,
+        password,
+        inviteToken:
+          inviteLink?.roomCode === roomCode ? inviteLink.token : undefined,
+        playerToken: getPlayerToken(),
+      });
     } else {
       console.error("Socket not connected. Connected:", socketConnected);
       alert("Connection error. Please refresh the page.");
     }
   };
 
-  const handleCreateRoom = (
-    playerName: string,
-    settings?: { drawTime: number; maxRounds: number }
-  ) => {
+  const handleCreateRoom = (playerName: string, settings?: RoomSettings) => {
     console.log("handleCreateRoom called:", {
       playerName,
       settings,
@@ -271,6 +641,20 @@ function App() {
         roomCode,
         playerName,
         settings: settings || { drawTime: 80, maxRounds: 3 },
+        playerToken: getPlayerToken(),
+      });
+    } else {
+      console.error("Socket not connected. Connected:", socketConnected);
+      alert("Connection error. Please refresh the page.");
+    }
+  };
+
+  const handleQuickPlay = (playerName: string, language: string) => {
+    if (socket && socketConnected) {
+      socket.emit("quick-play", {
+        playerName,
+        language,
+        playerToken: getPlayerToken(),
       });
     } else {
       console.error("Socket not connected. Connected:", socketConnected);
@@ -293,12 +677,33 @@ function App() {
     [socket, game]
   );
 
+  const handleDrawBatch = useCallback(
+    (batch: StrokeBatch) => {
+      if (socket && game) {
+        socket.emit("drawing-batch", { gameId: game.id, batch });
+      }
+    },
+    [socket, game]
+  );
+
   const handleClearCanvas = useCallback(() => {
     if (socket && game) {
       socket.emit("clear-canvas", { gameId: game.id });
     }
   }, [socket, game]);
 
+  const handleUndo = useCallback(() => {
+    if (socket && game) {
+      socket.emit("undo-stroke", { gameId: game.id });
+    }
+  }, [socket, game]);
+
+  const handleRedo = useCallback(() => {
+    if (socket && game) {
+      socket.emit("redo-stroke", { gameId: game.id });
+    }
+  }, [socket, game]);
+
   const handleSendMessage = useCallback(
     (message: string) => {
       if (socket && game) {
@@ -317,6 +722,7 @@ function App() {
     [socket, game]
   );
   const handlePlayAgain = () => {
+    clearActiveRoom();
     setGame(null);
     setCurrentUser(null);
     setMessages([]);
@@ -333,12 +739,170 @@ function App() {
     }
   };
 
+  const handlePromoteSpectator = (spectatorId: string) => {
+    if (socket && game) {
+      socket.emit("promote-spectator", {
+        gameId: game.id,
+        targetPlayerId: spectatorId,
+      });
+    }
+  };
+
+  const handleLoadWordList = () => {
+    if (socket && game) {
+      socket.emit("get-word-list", { gameId: game.id });
+    }
+  };
+
+  const handleSaveWordList = (settings: WordListSettings) => {
+    if (socket && game) {
+      socket.emit("update-word-list", { gameId: game.id, settings });
+    }
+  };
+
+  const handleUpdateTeams = (settings: {
+    teamCount: number;
+    teamGuessing: TeamGuessing;
+  }) => {
+    if (socket && game) {
+      socket.emit("update-teams", { gameId: game.id, settings });
+    }
+  };
+
+  const handleAssignTeam = (playerId: string, teamId: number) => {
+    if (socket && game) {
+      socket.emit("assign-team", {
+        gameId: game.id,
+        targetPlayerId: playerId,
+        teamId,
+      });
+    }
+  };
+
+  const handleBalanceTeams = () => {
+    if (socket && game) {
+      socket.emit("balance-teams", { gameId: game.id });
+    }
+  };
+
+  const handleSetPassword = (password: string) => {
+    if (socket && game) {
+      socket.emit("set-room-password", { gameId: game.id, password });
+    }
+  };
+
+  const handleCreateInvite = (options: InviteOptions) => {
+    if (socket && game) {
+      socket.emit("create-invite", { gameId: game.id, options });
+    }
+  };
+
+  const gameId = game?.id;
+  const handleLoadBans = useCallback(() => {
+    if (socket && gameId) {
+      socket.emit("get-bans", { gameId });
+    }
+  }, [socket, gameId]);
+
+  const handleLiftBan = (banId: number) => {
+    if (socket && game) {
+      socket.emit("lift-ban", { gameId: game.id, banId });
+    }
+  };
+
+  // Reports go to the moderators with an optional reason
+  const handleReportMessage = (message: ChatMessage) => {
+    if (!socket || !game) return;
+    const reason = prompt(
+      `Report ${message.userName}'s message? Add a reason:`
+    );
+    if (reason === null) return;
+    socket.emit("report", {
+      gameId: game.id,
+      kind: "chat",
+      targetPlayerId: message.userId,
+      messageId: message.id ?? null,
+      reason,
+    });
+  };
+
+  const handleReportDrawing = () => {
+    if (!socket || !game) return;
+    const reason = prompt(
+      `Report ${game.currentDrawer?.name}'s drawing? Add a reason:`
+    );
+    if (reason === null) return;
+    socket.emit("report", { gameId: game.id, kind: "drawing", reason });
+  };
+
+  // The owner kicks straight away; anyone else puts it to a vote
+  const handleKickPlayer = (player: User) => {
+    if (!socket || !game) return;
+
+    if (currentUser?.id === game.ownerId) {
+      if (confirm(`Kick ${player.name} from the room?`)) {
+        socket.emit("kick-player", {
+          gameId: game.id,
+          targetPlayerId: player.id,
+        });
+      }
+    } else if (confirm(`Start a vote to kick ${player.name}?`)) {
+      socket.emit("start-vote-kick", {
+        gameId: game.id,
+        targetPlayerId: player.id,
+      });
+    }
+  };
+
+  // The owner mutes for the whole room; anyone else only for themselves
+  const handleMutePlayer = (player: User) => {
+    if (!socket || !game) return;
+
+    if (currentUser?.id === game.ownerId) {
+      socket.emit("mute-player", {
+        gameId: game.id,
+        targetPlayerId: player.id,
+        muted: !player.isMuted,
+      });
+    } else {
+      setMutedPlayerIds((prev) =>
+        prev.includes(player.id)
+          ? prev.filter((id) => id !== player.id)
+          : [...prev, player.id]
+      );
+    }
+  };
+
+  const handleVoteKick = (inFavor: boolean) => {
+    if (socket && game) {
+      socket.emit("vote-kick", { gameId: game.id, inFavor });
+    }
+  };
+
+  const voteKickPrompt = game?.voteKick && (
+    <VoteKickPrompt
+      vote={game.voteKick}
+      currentUserId={currentUser?.id}
+      onVote={handleVoteKick}
+    />
+  );
+
   const handleToggleReady = () => {
     if (socket && game) {
       socket.emit("toggle-ready", { gameId: game.id });
     }
   };
 
+  // Picking the same rating again takes it back
+  const handleRateDrawing = (rating: DrawingRating) => {
+    if (socket && game) {
+      socket.emit("rate-drawing", {
+        gameId: game.id,
+        rating: rating === myRating ? 0 : rating,
+      });
+    }
+  };
+
   const handleRoundEndContinue = () => {
     setShowRoundEnd(false);
   };
@@ -350,11 +914,39 @@ function App() {
           isConnected={socketConnected}
           isReconnecting={isReconnecting}
         />
-        <JoinGame onJoinGame={handleJoinGame} onCreateRoom={handleCreateRoom} />
+        <JoinGame
+          onJoinGame={handleJoinGame}
+          onCreateRoom={handleCreateRoom}
+          onQuickPlay={handleQuickPlay}
+          categoryCounts={categoryCounts}
+          publicRooms={publicRooms}
+          initialRoomCode={inviteLink?.roomCode}
+          joinDenial={joinDenial}
+          onShowReplays={() => setGameState("replays")}
+          onShowAdmin={() => setGameState("admin")}
+        />
       </>
     );
   }
 
+  if (gameState === "replays") {
+    return (
+      <ReplayBrowser
+        serverUrl={getServerUrl()}
+        onBack={() => setGameState("join")}
+      />
+    );
+  }
+
+  if (gameState === "admin") {
+    return (
+      <AdminConsole
+        serverUrl={getServerUrl()}
+        onBack={() => setGameState("join")}
+      />
+    );
+  }
+
   if (gameState === "lobby" && game) {
     return (
       <>
@@ -366,7 +958,25 @@ function App() {
           game={game}
           currentUser={currentUser}
           onStartGame={handleStartGame}
+          onPromoteSpectator={handlePromoteSpectator}
+          wordList={wordList}
+          categoryCounts={categoryCounts}
+          onLoadWordList={handleLoadWordList}
+          onSaveWordList={handleSaveWordList}
+          onUpdateTeams={handleUpdateTeams}
+          onAssignTeam={handleAssignTeam}
+          onBalanceTeams={handleBalanceTeams}
+          invite={invite}
+          onSetPassword={handleSetPassword}
+          onCreateInvite={handleCreateInvite}
+          onKickPlayer={handleKickPlayer}
+          onMutePlayer={handleMutePlayer}
+          mutedPlayerIds={mutedPlayerIds}
+          bans={bans}
+          onLoadBans={handleLoadBans}
+          onLiftBan={handleLiftBan}
         />
+        {voteKickPrompt}
       </>
     );
   }
@@ -382,13 +992,26 @@ function App() {
           game={game}
           currentUser={currentUser}
           onDraw={handleDraw}
+          onDrawBatch={handleDrawBatch}
           onClear={handleClearCanvas}
+          onUndo={handleUndo}
+          onRedo={handleRedo}
           onSendMessage={handleSendMessage}
           messages={messages}
           onWordSelect={handleWordSelect}
           showRoundEnd={showRoundEnd}
+          scoreBreakdown={scoreBreakdown}
+          roundRatings={roundRatings}
+          myRating={myRating}
+          onRateDrawing={handleRateDrawing}
           onRoundEndContinue={handleRoundEndContinue}
+          onKickPlayer={handleKickPlayer}
+          onMutePlayer={handleMutePlayer}
+          mutedPlayerIds={mutedPlayerIds}
+          onReportMessage={handleReportMessage}
+          onReportDrawing={handleReportDrawing}
         />
+        {voteKickPrompt}
       </>
     );
   }
@@ -406,6 +1029,7 @@ function App() {
           onPlayAgain={handlePlayAgain}
           onRestartGame={handleRestartGame}
           onToggleReady={handleToggleReady}
+          onPromoteSpectator={handlePromoteSpectator}
         />
       </>
     );
@@ -0,0 +1,580 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  ArrowLeft,
+  Shield,
+  Search,
+  Save,
+  Trash2,
+  RefreshCw,
+  Megaphone,
+  Square,
+  XCircle,
+  Lock,
+  Globe,
+} from "lucide-react";
+import { AdminWord, AdminGameSummary, WordDifficulty } from "../types/game";
+import ReportQueue from "./ReportQueue";
+
+interface AdminConsoleProps {
+  serverUrl: string;
+  onBack: () => void;
+}
+
+interface WordQuery {
+  search: string;
+  category: string;
+  difficulty: string;
+  offset: number;
+}
+
+// The admin key is kept for this tab only
+const ADMIN_KEY_STORAGE = "skribbl-admin-key";
+const PAGE_SIZE = 50;
+const DIFFICULTIES: WordDifficulty[] = ["easy", "medium", "hard"];
+
+const inputClass =
+  "px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500";
+
+const AdminConsole: React.FC<AdminConsoleProps> = ({ serverUrl, onBack }) => {
+  const [adminKey, setAdminKey] = useState(
+    () => sessionStorage.getItem(ADMIN_KEY_STORAGE) || ""
+  );
+  const [keyInput, setKeyInput] = useState("");
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+
+  const [filters, setFilters] = useState({
+    search: "",
+    category: "",
+    difficulty: "",
+  });
+  const [query, setQuery] = useState<WordQuery>({
+    search: "",
+    category: "",
+    difficulty: "",
+    offset: 0,
+  });
+  const [words, setWords] = useState<AdminWord[]>([]);
+  const [total, setTotal] = useState(0);
+  // Unsaved changes per word id
+  const [edits, setEdits] = useState<Record<number, Partial<AdminWord>>>({});
+  const [selected, setSelected] = useState<number[]>([]);
+  const [moveTo, setMoveTo] = useState("");
+
+  const [games, setGames] = useState<AdminGameSummary[]>([]);
+  const [broadcast, setBroadcast] = useState("");
+  const [broadcastTarget, setBroadcastTarget] = useState("");
+
+  const request = useCallback(
+    async (path: string, options: RequestInit = {}) => {
+      const response = await fetch(`${serverUrl}/api/admin${path}`, {
+        ...options,
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${adminKey}`,
+        },
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (response.status === 401) {
+        sessionStorage.removeItem(ADMIN_KEY_STORAGE);
+        setAdminKey("");
+      }
+      if (!response.ok) {
+        throw new Error(data.error || "Request failed");
+      }
+      return data;
+    },
+    [serverUrl, adminKey]
+  );
+
+  const loadWords = useCallback(async () => {
+    const params = new URLSearchParams({
+      search: query.search,
+      limit: String(PAGE_SIZE),
+      offset: String(query.offset),
+    });
+    if (query.category) params.set("category", query.category);
+    if (query.difficulty) params.set("difficulty", query.difficulty);
+
+    const data = await request(`/words?${params}`);
+    setWords(data.words);
+    setTotal(data.total);
+    setEdits({});
+    setSelected([]);
+  }, [request, query]);
+
+  const loadGames = useCallback(async () => {
+    setGames(await request("/games"));
+  }, [request]);
+
+  useEffect(() => {
+    if (!adminKey) return;
+    loadWords().catch((e) => setError(e.message));
+  }, [adminKey, loadWords]);
+
+  useEffect(() => {
+    if (!adminKey) return;
+    loadGames().catch((e) => setError(e.message));
+  }, [adminKey, loadGames]);
+
+  // Run an admin action, showing what happened
+  const run = useCallback(async (action: () => Promise<string | void>) => {
+    setError(null);
+    setNotice(null);
+    try {
+      const message = await action();
+      if (message) setNotice(message);
+    } catch (e) {
+      setError((e as Error).message);
+    }
+  }, []);
+
+  const signIn = (e: React.FormEvent) => {
+    e.preventDefault();
+    const key = keyInput.trim();
+    if (!key) return;
+    sessionStorage.setItem(ADMIN_KEY_STORAGE, key);
+    setAdminKey(key);
+    setKeyInput("");
+    setError(null);
+  };
+
+  const searchWords = (e: React.FormEvent) => {
+    e.preventDefault();
+    setQuery({ ...filters, offset: 0 });
+  };
+
+  const editWord = (id: number, change: Partial<AdminWord>) => {
+    setEdits((prev) => ({ ...prev, [id]: { ...prev[id], ...change } }));
+  };
+
+  const saveWord = (id: number) =>
+    run(async () => {
+      const updated: AdminWord = await request(`/words/${id}`, {
+        method: "PATCH",
+        body: JSON.stringify(edits[id]),
+      });
+      setWords((prev) => prev.map((w) => (w.id === id ? updated : w)));
+      setEdits((prev) => {
+        const next = { ...prev };
+        delete next[id];
+        return next;
+      });
+      return `Saved "${updated.word}"`;
+    });
+
+  const deleteWord = (word: AdminWord) => {
+    if (!confirm(`Delete "${word.word}"?`)) return;
+    run(async () => {
+      await request(`/words/${word.id}`, { method: "DELETE" });
+      await loadWords();
+      return `Deleted "${word.word}"`;
+    });
+  };
+
+  const recategorize = () =>
+    run(async () => {
+      const data = await request("/words/recategorize", {
+        method: "POST",
+        body: JSON.stringify({ ids: selected, category: moveTo }),
+      });
+      setMoveTo("");
+      await loadWords();
+      return `Moved ${data.count} words to "${moveTo}"`;
+    });
+
+  const toggleSelected = (id: number) => {
+    setSelected((prev) =>
+      prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]
+    );
+  };
+
+  const endGame = (game: AdminGameSummary) =>
+    run(async () => {
+      await request(`/games/${game.id}/end`, { method: "POST" });
+      await loadGames();
+      return `Ended the game in ${game.roomCode}`;
+    });
+
+  const closeRoom = (game: AdminGameSummary) => {
+    if (!confirm(`Close room ${game.roomCode} and remove everyone in it?`)) {
+      return;
+    }
+    run(async () => {
+      await request(`/games/${game.id}`, { method: "DELETE" });
+      await loadGames();
+      return `Closed ${game.roomCode}`;
+    });
+  };
+
+  const sendBroadcast = (e: React.FormEvent) => {
+    e.preventDefault();
+    run(async () => {
+      const data = await request("/broadcast", {
+        method: "POST",
+        body: JSON.stringify({
+          message: broadcast,
+          ...(broadcastTarget && { gameId: broadcastTarget }),
+        }),
+      });
+      setBroadcast("");
+      return `Sent to ${data.rooms} room${data.rooms === 1 ? "" : "s"}`;
+    });
+  };
+
+  const header = (
+    <div className="flex items-center gap-3 mb-6">
+      <button
+        onClick={onBack}
+        className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+        title="Back"
+      >
+        <ArrowLeft size={20} className="text-gray-600" />
+      </button>
+      <Shield className="text-purple-600" size={28} />
+      <h2 className="text-2xl font-bold text-gray-800">Admin</h2>
+    </div>
+  );
+
+  if (!adminKey) {
+    return (
+      <div className="min-h-screen bg-gray-100 p-4">
+        <div className="bg-white rounded-lg shadow-lg p-6 max-w-md mx-auto">
+          {header}
+          <form onSubmit={signIn} className="space-y-3">
+            <input
+              type="password"
+              value={keyInput}
+              onChange={(e) => setKeyInput(e.target.value)}
+              placeholder="Admin key"
+              className={`w-full ${inputClass}`}
+            />
+            {error && <p className="text-sm text-red-600">{error}</p>}
+            <button
+              type="submit"
+              disabled={!keyInput.trim()}
+              className="w-full py-2 font-medium rounded-lg bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-50 transition-colors"
+            >
+              Sign in
+            </button>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-100 p-4">
+      <div className="bg-white rounded-lg shadow-lg p-6 max-w-5xl mx-auto space-y-8">
+        {header}
+
+        {error && (
+          <p className="text-sm text-red-600 bg-red-50 rounded-lg p-3">
+            {error}
+          </p>
+        )}
+        {notice && (
+          <p className="text-sm text-green-700 bg-green-50 rounded-lg p-3">
+            {notice}
+          </p>
+        )}
+
+        <section>
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="text-lg font-semibold text-gray-800">Rooms</h3>
+            <button
+              onClick={() => run(loadGames)}
+              className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+              title="Refresh"
+            >
+              <RefreshCw size={16} className="text-gray-600" />
+            </button>
+          </div>
+          {games.length === 0 ? (
+            <p className="text-sm text-gray-500">No rooms open.</p>
+          ) : (
+            <div className="space-y-2">
+              {games.map((game) => (
+                <div
+                  key={game.id}
+                  className="flex flex-wrap items-center gap-3 p-3 rounded-lg bg-gray-50 border border-gray-200"
+                >
+                  <span className="font-mono font-semibold text-gray-800">
+                    {game.roomCode}
+                  </span>
+                  {game.isPublic && (
+                    <Globe size={14} className="text-gray-500" />
+                  )}
+                  {game.hasPassword && (
+                    <Lock size={14} className="text-gray-500" />
+                  )}
+                  <span className="text-sm text-gray-600">
+                    {game.status}
+                    {game.status === "playing" &&
+                      ` · round ${game.round}/${game.maxRounds}`}
+                  </span>
+                  <span className="flex-1 min-w-0 truncate text-sm text-gray-600">
+                    {game.players
+                      .map((p) => (p.isConnected ? p.name : `${p.name} (away)`))
+                      .join(", ")}
+                    {game.spectatorCount > 0 &&
+                      ` + ${game.spectatorCount} watching`}
+                  </span>
+                  {game.status === "playing" && (
+                    <button
+                      onClick={() => endGame(game)}
+                      className="flex items-center gap-1 px-3 py-1 text-sm font-medium rounded-lg bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors"
+                    >
+                      <Square size={14} />
+                      End game
+                    </button>
+                  )}
+                  <button
+                    onClick={() => closeRoom(game)}
+                    className="flex items-center gap-1 px-3 py-1 text-sm font-medium rounded-lg bg-red-600 text-white hover:bg-red-700 transition-colors"
+                  >
+                    <XCircle size={14} />
+                    Close room
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </section>
+
+        <ReportQueue request={request} run={run} />
+
+        <section>
+          <h3 className="text-lg font-semibold text-gray-800 mb-3">
+            Announcement
+          </h3>
+          <form onSubmit={sendBroadcast} className="flex flex-wrap gap-2">
+            <input
+              type="text"
+              value={broadcast}
+              onChange={(e) => setBroadcast(e.target.value)}
+              placeholder="Message for players"
+              maxLength={200}
+              className={`flex-1 min-w-0 ${inputClass}`}
+            />
+            <select
+              value={broadcastTarget}
+              onChange={(e) => setBroadcastTarget(e.target.value)}
+              className={inputClass}
+            >
+              <option value="">All rooms</option>
+              {games.map((game) => (
+                <option key={game.id} value={game.id}>
+                  {game.roomCode}
+                </option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              disabled={!broadcast.trim()}
+              className="flex items-center gap-1 px-4 py-2 text-sm font-medium rounded-lg bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-50 transition-colors"
+            >
+              <Megaphone size={14} />
+              Send
+            </button>
+          </form>
+        </section>
+
+        <section>
+          <h3 className="text-lg font-semibold text-gray-800 mb-3">
+            Words ({total})
+          </h3>
+          <form onSubmit={searchWords} className="flex flex-wrap gap-2 mb-3">
+            <input
+              type="text"
+              value={filters.search}
+              onChange={(e) =>
+                setFilters((prev) => ({ ...prev, search: e.target.value }))
+              }
+              placeholder="Search words"
+              className={`flex-1 min-w-0 ${inputClass}`}
+            />
+            <input
+              type="text"
+              value={filters.category}
+              onChange={(e) =>
+                setFilters((prev) => ({ ...prev, category: e.target.value }))
+              }
+              placeholder="Category"
+              className={`w-32 ${inputClass}`}
+            />
+            <select
+              value={filters.difficulty}
+              onChange={(e) =>
+                setFilters((prev) => ({ ...prev, difficulty: e.target.value }))
+              }
+              className={inputClass}
+            >
+              <option value="">Any difficulty</option>
+              {DIFFICULTIES.map((d) => (
+                <option key={d} value={d}>
+                  {d}
+                </option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              className="flex items-center gap-1 px-4 py-2 text-sm font-medium rounded-lg bg-purple-600 text-white hover:bg-purple-700 transition-colors"
+            >
+              <Search size={14} />
+              Search
+            </button>
+          </form>
+
+          {selected.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2 mb-3 p-2 rounded-lg bg-purple-50">
+              <span className="text-sm text-gray-700">
+                {selected.length} selected
+              </span>
+              <input
+                type="text"
+                value={moveTo}
+                onChange={(e) => setMoveTo(e.target.value)}
+                placeholder="New category"
+                className={`w-40 ${inputClass}`}
+              />
+              <button
+                onClick={recategorize}
+                disabled={!moveTo.trim()}
+                className="px-3 py-2 text-sm font-medium rounded-lg bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-50 transition-colors"
+              >
+                Move
+              </button>
+            </div>
+          )}
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b">
+                  <th className="p-2 w-8"></th>
+                  <th className="p-2">Word</th>
+                  <th className="p-2">Difficulty</th>
+                  <th className="p-2">Category</th>
+                  <th className="p-2 w-20"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {words.map((word) => {
+                  const edit = edits[word.id];
+                  const current = { ...word, ...edit };
+                  return (
+                    <tr key={word.id} className="border-b border-gray-100">
+                      <td className="p-2">
+                        <input
+                          type="checkbox"
+                          checked={selected.includes(word.id)}
+                          onChange={() => toggleSelected(word.id)}
+                          className="rounded text-purple-600 focus:ring-purple-500"
+                        />
+                      </td>
+                      <td className="p-2">
+                        <input
+                          type="text"
+                          value={current.word}
+                          onChange={(e) =>
+                            editWord(word.id, { word: e.target.value })
+                          }
+                          maxLength={30}
+                          className={`w-full ${inputClass}`}
+                        />
+                      </td>
+                      <td className="p-2">
+                        <select
+                          value={current.difficulty}
+                          onChange={(e) =>
+                            editWord(word.id, {
+                              difficulty: e.target.value as WordDifficulty,
+                            })
+                          }
+                          className={inputClass}
+                        >
+                          {DIFFICULTIES.map((d) => (
+                            <option key={d} value={d}>
+                              {d}
+                            </option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="p-2">
+                        <input
+                          type="text"
+                          value={current.category}
+                          onChange={(e) =>
+                            editWord(word.id, { category: e.target.value })
+                          }
+                          maxLength={30}
+                          className={`w-full ${inputClass}`}
+                        />
+                      </td>
+                      <td className="p-2">
+                        <div className="flex gap-1">
+                          <button
+                            onClick={() => saveWord(word.id)}
+                            disabled={!edit}
+                            className="p-2 hover:bg-gray-100 rounded-lg disabled:opacity-30 transition-colors"
+                            title="Save"
+                          >
+                            <Save size={14} className="text-purple-600" />
+                          </button>
+                          <button
+                            onClick={() => deleteWord(word)}
+                            className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+                            title="Delete"
+                          >
+                            <Trash2 size={14} className="text-red-600" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {total > PAGE_SIZE && (
+            <div className="flex items-center justify-center gap-4 mt-3 text-sm">
+              <button
+                onClick={() =>
+                  setQuery((prev) => ({
+                    ...prev,
+                    offset: Math.max(prev.offset - PAGE_SIZE, 0),
+                  }))
+                }
+                disabled={query.offset === 0}
+                className="text-purple-600 hover:text-purple-800 font-medium disabled:opacity-30"
+              >
+                Previous
+              </button>
+              <span className="text-gray-600">
+                {query.offset + 1}–{Math.min(query.offset + PAGE_SIZE, total)}{" "}
+                of {total}
+              </span>
+              <button
+                onClick={() =>
+                  setQuery((prev) => ({
+                    ...prev,
+                    offset: prev.offset + PAGE_SIZE,
+                  }))
+                }
+                disabled={query.offset + PAGE_SIZE >= total}
+                className="text-purple-600 hover:text-purple-800 font-medium disabled:opacity-30"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default AdminConsole;
@@ -0,0 +1,43 @@
+import React from "react";
+import { Ban } from "lucide-react";
+import { RoomBan } from "../types/game";
+
+interface BanListProps {
+  bans: RoomBan[];
+  onLiftBan: (banId: number) => void;
+}
+
+const BanList: React.FC<BanListProps> = ({ bans, onLiftBan }) => {
+  return (
+    <div>
+      <div className="flex items-center gap-2 text-sm font-medium text-gray-700 mb-2">
+        <Ban size={16} className="text-gray-600" />
+        Banned players ({bans.length})
+      </div>
+      <div className="space-y-1">
+        {bans.map((ban) => (
+          <div
+            key={ban.id}
+            className="flex items-center justify-between gap-2 text-xs sm:text-sm"
+          >
+            <span className="text-gray-700 truncate">
+              {ban.playerName}
+              <span className="text-gray-400">
+                {" "}
+                · {ban.bannedBy === "vote" ? "voted out" : "kicked"}
+              </span>
+            </span>
+            <button
+              onClick={() => onLiftBan(ban.id)}
+              className="text-purple-600 hover:text-purple-800 font-medium"
+            >
+              Lift ban
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default BanList;
@@ -1,21 +1,32 @@
 import React, { useState, useEffect, useRef } from "react";
-import { Send, MessageCircle } from "lucide-react";
+import { Send, MessageCircle, Flag } from "lucide-react";
 import { ChatMessage } from "../types/game";
 
 interface ChatBoxProps {
   messages: ChatMessage[];
   onSendMessage: (message: string) => void;
   currentUserId: string;
+  placeholder?: string;
+  onReport?: (message: ChatMessage) => void;
+  // Players muted by this user, whose messages aren't shown
+  mutedPlayerIds?: string[];
 }
 
 const ChatBox: React.FC<ChatBoxProps> = ({
   messages,
   onSendMessage,
   currentUserId,
+  placeholder = "Type your guess...",
+  onReport,
+  mutedPlayerIds = [],
 }) => {
   const [message, setMessage] = useState("");
   const messagesEndRef = useRef<HTMLDivElement>(null);
 
+  const visibleMessages = messages.filter(
+    (msg) => !mutedPlayerIds.includes(msg.userId)
+  );
+
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
   }, [messages]);
@@ -38,7 +49,7 @@ const ChatBox: React.FC<ChatBoxProps> = ({
       </div>
 
       <div className="flex-1 overflow-y-auto p-3 sm:p-4 space-y-2">
-        {messages.map((msg, index) => (
+        {visibleMessages.map((msg, index) => (
           <div
             key={index}
             className={`flex ${
@@ -53,8 +64,17 @@ const ChatBox: React.FC<ChatBoxProps> = ({
               }`}
             >
               {msg.userId !== currentUserId && (
-                <div className="text-xs font-medium mb-1 opacity-70 break-words">
-                  {msg.userName}
+                <div className="flex items-center gap-1 text-xs font-medium mb-1 break-words">
+                  <span className="opacity-70">{msg.userName}</span>
+                  {onReport && msg.userId !== "system" && (
+                    <button
+                      onClick={() => onReport(msg)}
+                      className="text-gray-400 hover:text-red-600 transition-colors"
+                      title="Report message"
+                    >
+                      <Flag size={10} />
+                    </button>
+                  )}
                 </div>
               )}
               <div className="text-xs sm:text-sm break-words">
@@ -75,7 +95,7 @@ const ChatBox: React.FC<ChatBoxProps> = ({
             type="text"
             value={message}
             onChange={(e) => setMessage(e.target.value)}
-            placeholder="Type your guess..."
+            placeholder={placeholder}
             className="flex-1 px-2 sm:px-3 py-1 sm:py-2 text-sm sm:text-base border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
           />
           <button
@@ -5,13 +5,39 @@ import React, {
   useCallback,
   useMemo,
 } from "react";
-import { Palette, Eraser, Trash2 } from "lucide-react";
-import { DrawingData } from "../types/game";
+import {
+  Palette,
+  Eraser,
+  Trash2,
+  Minus,
+  Square,
+  Circle,
+  PaintBucket,
+  Undo2,
+  Redo2,
+} from "lucide-react";
+import { DrawingData, StrokeBatch, StrokeStyle } from "../types/game";
+import {
+  DirtyRect,
+  applyDrawing,
+  clearRaster,
+  unionRect,
+} from "../utils/rasterizer";
+import {
+  MAX_BATCH_POINTS,
+  Point,
+  createSegment,
+  encodeBatch,
+  roundPoint,
+} from "../utils/strokeBatch";
 
 interface DrawingCanvasProps {
   isDrawer: boolean;
   onDraw: (data: DrawingData) => void;
+  onDrawBatch: (batch: StrokeBatch) => void;
   onClear: () => void;
+  onUndo?: () => void;
+  onRedo?: () => void;
   drawingData: DrawingData[];
 }
 
@@ -21,27 +47,61 @@ const CANVAS_HEIGHT = 600;
 
 // Performance constants
 const THROTTLE_INTERVAL = 16; // ~60fps
-const MAX_HISTORY = 2000; // Increased for better sync
+const BATCH_INTERVAL = 50; // Freehand points are sent every few frames
+
+type Tool = DrawingData["type"];
+
+// Tools that are dragged out from a start point and sent once on release
+const SHAPE_TOOLS: Tool[] = ["line", "rectangle", "circle"];
+
+const TOOLS: { tool: Tool; title: string; Icon: typeof Palette }[] = [
+  { tool: "draw", title: "Draw", Icon: Palette },
+  { tool: "erase", title: "Eraser", Icon: Eraser },
+  { tool: "line", title: "Line", Icon: Minus },
+  { tool: "rectangle", title: "Rectangle", Icon: Square },
+  { tool: "circle", title: "Circle", Icon: Circle },
+  { tool: "fill", title: "Fill", Icon: PaintBucket },
+];
+
+const isSameDrawing = (a: DrawingData, b: DrawingData) =>
+  JSON.stringify(a) === JSON.stringify(b);
+
+const createStrokeId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
 
 const DrawingCanvas: React.FC<DrawingCanvasProps> = ({
   isDrawer,
   onDraw,
+  onDrawBatch,
   onClear,
+  onUndo,
+  onRedo,
   drawingData,
 }) => {
   const canvasRef = useRef<HTMLCanvasElement>(null);
+  const previewRef = useRef<HTMLCanvasElement>(null);
+  const rasterRef = useRef<ImageData | null>(null);
   const lastDrawTimeRef = useRef<number>(0);
   const lastProcessedIndexRef = useRef<number>(0);
+  // Last entry painted, to notice when history was rewritten (e.g. undo)
+  const lastProcessedItemRef = useRef<DrawingData | null>(null);
+  const strokeIdRef = useRef<string | null>(null);
+  // Freehand points not yet sent, starting with the last point already sent
+  const strokeStyleRef = useRef<StrokeStyle | null>(null);
+  const batchPointsRef = useRef<Point[]>([]);
+  const styleSentRef = useRef(false);
+  const flushTimerRef = useRef<ReturnType<typeof setTimeout> | null>(null);
+  // Actions the drawer has already painted locally, awaiting the server echo
+  const pendingRef = useRef<DrawingData[]>([]);
+  // Set after a local clear until the server confirms it
+  const awaitingClearRef = useRef(false);
+  const shapeStartRef = useRef<{ x: number; y: number } | null>(null);
+  const shapeEndRef = useRef<{ x: number; y: number } | null>(null);
 
   const [isDrawing, setIsDrawing] = useState(false);
   const [color, setColor] = useState("#000000");
   const [lineWidth, setLineWidth] = useState(3);
-  const [tool, setTool] = useState<"draw" | "erase">("draw");
-  const [history, setHistory] = useState<DrawingData[][]>([]);
-  const [historyStep, setHistoryStep] = useState(-1);
-  const [lastPoint, setLastPoint] = useState<{ x: number; y: number } | null>(
-    null
-  );
+  const [tool, setTool] = useState<Tool>("draw");
   const [canvasReady, setCanvasReady] = useState(false);
 
   // Memoized colors array to prevent re-renders
@@ -73,93 +133,121 @@ const DrawingCanvas: React.FC<DrawingCanvasProps> = ({
     canvas.width = CANVAS_WIDTH;
     canvas.height = CANVAS_HEIGHT;
 
-    // Optimize canvas settings
-    ctx.lineCap = "round";
-    ctx.lineJoin = "round";
-    ctx.imageSmoothingEnabled = true; // Enable for better quality
+    const preview = previewRef.current;
+    if (preview) {
+      preview.width = CANVAS_WIDTH;
+      preview.height = CANVAS_HEIGHT;
+    }
 
-    // Clear canvas with white background
-    ctx.fillStyle = "#ffffff";
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    // All painting goes through the deterministic raster buffer
+    rasterRef.current = ctx.createImageData(CANVAS_WIDTH, CANVAS_HEIGHT);
+    clearRaster(rasterRef.current);
+    ctx.putImageData(rasterRef.current, 0, 0);
 
     setCanvasReady(true);
   }, []);
 
-  // Draw a single stroke
-  const drawStroke = useCallback(
-    (ctx: CanvasRenderingContext2D, data: DrawingData) => {
-      if (data.type === "erase") {
-        ctx.globalCompositeOperation = "destination-out";
-        ctx.lineWidth = data.lineWidth;
-      } else {
-        ctx.globalCompositeOperation = "source-over";
-        ctx.strokeStyle = data.color;
-        ctx.lineWidth = data.lineWidth;
-      }
+  // Copy the changed part of the raster onto the visible canvas
+  const blit = useCallback((rect: DirtyRect | null) => {
+    const ctx = canvasRef.current?.getContext("2d");
+    const raster = rasterRef.current;
+    if (!ctx || !raster || !rect) return;
 
-      ctx.beginPath();
-      ctx.moveTo(data.prevX, data.prevY);
-      ctx.lineTo(data.x, data.y);
-      ctx.stroke();
+    ctx.putImageData(raster, 0, 0, rect.x, rect.y, rect.width, rect.height);
+  }, []);
+
+  // Paint a single action
+  const drawStroke = useCallback(
+    (data: DrawingData) => {
+      const raster = rasterRef.current;
+      if (!raster) return;
+      blit(applyDrawing(raster, data));
     },
-    []
+    [blit]
   );
 
   // Redraw entire canvas from drawing data
   const redrawCanvas = useCallback(() => {
-    const canvas = canvasRef.current;
-    if (!canvas || !canvasReady) return;
-
-    const ctx = canvas.getContext("2d");
-    if (!ctx) return;
+    const raster = rasterRef.current;
+    if (!raster || !canvasReady) return;
 
-    // Clear canvas
-    ctx.fillStyle = "#ffffff";
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-    // Draw all strokes
-    const limitedDrawingData = drawingData.slice(-MAX_HISTORY);
-    limitedDrawingData.forEach((data) => {
-      drawStroke(ctx, data);
+    clearRaster(raster);
+    drawingData.forEach((data) => {
+      applyDrawing(raster, data);
     });
+    blit({ x: 0, y: 0, width: CANVAS_WIDTH, height: CANVAS_HEIGHT });
 
     lastProcessedIndexRef.current = drawingData.length;
-  }, [drawingData, canvasReady, drawStroke]);
+    lastProcessedItemRef.current = drawingData[drawingData.length - 1] || null;
+  }, [drawingData, canvasReady, blit]);
 
   // Process new drawing data incrementally
   const processNewDrawingData = useCallback(() => {
-    const canvas = canvasRef.current;
-    if (!canvas || !canvasReady) return;
-
-    const ctx = canvas.getContext("2d");
-    if (!ctx) return;
+    const raster = rasterRef.current;
+    if (!raster || !canvasReady) return;
 
-    const newDataCount = drawingData.length - lastProcessedIndexRef.current;
-    if (newDataCount > 0) {
-      // Draw only new strokes
-      const newData = drawingData.slice(lastProcessedIndexRef.current);
-      newData.forEach((data) => {
-        drawStroke(ctx, data);
-      });
-      lastProcessedIndexRef.current = drawingData.length;
+    const newData = drawingData.slice(lastProcessedIndexRef.current);
+    lastProcessedIndexRef.current = drawingData.length;
+    lastProcessedItemRef.current = drawingData[drawingData.length - 1] || null;
+
+    // Old strokes echoed back after a local clear are already gone
+    if (awaitingClearRef.current) return;
+
+    let dirty: DirtyRect | null = null;
+    for (const data of newData) {
+      const pending = pendingRef.current;
+      if (pending.length > 0) {
+        if (isSameDrawing(pending[0], data)) {
+          // Already painted locally, in the same order
+          pending.shift();
+          continue;
+        }
+
+        // The server dropped something we painted; rebuild from its history
+        pendingRef.current = [];
+        redrawCanvas();
+        return;
+      }
+      dirty = unionRect(dirty, applyDrawing(raster, data));
     }
-  }, [drawingData, canvasReady, drawStroke]);
+    blit(dirty);
+  }, [drawingData, canvasReady, blit, redrawCanvas]);
 
   // Initialize canvas on mount
   useEffect(() => {
     initializeCanvas();
   }, [initializeCanvas]);
 
+  // Drop a pending batch timer on unmount
+  useEffect(
+    () => () => {
+      if (flushTimerRef.current) clearTimeout(flushTimerRef.current);
+    },
+    []
+  );
+
   // Handle drawing data changes
   useEffect(() => {
     if (!canvasReady) return;
 
+    // New data only appends if everything painted so far is still in place
+    const processed = lastProcessedIndexRef.current;
+    const lastItem = lastProcessedItemRef.current;
+    const appendsOnly =
+      processed === 0 ||
+      (drawingData.length >= processed &&
+        lastItem !== null &&
+        isSameDrawing(drawingData[processed - 1], lastItem));
+
     if (drawingData.length === 0) {
       // Canvas was cleared
+      awaitingClearRef.current = false;
+      pendingRef.current = [];
       lastProcessedIndexRef.current = 0;
       redrawCanvas();
-    } else if (drawingData.length < lastProcessedIndexRef.current) {
-      // Data was reset, redraw everything
+    } else if (!appendsOnly) {
+      // Data was reset or strokes were undone, redraw everything
+      pendingRef.current = [];
       lastProcessedIndexRef.current = 0;
       redrawCanvas();
     } else {
@@ -202,6 +290,36 @@ const DrawingCanvas: React.FC<DrawingCanvasProps> = ({
     []
   );
 
+  // Paint locally for instant feedback, then send to the server
+  const commitDrawing = useCallback(
+    (data: DrawingData) => {
+      const stroke = { ...data, strokeId: strokeIdRef.current || undefined };
+      drawStroke(stroke);
+      pendingRef.current.push(stroke);
+      onDraw(stroke);
+    },
+    [drawStroke, onDraw]
+  );
+
+  // Send the freehand points gathered so far as one batch
+  const flushBatch = useCallback(() => {
+    if (flushTimerRef.current) {
+      clearTimeout(flushTimerRef.current);
+      flushTimerRef.current = null;
+    }
+
+    const points = batchPointsRef.current;
+    const style = strokeStyleRef.current;
+    const strokeId = strokeIdRef.current;
+    if (points.length < 2 || !style || !strokeId) return;
+
+    onDrawBatch(
+      encodeBatch(strokeId, points, styleSentRef.current ? undefined : style)
+    );
+    styleSentRef.current = true;
+    batchPointsRef.current = [points[points.length - 1]];
+  }, [onDrawBatch]);
+
   // Throttled drawing function
   const throttledDraw = useCallback(
     (coords: { x: number; y: number }) => {
@@ -210,32 +328,58 @@ const DrawingCanvas: React.FC<DrawingCanvasProps> = ({
 
       lastDrawTimeRef.current = now;
 
-      if (!lastPoint) return;
+      const points = batchPointsRef.current;
+      const prev = points[points.length - 1];
+      const style = strokeStyleRef.current;
+      const strokeId = strokeIdRef.current;
+      if (!prev || !style || !strokeId) return;
+
+      const point = roundPoint(coords);
+      if (point.x === prev.x && point.y === prev.y) return;
+
+      // Paint now; the segment is sent with the next batch
+      const segment = createSegment(style, strokeId, prev, point);
+      drawStroke(segment);
+      pendingRef.current.push(segment);
+      points.push(point);
+
+      if (points.length >= MAX_BATCH_POINTS) {
+        flushBatch();
+      } else if (!flushTimerRef.current) {
+        flushTimerRef.current = setTimeout(flushBatch, BATCH_INTERVAL);
+      }
+    },
+    [drawStroke, flushBatch]
+  );
 
-      const canvas = canvasRef.current;
-      if (!canvas) return;
-
-      const ctx = canvas.getContext("2d");
-      if (!ctx) return;
-
-      const drawingData: DrawingData = {
-        x: coords.x,
-        y: coords.y,
-        prevX: lastPoint.x,
-        prevY: lastPoint.y,
-        color,
-        lineWidth: tool === "erase" ? lineWidth * 2 : lineWidth,
-        type: tool,
-      };
+  // Show the shape being dragged out on the overlay canvas
+  const drawShapePreview = useCallback(
+    (end: { x: number; y: number } | null) => {
+      const preview = previewRef.current;
+      const ctx = preview?.getContext("2d");
+      if (!preview || !ctx) return;
 
-      // Draw immediately for instant feedback
-      drawStroke(ctx, drawingData);
+      ctx.clearRect(0, 0, preview.width, preview.height);
 
-      // Send to server
-      onDraw(drawingData);
-      setLastPoint(coords);
+      const start = shapeStartRef.current;
+      if (!start || !end) return;
+
+      ctx.strokeStyle = color;
+      ctx.lineWidth = lineWidth;
+      ctx.lineCap = "round";
+      ctx.beginPath();
+      if (tool === "line") {
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(end.x, end.y);
+      } else if (tool === "rectangle") {
+        ctx.rect(start.x, start.y, end.x - start.x, end.y - start.y);
+      } else if (tool === "circle") {
+        const radius = Math.hypot(end.x - start.x, end.y - start.y);
+        ctx.arc(start.x, start.y, radius, 0, Math.PI * 2);
+      }
+      ctx.stroke();
     },
-    [lastPoint, color, lineWidth, tool, onDraw, drawStroke]
+    [color, lineWidth, tool]
   );
 
   // Event handlers
@@ -247,11 +391,38 @@ const DrawingCanvas: React.FC<DrawingCanvasProps> = ({
       const coords = getCoordinates(e);
       if (!coords) return;
 
-      setLastPoint(coords);
+      strokeIdRef.current = createStrokeId();
+
+      if (tool === "fill") {
+        commitDrawing({
+          x: coords.x,
+          y: coords.y,
+          prevX: coords.x,
+          prevY: coords.y,
+          color,
+          lineWidth,
+          type: "fill",
+        });
+        return;
+      }
+
+      if (SHAPE_TOOLS.includes(tool)) {
+        shapeStartRef.current = coords;
+        shapeEndRef.current = coords;
+      } else {
+        strokeStyleRef.current = {
+          type: tool === "erase" ? "erase" : "draw",
+          color,
+          lineWidth: tool === "erase" ? lineWidth * 2 : lineWidth,
+        };
+        batchPointsRef.current = [roundPoint(coords)];
+        styleSentRef.current = false;
+      }
+
       setIsDrawing(true);
       lastDrawTimeRef.current = performance.now();
     },
-    [isDrawer, getCoordinates]
+    [isDrawer, getCoordinates, tool, color, lineWidth, commitDrawing]
   );
 
   const draw = useCallback(
@@ -262,36 +433,90 @@ const DrawingCanvas: React.FC<DrawingCanvasProps> = ({
       const coords = getCoordinates(e);
       if (!coords) return;
 
+      if (shapeStartRef.current) {
+        shapeEndRef.current = coords;
+        drawShapePreview(coords);
+        return;
+      }
+
       throttledDraw(coords);
     },
-    [isDrawing, isDrawer, getCoordinates, throttledDraw]
+    [isDrawing, isDrawer, getCoordinates, throttledDraw, drawShapePreview]
   );
 
-  const stopDrawing = useCallback((e?: React.MouseEvent | React.TouchEvent) => {
-    if (e) e.preventDefault();
-    setIsDrawing(false);
-    setLastPoint(null);
-  }, []);
+  const stopDrawing = useCallback(
+    (e?: React.MouseEvent | React.TouchEvent) => {
+      if (e) e.preventDefault();
+
+      flushBatch();
+      strokeStyleRef.current = null;
+      batchPointsRef.current = [];
+
+      // Shapes are sent once, when the drag ends
+      const start = shapeStartRef.current;
+      const end = shapeEndRef.current;
+      if (start && end) {
+        commitDrawing({
+          x: start.x,
+          y: start.y,
+          prevX: start.x,
+          prevY: start.y,
+          endX: end.x,
+          endY: end.y,
+          color,
+          lineWidth,
+          type: tool,
+        });
+      }
+      shapeStartRef.current = null;
+      shapeEndRef.current = null;
+      drawShapePreview(null);
+
+      setIsDrawing(false);
+    },
+    [commitDrawing, flushBatch, drawShapePreview, color, lineWidth, tool]
+  );
 
   // Clear canvas
   const clearCanvas = useCallback(() => {
     if (!isDrawer) return;
 
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-
-    const ctx = canvas.getContext("2d");
-    if (!ctx) return;
+    const raster = rasterRef.current;
+    if (!raster) return;
 
     // Clear canvas
-    ctx.fillStyle = "#ffffff";
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    clearRaster(raster);
+    blit({ x: 0, y: 0, width: CANVAS_WIDTH, height: CANVAS_HEIGHT });
 
-    // Reset tracking
-    lastProcessedIndexRef.current = 0;
+    // Ignore our own strokes still in flight until the clear comes back
+    pendingRef.current = [];
+    awaitingClearRef.current = true;
 
     onClear();
-  }, [isDrawer, onClear]);
+  }, [isDrawer, onClear, blit]);
+
+  // Ctrl/Cmd+Z undoes the last stroke, Ctrl+Shift+Z or Ctrl+Y redoes it
+  useEffect(() => {
+    if (!isDrawer) return;
+
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const target = e.target as HTMLElement | null;
+      if (target && ["INPUT", "TEXTAREA"].includes(target.tagName)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        onUndo?.();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        onRedo?.();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [isDrawer, onUndo, onRedo]);
 
   // Memoized color buttons
   const colorButtons = useMemo(
@@ -340,29 +565,40 @@ const DrawingCanvas: React.FC<DrawingCanvasProps> = ({
                 <span className="text-xs text-gray-500 w-6">{lineWidth}</span>
               </div>
 
-              <div className="flex gap-2">
-                <button
-                  onClick={() => setTool("draw")}
-                  className={`p-2 rounded-lg transition-all duration-200 transform hover:scale-105 ${
-                    tool === "draw"
-                      ? "bg-blue-500 text-white shadow-lg"
-                      : "bg-gray-200 hover:bg-gray-300"
-                  }`}
-                  title="Draw"
-                >
-                  <Palette size={14} className="sm:w-4 sm:h-4" />
-                </button>
-                <button
-                  onClick={() => setTool("erase")}
-                  className={`p-2 rounded-lg transition-all duration-200 transform hover:scale-105 ${
-                    tool === "erase"
-                      ? "bg-blue-500 text-white shadow-lg"
-                      : "bg-gray-200 hover:bg-gray-300"
-                  }`}
-                  title="Eraser"
-                >
-                  <Eraser size={14} className="sm:w-4 sm:h-4" />
-                </button>
+              <div className="flex gap-2 flex-wrap justify-end">
+                {TOOLS.map(({ tool: t, title, Icon }) => (
+                  <button
+                    key={t}
+                    onClick={() => setTool(t)}
+                    className={`p-2 rounded-lg transition-all duration-200 transform hover:scale-105 ${
+                      tool === t
+                        ? "bg-blue-500 text-white shadow-lg"
+                        : "bg-gray-200 hover:bg-gray-300"
+                    }`}
+                    title={title}
+                  >
+                    <Icon size={14} className="sm:w-4 sm:h-4" />
+                  </button>
+                ))}
+                {onUndo && (
+                  <button
+                    onClick={onUndo}
+                    disabled={drawingData.length === 0}
+                    className="p-2 rounded-lg bg-gray-200 hover:bg-gray-300 transition-all duration-200 transform hover:scale-105 disabled:opacity-50 disabled:hover:scale-100"
+                    title="Undo (Ctrl+Z)"
+                  >
+                    <Undo2 size={14} className="sm:w-4 sm:h-4" />
+                  </button>
+                )}
+                {onRedo && (
+                  <button
+                    onClick={onRedo}
+                    className="p-2 rounded-lg bg-gray-200 hover:bg-gray-300 transition-all duration-200 transform hover:scale-105"
+                    title="Redo (Ctrl+Shift+Z)"
+                  >
+                    <Redo2 size={14} className="sm:w-4 sm:h-4" />
+                  </button>
+                )}
                 <button
                   onClick={clearCanvas}
                   className="p-2 rounded-lg bg-red-500 text-white hover:bg-red-600 transition-all duration-200 transform hover:scale-105 shadow-lg"
@@ -376,7 +612,12 @@ const DrawingCanvas: React.FC<DrawingCanvasProps> = ({
         </div>
       )}
 
-      <div className="w-full flex justify-center">
+      <div
+        className={`relative w-full border-2 border-gray-300 rounded-lg bg-white overflow-hidden transition-all duration-200 ${
+          isDrawer ? "hover:shadow-lg" : ""
+        }`}
+        style={{ maxWidth: "800px", aspectRatio: "4/3" }}
+      >
         <canvas
           ref={canvasRef}
           onMouseDown={startDrawing}
@@ -387,16 +628,15 @@ const DrawingCanvas: React.FC<DrawingCanvasProps> = ({
           onTouchMove={draw}
           onTouchEnd={stopDrawing}
           onTouchCancel={stopDrawing}
-          className={`border-2 border-gray-300 rounded-lg bg-white max-w-full transition-all duration-200 ${
-            isDrawer ? "cursor-crosshair hover:shadow-lg" : "cursor-not-allowed"
+          className={`block w-full h-full ${
+            isDrawer ? "cursor-crosshair" : "cursor-not-allowed"
           }`}
-          style={{
-            touchAction: "none",
-            width: "100%",
-            maxWidth: "800px",
-            height: "auto",
-            aspectRatio: "4/3",
-          }}
+          style={{ touchAction: "none" }}
+        />
+        {/* Live preview of the shape being dragged out */}
+        <canvas
+          ref={previewRef}
+          className="absolute inset-0 w-full h-full pointer-events-none"
         />
       </div>
 
@@ -1,23 +1,59 @@
 import React, { useState, useEffect, useRef } from "react";
-import { Clock, Trophy, Users, Eye, Pencil, Settings } from "lucide-react";
-import { Game, User, DrawingData, ChatMessage } from "../types/game";
+import {
+  Clock,
+  Trophy,
+  Users,
+  Eye,
+  Pencil,
+  Settings,
+  UserX,
+  Flag,
+  ThumbsUp,
+  ThumbsDown,
+} from "lucide-react";
+import {
+  Game,
+  User,
+  DrawingData,
+  StrokeBatch,
+  ChatMessage,
+  ScoreAward,
+  DrawingRating,
+  DrawingRatings,
+} from "../types/game";
 import DrawingCanvas from "./DrawingCanvas";
 import ChatBox from "./ChatBox";
 import WordChoice from "./WordChoice";
 import RoundEndScreen from "./RoundEndScreen";
 import SettingsModal from "./SettingsModal";
+import SpectatorList from "./SpectatorList";
+import MuteButton from "./MuteButton";
+import TeamScores from "./TeamScores";
+import { getTeamColor } from "../utils/teams";
 import soundManager from "../utils/sounds";
 
 interface GameBoardProps {
   game: Game;
   currentUser: User | null;
   onDraw: (data: DrawingData) => void;
+  onDrawBatch: (batch: StrokeBatch) => void;
   onClear: () => void;
+  onUndo?: () => void;
+  onRedo?: () => void;
   onSendMessage: (message: string) => void;
   messages: ChatMessage[];
   onWordSelect?: (word: string) => void;
   showRoundEnd?: boolean;
+  scoreBreakdown?: ScoreAward[];
+  roundRatings?: DrawingRatings | null;
+  myRating?: DrawingRating;
+  onRateDrawing?: (rating: DrawingRating) => void;
   onRoundEndContinue?: () => void;
+  onKickPlayer?: (player: User) => void;
+  onMutePlayer?: (player: User) => void;
+  mutedPlayerIds?: string[];
+  onReportMessage?: (message: ChatMessage) => void;
+  onReportDrawing?: () => void;
 }
 
 const GameBoard: React.FC<GameBoardProps> = React.memo(
@@ -25,14 +61,28 @@ const GameBoard: React.FC<GameBoardProps> = React.memo(
     game,
     currentUser,
     onDraw,
+    onDrawBatch,
     onClear,
+    onUndo,
+    onRedo,
     onSendMessage,
     messages,
     onWordSelect,
     showRoundEnd = false,
+    scoreBreakdown = [],
+    roundRatings,
+    myRating = 0,
+    onRateDrawing,
     onRoundEndContinue,
+    onKickPlayer,
+    onMutePlayer,
+    mutedPlayerIds = [],
+    onReportMessage,
+    onReportDrawing,
   }) => {
     const isDrawer = currentUser?.id === game.currentDrawer?.id;
+    const spectators = game.spectators || [];
+    const isSpectator = spectators.some((s) => s.id === currentUser?.id);
     const lastTimeRef = useRef(game.timeLeft);
     const [showSettings, setShowSettings] = useState(false);
 
@@ -77,6 +127,10 @@ const GameBoard: React.FC<GameBoardProps> = React.memo(
     };
 
     const sortedPlayers = [...game.players].sort((a, b) => b.score - a.score);
+    const myTeamId = game.players.find((p) => p.id === currentUser?.id)?.teamId;
+    const drawerTeamId = game.players.find(
+      (p) => p.id === game.currentDrawer?.id
+    )?.teamId;
 
     return (
       <>
@@ -95,6 +149,8 @@ const GameBoard: React.FC<GameBoardProps> = React.memo(
               timeLeft={timeLeft}
               round={game.round}
               maxRounds={game.maxRounds}
+              breakdown={scoreBreakdown}
+              ratings={roundRatings}
               onContinue={onRoundEndContinue}
             />
           )}
@@ -148,6 +204,18 @@ const GameBoard: React.FC<GameBoardProps> = React.memo(
                 </div>
 
                 <div className="text-center">
+                  {isSpectator && (
+                    <div className="text-xs text-purple-600 font-medium">
+                      👀 Spectating
+                    </div>
+                  )}
+                  {game.stealWindow && (
+                    <div className="text-xs font-medium text-orange-600">
+                      {myTeamId != null && myTeamId !== drawerTeamId
+                        ? "Steal! Guess the word before time runs out"
+                        : "The other teams can steal the word"}
+                    </div>
+                  )}
                   <div className="text-xs sm:text-sm text-gray-600">
                     {game.gamePhase === "choosing"
                       ? isDrawer
@@ -156,7 +224,47 @@ const GameBoard: React.FC<GameBoardProps> = React.memo(
                       : isDrawer
                       ? "You are drawing"
                       : `${game.currentDrawer?.name} is drawing`}
+                    {!isDrawer &&
+                      game.gamePhase === "drawing" &&
+                      onReportDrawing && (
+                        <button
+                          onClick={onReportDrawing}
+                          className="ml-2 inline-flex align-middle text-gray-400 hover:text-red-600 transition-colors"
+                          title="Report drawing"
+                        >
+                          <Flag size={12} />
+                        </button>
+                      )}
                   </div>
+                  {!isDrawer &&
+                    !isSpectator &&
+                    game.gamePhase === "drawing" &&
+                    onRateDrawing && (
+                      <div className="flex items-center justify-center gap-1">
+                        <button
+                          onClick={() => onRateDrawing(1)}
+                          className={`p-1 rounded transition-colors ${
+                            myRating === 1
+                              ? "text-green-600"
+                              : "text-gray-400 hover:text-green-600"
+                          }`}
+                          title="Like drawing"
+                        >
+                          <ThumbsUp size={14} />
+                        </button>
+                        <button
+                          onClick={() => onRateDrawing(-1)}
+                          className={`p-1 rounded transition-colors ${
+                            myRating === -1
+                              ? "text-red-600"
+                              : "text-gray-400 hover:text-red-600"
+                          }`}
+                          title="Dislike drawing"
+                        >
+                          <ThumbsDown size={14} />
+                        </button>
+                      </div>
+                    )}
                   <div className="text-lg sm:text-xl font-bold text-gray-800 font-mono whitespace-pre">
                     {getWordDisplay()}
                   </div>
@@ -174,6 +282,12 @@ const GameBoard: React.FC<GameBoardProps> = React.memo(
                   </h3>
                 </div>
 
+                {game.teams && (
+                  <div className="mb-4 pb-4 border-b border-gray-200">
+                    <TeamScores game={game} currentTeamId={myTeamId} />
+                  </div>
+                )}
+
                 <div className="space-y-2">
                   {sortedPlayers.map((player, index) => (
                     <div
@@ -188,7 +302,10 @@ const GameBoard: React.FC<GameBoardProps> = React.memo(
                         <img
                           src={player.avatar}
                           alt={`${player.name}'s avatar`}
-                          className="w-8 h-8 sm:w-10 sm:h-10 rounded-full"
+                          className="w-8 h-8 sm:w-10 sm:h-10 rounded-full border-2 border-transparent"
+                          style={{
+                            borderColor: getTeamColor(game, player.teamId),
+                          }}
                         />
                         {player.id === game.currentDrawer?.id && (
                           <div className="absolute -top-1 -right-1 bg-green-500 text-white rounded-full p-1">
@@ -203,6 +320,14 @@ const GameBoard: React.FC<GameBoardProps> = React.memo(
                           {player.id === currentUser?.id && (
                             <span className="text-blue-600 ml-1">(You)</span>
                           )}
+                          {player.isConnected === false && (
+                            <span
+                              className="text-gray-400 ml-1"
+                              title="Reconnecting"
+                            >
+                              (away)
+                            </span>
+                          )}
                           {player.id === game.ownerId && (
                             <span
                               className="ml-1 text-yellow-600"
@@ -211,6 +336,14 @@ const GameBoard: React.FC<GameBoardProps> = React.memo(
                               👑
                             </span>
                           )}
+                          {player.isMuted && (
+                            <span
+                              className="ml-1"
+                              title="Muted by the room owner"
+                            >
+                              🔇
+                            </span>
+                          )}
                         </div>
                         <div className="text-xs sm:text-xs text-gray-600">
                           {player.score} points
@@ -223,9 +356,44 @@ const GameBoard: React.FC<GameBoardProps> = React.memo(
                           className="sm:w-4 sm:h-4 text-gray-400"
                         />
                       )}
+                      {onMutePlayer && player.id !== currentUser?.id && (
+                        <MuteButton
+                          player={player}
+                          isOwner={currentUser?.id === game.ownerId}
+                          mutedByMe={mutedPlayerIds.includes(player.id)}
+                          onMute={onMutePlayer}
+                        />
+                      )}
+                      {onKickPlayer &&
+                        !isSpectator &&
+                        player.id !== currentUser?.id && (
+                          <button
+                            onClick={() => onKickPlayer(player)}
+                            className="p-1 text-gray-400 hover:text-red-600 rounded transition-colors"
+                            title={
+                              currentUser?.id === game.ownerId
+                                ? "Kick"
+                                : "Vote to kick"
+                            }
+                          >
+                            <UserX size={14} />
+                          </button>
+                        )}
                     </div>
                   ))}
                 </div>
+
+                {spectators.length > 0 && (
+                  <div className="mt-4 pt-4 border-t border-gray-200">
+                    <SpectatorList
+                      spectators={spectators}
+                      currentUserId={currentUser?.id}
+                      ownerId={game.ownerId}
+                      onMute={onMutePlayer}
+                      mutedPlayerIds={mutedPlayerIds}
+                    />
+                  </div>
+                )}
               </div>
 
               {/* Drawing Canvas */}
@@ -233,7 +401,10 @@ const GameBoard: React.FC<GameBoardProps> = React.memo(
                 <DrawingCanvas
                   isDrawer={isDrawer}
                   onDraw={onDraw}
+                  onDrawBatch={onDrawBatch}
                   onClear={onClear}
+                  onUndo={onUndo}
+                  onRedo={onRedo}
                   drawingData={game.drawingData}
                 />
               </div>
@@ -244,6 +415,13 @@ const GameBoard: React.FC<GameBoardProps> = React.memo(
                   messages={messages}
                   onSendMessage={onSendMessage}
                   currentUserId={currentUser?.id || ""}
+                  onReport={onReportMessage}
+                  mutedPlayerIds={mutedPlayerIds}
+                  placeholder={
+                    isSpectator
+                      ? "Spectators can chat but not guess..."
+                      : undefined
+                  }
                 />
               </div>
             </div>
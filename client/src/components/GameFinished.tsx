@@ -1,6 +1,9 @@
 import React from "react";
 import { Trophy, Medal, Star, RotateCcw, Play, Check, X } from "lucide-react";
 import { Game } from "../types/game";
+import SpectatorList from "./SpectatorList";
+import TeamScores from "./TeamScores";
+import { getTeamColor, getTeamScores } from "../utils/teams";
 
 interface GameFinishedProps {
   game: Game;
@@ -8,6 +11,7 @@ interface GameFinishedProps {
   onPlayAgain: () => void;
   onRestartGame?: (settings?: { drawTime: number; maxRounds: number }) => void;
   onToggleReady?: () => void;
+  onPromoteSpectator?: (spectatorId: string) => void;
 }
 
 const GameFinished: React.FC<GameFinishedProps> = ({
@@ -16,9 +20,13 @@ const GameFinished: React.FC<GameFinishedProps> = ({
   onPlayAgain,
   onRestartGame,
   onToggleReady,
+  onPromoteSpectator,
 }) => {
   const sortedPlayers = [...game.players].sort((a, b) => b.score - a.score);
+  const spectators = game.spectators || [];
   const isOwner = currentUser?.id === game.ownerId;
+  const isSpectator = spectators.some((s) => s.id === currentUser?.id);
+  const [winningTeam] = getTeamScores(game);
   const isReady = game.playersReady?.includes(currentUser?.id);
   const allPlayersReady =
     game.players.length > 1 &&
@@ -58,9 +66,22 @@ const GameFinished: React.FC<GameFinishedProps> = ({
           <h1 className="text-2xl sm:text-3xl font-bold text-gray-800 mb-2">
             Game Finished!
           </h1>
-          <p className="text-sm sm:text-base text-gray-600">Final Results</p>
+          <p className="text-sm sm:text-base text-gray-600">
+            {winningTeam ? `${winningTeam.name} team wins!` : "Final Results"}
+          </p>
         </div>
 
+        {winningTeam && (
+          <div className="mb-6">
+            <TeamScores
+              game={game}
+              currentTeamId={
+                game.players.find((p) => p.id === currentUser?.id)?.teamId
+              }
+            />
+          </div>
+        )}
+
         <div className="space-y-4 mb-8">
           {sortedPlayers.map((player, index) => (
             <div
@@ -80,7 +101,8 @@ const GameFinished: React.FC<GameFinishedProps> = ({
               <img
                 src={player.avatar}
                 alt={`${player.name}'s avatar`}
-                className="w-10 h-10 sm:w-12 sm:h-12 rounded-full"
+                className="w-10 h-10 sm:w-12 sm:h-12 rounded-full border-2 border-transparent"
+                style={{ borderColor: getTeamColor(game, player.teamId) }}
               />
 
               <div className="flex-1">
@@ -102,6 +124,17 @@ const GameFinished: React.FC<GameFinishedProps> = ({
           ))}
         </div>
 
+        {spectators.length > 0 && (
+          <div className="mb-8">
+            <SpectatorList
+              spectators={spectators}
+              currentUserId={currentUser?.id}
+              ownerId={game.ownerId}
+              onPromote={isOwner ? onPromoteSpectator : undefined}
+            />
+          </div>
+        )}
+
         <div className="text-center space-y-4">
           {isOwner ? (
             <div className="space-y-4">
@@ -193,26 +226,32 @@ const GameFinished: React.FC<GameFinishedProps> = ({
               </div>
 
               <div className="flex flex-col sm:flex-row gap-2">
-                <button
-                  onClick={onToggleReady}
-                  className={`flex-1 px-4 sm:px-6 py-2 sm:py-3 rounded-lg font-semibold transition-all duration-300 transform hover:scale-105 flex items-center gap-2 justify-center text-sm sm:text-base ${
-                    isReady
-                      ? "bg-gradient-to-r from-red-600 to-red-700 text-white hover:from-red-700 hover:to-red-800"
-                      : "bg-gradient-to-r from-green-600 to-green-700 text-white hover:from-green-700 hover:to-green-800"
-                  }`}
-                >
-                  {isReady ? (
-                    <>
-                      <X size={16} className="sm:w-5 sm:h-5" />
-                      Not Ready
-                    </>
-                  ) : (
-                    <>
-                      <Check size={16} className="sm:w-5 sm:h-5" />
-                      Ready
-                    </>
-                  )}
-                </button>
+                {isSpectator ? (
+                  <div className="flex-1 px-4 py-2 sm:py-3 bg-gray-100 text-gray-600 rounded-lg text-xs sm:text-sm flex items-center justify-center">
+                    👀 Spectating - ask the owner to join the next game
+                  </div>
+                ) : (
+                  <button
+                    onClick={onToggleReady}
+                    className={`flex-1 px-4 sm:px-6 py-2 sm:py-3 rounded-lg font-semibold transition-all duration-300 transform hover:scale-105 flex items-center gap-2 justify-center text-sm sm:text-base ${
+                      isReady
+                        ? "bg-gradient-to-r from-red-600 to-red-700 text-white hover:from-red-700 hover:to-red-800"
+                        : "bg-gradient-to-r from-green-600 to-green-700 text-white hover:from-green-700 hover:to-green-800"
+                    }`}
+                  >
+                    {isReady ? (
+                      <>
+                        <X size={16} className="sm:w-5 sm:h-5" />
+                        Not Ready
+                      </>
+                    ) : (
+                      <>
+                        <Check size={16} className="sm:w-5 sm:h-5" />
+                        Ready
+                      </>
+                    )}
+                  </button>
+                )}
 
                 <button
                   onClick={onPlayAgain}
@@ -223,11 +262,13 @@ const GameFinished: React.FC<GameFinishedProps> = ({
                 </button>
               </div>
 
-              <p className="text-xs sm:text-sm text-gray-500">
-                {isReady
-                  ? "Waiting for room owner to start the game..."
-                  : "Mark yourself ready to play again!"}
-              </p>
+              {!isSpectator && (
+                <p className="text-xs sm:text-sm text-gray-500">
+                  {isReady
+                    ? "Waiting for room owner to start the game..."
+                    : "Mark yourself ready to play again!"}
+                </p>
+              )}
             </div>
           )}
 
@@ -1,19 +1,155 @@
-import React, { useState } from "react";
-import { Users, Play, Copy, Check } from "lucide-react";
-import { Game, User } from "../types/game";
+import React, { useState, useEffect } from "react";
+import {
+  Users,
+  Play,
+  Copy,
+  Check,
+  BookOpen,
+  Flag,
+  Shuffle,
+  Lock,
+  UserX,
+} from "lucide-react";
+import {
+  CategoryCounts,
+  Game,
+  Invite,
+  RoomBan,
+  User,
+  WordList,
+  WordListSettings,
+} from "../types/game";
+import SpectatorList from "./SpectatorList";
+import WordListEditor from "./WordListEditor";
+import TeamSettings, { TeamSettingsValue } from "./TeamSettings";
+import RoomAccessSettings, { InviteOptions } from "./RoomAccessSettings";
+import BanList from "./BanList";
+import MuteButton from "./MuteButton";
 
 interface GameLobbyProps {
   game: Game;
   currentUser: User | null;
   onStartGame: () => void;
+  onPromoteSpectator?: (spectatorId: string) => void;
+  wordList?: WordList | null;
+  categoryCounts?: CategoryCounts;
+  onLoadWordList?: () => void;
+  onSaveWordList?: (settings: WordListSettings) => void;
+  onUpdateTeams?: (settings: TeamSettingsValue) => void;
+  onAssignTeam?: (playerId: string, teamId: number) => void;
+  onBalanceTeams?: () => void;
+  invite?: Invite | null;
+  onSetPassword?: (password: string) => void;
+  onCreateInvite?: (options: InviteOptions) => void;
+  onKickPlayer?: (player: User) => void;
+  onMutePlayer?: (player: User) => void;
+  mutedPlayerIds?: string[];
+  bans?: RoomBan[];
+  onLoadBans?: () => void;
+  onLiftBan?: (banId: number) => void;
 }
 
+const describeWordList = (game: Game) => {
+  const summary = game.wordList;
+  if (!summary) return "Default words";
+
+  const difficulty =
+    summary.difficulty && summary.difficulty !== "mixed"
+      ? `, ${summary.difficulty} only`
+      : "";
+  if (summary.mode === "custom")
+    return `${summary.count} custom words${difficulty}`;
+
+  const source =
+    summary.categories.length > 0
+      ? `Words from ${summary.categories.join(", ")}`
+      : "Default words";
+  if (summary.mode === "default") return `${source}${difficulty}`;
+  return `${source}, ${summary.count} custom words mixed in (${summary.percent}%)${difficulty}`;
+};
+
 const GameLobby: React.FC<GameLobbyProps> = ({
   game,
   currentUser,
   onStartGame,
+  onPromoteSpectator,
+  wordList,
+  categoryCounts,
+  onLoadWordList,
+  onSaveWordList,
+  onUpdateTeams,
+  onAssignTeam,
+  onBalanceTeams,
+  invite,
+  onSetPassword,
+  onCreateInvite,
+  onKickPlayer,
+  onMutePlayer,
+  mutedPlayerIds = [],
+  bans = [],
+  onLoadBans,
+  onLiftBan,
 }) => {
   const [copied, setCopied] = useState(false);
+  const [editingWords, setEditingWords] = useState(false);
+  const [wordDraft, setWordDraft] = useState<WordListSettings>({
+    wordMode: "default",
+    customWords: "",
+    customWordPercent: 50,
+    wordCategories: [],
+    wordDifficulty: "mixed",
+    wordHistoryGames: 3,
+  });
+  const spectators = game.spectators || [];
+  const isOwner = currentUser?.id === game.ownerId;
+  const isSpectator = spectators.some((s) => s.id === currentUser?.id);
+  const teams = game.teams || [];
+  const canEditTeams = isOwner && !!onUpdateTeams;
+
+  // With teams, list each team's players under its name; anyone without a
+  // team yet comes last
+  const playerGroups = teams.length
+    ? [
+        ...teams.map((team) => ({
+          team,
+          players: game.players.filter((p) => p.teamId === team.id),
+        })),
+        {
+          team: null,
+          players: game.players.filter(
+            (p) => !teams.some((team) => team.id === p.teamId)
+          ),
+        },
+      ].filter((group) => group.team || group.players.length > 0)
+    : [{ team: null, players: game.players }];
+
+  // Start editing from the list stored on the server
+  useEffect(() => {
+    if (!wordList) return;
+    setWordDraft({
+      wordMode: wordList.wordMode,
+      customWords: wordList.customWords.join("\n"),
+      customWordPercent: wordList.customWordPercent,
+      wordCategories: wordList.wordCategories,
+      wordDifficulty: wordList.wordDifficulty,
+      wordHistoryGames: wordList.wordHistoryGames,
+    });
+  }, [wordList]);
+
+  // Fetch the ban list whenever we become the owner
+  useEffect(() => {
+    if (isOwner) onLoadBans?.();
+  }, [isOwner, onLoadBans]);
+
+  const openWordEditor = () => {
+    onLoadWordList?.();
+    setEditingWords(true);
+  };
+
+  const saveWordList = () => {
+    onSaveWordList?.(wordDraft);
+    setEditingWords(false);
+  };
 
   const copyRoomCode = () => {
     navigator.clipboard.writeText(game.roomCode);
@@ -35,6 +171,11 @@ const GameLobby: React.FC<GameLobbyProps> = ({
             <span className="font-mono text-lg sm:text-xl font-bold text-purple-600">
               {game.roomCode}
             </span>
+            {game.hasPassword && (
+              <span title="Password protected">
+                <Lock size={14} className="text-gray-500" />
+              </span>
+            )}
             <button
               onClick={copyRoomCode}
               className="p-1 hover:bg-gray-200 rounded transition-colors"
@@ -57,52 +198,235 @@ const GameLobby: React.FC<GameLobbyProps> = ({
             </span>
           </div>
 
-          <div className="space-y-3">
-            {game.players.map((player) => (
-              <div
-                key={player.id}
-                className={`flex items-center gap-2 sm:gap-3 p-2 sm:p-3 rounded-lg border-2 transition-all ${
-                  player.id === currentUser?.id
-                    ? "border-purple-400 bg-purple-50"
-                    : "border-gray-200 bg-gray-50"
-                }`}
-              >
-                <img
-                  src={player.avatar}
-                  alt={`${player.name}'s avatar`}
-                  className="w-8 h-8 sm:w-10 sm:h-10 rounded-full"
-                />
-                <div className="flex-1">
-                  <div className="font-medium text-sm sm:text-base text-gray-800">
-                    {player.name}
-                    {player.id === currentUser?.id && (
-                      <span className="text-xs sm:text-sm text-purple-600 ml-1 sm:ml-2">
-                        (You)
-                      </span>
-                    )}
-                    {player.id === game.ownerId && (
-                      <span
-                        className="ml-1 sm:ml-2 text-yellow-600"
-                        title="Room Owner"
-                      >
-                        👑
-                      </span>
-                    )}
-                  </div>
-                  <div className="text-xs sm:text-sm text-gray-600">
-                    Ready to play
+          <div className="space-y-4">
+            {playerGroups.map((group) => (
+              <div key={group.team?.id ?? "none"}>
+                {teams.length > 0 && (
+                  <div className="flex items-center gap-2 mb-2 text-xs sm:text-sm font-semibold text-gray-700">
+                    <span
+                      className="w-3 h-3 rounded-full"
+                      style={{
+                        backgroundColor: group.team?.color || "#9ca3af",
+                      }}
+                    />
+                    {group.team ? `${group.team.name} team` : "No team"} (
+                    {group.players.length})
                   </div>
-                </div>
-                <div className="text-xs sm:text-sm font-medium text-gray-600">
-                  {player.score} pts
+                )}
+                <div className="space-y-3">
+                  {group.players.map((player) => (
+                    <div
+                      key={player.id}
+                      className={`flex items-center gap-2 sm:gap-3 p-2 sm:p-3 rounded-lg border-2 transition-all ${
+                        player.id === currentUser?.id
+                          ? "border-purple-400 bg-purple-50"
+                          : "border-gray-200 bg-gray-50"
+                      }`}
+                    >
+                      <img
+                        src={player.avatar}
+                        alt={`${player.name}'s avatar`}
+                        className="w-8 h-8 sm:w-10 sm:h-10 rounded-full"
+                      />
+                      <div className="flex-1">
+                        <div className="font-medium text-sm sm:text-base text-gray-800">
+                          {player.name}
+                          {player.id === currentUser?.id && (
+                            <span className="text-xs sm:text-sm text-purple-600 ml-1 sm:ml-2">
+                              (You)
+                            </span>
+                          )}
+                          {player.id === game.ownerId && (
+                            <span
+                              className="ml-1 sm:ml-2 text-yellow-600"
+                              title="Room Owner"
+                            >
+                              👑
+                            </span>
+                          )}
+                          {player.isMuted && (
+                            <span
+                              className="ml-1 sm:ml-2"
+                              title="Muted by the room owner"
+                            >
+                              🔇
+                            </span>
+                          )}
+                        </div>
+                        <div className="text-xs sm:text-sm text-gray-600">
+                          {player.isConnected === false
+                            ? "Reconnecting..."
+                            : "Ready to play"}
+                        </div>
+                      </div>
+                      {onMutePlayer && player.id !== currentUser?.id && (
+                        <MuteButton
+                          player={player}
+                          isOwner={isOwner}
+                          mutedByMe={mutedPlayerIds.includes(player.id)}
+                          onMute={onMutePlayer}
+                          size={16}
+                        />
+                      )}
+                      {onKickPlayer &&
+                        !isSpectator &&
+                        player.id !== currentUser?.id && (
+                          <button
+                            onClick={() => onKickPlayer(player)}
+                            className="p-1 text-gray-400 hover:text-red-600 rounded transition-colors"
+                            title={isOwner ? "Kick" : "Vote to kick"}
+                          >
+                            <UserX size={16} />
+                          </button>
+                        )}
+                      {canEditTeams && teams.length > 0 ? (
+                        <select
+                          value={player.teamId ?? ""}
+                          onChange={(e) =>
+                            onAssignTeam?.(player.id, parseInt(e.target.value))
+                          }
+                          className="px-2 py-1 text-xs sm:text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                          title="Move to team"
+                        >
+                          {player.teamId == null && (
+                            <option value="">No team</option>
+                          )}
+                          {teams.map((team) => (
+                            <option key={team.id} value={team.id}>
+                              {team.name}
+                            </option>
+                          ))}
+                        </select>
+                      ) : (
+                        <div className="text-xs sm:text-sm font-medium text-gray-600">
+                          {player.score} pts
+                        </div>
+                      )}
+                    </div>
+                  ))}
                 </div>
               </div>
             ))}
           </div>
+
+          {spectators.length > 0 && (
+            <div className="mt-6">
+              <SpectatorList
+                spectators={spectators}
+                currentUserId={currentUser?.id}
+                ownerId={game.ownerId}
+                onPromote={isOwner ? onPromoteSpectator : undefined}
+                onMute={onMutePlayer}
+                mutedPlayerIds={mutedPlayerIds}
+              />
+            </div>
+          )}
         </div>
 
+        {(teams.length > 0 || canEditTeams) && (
+          <div className="bg-gray-50 rounded-lg p-3 mb-4">
+            <div className="flex items-center justify-between gap-2">
+              <div className="flex items-center gap-2 text-sm text-gray-700">
+                <Flag size={16} className="text-gray-600" />
+                {teams.length > 0
+                  ? `${teams.length} teams, ${
+                      game.teamGuessing === "drawer-team"
+                        ? "drawer's team guesses"
+                        : "everyone guesses"
+                    }`
+                  : "No teams"}
+              </div>
+              {canEditTeams && teams.length > 0 && onBalanceTeams && (
+                <button
+                  onClick={onBalanceTeams}
+                  className="flex items-center gap-1 text-xs sm:text-sm text-purple-600 hover:text-purple-800 font-medium"
+                >
+                  <Shuffle size={12} />
+                  Auto-balance
+                </button>
+              )}
+            </div>
+
+            {canEditTeams && (
+              <div className="mt-3">
+                <TeamSettings
+                  value={{
+                    teamCount: teams.length,
+                    teamGuessing: game.teamGuessing || "all",
+                  }}
+                  onChange={(settings) => onUpdateTeams?.(settings)}
+                />
+              </div>
+            )}
+          </div>
+        )}
+
+        {isOwner && onSetPassword && onCreateInvite && (
+          <div className="bg-gray-50 rounded-lg p-3 mb-4">
+            <RoomAccessSettings
+              game={game}
+              invite={invite}
+              onSetPassword={onSetPassword}
+              onCreateInvite={onCreateInvite}
+            />
+          </div>
+        )}
+
+        {isOwner && onLiftBan && bans.length > 0 && (
+          <div className="bg-gray-50 rounded-lg p-3 mb-4">
+            <BanList bans={bans} onLiftBan={onLiftBan} />
+          </div>
+        )}
+
+        <div className="bg-gray-50 rounded-lg p-3 mb-6">
+          <div className="flex items-center justify-between gap-2">
+            <div className="flex items-center gap-2 text-sm text-gray-700">
+              <BookOpen size={16} className="text-gray-600" />
+              {describeWordList(game)}
+            </div>
+            {isOwner && onSaveWordList && !editingWords && (
+              <button
+                onClick={openWordEditor}
+                className="text-xs sm:text-sm text-purple-600 hover:text-purple-800 font-medium"
+              >
+                Edit
+              </button>
+            )}
+          </div>
+
+          {editingWords && (
+            <div className="mt-3 space-y-3">
+              <WordListEditor
+                value={wordDraft}
+                onChange={setWordDraft}
+                categoryCounts={categoryCounts}
+              />
+              <div className="flex gap-2">
+                <button
+                  onClick={saveWordList}
+                  className="flex-1 bg-purple-600 text-white py-2 rounded-lg text-sm font-medium hover:bg-purple-700 transition-colors"
+                >
+                  Save words
+                </button>
+                <button
+                  onClick={() => setEditingWords(false)}
+                  className="flex-1 bg-gray-200 text-gray-700 py-2 rounded-lg text-sm font-medium hover:bg-gray-300 transition-colors"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {isSpectator && (
+          <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 mb-4 text-xs sm:text-sm text-blue-800 text-center">
+            👀 You're spectating. The room owner can move you to the players.
+          </div>
+        )}
+
         <div className="text-center">
-          {game.players.length >= 2 && currentUser?.id === game.ownerId ? (
+          {game.players.length >= 2 && isOwner ? (
             <button
               onClick={onStartGame}
               className="bg-gradient-to-r from-purple-600 to-blue-600 text-white px-6 sm:px-8 py-2 sm:py-3 rounded-lg font-semibold hover:from-purple-700 hover:to-blue-700 transition-all duration-300 transform hover:scale-105 flex items-center gap-2 mx-auto text-sm sm:text-base"
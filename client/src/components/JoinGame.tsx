@@ -1,17 +1,86 @@
-import React, { useState } from "react";
-import { Users, ArrowRight, Plus } from "lucide-react";
+import React, { useState, useEffect } from "react";
+import { Users, ArrowRight, Plus, Film, Zap, Shield } from "lucide-react";
+import {
+  CategoryCounts,
+  ChatPolicy,
+  JoinDenial,
+  RoomSettings,
+  RoomSummary,
+  ScoringStrategy,
+  WordListSettings,
+} from "../types/game";
+import WordListEditor from "./WordListEditor";
+import TeamSettings, { TeamSettingsValue } from "./TeamSettings";
+import RoomList from "./RoomList";
+import { ROOM_LANGUAGES } from "../utils/languages";
 
 interface JoinGameProps {
-  onJoinGame: (roomCode: string, playerName: string) => void;
-  onCreateRoom: (playerName: string) => void;
+  onJoinGame: (
+    roomCode: string,
+    playerName: string,
+    asSpectator: boolean,
+    password?: string
+  ) => void;
+  onCreateRoom: (playerName: string, settings: RoomSettings) => void;
+  onQuickPlay?: (playerName: string, language: string) => void;
+  onShowReplays?: () => void;
+  onShowAdmin?: () => void;
+  categoryCounts?: CategoryCounts;
+  publicRooms?: RoomSummary[];
+  initialRoomCode?: string; // From an invite link
+  joinDenial?: JoinDenial | null;
 }
 
-const JoinGame: React.FC<JoinGameProps> = ({ onJoinGame, onCreateRoom }) => {
-  const [roomCode, setRoomCode] = useState("");
+const JoinGame: React.FC<JoinGameProps> = ({
+  onJoinGame,
+  onCreateRoom,
+  onQuickPlay,
+  onShowReplays,
+  onShowAdmin,
+  categoryCounts,
+  publicRooms = [],
+  initialRoomCode = "",
+  joinDenial,
+}) => {
+  const [roomCode, setRoomCode] = useState(initialRoomCode);
+  const [joinPassword, setJoinPassword] = useState("");
+  const [roomPassword, setRoomPassword] = useState("");
   const [playerName, setPlayerName] = useState("");
   const [drawTime, setDrawTime] = useState(80);
   const [maxRounds, setMaxRounds] = useState(3);
+  const [closeGuessThreshold, setCloseGuessThreshold] = useState(0.25);
+  const [scoringStrategy, setScoringStrategy] =
+    useState<ScoringStrategy>("classic");
+  const [teamSettings, setTeamSettings] = useState<TeamSettingsValue>({
+    teamCount: 0,
+    teamGuessing: "all",
+  });
+  const [wordList, setWordList] = useState<WordListSettings>({
+    wordMode: "default",
+    customWords: "",
+    customWordPercent: 50,
+    wordCategories: [],
+    wordDifficulty: "mixed",
+    wordHistoryGames: 3,
+  });
+  const [isPublic, setIsPublic] = useState(false);
+  const [language, setLanguage] = useState("en");
+  const [voteKickMajority, setVoteKickMajority] = useState(51);
+  const [chatPolicy, setChatPolicy] = useState<ChatPolicy>("standard");
+  const [ratingBonus, setRatingBonus] = useState(0);
   const [mode, setMode] = useState<"join" | "create">("join");
+  const [asSpectator, setAsSpectator] = useState(false);
+  const needsPassword =
+    joinDenial?.reason === "password-required" ||
+    joinDenial?.reason === "wrong-password";
+
+  // Go back to the room we were turned away from so the password can be
+  // entered
+  useEffect(() => {
+    if (!joinDenial) return;
+    setMode("join");
+    setRoomCode(joinDenial.roomCode);
+  }, [joinDenial]);
 
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault();
@@ -31,7 +100,20 @@ const JoinGame: React.FC<JoinGameProps> = ({ onJoinGame, onCreateRoom }) => {
           "with settings:",
           { drawTime, maxRounds }
         );
-        onCreateRoom(playerName.trim(), { drawTime, maxRounds });
+        onCreateRoom(playerName.trim(), {
+          drawTime,
+          maxRounds,
+          closeGuessThreshold,
+          scoringStrategy,
+          ...teamSettings,
+          isPublic,
+          language,
+          voteKickMajority,
+          chatPolicy,
+          ratingBonus,
+          password: roomPassword.trim() || undefined,
+          ...wordList,
+        });
       } else if (mode === "join" && roomCode.trim()) {
         console.log(
           "Joining room:",
@@ -39,7 +121,12 @@ const JoinGame: React.FC<JoinGameProps> = ({ onJoinGame, onCreateRoom }) => {
           "with player:",
           playerName.trim()
         );
-        onJoinGame(roomCode.trim().toUpperCase(), playerName.trim());
+        onJoinGame(
+          roomCode.trim().toUpperCase(),
+          playerName.trim(),
+          asSpectator,
+          joinPassword || undefined
+        );
       }
     } else {
       console.log("Player name is required");
@@ -47,6 +134,24 @@ const JoinGame: React.FC<JoinGameProps> = ({ onJoinGame, onCreateRoom }) => {
     }
   };
 
+  const requireName = () => {
+    if (playerName.trim()) return true;
+    alert("Please enter your name");
+    return false;
+  };
+
+  const handleQuickPlay = () => {
+    if (requireName()) {
+      onQuickPlay?.(playerName.trim(), language);
+    }
+  };
+
+  const joinListedRoom = (code: string) => {
+    if (requireName()) {
+      onJoinGame(code, playerName.trim(), false);
+    }
+  };
+
   const generateRoomCode = () => {
     const code = Math.random().toString(36).substring(2, 8).toUpperCase();
     setRoomCode(code);
@@ -130,6 +235,31 @@ const JoinGame: React.FC<JoinGameProps> = ({ onJoinGame, onCreateRoom }) => {
                   <Users size={16} className="sm:w-5 sm:h-5" />
                 </button>
               </div>
+              <label className="flex items-center gap-2 mt-3 text-xs sm:text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={asSpectator}
+                  onChange={(e) => setAsSpectator(e.target.checked)}
+                  className="rounded text-purple-600 focus:ring-purple-500"
+                />
+                Join as a spectator
+              </label>
+
+              {joinDenial && joinDenial.roomCode === roomCode && (
+                <p className="mt-3 text-xs sm:text-sm text-red-600">
+                  {joinDenial.message}
+                </p>
+              )}
+              {(needsPassword || joinPassword) && (
+                <input
+                  type="password"
+                  value={joinPassword}
+                  onChange={(e) => setJoinPassword(e.target.value)}
+                  placeholder="Room password"
+                  maxLength={64}
+                  className="w-full mt-3 px-3 sm:px-4 py-2 sm:py-3 text-sm sm:text-base border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 transition-all"
+                />
+              )}
             </div>
           )}
 
@@ -177,6 +307,152 @@ const JoinGame: React.FC<JoinGameProps> = ({ onJoinGame, onCreateRoom }) => {
                   </select>
                 </div>
               </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  "You're close!" hints
+                </label>
+                <select
+                  value={closeGuessThreshold}
+                  onChange={(e) =>
+                    setCloseGuessThreshold(parseFloat(e.target.value))
+                  }
+                  className="w-full px-3 py-2 text-sm sm:text-base border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                >
+                  <option value={0}>Off</option>
+                  <option value={0.15}>Strict</option>
+                  <option value={0.25}>Normal</option>
+                  <option value={0.4}>Lenient</option>
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Scoring
+                </label>
+                <select
+                  value={scoringStrategy}
+                  onChange={(e) =>
+                    setScoringStrategy(e.target.value as ScoringStrategy)
+                  }
+                  className="w-full px-3 py-2 text-sm sm:text-base border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                >
+                  <option value="classic">
+                    Classic: faster guesses score more
+                  </option>
+                  <option value="order-of-guess">
+                    Order of guess: first guesser scores most
+                  </option>
+                  <option value="drawer-efficiency">
+                    Drawer efficiency: drawer scored by who guessed
+                  </option>
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Vote-kick needs
+                </label>
+                <select
+                  value={voteKickMajority}
+                  onChange={(e) =>
+                    setVoteKickMajority(parseInt(e.target.value))
+                  }
+                  className="w-full px-3 py-2 text-sm sm:text-base border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                >
+                  <option value={51}>A majority of players</option>
+                  <option value={66}>Two thirds of players</option>
+                  <option value={75}>Three quarters of players</option>
+                  <option value={100}>Every other player</option>
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Chat filter
+                </label>
+                <select
+                  value={chatPolicy}
+                  onChange={(e) => setChatPolicy(e.target.value as ChatPolicy)}
+                  className="w-full px-3 py-2 text-sm sm:text-base border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                >
+                  <option value="standard">Standard: mask swearing</option>
+                  <option value="family-friendly">
+                    Family friendly: block swearing
+                  </option>
+                  <option value="off">Off</option>
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Bonus for liked drawings
+                </label>
+                <select
+                  value={ratingBonus}
+                  onChange={(e) => setRatingBonus(parseInt(e.target.value))}
+                  className="w-full px-3 py-2 text-sm sm:text-base border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                >
+                  <option value={0}>None</option>
+                  <option value={5}>5 points per like</option>
+                  <option value={10}>10 points per like</option>
+                  <option value={25}>25 points per like</option>
+                </select>
+              </div>
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Language
+                  </label>
+                  <select
+                    value={language}
+                    onChange={(e) => setLanguage(e.target.value)}
+                    className="w-full px-3 py-2 text-sm sm:text-base border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  >
+                    {Object.entries(ROOM_LANGUAGES).map(([code, name]) => (
+                      <option key={code} value={code}>
+                        {name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <label className="flex items-center gap-2 sm:mt-7 text-xs sm:text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={isPublic}
+                    onChange={(e) => setIsPublic(e.target.checked)}
+                    className="rounded text-purple-600 focus:ring-purple-500"
+                  />
+                  List in public rooms
+                </label>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Password{" "}
+                  <span className="text-xs font-normal text-gray-500">
+                    (optional)
+                  </span>
+                </label>
+                <input
+                  type="password"
+                  value={roomPassword}
+                  onChange={(e) => setRoomPassword(e.target.value)}
+                  placeholder="Leave empty for no password"
+                  maxLength={64}
+                  className="w-full px-3 py-2 text-sm sm:text-base border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                />
+              </div>
+
+              <TeamSettings value={teamSettings} onChange={setTeamSettings} />
+
+              <WordListEditor
+                value={wordList}
+                onChange={setWordList}
+                categoryCounts={categoryCounts}
+              />
             </div>
           )}
 
@@ -198,12 +474,47 @@ const JoinGame: React.FC<JoinGameProps> = ({ onJoinGame, onCreateRoom }) => {
           </button>
         </form>
 
+        {mode === "join" && onQuickPlay && (
+          <div className="mt-6 space-y-4">
+            <button
+              type="button"
+              onClick={handleQuickPlay}
+              className="w-full bg-gradient-to-r from-teal-500 to-green-500 text-white py-2 sm:py-3 rounded-lg font-semibold hover:from-teal-600 hover:to-green-600 transition-all duration-300 flex items-center justify-center gap-2 text-sm sm:text-base"
+            >
+              <Zap size={16} className="sm:w-5 sm:h-5" />
+              Quick Play
+            </button>
+
+            <RoomList rooms={publicRooms} onJoin={joinListedRoom} />
+          </div>
+        )}
+
         <div className="mt-6 sm:mt-8 text-center text-xs sm:text-sm text-gray-500">
           <p>
             {mode === "create"
               ? "Create a new room and invite friends!"
               : "Enter a room code to join an existing game!"}
           </p>
+          {onShowReplays && (
+            <button
+              type="button"
+              onClick={onShowReplays}
+              className="mt-3 inline-flex items-center gap-1 text-purple-600 hover:text-purple-800 font-medium"
+            >
+              <Film size={14} />
+              Watch replays
+            </button>
+          )}
+          {onShowAdmin && (
+            <button
+              type="button"
+              onClick={onShowAdmin}
+              className="mt-3 ml-4 inline-flex items-center gap-1 text-gray-400 hover:text-gray-600"
+            >
+              <Shield size={14} />
+              Admin
+            </button>
+          )}
         </div>
       </div>
     </div>
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from "react";
-import { Trophy, TrendingUp, Award, Target } from "lucide-react";
+import { Trophy, TrendingUp, Award, Target, ThumbsUp } from "lucide-react";
 
 interface PlayerStats {
   user_id: string;
@@ -10,8 +10,14 @@ interface PlayerStats {
   total_score: number;
   correct_guesses: number;
   words_drawn: number;
+  drawing_likes: number;
+  drawing_dislikes: number;
+  drawer_rating: number | null; // Percent of drawing ratings that were likes
 }
 
+// "rating" ranks the best rated artists instead of the top scorers
+type LeaderboardSort = "score" | "rating";
+
 interface LeaderboardProps {
   serverUrl: string;
 }
@@ -19,14 +25,17 @@ interface LeaderboardProps {
 const Leaderboard: React.FC<LeaderboardProps> = ({ serverUrl }) => {
   const [stats, setStats] = useState<PlayerStats[]>([]);
   const [loading, setLoading] = useState(true);
+  const [sortBy, setSortBy] = useState<LeaderboardSort>("score");
 
   useEffect(() => {
     fetchLeaderboard();
-  }, []);
+  }, [sortBy]);
 
   const fetchLeaderboard = async () => {
     try {
-      const response = await fetch(`${serverUrl}/api/leaderboard`);
+      const response = await fetch(
+        `${serverUrl}/api/leaderboard?sort=${sortBy}`
+      );
       const data = await response.json();
       setStats(data);
     } catch (error) {
@@ -53,12 +62,22 @@ const Leaderboard: React.FC<LeaderboardProps> = ({ serverUrl }) => {
     <div className="bg-white rounded-lg shadow-lg p-6">
       <div className="flex items-center gap-3 mb-6">
         <Trophy className="text-yellow-500" size={32} />
-        <h2 className="text-2xl font-bold text-gray-800">Leaderboard</h2>
+        <h2 className="flex-1 text-2xl font-bold text-gray-800">Leaderboard</h2>
+        <select
+          value={sortBy}
+          onChange={(e) => setSortBy(e.target.value as LeaderboardSort)}
+          className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+        >
+          <option value="score">Top scorers</option>
+          <option value="rating">Best artists</option>
+        </select>
       </div>
 
       {stats.length === 0 ? (
         <p className="text-center text-gray-500 py-8">
-          No players yet. Be the first to play!
+          {sortBy === "rating"
+            ? "No artists rated often enough yet."
+            : "No players yet. Be the first to play!"}
         </p>
       ) : (
         <div className="space-y-3">
@@ -104,6 +123,15 @@ const Leaderboard: React.FC<LeaderboardProps> = ({ serverUrl }) => {
                     <TrendingUp size={14} />
                     {getWinRate(player)}% win rate
                   </span>
+                  {player.drawer_rating !== null && (
+                    <span
+                      className="flex items-center gap-1"
+                      title={`${player.drawing_likes} likes, ${player.drawing_dislikes} dislikes`}
+                    >
+                      <ThumbsUp size={14} />
+                      {player.drawer_rating}% liked
+                    </span>
+                  )}
                 </div>
               </div>
 
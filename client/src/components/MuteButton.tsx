@@ -0,0 +1,46 @@
+import React from "react";
+import { Volume2, VolumeX } from "lucide-react";
+import { User } from "../types/game";
+
+interface MuteButtonProps {
+  player: User;
+  isOwner: boolean;
+  mutedByMe: boolean;
+  onMute: (player: User) => void;
+  size?: number;
+}
+
+// The owner's mute applies to the whole room; anyone else's only hides the
+// player's chat for themselves
+const MuteButton: React.FC<MuteButtonProps> = ({
+  player,
+  isOwner,
+  mutedByMe,
+  onMute,
+  size = 14,
+}) => {
+  const muted = isOwner ? player.isMuted : mutedByMe;
+  const title = isOwner
+    ? muted
+      ? "Unmute for everyone"
+      : "Mute for everyone"
+    : muted
+    ? "Unmute"
+    : "Mute for me";
+
+  return (
+    <button
+      onClick={() => onMute(player)}
+      className={`p-1 rounded transition-colors ${
+        muted
+          ? "text-red-500 hover:text-red-700"
+          : "text-gray-400 hover:text-gray-700"
+      }`}
+      title={title}
+    >
+      {muted ? <VolumeX size={size} /> : <Volume2 size={size} />}
+    </button>
+  );
+};
+
+export default MuteButton;
@@ -0,0 +1,104 @@
+import React, { useState, useEffect } from "react";
+import { ArrowLeft, Film, Trophy, Users } from "lucide-react";
+import { ReplaySummary } from "../types/game";
+import ReplayViewer from "./ReplayViewer";
+
+interface ReplayBrowserProps {
+  serverUrl: string;
+  onBack: () => void;
+}
+
+const ReplayBrowser: React.FC<ReplayBrowserProps> = ({ serverUrl, onBack }) => {
+  const [replays, setReplays] = useState<ReplaySummary[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState<number | null>(null);
+
+  useEffect(() => {
+    const fetchReplays = async () => {
+      try {
+        const response = await fetch(`${serverUrl}/api/replays?limit=20`);
+        const data = await response.json();
+        setReplays(data);
+      } catch (error) {
+        console.error("Failed to fetch replays:", error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchReplays();
+  }, [serverUrl]);
+
+  return (
+    <div className="min-h-screen bg-gray-100 p-4">
+      <div className="max-w-7xl mx-auto">
+        {selectedId !== null ? (
+          <ReplayViewer
+            serverUrl={serverUrl}
+            replayId={selectedId}
+            onClose={() => setSelectedId(null)}
+          />
+        ) : (
+          <div className="bg-white rounded-lg shadow-lg p-6 max-w-2xl mx-auto">
+            <div className="flex items-center gap-3 mb-6">
+              <button
+                onClick={onBack}
+                className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+                title="Back"
+              >
+                <ArrowLeft size={20} className="text-gray-600" />
+              </button>
+              <Film className="text-purple-600" size={28} />
+              <h2 className="text-2xl font-bold text-gray-800">Replays</h2>
+            </div>
+
+            {loading ? (
+              <div className="flex items-center justify-center p-8">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-purple-600"></div>
+              </div>
+            ) : replays.length === 0 ? (
+              <p className="text-center text-gray-500 py-8">
+                No finished games yet. Play one to see it here!
+              </p>
+            ) : (
+              <div className="space-y-3">
+                {replays.map((replay) => (
+                  <button
+                    key={replay.id}
+                    onClick={() => setSelectedId(replay.id)}
+                    className="w-full flex items-center gap-4 p-4 rounded-lg bg-gray-50 hover:bg-purple-50 border-2 border-transparent hover:border-purple-200 transition-colors text-left"
+                  >
+                    <div className="flex-1">
+                      <h3 className="font-semibold text-gray-800">
+                        Room {replay.room_code}
+                      </h3>
+                      <div className="flex items-center gap-4 text-sm text-gray-600">
+                        <span className="flex items-center gap-1">
+                          <Users size={14} />
+                          {replay.players.map((p) => p.name).join(", ")}
+                        </span>
+                      </div>
+                    </div>
+                    <div className="text-right">
+                      {replay.winner_name && (
+                        <div className="text-sm text-gray-700 flex items-center gap-1 justify-end">
+                          <Trophy size={14} className="text-yellow-500" />
+                          {replay.winner_name}
+                        </div>
+                      )}
+                      <div className="text-xs text-gray-500">
+                        {new Date(replay.created_at).toLocaleString()}
+                      </div>
+                    </div>
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReplayBrowser;
@@ -0,0 +1,300 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { ArrowLeft, Film, Pause, Play, Trophy } from "lucide-react";
+import { DrawingData, Replay } from "../types/game";
+import DrawingCanvas from "./DrawingCanvas";
+
+interface ReplayViewerProps {
+  serverUrl: string;
+  replayId: number;
+  onClose: () => void;
+}
+
+const SPEEDS = [1, 2, 4];
+const TICK_INTERVAL = 50;
+const MIN_TURN_LENGTH = 1000;
+
+const noop = () => {};
+
+const formatTime = (ms: number) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, "0")}`;
+};
+
+const ReplayViewer: React.FC<ReplayViewerProps> = ({
+  serverUrl,
+  replayId,
+  onClose,
+}) => {
+  const [replay, setReplay] = useState<Replay | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [position, setPosition] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  useEffect(() => {
+    const fetchReplay = async () => {
+      try {
+        const response = await fetch(`${serverUrl}/api/replays/${replayId}`);
+        if (response.ok) {
+          setReplay(await response.json());
+          setIsPlaying(true);
+        }
+      } catch (error) {
+        console.error("Failed to fetch replay:", error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchReplay();
+  }, [serverUrl, replayId]);
+
+  // Lay the turns end to end so one scrubber covers the whole game
+  const timeline = useMemo(() => {
+    let offset = 0;
+    const turns = (replay?.drawing_data || []).map((turn) => {
+      const lastStroke = turn.strokes[turn.strokes.length - 1];
+      const length = Math.max(
+        turn.duration,
+        lastStroke ? lastStroke.t : 0,
+        MIN_TURN_LENGTH
+      );
+      const entry = { turn, offset, length };
+      offset += length;
+      return entry;
+    });
+    return { turns, total: offset };
+  }, [replay]);
+
+  // Advance playback while playing
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    const timer = setInterval(() => {
+      setPosition((current) =>
+        Math.min(current + TICK_INTERVAL * speed, timeline.total)
+      );
+    }, TICK_INTERVAL);
+
+    return () => clearInterval(timer);
+  }, [isPlaying, speed, timeline.total]);
+
+  // Stop at the end of the game
+  useEffect(() => {
+    if (isPlaying && position >= timeline.total) {
+      setIsPlaying(false);
+    }
+  }, [isPlaying, position, timeline.total]);
+
+  const playingIndex = timeline.turns.findIndex(
+    ({ offset, length }) => position < offset + length
+  );
+  const turnIndex =
+    playingIndex === -1 ? timeline.turns.length - 1 : playingIndex;
+  const current = timeline.turns[turnIndex];
+  const localTime = current ? position - current.offset : 0;
+
+  // Strokes drawn so far this turn, starting after the most recent clear
+  // and without any that were undone
+  const { strokes, segment } = useMemo(() => {
+    if (!current) return { strokes: [] as DrawingData[], segment: 0 };
+
+    let visible: DrawingData[] = [];
+    let clears = 0;
+    for (const stroke of current.turn.strokes) {
+      if (stroke.t > localTime) break;
+      if (stroke.clear) {
+        visible = [];
+        clears++;
+      } else if (stroke.undo) {
+        visible = visible.slice(0, Math.max(visible.length - stroke.undo, 0));
+      } else if (stroke.data) {
+        visible.push(stroke.data);
+      }
+    }
+    return { strokes: visible, segment: clears };
+  }, [current, localTime]);
+
+  const chat = useMemo(() => {
+    if (!replay || !current) return [];
+    return replay.chat_history.filter(
+      (entry) =>
+        entry.turn === turnIndex &&
+        Math.min(entry.t, current.length) <= localTime
+    );
+  }, [replay, current, turnIndex, localTime]);
+
+  const handleTogglePlay = () => {
+    if (!isPlaying && position >= timeline.total) {
+      setPosition(0);
+    }
+    setIsPlaying(!isPlaying);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center p-8">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-purple-600"></div>
+      </div>
+    );
+  }
+
+  if (!replay || timeline.turns.length === 0) {
+    return (
+      <div className="bg-white rounded-lg shadow-lg p-6 text-center">
+        <p className="text-gray-500 py-8">This replay has nothing to show.</p>
+        <button
+          onClick={onClose}
+          className="bg-gray-600 text-white px-4 py-2 rounded-lg hover:bg-gray-700 transition-colors"
+        >
+          Back
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white rounded-lg shadow-lg p-3 sm:p-4 flex flex-col sm:flex-row items-center justify-between gap-3">
+        <div className="flex items-center gap-3">
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+            title="Back to replays"
+          >
+            <ArrowLeft size={18} className="text-gray-600" />
+          </button>
+          <Film size={20} className="text-purple-600" />
+          <div>
+            <div className="font-semibold text-gray-800">
+              Room {replay.room_code}
+            </div>
+            {replay.winner_name && (
+              <div className="text-xs text-gray-600 flex items-center gap-1">
+                <Trophy size={12} className="text-yellow-500" />
+                {replay.winner_name} won
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="text-center">
+          <div className="text-xs sm:text-sm text-gray-600">
+            Round {current.turn.round}/{replay.total_rounds} ·{" "}
+            {current.turn.drawer?.name || "Someone"} is drawing
+          </div>
+          <div className="text-lg font-bold text-gray-800">
+            {current.turn.word}
+          </div>
+          {current.turn.truncated && (
+            <div className="text-xs text-gray-400">
+              The rest of this drawing wasn't recorded
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-4">
+        <div className="lg:col-span-3">
+          <DrawingCanvas
+            key={`${turnIndex}-${segment}`}
+            isDrawer={false}
+            onDraw={noop}
+            onDrawBatch={noop}
+            onClear={noop}
+            drawingData={strokes}
+          />
+        </div>
+
+        <div className="bg-white rounded-lg shadow-lg p-3 sm:p-4 flex flex-col max-h-96 lg:max-h-none">
+          <h3 className="font-semibold text-sm sm:text-base text-gray-800 mb-3">
+            Chat
+          </h3>
+          <div className="flex-1 overflow-y-auto space-y-2">
+            {chat.length === 0 ? (
+              <p className="text-xs text-gray-400">No messages yet</p>
+            ) : (
+              chat.map((entry, index) =>
+                entry.isCorrect ? (
+                  <div
+                    key={index}
+                    className="text-xs sm:text-sm text-green-600 font-medium"
+                  >
+                    {entry.userName} guessed the word!
+                  </div>
+                ) : (
+                  <div key={index} className="text-xs sm:text-sm">
+                    <span className="font-medium text-gray-800">
+                      {entry.userName}:
+                    </span>{" "}
+                    <span className="text-gray-600">{entry.message}</span>
+                  </div>
+                )
+              )
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-lg p-3 sm:p-4 space-y-3">
+        <div className="flex items-center gap-3">
+          <button
+            onClick={handleTogglePlay}
+            className="p-2 rounded-lg bg-purple-600 text-white hover:bg-purple-700 transition-colors"
+            title={isPlaying ? "Pause" : "Play"}
+          >
+            {isPlaying ? <Pause size={16} /> : <Play size={16} />}
+          </button>
+          <input
+            type="range"
+            min={0}
+            max={timeline.total}
+            step={TICK_INTERVAL}
+            value={position}
+            onChange={(e) => setPosition(parseInt(e.target.value))}
+            className="flex-1"
+            aria-label="Replay position"
+          />
+          <span className="text-xs text-gray-600 font-mono w-24 text-right">
+            {formatTime(position)} / {formatTime(timeline.total)}
+          </span>
+          <div className="flex gap-1">
+            {SPEEDS.map((s) => (
+              <button
+                key={s}
+                onClick={() => setSpeed(s)}
+                className={`px-2 py-1 rounded text-xs font-medium transition-colors ${
+                  speed === s
+                    ? "bg-purple-600 text-white"
+                    : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+                }`}
+              >
+                {s}x
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          {timeline.turns.map(({ turn, offset }, index) => (
+            <button
+              key={index}
+              onClick={() => setPosition(offset)}
+              className={`px-2 py-1 rounded text-xs transition-colors ${
+                index === turnIndex
+                  ? "bg-blue-100 text-blue-700 border border-blue-300"
+                  : "bg-gray-100 text-gray-600 hover:bg-gray-200"
+              }`}
+            >
+              R{turn.round} · {turn.drawer?.name || "?"}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReplayViewer;
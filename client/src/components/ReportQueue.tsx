@@ -0,0 +1,279 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  RefreshCw,
+  Flag,
+  MessageCircle,
+  Palette,
+  Ban,
+  Check,
+  X,
+} from "lucide-react";
+import { AdminReport, AdminReportDetail, RoomBan } from "../types/game";
+import DrawingCanvas from "./DrawingCanvas";
+
+interface ReportQueueProps {
+  request: (path: string, options?: RequestInit) => Promise<unknown>;
+  run: (action: () => Promise<string | void>) => void;
+}
+
+type StatusFilter = AdminReport["status"] | "all";
+
+const inputClass =
+  "px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500";
+
+const noop = () => {};
+
+const ReportQueue: React.FC<ReportQueueProps> = ({ request, run }) => {
+  const [status, setStatus] = useState<StatusFilter>("open");
+  const [reports, setReports] = useState<AdminReport[]>([]);
+  const [total, setTotal] = useState(0);
+  const [open, setOpen] = useState<AdminReportDetail | null>(null);
+  const [note, setNote] = useState("");
+  const [bans, setBans] = useState<RoomBan[]>([]);
+
+  const loadReports = useCallback(async () => {
+    const data = (await request(`/reports?status=${status}`)) as {
+      reports: AdminReport[];
+      total: number;
+    };
+    setReports(data.reports);
+    setTotal(data.total);
+  }, [request, status]);
+
+  const loadBans = useCallback(async () => {
+    setBans((await request("/bans")) as RoomBan[]);
+  }, [request]);
+
+  useEffect(() => {
+    run(loadReports);
+  }, [run, loadReports]);
+
+  useEffect(() => {
+    run(loadBans);
+  }, [run, loadBans]);
+
+  const review = (report: AdminReport) =>
+    run(async () => {
+      setOpen((await request(`/reports/${report.id}`)) as AdminReportDetail);
+      setNote("");
+    });
+
+  const resolve = (action: "dismiss" | "resolve" | "ban") => {
+    if (!open) return;
+    if (
+      action === "ban" &&
+      !confirm(`Ban ${open.reportedName} from every room?`)
+    ) {
+      return;
+    }
+    run(async () => {
+      await request(`/reports/${open.id}/resolve`, {
+        method: "POST",
+        body: JSON.stringify({ action, note }),
+      });
+      setOpen(null);
+      await loadReports();
+      if (action === "ban") await loadBans();
+      return action === "dismiss"
+        ? `Dismissed report #${open.id}`
+        : action === "ban"
+        ? `Banned ${open.reportedName} from every room`
+        : `Resolved report #${open.id}`;
+    });
+  };
+
+  const liftBan = (ban: RoomBan) =>
+    run(async () => {
+      await request(`/bans/${ban.id}`, { method: "DELETE" });
+      await loadBans();
+      return `Lifted the ban on ${ban.playerName}`;
+    });
+
+  return (
+    <section>
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold text-gray-800">
+          Reports ({total})
+        </h3>
+        <div className="flex items-center gap-2">
+          <select
+            value={status}
+            onChange={(e) => setStatus(e.target.value as StatusFilter)}
+            className={inputClass}
+          >
+            <option value="open">Open</option>
+            <option value="resolved">Resolved</option>
+            <option value="dismissed">Dismissed</option>
+            <option value="all">All</option>
+          </select>
+          <button
+            onClick={() => run(loadReports)}
+            className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+            title="Refresh"
+          >
+            <RefreshCw size={16} className="text-gray-600" />
+          </button>
+        </div>
+      </div>
+
+      {reports.length === 0 ? (
+        <p className="text-sm text-gray-500">No reports.</p>
+      ) : (
+        <div className="space-y-2">
+          {reports.map((report) => (
+            <div
+              key={report.id}
+              className="flex flex-wrap items-center gap-3 p-3 rounded-lg bg-gray-50 border border-gray-200 text-sm"
+            >
+              {report.kind === "chat" ? (
+                <MessageCircle size={14} className="text-gray-500" />
+              ) : (
+                <Palette size={14} className="text-gray-500" />
+              )}
+              <span className="font-semibold text-gray-800">
+                {report.reportedName}
+              </span>
+              <span className="text-gray-600">
+                in <span className="font-mono">{report.roomCode}</span> by{" "}
+                {report.reporterName}
+              </span>
+              <span className="flex-1 min-w-0 truncate text-gray-600">
+                {report.reason || "No reason given"}
+              </span>
+              {report.status === "open" ? (
+                <button
+                  onClick={() => review(report)}
+                  className="flex items-center gap-1 px-3 py-1 font-medium rounded-lg bg-purple-600 text-white hover:bg-purple-700 transition-colors"
+                >
+                  <Flag size={14} />
+                  Review
+                </button>
+              ) : (
+                <span className="text-gray-500">
+                  {report.resolution}
+                  {report.note && ` · ${report.note}`}
+                </span>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {open && (
+        <div className="mt-4 p-4 rounded-lg border-2 border-purple-200 space-y-4">
+          <div className="flex items-center justify-between">
+            <h4 className="font-semibold text-gray-800">
+              Report #{open.id}: {open.kind} by {open.reportedName}
+              {open.word && (
+                <span className="font-normal text-gray-500">
+                  {" "}
+                  · word "{open.word}"
+                </span>
+              )}
+            </h4>
+            <button
+              onClick={() => setOpen(null)}
+              className="p-1 hover:bg-gray-100 rounded-lg transition-colors"
+              title="Close"
+            >
+              <X size={16} className="text-gray-600" />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="max-h-80 overflow-y-auto space-y-1 text-sm">
+              {open.chat.length === 0 ? (
+                <p className="text-gray-500">No chat was captured.</p>
+              ) : (
+                open.chat.map((message) => (
+                  <div
+                    key={message.id}
+                    className={`px-2 py-1 rounded ${
+                      message.id === open.messageId
+                        ? "bg-red-100 text-red-900 font-semibold"
+                        : message.userId === open.reportedId
+                        ? "bg-red-50 text-red-800"
+                        : "text-gray-700"
+                    }`}
+                  >
+                    <span className="font-medium">
+                      {message.userName || "Unknown"}:
+                    </span>{" "}
+                    {message.message}
+                  </div>
+                ))
+              )}
+            </div>
+            {open.drawingData && (
+              <DrawingCanvas
+                isDrawer={false}
+                onDraw={noop}
+                onDrawBatch={noop}
+                onClear={noop}
+                drawingData={open.drawingData}
+              />
+            )}
+          </div>
+
+          <div className="flex flex-wrap gap-2">
+            <input
+              type="text"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="Note (optional)"
+              maxLength={200}
+              className={`flex-1 min-w-0 ${inputClass}`}
+            />
+            <button
+              onClick={() => resolve("dismiss")}
+              className="flex items-center gap-1 px-3 py-2 text-sm font-medium rounded-lg bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors"
+            >
+              <X size={14} />
+              Dismiss
+            </button>
+            <button
+              onClick={() => resolve("resolve")}
+              className="flex items-center gap-1 px-3 py-2 text-sm font-medium rounded-lg bg-purple-600 text-white hover:bg-purple-700 transition-colors"
+            >
+              <Check size={14} />
+              Resolve
+            </button>
+            <button
+              onClick={() => resolve("ban")}
+              className="flex items-center gap-1 px-3 py-2 text-sm font-medium rounded-lg bg-red-600 text-white hover:bg-red-700 transition-colors"
+            >
+              <Ban size={14} />
+              Ban everywhere
+            </button>
+          </div>
+        </div>
+      )}
+
+      {bans.length > 0 && (
+        <div className="mt-4">
+          <h4 className="font-medium text-gray-800 mb-2">
+            Banned from every room
+          </h4>
+          <div className="space-y-1">
+            {bans.map((ban) => (
+              <div
+                key={ban.id}
+                className="flex items-center justify-between gap-2 text-sm"
+              >
+                <span className="text-gray-700">{ban.playerName}</span>
+                <button
+                  onClick={() => liftBan(ban)}
+                  className="text-purple-600 hover:text-purple-800 font-medium"
+                >
+                  Lift ban
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default ReportQueue;
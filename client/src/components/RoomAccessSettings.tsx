@@ -0,0 +1,138 @@
+import React, { useState } from "react";
+import { Lock, Link, Copy, Check } from "lucide-react";
+import { Game, Invite } from "../types/game";
+
+export interface InviteOptions {
+  singleUse: boolean;
+  expiresInMinutes: number;
+}
+
+interface RoomAccessSettingsProps {
+  game: Game;
+  invite?: Invite | null;
+  onSetPassword: (password: string) => void;
+  onCreateInvite: (options: InviteOptions) => void;
+}
+
+const getInviteUrl = (roomCode: string, token: string) =>
+  `${window.location.origin}${window.location.pathname}?room=${roomCode}&invite=${token}`;
+
+const RoomAccessSettings: React.FC<RoomAccessSettingsProps> = ({
+  game,
+  invite,
+  onSetPassword,
+  onCreateInvite,
+}) => {
+  const [password, setPassword] = useState("");
+  const [singleUse, setSingleUse] = useState(true);
+  const [expiresInMinutes, setExpiresInMinutes] = useState(60);
+  const [copied, setCopied] = useState(false);
+  const inviteUrl = invite ? getInviteUrl(game.roomCode, invite.token) : "";
+
+  const savePassword = () => {
+    onSetPassword(password.trim());
+    setPassword("");
+  };
+
+  const copyInvite = () => {
+    navigator.clipboard.writeText(inviteUrl);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+          <Lock size={14} />
+          {game.hasPassword ? "Password set" : "No password"}
+        </label>
+        <div className="flex gap-2">
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder={game.hasPassword ? "New password" : "Set a password"}
+            maxLength={64}
+            className="flex-1 min-w-0 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+          />
+          <button
+            type="button"
+            onClick={savePassword}
+            disabled={!password.trim()}
+            className="px-3 py-2 text-sm font-medium rounded-lg bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-50 transition-colors"
+          >
+            Set
+          </button>
+          {game.hasPassword && (
+            <button
+              type="button"
+              onClick={() => onSetPassword("")}
+              className="px-3 py-2 text-sm font-medium rounded-lg bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors"
+            >
+              Remove
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div>
+        <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+          <Link size={14} />
+          Invite link
+        </label>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={expiresInMinutes}
+            onChange={(e) => setExpiresInMinutes(parseInt(e.target.value))}
+            className="px-2 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+          >
+            <option value={10}>Expires in 10 min</option>
+            <option value={60}>Expires in 1 hour</option>
+            <option value={1440}>Expires in 1 day</option>
+            <option value={10080}>Expires in 1 week</option>
+            <option value={0}>Never expires</option>
+          </select>
+          <label className="flex items-center gap-1 text-xs sm:text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={singleUse}
+              onChange={(e) => setSingleUse(e.target.checked)}
+              className="rounded text-purple-600 focus:ring-purple-500"
+            />
+            Single use
+          </label>
+          <button
+            type="button"
+            onClick={() => onCreateInvite({ singleUse, expiresInMinutes })}
+            className="text-xs sm:text-sm text-purple-600 hover:text-purple-800 font-medium"
+          >
+            Create
+          </button>
+        </div>
+
+        {invite && (
+          <div className="flex items-center gap-2 mt-2 bg-white border border-gray-200 rounded-lg p-2">
+            <span className="flex-1 min-w-0 truncate font-mono text-xs text-gray-700">
+              {inviteUrl}
+            </span>
+            <button
+              type="button"
+              onClick={copyInvite}
+              className="p-1 hover:bg-gray-100 rounded transition-colors"
+              title="Copy invite link"
+            >
+              {copied ? (
+                <Check size={14} className="text-green-500" />
+              ) : (
+                <Copy size={14} />
+              )}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RoomAccessSettings;
@@ -0,0 +1,81 @@
+import React from "react";
+import { Globe, Users, Clock, Flag, Lock } from "lucide-react";
+import { RoomSummary } from "../types/game";
+import { getLanguageName } from "../utils/languages";
+
+interface RoomListProps {
+  rooms: RoomSummary[];
+  onJoin: (roomCode: string) => void;
+}
+
+const RoomList: React.FC<RoomListProps> = ({ rooms, onJoin }) => {
+  return (
+    <div>
+      <div className="flex items-center gap-2 mb-2">
+        <Globe size={16} className="text-gray-500" />
+        <span className="font-semibold text-xs sm:text-sm text-gray-700">
+          Public rooms ({rooms.length})
+        </span>
+      </div>
+
+      {rooms.length === 0 ? (
+        <p className="text-xs sm:text-sm text-gray-500 bg-gray-50 rounded-lg p-3">
+          No public rooms right now. Quick Play will open one for you.
+        </p>
+      ) : (
+        <div className="space-y-2 max-h-60 overflow-y-auto">
+          {rooms.map((room) => {
+            const isFull = room.playerCount >= room.maxPlayers;
+            return (
+              <div
+                key={room.roomCode}
+                className="flex items-center gap-2 p-2 rounded-lg bg-gray-50 border border-gray-200"
+              >
+                <div className="flex-1 min-w-0">
+                  <div className="font-medium text-xs sm:text-sm text-gray-800 truncate">
+                    {room.ownerName ? `${room.ownerName}'s room` : "Open room"}
+                    <span className="ml-2 font-mono text-gray-500">
+                      {room.roomCode}
+                    </span>
+                  </div>
+                  <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-xs text-gray-600">
+                    <span className="flex items-center gap-1">
+                      <Users size={12} />
+                      {room.playerCount}/{room.maxPlayers}
+                    </span>
+                    <span className="flex items-center gap-1">
+                      <Clock size={12} />
+                      {room.drawTime}s × {room.maxRounds} rounds
+                    </span>
+                    {room.teamCount > 0 && (
+                      <span className="flex items-center gap-1">
+                        <Flag size={12} />
+                        {room.teamCount} teams
+                      </span>
+                    )}
+                    <span>{getLanguageName(room.language)}</span>
+                    {room.hasPassword && (
+                      <span className="flex items-center gap-1">
+                        <Lock size={12} />
+                        Password
+                      </span>
+                    )}
+                  </div>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => onJoin(room.roomCode)}
+                  className="px-3 py-1 text-xs sm:text-sm font-medium rounded-lg bg-purple-600 text-white hover:bg-purple-700 transition-colors"
+                >
+                  {isFull ? "Watch" : "Join"}
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RoomList;
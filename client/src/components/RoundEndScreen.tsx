@@ -1,5 +1,6 @@
 import React, { useEffect, useState } from "react";
-import { Trophy, Clock, ArrowRight } from "lucide-react";
+import { Trophy, Clock, ArrowRight, ThumbsUp, ThumbsDown } from "lucide-react";
+import { DrawingRatings, ScoreAward } from "../types/game";
 
 interface RoundEndScreenProps {
   word: string;
@@ -7,18 +8,40 @@ interface RoundEndScreenProps {
   timeLeft: number;
   round: number;
   maxRounds: number;
+  breakdown?: ScoreAward[];
+  ratings?: DrawingRatings | null;
   onContinue: () => void;
 }
 
+// One row per player, highest total first
+const totalAwards = (breakdown: ScoreAward[]) => {
+  const totals = new Map<
+    string,
+    { userName: string; points: number; reasons: string[] }
+  >();
+  breakdown.forEach(({ userId, userName, points, reason }) => {
+    const total = totals.get(userId) || { userName, points: 0, reasons: [] };
+    total.points += points;
+    total.reasons.push(reason);
+    totals.set(userId, total);
+  });
+  return [...totals.entries()]
+    .map(([userId, total]) => ({ userId, ...total }))
+    .sort((a, b) => b.points - a.points);
+};
+
 const RoundEndScreen: React.FC<RoundEndScreenProps> = ({
   word,
   drawer,
   timeLeft,
   round,
   maxRounds,
+  breakdown = [],
+  ratings,
   onContinue,
 }) => {
   const [showScreen, setShowScreen] = useState(true);
+  const totals = totalAwards(breakdown);
 
   useEffect(() => {
     // Auto-continue after 5 seconds
@@ -62,8 +85,43 @@ const RoundEndScreen: React.FC<RoundEndScreenProps> = ({
           <div className="text-xs sm:text-sm text-gray-500 break-words">
             Drawn by {drawer}
           </div>
+          {ratings && (
+            <div className="flex items-center justify-center gap-4 mt-2 text-sm font-medium">
+              <span className="flex items-center gap-1 text-green-600">
+                <ThumbsUp size={14} />
+                {ratings.likes}
+              </span>
+              <span className="flex items-center gap-1 text-red-600">
+                <ThumbsDown size={14} />
+                {ratings.dislikes}
+              </span>
+            </div>
+          )}
         </div>
 
+        {totals.length > 0 && (
+          <div className="mb-4 sm:mb-6 space-y-2 text-left max-h-48 overflow-y-auto">
+            {totals.map(({ userId, userName, points, reasons }) => (
+              <div
+                key={userId}
+                className="flex items-start justify-between gap-3 text-sm"
+              >
+                <div className="min-w-0">
+                  <div className="font-medium text-gray-800 truncate">
+                    {userName}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {reasons.join(" · ")}
+                  </div>
+                </div>
+                <span className="font-bold text-green-600 whitespace-nowrap">
+                  +{points}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+
         <div className="space-y-3">
           <button
             onClick={handleContinue}
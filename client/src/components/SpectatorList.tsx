@@ -0,0 +1,94 @@
+import React from "react";
+import { Eye, UserPlus } from "lucide-react";
+import { User } from "../types/game";
+import MuteButton from "./MuteButton";
+
+interface SpectatorListProps {
+  spectators: User[];
+  currentUserId?: string;
+  ownerId: string | null;
+  onPromote?: (spectatorId: string) => void;
+  onMute?: (spectator: User) => void;
+  mutedPlayerIds?: string[];
+}
+
+const SpectatorList: React.FC<SpectatorListProps> = ({
+  spectators,
+  currentUserId,
+  ownerId,
+  onPromote,
+  onMute,
+  mutedPlayerIds = [],
+}) => {
+  if (spectators.length === 0) return null;
+
+  return (
+    <div>
+      <div className="flex items-center gap-2 mb-2">
+        <Eye size={16} className="text-gray-500" />
+        <span className="font-semibold text-xs sm:text-sm text-gray-700">
+          Spectators ({spectators.length})
+        </span>
+      </div>
+
+      <div className="space-y-2">
+        {spectators.map((spectator) => (
+          <div
+            key={spectator.id}
+            className={`flex items-center gap-2 p-2 rounded-lg ${
+              spectator.id === currentUserId
+                ? "bg-blue-50 border border-blue-200"
+                : "bg-gray-50"
+            }`}
+          >
+            <img
+              src={spectator.avatar}
+              alt={`${spectator.name}'s avatar`}
+              className="w-6 h-6 sm:w-8 sm:h-8 rounded-full opacity-75"
+            />
+            <span className="flex-1 text-xs sm:text-sm text-gray-700">
+              {spectator.name}
+              {spectator.id === currentUserId && (
+                <span className="text-blue-600 ml-1">(You)</span>
+              )}
+              {spectator.id === ownerId && (
+                <span className="ml-1 text-yellow-600" title="Room Owner">
+                  👑
+                </span>
+              )}
+              {spectator.isMuted && (
+                <span className="ml-1" title="Muted by the room owner">
+                  🔇
+                </span>
+              )}
+              {spectator.isConnected === false && (
+                <span className="text-gray-400 ml-1" title="Reconnecting">
+                  (away)
+                </span>
+              )}
+            </span>
+            {onMute && spectator.id !== currentUserId && (
+              <MuteButton
+                player={spectator}
+                isOwner={currentUserId === ownerId}
+                mutedByMe={mutedPlayerIds.includes(spectator.id)}
+                onMute={onMute}
+              />
+            )}
+            {onPromote && (
+              <button
+                onClick={() => onPromote(spectator.id)}
+                className="p-1 text-purple-600 hover:bg-purple-100 rounded transition-colors"
+                title="Move to players"
+              >
+                <UserPlus size={14} className="sm:w-4 sm:h-4" />
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SpectatorList;
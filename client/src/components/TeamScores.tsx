@@ -0,0 +1,53 @@
+import React from "react";
+import { Flag } from "lucide-react";
+import { Game } from "../types/game";
+import { getTeamScores } from "../utils/teams";
+
+interface TeamScoresProps {
+  game: Game;
+  currentTeamId?: number | null;
+}
+
+const TeamScores: React.FC<TeamScoresProps> = ({ game, currentTeamId }) => {
+  const teamScores = getTeamScores(game);
+  if (teamScores.length === 0) return null;
+
+  return (
+    <div>
+      <div className="flex items-center gap-2 mb-2">
+        <Flag size={16} className="text-gray-600" />
+        <h3 className="font-semibold text-sm sm:text-base text-gray-800">
+          Teams
+        </h3>
+      </div>
+
+      <div className="space-y-2">
+        {teamScores.map((team, index) => (
+          <div
+            key={team.id}
+            className={`flex items-center gap-2 p-2 rounded-lg border-l-4 ${
+              team.id === currentTeamId ? "bg-blue-50" : "bg-gray-50"
+            }`}
+            style={{ borderLeftColor: team.color }}
+          >
+            <span className="flex-1 font-medium text-xs sm:text-sm text-gray-800">
+              {index + 1}. {team.name}
+              {team.id === currentTeamId && (
+                <span className="text-blue-600 ml-1">(Your team)</span>
+              )}
+            </span>
+            <span className="text-xs text-gray-500">
+              {team.playerIds.length}{" "}
+              {team.playerIds.length === 1 ? "player" : "players"}
+            </span>
+            <span className="font-bold text-xs sm:text-sm text-gray-800">
+              {team.score}
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default TeamScores;
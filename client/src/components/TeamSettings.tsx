@@ -0,0 +1,57 @@
+import React from "react";
+import { TeamGuessing } from "../types/game";
+
+export interface TeamSettingsValue {
+  teamCount: number;
+  teamGuessing: TeamGuessing;
+}
+
+interface TeamSettingsProps {
+  value: TeamSettingsValue;
+  onChange: (value: TeamSettingsValue) => void;
+}
+
+const TeamSettings: React.FC<TeamSettingsProps> = ({ value, onChange }) => (
+  <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">
+        Teams
+      </label>
+      <select
+        value={value.teamCount}
+        onChange={(e) =>
+          onChange({ ...value, teamCount: parseInt(e.target.value) })
+        }
+        className="w-full px-3 py-2 text-sm sm:text-base border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+      >
+        <option value={0}>Off</option>
+        <option value={2}>2 teams</option>
+        <option value={3}>3 teams</option>
+        <option value={4}>4 teams</option>
+      </select>
+    </div>
+
+    {value.teamCount > 0 && (
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          Who guesses
+        </label>
+        <select
+          value={value.teamGuessing}
+          onChange={(e) =>
+            onChange({
+              ...value,
+              teamGuessing: e.target.value as TeamGuessing,
+            })
+          }
+          className="w-full px-3 py-2 text-sm sm:text-base border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+        >
+          <option value="all">Everyone</option>
+          <option value="drawer-team">Drawer's team, others steal</option>
+        </select>
+      </div>
+    )}
+  </div>
+);
+
+export default TeamSettings;
@@ -0,0 +1,82 @@
+import React, { useState, useEffect } from "react";
+import { UserX, ThumbsUp, ThumbsDown } from "lucide-react";
+import { VoteKick } from "../types/game";
+
+interface VoteKickPromptProps {
+  vote: VoteKick;
+  currentUserId?: string;
+  onVote: (inFavor: boolean) => void;
+}
+
+const secondsLeft = (expiresAt: number) =>
+  Math.max(Math.ceil((expiresAt - Date.now()) / 1000), 0);
+
+const VoteKickPrompt: React.FC<VoteKickPromptProps> = ({
+  vote,
+  currentUserId,
+  onVote,
+}) => {
+  const [timeLeft, setTimeLeft] = useState(() => secondsLeft(vote.expiresAt));
+  const isTarget = vote.targetId === currentUserId;
+  const canVote = !!currentUserId && vote.voters.includes(currentUserId);
+  const myVote = vote.yes.includes(currentUserId || "")
+    ? "yes"
+    : vote.no.includes(currentUserId || "")
+    ? "no"
+    : null;
+
+  useEffect(() => {
+    setTimeLeft(secondsLeft(vote.expiresAt));
+    const interval = setInterval(
+      () => setTimeLeft(secondsLeft(vote.expiresAt)),
+      1000
+    );
+    return () => clearInterval(interval);
+  }, [vote.expiresAt]);
+
+  return (
+    <div className="fixed bottom-4 left-4 z-50 w-72 bg-white rounded-lg shadow-xl border-2 border-red-200 p-4">
+      <div className="flex items-center gap-2 mb-2">
+        <UserX size={18} className="text-red-600" />
+        <span className="font-semibold text-sm text-gray-800">
+          {isTarget
+            ? "Players are voting to kick you"
+            : `Kick ${vote.targetName}?`}
+        </span>
+      </div>
+      <div className="text-xs text-gray-600 mb-3">
+        {vote.yes.length}/{vote.needed} votes to kick · {vote.no.length} against
+        · {timeLeft}s left
+      </div>
+
+      {canVote && (
+        <div className="flex gap-2">
+          <button
+            onClick={() => onVote(true)}
+            className={`flex-1 flex items-center justify-center gap-1 py-2 text-sm font-medium rounded-lg transition-colors ${
+              myVote === "yes"
+                ? "bg-red-600 text-white"
+                : "bg-gray-100 text-gray-700 hover:bg-red-100"
+            }`}
+          >
+            <ThumbsUp size={14} />
+            Kick
+          </button>
+          <button
+            onClick={() => onVote(false)}
+            className={`flex-1 flex items-center justify-center gap-1 py-2 text-sm font-medium rounded-lg transition-colors ${
+              myVote === "no"
+                ? "bg-gray-700 text-white"
+                : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+            }`}
+          >
+            <ThumbsDown size={14} />
+            Keep
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VoteKickPrompt;
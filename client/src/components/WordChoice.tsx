@@ -1,13 +1,32 @@
 import React, { useState, useEffect } from "react";
 import { Clock, Palette } from "lucide-react";
+import { WordDifficulty, WordOption } from "../types/game";
 
 interface WordChoiceProps {
-  words: string[];
+  words: WordOption[];
   timeLeft: number;
   onWordSelect: (word: string) => void;
   isDrawer: boolean;
 }
 
+// Badge styles and score multipliers; keep in step with the server's scoring
+const DIFFICULTY_LABELS: Record<
+  WordDifficulty,
+  { label: string; points: string; className: string }
+> = {
+  easy: {
+    label: "Easy",
+    points: "1×",
+    className: "bg-green-100 text-green-800",
+  },
+  medium: {
+    label: "Medium",
+    points: "1.5×",
+    className: "bg-yellow-100 text-yellow-800",
+  },
+  hard: { label: "Hard", points: "2×", className: "bg-red-100 text-red-800" },
+};
+
 const WordChoice: React.FC<WordChoiceProps> = ({
   words,
   timeLeft,
@@ -78,19 +97,30 @@ const WordChoice: React.FC<WordChoiceProps> = ({
         </div>
 
         <div className="space-y-3">
-          {words.map((word, index) => (
+          {words.map(({ word, difficulty }) => (
             <button
               key={word}
               onClick={() => handleWordSelect(word)}
               className="w-full p-3 sm:p-4 text-left bg-gray-50 hover:bg-purple-50 border-2 border-gray-200 hover:border-purple-300 rounded-lg transition-all duration-200 transform hover:scale-105"
             >
               <div className="flex items-center justify-between">
-                <span className="font-medium text-gray-800 text-base sm:text-lg">
-                  {word}
-                </span>
-                <span className="text-xs sm:text-sm text-gray-500">
-                  {word.length} letter{word.length !== 1 ? "s" : ""}
-                </span>
+                <div>
+                  <span className="font-medium text-gray-800 text-base sm:text-lg">
+                    {word}
+                  </span>
+                  <div className="text-xs sm:text-sm text-gray-500">
+                    {word.length} letter{word.length !== 1 ? "s" : ""}
+                  </div>
+                </div>
+                {DIFFICULTY_LABELS[difficulty] && (
+                  <span
+                    className={`px-2 py-1 rounded-full text-xs font-medium ${DIFFICULTY_LABELS[difficulty].className}`}
+                    title={`${DIFFICULTY_LABELS[difficulty].points} points`}
+                  >
+                    {DIFFICULTY_LABELS[difficulty].label} ·{" "}
+                    {DIFFICULTY_LABELS[difficulty].points}
+                  </span>
+                )}
               </div>
             </button>
           ))}
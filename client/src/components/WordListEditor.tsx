@@ -0,0 +1,223 @@
+import React, { useRef } from "react";
+import { Upload } from "lucide-react";
+import {
+  CategoryCounts,
+  WordDifficulty,
+  WordListSettings,
+  WordMode,
+} from "../types/game";
+
+interface WordListEditorProps {
+  value: WordListSettings;
+  onChange: (value: WordListSettings) => void;
+  categoryCounts?: CategoryCounts;
+}
+
+// Rough count for the owner; the server does the real validation
+const countWords = (text: string) =>
+  new Set(
+    text
+      .split(/[\n,]/)
+      .map((word) => word.trim().toLowerCase())
+      .filter((word) => word.length >= 2)
+  ).size;
+
+const WordListEditor: React.FC<WordListEditorProps> = ({
+  value,
+  onChange,
+  categoryCounts = {},
+}) => {
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const wordCount = countWords(value.customWords);
+  const categories = Object.keys(categoryCounts);
+
+  const toggleCategory = (category: string) => {
+    const wordCategories = value.wordCategories.includes(category)
+      ? value.wordCategories.filter((c) => c !== category)
+      : [...value.wordCategories, category];
+    onChange({ ...value, wordCategories });
+  };
+
+  const handleUpload = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const text = typeof reader.result === "string" ? reader.result : "";
+      const customWords = value.customWords.trim()
+        ? `${value.customWords.trim()}\n${text}`
+        : text;
+      onChange({
+        ...value,
+        customWords,
+        wordMode: value.wordMode === "default" ? "custom" : value.wordMode,
+      });
+    };
+    reader.readAsText(file);
+
+    // Allow uploading the same file again
+    e.target.value = "";
+  };
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          Words
+        </label>
+        <select
+          value={value.wordMode}
+          onChange={(e) =>
+            onChange({ ...value, wordMode: e.target.value as WordMode })
+          }
+          className="w-full px-3 py-2 text-sm sm:text-base border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+        >
+          <option value="default">Default words</option>
+          <option value="custom">Custom words only</option>
+          <option value="mix">Mix custom with default</option>
+        </select>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          Difficulty
+        </label>
+        <select
+          value={value.wordDifficulty}
+          onChange={(e) =>
+            onChange({
+              ...value,
+              wordDifficulty: e.target.value as WordDifficulty | "mixed",
+            })
+          }
+          className="w-full px-3 py-2 text-sm sm:text-base border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+        >
+          <option value="mixed">One easy, medium and hard word</option>
+          <option value="easy">Easy only</option>
+          <option value="medium">Medium only</option>
+          <option value="hard">Hard only</option>
+        </select>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          Avoid repeating words from
+        </label>
+        <select
+          value={value.wordHistoryGames}
+          onChange={(e) =>
+            onChange({ ...value, wordHistoryGames: parseInt(e.target.value) })
+          }
+          className="w-full px-3 py-2 text-sm sm:text-base border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+        >
+          <option value={0}>This game only</option>
+          <option value={1}>This and the last game</option>
+          <option value={3}>This and the last 3 games</option>
+          <option value={5}>This and the last 5 games</option>
+          <option value={10}>This and the last 10 games</option>
+        </select>
+      </div>
+
+      {value.wordMode !== "custom" && categories.length > 1 && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Categories{" "}
+            <span className="text-xs font-normal text-gray-500">
+              (none ticked = all)
+            </span>
+          </label>
+          <div className="flex flex-wrap gap-2">
+            {categories.map((category) => (
+              <label
+                key={category}
+                className={`flex items-center gap-1 px-2 py-1 rounded-lg border text-xs sm:text-sm cursor-pointer transition-colors ${
+                  value.wordCategories.includes(category)
+                    ? "border-purple-400 bg-purple-50 text-purple-800"
+                    : "border-gray-300 text-gray-700 hover:bg-gray-50"
+                }`}
+              >
+                <input
+                  type="checkbox"
+                  checked={value.wordCategories.includes(category)}
+                  onChange={() => toggleCategory(category)}
+                  className="rounded text-purple-600 focus:ring-purple-500"
+                />
+                {category}
+                <span className="text-gray-500">
+                  ({categoryCounts[category]})
+                </span>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {value.wordMode !== "default" && (
+        <>
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <label className="text-sm font-medium text-gray-700">
+                Custom words ({wordCount})
+              </label>
+              <button
+                type="button"
+                onClick={() => fileInputRef.current?.click()}
+                className="flex items-center gap-1 text-xs text-purple-600 hover:text-purple-800"
+              >
+                <Upload size={12} />
+                Upload .txt
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".txt,.csv,text/plain"
+                onChange={handleUpload}
+                className="hidden"
+              />
+            </div>
+            <textarea
+              value={value.customWords}
+              onChange={(e) =>
+                onChange({ ...value, customWords: e.target.value })
+              }
+              rows={5}
+              placeholder="One word or phrase per line, or comma-separated"
+              className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+            />
+            {value.wordMode === "custom" && wordCount < 3 && (
+              <p className="text-xs text-gray-500 mt-1">
+                With fewer than 3 words, choices are topped up from the default
+                words.
+              </p>
+            )}
+          </div>
+
+          {value.wordMode === "mix" && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Custom words: {value.customWordPercent}%
+              </label>
+              <input
+                type="range"
+                min="10"
+                max="90"
+                step="10"
+                value={value.customWordPercent}
+                onChange={(e) =>
+                  onChange({
+                    ...value,
+                    customWordPercent: parseInt(e.target.value),
+                  })
+                }
+                className="w-full"
+              />
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default WordListEditor;
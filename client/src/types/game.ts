@@ -5,6 +5,9 @@ export interface User {
   score: number;
   isDrawer: boolean;
   isSpectator?: boolean;
+  isConnected?: boolean;
+  isMuted?: boolean; // Muted for the whole room by its owner
+  teamId?: number | null; // Only set when the room plays in teams
 }
 
 export interface Game {
@@ -14,13 +17,26 @@ export interface Game {
   players: User[];
   spectators?: User[]; // Array of spectators
   playersReady: string[]; // Array of player IDs who are ready for next game
-  bannedPlayers?: string[]; // Array of banned player IDs
   currentWord: string | null;
-  wordChoices: string[] | null;
+  currentDifficulty?: WordDifficulty | null;
+  wordChoices: WordOption[] | null;
   currentDrawer: User | null;
   round: number;
   maxRounds: number;
   drawTime: number;
+  closeGuessThreshold?: number; // Relative edit distance for close guesses
+  scoringStrategy?: ScoringStrategy;
+  wordList?: WordListSummary; // Custom words stay on the server
+  teams?: Team[] | null;
+  teamGuessing?: TeamGuessing;
+  stealWindow?: boolean; // Other teams may guess a word the drawer's team missed
+  isPublic?: boolean; // Listed in the room browser
+  language?: string;
+  hasPassword?: boolean;
+  voteKickMajority?: number; // Percent of voters needed to kick someone
+  voteKick?: VoteKick | null;
+  chatPolicy?: ChatPolicy;
+  ratingBonus?: number; // Points the drawer gets per net like; 0 is none
   status: "waiting" | "playing" | "finished";
   gamePhase: "choosing" | "drawing" | "results";
   timeLeft: number;
@@ -28,6 +44,159 @@ export interface Game {
   hints: string;
 }
 
+export interface Team {
+  id: number;
+  name: string;
+  color: string;
+}
+
+// "drawer-team": only the drawer's teammates guess, other teams may steal
+export type TeamGuessing = "all" | "drawer-team";
+
+// A team's combined score
+export interface TeamScore extends Team {
+  score: number;
+  playerIds: string[];
+}
+
+export type ScoringStrategy =
+  | "classic"
+  | "order-of-guess"
+  | "drawer-efficiency";
+
+// Points one player earned during a turn, and why
+export interface ScoreAward {
+  userId: string;
+  userName: string;
+  points: number;
+  reason: string;
+}
+
+// Likes and dislikes the players gave a turn's drawing
+export interface DrawingRatings {
+  likes: number;
+  dislikes: number;
+}
+
+// 1 likes the drawing, -1 dislikes it and 0 is no rating
+export type DrawingRating = 1 | -1 | 0;
+
+export type WordDifficulty = "easy" | "medium" | "hard";
+
+// A word the drawer can pick, with its difficulty
+export interface WordOption {
+  word: string;
+  difficulty: WordDifficulty;
+}
+
+export type WordMode = "default" | "custom" | "mix";
+
+export interface WordListSummary {
+  mode: WordMode;
+  percent: number; // Share of custom words in "mix" mode
+  count: number;
+  categories: string[]; // Default-word categories; empty means all
+  difficulty: WordDifficulty | "mixed";
+  historyGames: number; // Previous games whose words aren't repeated
+}
+
+// Word list as the owner edits it; customWords is the pasted text
+export interface WordListSettings {
+  wordMode: WordMode;
+  customWords: string;
+  customWordPercent: number;
+  wordCategories: string[];
+  wordDifficulty: WordDifficulty | "mixed"; // "mixed" offers one of each
+  wordHistoryGames: number;
+}
+
+// Word list as validated and stored by the server
+export interface WordList {
+  wordMode: WordMode;
+  customWords: string[];
+  customWordPercent: number;
+  wordCategories: string[];
+  wordDifficulty: WordDifficulty | "mixed";
+  wordHistoryGames: number;
+}
+
+// Number of default words in each category
+export type CategoryCounts = Record<string, number>;
+
+export interface RoomSettings extends WordListSettings {
+  drawTime: number;
+  maxRounds: number;
+  closeGuessThreshold: number;
+  scoringStrategy: ScoringStrategy;
+  teamCount: number; // 0 plays without teams
+  teamGuessing: TeamGuessing;
+  isPublic: boolean;
+  language: string;
+  voteKickMajority: number;
+  chatPolicy: ChatPolicy;
+  ratingBonus: number;
+  password?: string;
+}
+
+// How strictly a room's chat is filtered: "standard" masks profanity,
+// "family-friendly" blocks it, "off" lets everything through
+export type ChatPolicy = "family-friendly" | "standard" | "off";
+
+// An open vote to kick a player; the player who started it voted yes
+export interface VoteKick {
+  targetId: string;
+  targetName: string;
+  startedBy: string;
+  voters: string[]; // Players who may vote
+  yes: string[];
+  no: string[];
+  needed: number; // Yes votes that pass the vote
+  expiresAt: number;
+}
+
+// A link the owner shares to let someone in without the password
+export interface Invite {
+  token: string;
+  singleUse: boolean;
+  expiresAt: number | null;
+}
+
+// Why the server refused to let us into a room
+export interface JoinDenial {
+  roomCode: string;
+  reason:
+    | "password-required"
+    | "wrong-password"
+    | "invite-invalid"
+    | "too-many-attempts"
+    | "banned";
+  message: string;
+}
+
+// A player banned from the room, as listed for its owner
+export interface RoomBan {
+  id: number;
+  playerName: string;
+  bannedBy: "owner" | "vote" | "admin";
+  createdAt: string;
+}
+
+// A public room as listed in the room browser
+export interface RoomSummary {
+  roomCode: string;
+  ownerName: string | null;
+  playerCount: number;
+  spectatorCount: number;
+  maxPlayers: number;
+  language: string;
+  drawTime: number;
+  maxRounds: number;
+  scoringStrategy: ScoringStrategy;
+  teamCount: number;
+  wordList: WordListSummary | null;
+  hasPassword: boolean;
+}
+
 export interface DrawingData {
   x: number;
   y: number;
@@ -38,11 +207,122 @@ export interface DrawingData {
   type: "draw" | "erase" | "line" | "circle" | "rectangle" | "fill";
   endX?: number;
   endY?: number;
+  strokeId?: string; // Shared by every segment of one pointer-down to pointer-up stroke
+}
+
+export interface StrokeStyle {
+  type: "draw" | "erase";
+  color: string;
+  lineWidth: number;
+}
+
+// A run of freehand points. The first pair is absolute, the rest are deltas
+// from the previous point; style is only sent with a stroke's first batch.
+export interface StrokeBatch {
+  strokeId: string;
+  style?: StrokeStyle;
+  points: number[];
 }
 
 export interface ChatMessage {
+  id?: number | null; // Stored message, for reporting it
   userId: string;
   userName: string;
   message: string;
   timestamp: string;
 }
+
+export interface ReplayStroke {
+  t: number; // ms since the turn started
+  data?: DrawingData;
+  clear?: boolean;
+  undo?: number; // Number of trailing entries removed by an undo
+}
+
+export interface ReplayTurn {
+  round: number;
+  drawer: { id: string; name: string } | null;
+  word: string | null;
+  startedAt: number; // ms since the game started
+  duration: number;
+  strokes: ReplayStroke[];
+  truncated?: boolean; // Drawing past the stroke limit wasn't recorded
+}
+
+export interface ReplayChatEntry {
+  turn: number;
+  t: number; // ms since the turn started
+  userId: string;
+  userName: string;
+  message: string;
+  isCorrect: boolean;
+}
+
+export interface ReplaySummary {
+  id: number;
+  game_id: string;
+  room_code: string;
+  players: { id: string; name: string; score: number }[];
+  winner_name: string | null;
+  total_rounds: number;
+  created_at: string;
+}
+
+export interface Replay extends ReplaySummary {
+  drawing_data: ReplayTurn[];
+  chat_history: ReplayChatEntry[];
+}
+
+// Word as listed in the admin console
+export interface AdminWord {
+  id: number;
+  word: string;
+  difficulty: WordDifficulty;
+  category: string;
+}
+
+// Live room as listed in the admin console
+export interface AdminGameSummary {
+  id: string;
+  roomCode: string;
+  status: Game["status"];
+  ownerName: string | null;
+  players: { id: string; name: string; score: number; isConnected: boolean }[];
+  spectatorCount: number;
+  round: number;
+  maxRounds: number;
+  isPublic: boolean;
+  hasPassword: boolean;
+  language: string;
+}
+
+// A player's report as listed in the admin console
+export interface AdminReport {
+  id: number;
+  gameId: string;
+  roomCode: string;
+  kind: "chat" | "drawing";
+  reason: string | null;
+  reporterName: string;
+  reportedId: string;
+  reportedName: string;
+  word: string | null;
+  messageId: number | null; // The reported chat message, if any
+  status: "open" | "resolved" | "dismissed";
+  resolution: "dismiss" | "resolve" | "ban" | null;
+  note: string | null;
+  resolvedAt: string | null;
+  createdAt: string;
+}
+
+// A report with the chat and drawing captured when it was filed
+export interface AdminReportDetail extends AdminReport {
+  chat: {
+    id: number;
+    userId: string;
+    userName: string | null;
+    message: string;
+    timestamp: string;
+  }[];
+  drawingData: DrawingData[] | null;
+}
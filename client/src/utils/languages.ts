@@ -0,0 +1,13 @@
+// Languages a room can be listed under; matches the server's ROOM_LANGUAGES
+export const ROOM_LANGUAGES: Record<string, string> = {
+  en: "English",
+  es: "Español",
+  fr: "Français",
+  de: "Deutsch",
+  pt: "Português",
+  it: "Italiano",
+  nl: "Nederlands",
+  pl: "Polski",
+};
+
+export const getLanguageName = (code: string) => ROOM_LANGUAGES[code] || code;
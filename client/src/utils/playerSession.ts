@@ -0,0 +1,38 @@
+// Player session persistence for resuming games after reconnects
+
+const PLAYER_TOKEN_KEY = "playerToken";
+const ACTIVE_ROOM_KEY = "activeRoom";
+
+export interface ActiveRoom {
+  roomCode: string;
+  playerName: string;
+}
+
+// The player token is durable across tabs and reloads
+export const getPlayerToken = (): string | null => {
+  return localStorage.getItem(PLAYER_TOKEN_KEY);
+};
+
+export const setPlayerToken = (token: string) => {
+  localStorage.setItem(PLAYER_TOKEN_KEY, token);
+};
+
+// The active room is per-tab so two tabs don't fight over the same slot
+export const getActiveRoom = (): ActiveRoom | null => {
+  const saved = sessionStorage.getItem(ACTIVE_ROOM_KEY);
+  if (!saved) return null;
+
+  try {
+    return JSON.parse(saved) as ActiveRoom;
+  } catch {
+    return null;
+  }
+};
+
+export const setActiveRoom = (room: ActiveRoom) => {
+  sessionStorage.setItem(ACTIVE_ROOM_KEY, JSON.stringify(room));
+};
+
+export const clearActiveRoom = () => {
+  sessionStorage.removeItem(ACTIVE_ROOM_KEY);
+};
@@ -0,0 +1,330 @@
+import { DrawingData } from "../types/game";
+
+// Deterministic software rasterizer for the drawing canvas.
+//
+// Canvas 2D anti-aliasing differs between browsers and GPUs, which would make
+// flood fills spill differently on each client. Everything is painted into a
+// plain RGBA buffer instead, using only arithmetic that is exact in every JS
+// engine, so replaying the same drawingData always yields the same pixels.
+
+export interface Raster {
+  width: number;
+  height: number;
+  data: Uint8ClampedArray;
+}
+
+export interface DirtyRect {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+type RGB = [number, number, number];
+
+const WHITE: RGB = [255, 255, 255];
+
+const parseColor = (hex: string): RGB => {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+export const clearRaster = (raster: Raster) => {
+  raster.data.fill(255);
+};
+
+// Clamp a pixel box to the raster, or null when it falls outside
+const clampRect = (
+  raster: Raster,
+  minX: number,
+  minY: number,
+  maxX: number,
+  maxY: number
+): DirtyRect | null => {
+  const x0 = Math.max(0, Math.floor(minX));
+  const y0 = Math.max(0, Math.floor(minY));
+  const x1 = Math.min(raster.width - 1, Math.ceil(maxX));
+  const y1 = Math.min(raster.height - 1, Math.ceil(maxY));
+  if (x1 < x0 || y1 < y0) return null;
+  return { x: x0, y: y0, width: x1 - x0 + 1, height: y1 - y0 + 1 };
+};
+
+// Paint every pixel in rect whose centre passes the test
+const paintWhere = (
+  raster: Raster,
+  rect: DirtyRect | null,
+  rgb: RGB,
+  inside: (px: number, py: number) => boolean
+) => {
+  if (!rect) return null;
+
+  const { data, width } = raster;
+  for (let y = rect.y; y < rect.y + rect.height; y++) {
+    for (let x = rect.x; x < rect.x + rect.width; x++) {
+      if (!inside(x + 0.5, y + 0.5)) continue;
+      const i = (y * width + x) * 4;
+      data[i] = rgb[0];
+      data[i + 1] = rgb[1];
+      data[i + 2] = rgb[2];
+      data[i + 3] = 255;
+    }
+  }
+  return rect;
+};
+
+// Thick segment with round caps, so consecutive segments join smoothly
+const paintSegment = (
+  raster: Raster,
+  x0: number,
+  y0: number,
+  x1: number,
+  y1: number,
+  lineWidth: number,
+  rgb: RGB
+) => {
+  const radius = Math.max(lineWidth / 2, 0.5);
+  const radiusSq = radius * radius;
+  const dx = x1 - x0;
+  const dy = y1 - y0;
+  const lengthSq = dx * dx + dy * dy;
+
+  const rect = clampRect(
+    raster,
+    Math.min(x0, x1) - radius,
+    Math.min(y0, y1) - radius,
+    Math.max(x0, x1) + radius,
+    Math.max(y0, y1) + radius
+  );
+
+  return paintWhere(raster, rect, rgb, (px, py) => {
+    let t = lengthSq === 0 ? 0 : ((px - x0) * dx + (py - y0) * dy) / lengthSq;
+    t = Math.max(0, Math.min(1, t));
+    const ex = px - (x0 + t * dx);
+    const ey = py - (y0 + t * dy);
+    return ex * ex + ey * ey <= radiusSq;
+  });
+};
+
+// Rectangle outline centred on the dragged box edges
+const paintRectangle = (
+  raster: Raster,
+  x0: number,
+  y0: number,
+  x1: number,
+  y1: number,
+  lineWidth: number,
+  rgb: RGB
+) => {
+  const half = Math.max(lineWidth / 2, 0.5);
+  const left = Math.min(x0, x1);
+  const right = Math.max(x0, x1);
+  const top = Math.min(y0, y1);
+  const bottom = Math.max(y0, y1);
+
+  const rect = clampRect(
+    raster,
+    left - half,
+    top - half,
+    right + half,
+    bottom + half
+  );
+
+  return paintWhere(raster, rect, rgb, (px, py) => {
+    const inOuter =
+      px >= left - half &&
+      px <= right + half &&
+      py >= top - half &&
+      py <= bottom + half;
+    const inInner =
+      px > left + half &&
+      px < right - half &&
+      py > top + half &&
+      py < bottom - half;
+    return inOuter && !inInner;
+  });
+};
+
+// Circle outline centred on the start point, through the end point
+const paintCircle = (
+  raster: Raster,
+  cx: number,
+  cy: number,
+  ex: number,
+  ey: number,
+  lineWidth: number,
+  rgb: RGB
+) => {
+  const half = Math.max(lineWidth / 2, 0.5);
+  const radius = Math.sqrt((ex - cx) * (ex - cx) + (ey - cy) * (ey - cy));
+  const inner = Math.max(radius - half, 0);
+  const outer = radius + half;
+  const innerSq = inner * inner;
+  const outerSq = outer * outer;
+
+  const rect = clampRect(
+    raster,
+    cx - outer,
+    cy - outer,
+    cx + outer,
+    cy + outer
+  );
+
+  return paintWhere(raster, rect, rgb, (px, py) => {
+    const distSq = (px - cx) * (px - cx) + (py - cy) * (py - cy);
+    return distSq >= innerSq && distSq <= outerSq;
+  });
+};
+
+// Scanline flood fill of the 4-connected region of exactly the seed colour
+const floodFill = (raster: Raster, x: number, y: number, rgb: RGB) => {
+  const { data, width, height } = raster;
+  const sx = Math.min(width - 1, Math.max(0, Math.floor(x)));
+  const sy = Math.min(height - 1, Math.max(0, Math.floor(y)));
+
+  const seed = (sy * width + sx) * 4;
+  const target = [data[seed], data[seed + 1], data[seed + 2], data[seed + 3]];
+  if (
+    target[0] === rgb[0] &&
+    target[1] === rgb[1] &&
+    target[2] === rgb[2] &&
+    target[3] === 255
+  ) {
+    return null;
+  }
+
+  const matches = (px: number, py: number) => {
+    const i = (py * width + px) * 4;
+    return (
+      data[i] === target[0] &&
+      data[i + 1] === target[1] &&
+      data[i + 2] === target[2] &&
+      data[i + 3] === target[3]
+    );
+  };
+
+  let minX = sx;
+  let maxX = sx;
+  let minY = sy;
+  let maxY = sy;
+  const stack: number[] = [sx, sy];
+
+  while (stack.length > 0) {
+    const py = stack.pop() as number;
+    let px = stack.pop() as number;
+    if (!matches(px, py)) continue;
+
+    // Walk to the left end of this run, then paint rightwards
+    while (px > 0 && matches(px - 1, py)) px--;
+
+    let spanAbove = false;
+    let spanBelow = false;
+    for (; px < width && matches(px, py); px++) {
+      const i = (py * width + px) * 4;
+      data[i] = rgb[0];
+      data[i + 1] = rgb[1];
+      data[i + 2] = rgb[2];
+      data[i + 3] = 255;
+
+      minX = Math.min(minX, px);
+      maxX = Math.max(maxX, px);
+
+      if (py > 0) {
+        const above = matches(px, py - 1);
+        if (above && !spanAbove) stack.push(px, py - 1);
+        spanAbove = above;
+      }
+      if (py < height - 1) {
+        const below = matches(px, py + 1);
+        if (below && !spanBelow) stack.push(px, py + 1);
+        spanBelow = below;
+      }
+    }
+
+    minY = Math.min(minY, py);
+    maxY = Math.max(maxY, py);
+  }
+
+  return clampRect(raster, minX, minY, maxX, maxY);
+};
+
+// Apply one drawing action and return the area that changed
+export const applyDrawing = (
+  raster: Raster,
+  data: DrawingData
+): DirtyRect | null => {
+  const endX = data.endX ?? data.x;
+  const endY = data.endY ?? data.y;
+
+  switch (data.type) {
+    case "draw":
+      return paintSegment(
+        raster,
+        data.prevX,
+        data.prevY,
+        data.x,
+        data.y,
+        data.lineWidth,
+        parseColor(data.color)
+      );
+    case "erase":
+      return paintSegment(
+        raster,
+        data.prevX,
+        data.prevY,
+        data.x,
+        data.y,
+        data.lineWidth,
+        WHITE
+      );
+    case "line":
+      return paintSegment(
+        raster,
+        data.x,
+        data.y,
+        endX,
+        endY,
+        data.lineWidth,
+        parseColor(data.color)
+      );
+    case "rectangle":
+      return paintRectangle(
+        raster,
+        data.x,
+        data.y,
+        endX,
+        endY,
+        data.lineWidth,
+        parseColor(data.color)
+      );
+    case "circle":
+      return paintCircle(
+        raster,
+        data.x,
+        data.y,
+        endX,
+        endY,
+        data.lineWidth,
+        parseColor(data.color)
+      );
+    case "fill":
+      return floodFill(raster, data.x, data.y, parseColor(data.color));
+    default:
+      return null;
+  }
+};
+
+export const unionRect = (
+  a: DirtyRect | null,
+  b: DirtyRect | null
+): DirtyRect | null => {
+  if (!a) return b;
+  if (!b) return a;
+  const x = Math.min(a.x, b.x);
+  const y = Math.min(a.y, b.y);
+  return {
+    x,
+    y,
+    width: Math.max(a.x + a.width, b.x + b.width) - x,
+    height: Math.max(a.y + a.height, b.y + b.height) - y,
+  };
+};
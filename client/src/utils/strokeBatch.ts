@@ -0,0 +1,79 @@
+import { DrawingData, StrokeBatch, StrokeStyle } from "../types/game";
+
+// Compact encoding for freehand strokes. Points are rounded to whole pixels
+// and delta-encoded, and every batch after the first starts again from the
+// previous batch's last point so each batch decodes on its own.
+
+export interface Point {
+  x: number;
+  y: number;
+}
+
+export const MAX_BATCH_POINTS = 256;
+
+export const roundPoint = (point: Point): Point => ({
+  x: Math.round(point.x),
+  y: Math.round(point.y),
+});
+
+// One freehand segment, built the same way for local and echoed strokes
+export const createSegment = (
+  style: StrokeStyle,
+  strokeId: string,
+  from: Point,
+  to: Point
+): DrawingData => ({
+  x: to.x,
+  y: to.y,
+  prevX: from.x,
+  prevY: from.y,
+  color: style.color,
+  lineWidth: style.lineWidth,
+  type: style.type,
+  strokeId,
+});
+
+export const encodeBatch = (
+  strokeId: string,
+  points: Point[],
+  style?: StrokeStyle
+): StrokeBatch => {
+  const encoded: number[] = [];
+  points.forEach((point, i) => {
+    const prev = i === 0 ? { x: 0, y: 0 } : points[i - 1];
+    encoded.push(point.x - prev.x, point.y - prev.y);
+  });
+
+  return style
+    ? { strokeId, style, points: encoded }
+    : { strokeId, points: encoded };
+};
+
+export const decodeBatch = (
+  batch: StrokeBatch,
+  style: StrokeStyle
+): DrawingData[] => {
+  const segments: DrawingData[] = [];
+  let prev: Point = { x: batch.points[0], y: batch.points[1] };
+
+  for (let i = 2; i < batch.points.length; i += 2) {
+    const point = {
+      x: prev.x + batch.points[i],
+      y: prev.y + batch.points[i + 1],
+    };
+    segments.push(createSegment(style, batch.strokeId, prev, point));
+    prev = point;
+  }
+  return segments;
+};
+
+// Continuation batches reuse the style of the stroke's latest segment
+export const findStrokeStyle = (
+  drawingData: DrawingData[],
+  strokeId: string
+): StrokeStyle | null => {
+  const last = drawingData[drawingData.length - 1];
+  if (!last || last.strokeId !== strokeId) return null;
+  if (last.type !== "draw" && last.type !== "erase") return null;
+  return { type: last.type, color: last.color, lineWidth: last.lineWidth };
+};
@@ -0,0 +1,21 @@
+// Team standings, mirroring the server's team totals
+import { Game, TeamScore } from "../types/game";
+
+// Each team's combined score, highest first; empty without teams
+export const getTeamScores = (game: Game): TeamScore[] => {
+  if (!game.teams) return [];
+
+  return game.teams
+    .map((team) => {
+      const members = game.players.filter((p) => p.teamId === team.id);
+      return {
+        ...team,
+        score: members.reduce((total, p) => total + p.score, 0),
+        playerIds: members.map((p) => p.id),
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+};
+
+export const getTeamColor = (game: Game, teamId?: number | null) =>
+  game.teams?.find((team) => team.id === teamId)?.color;
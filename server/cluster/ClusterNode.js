@@ -0,0 +1,278 @@
+// Cluster Node - This instance's part in a cluster: keeps its lease alive,
+// claims and snapshots the rooms it runs, takes over rooms from instances
+// that went down, and sends messages to the other instances
+import logger from "../utils/logger.js";
+
+class ClusterNode {
+  constructor({
+    adapter,
+    instanceId,
+    gameManager,
+    heartbeatMs,
+    leaseMs,
+    onRoomRestored = () => {},
+  }) {
+    this.adapter = adapter;
+    this.instanceId = instanceId;
+    this.gameManager = gameManager;
+    this.heartbeatMs = heartbeatMs;
+    this.leaseMs = leaseMs;
+    // Called with each game taken over from another instance, to restart
+    // its timers
+    this.onRoomRestored = onRoomRestored;
+    // Instances holding a lease, as of the last heartbeat
+    this.liveInstances = new Set([instanceId]);
+    // Owning instance per game id, as of the last look at the room claims
+    this.roomOwners = new Map();
+    // Room codes this instance claimed -> when, so claims that never became
+    // a room can be given back
+    this.claims = new Map();
+    // Games saved at least once, and games changed since their last save.
+    // Snapshots are only built on the heartbeat, as they carry the replay.
+    this.savedRooms = new Set();
+    this.dirtyRooms = new Set();
+    // Public rooms of the other instances, by instance id
+    this.remoteRooms = new Map();
+    this.sharedRooms = "[]";
+    // Message handlers by message type
+    this.handlers = new Map();
+    this.timer = null;
+    this.beating = false;
+    this.refreshing = null;
+  }
+
+  async start() {
+    await this.adapter.connect();
+    this.adapter.subscribe((message) => this.handleMessage(message));
+    await this.heartbeat();
+
+    this.timer = setInterval(async () => {
+      try {
+        await this.heartbeat();
+      } catch (error) {
+        logger.error("Cluster heartbeat failed", { error: error.message });
+      }
+    }, this.heartbeatMs);
+
+    logger.info("Joined cluster", {
+      instanceId: this.instanceId,
+      adapter: this.adapter.name,
+    });
+  }
+
+  // Leaves rooms claimed, so a stopped instance fails over like a crashed
+  // one
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.adapter.close();
+  }
+
+  async heartbeat() {
+    if (this.beating) return;
+    this.beating = true;
+
+    try {
+      await this.adapter.heartbeat(this.instanceId);
+      this.liveInstances = new Set(await this.adapter.getLiveInstances());
+
+      for (const [gameId, game] of this.gameManager.games) {
+        // A running game's clock and canvas move between game updates
+        if (
+          game.status === "playing" ||
+          this.dirtyRooms.has(gameId) ||
+          !this.savedRooms.has(gameId)
+        ) {
+          await this.saveRoom(gameId);
+        }
+      }
+      await this.releaseClosedRooms();
+      await this.refreshRooms();
+
+      // Repeat the room list for instances that joined since it changed
+      await this.publish("rooms", JSON.parse(this.sharedRooms));
+    } finally {
+      this.beating = false;
+    }
+  }
+
+  localGame(roomCode) {
+    for (const game of this.gameManager.games.values()) {
+      if (game.roomCode === roomCode) return game;
+    }
+    return null;
+  }
+
+  // Claim a room for this instance unless a live instance owns it. Taking
+  // a room over restores it from the last snapshot its owner saved.
+  // Returns the owning instance's id.
+  async claimRoom(roomCode) {
+    const owner = await this.adapter.claimRoom(roomCode, this.instanceId);
+    if (owner !== this.instanceId) return owner;
+
+    if (!this.claims.has(roomCode)) {
+      this.claims.set(roomCode, Date.now());
+    }
+    if (!this.localGame(roomCode)) {
+      const snapshot = await this.adapter.loadRoom(roomCode);
+      if (snapshot) this.restoreRoom(snapshot);
+    }
+    return owner;
+  }
+
+  restoreRoom(snapshot) {
+    // Another claim for the room may have restored it meanwhile
+    if (this.gameManager.games.has(snapshot.game.id)) return;
+
+    const game = this.gameManager.restoreRoom(snapshot);
+    this.roomOwners.set(game.id, this.instanceId);
+
+    logger.info("Took over room", {
+      roomCode: game.roomCode,
+      gameId: game.id,
+      instanceId: this.instanceId,
+    });
+    this.onRoomRestored(game);
+  }
+
+  // The instance running a game, or null when no live instance has it
+  async ownerOfGame(gameId) {
+    if (this.gameManager.games.has(gameId)) return this.instanceId;
+
+    if (!this.liveInstances.has(this.roomOwners.get(gameId))) {
+      await this.refreshRooms();
+      if (this.gameManager.games.has(gameId)) return this.instanceId;
+    }
+
+    const owner = this.roomOwners.get(gameId);
+    return this.liveInstances.has(owner) ? owner : null;
+  }
+
+  // Look at every room claim, taking over the rooms of instances that are
+  // down. Concurrent calls share one look.
+  refreshRooms() {
+    if (!this.refreshing) {
+      this.refreshing = this.loadRoomOwners().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  async loadRoomOwners() {
+    const rooms = await this.adapter.listRooms();
+    this.roomOwners = new Map(
+      rooms.filter((room) => room.gameId).map((r) => [r.gameId, r.instanceId])
+    );
+
+    for (const room of rooms) {
+      if (!this.liveInstances.has(room.instanceId)) {
+        const owner = await this.claimRoom(room.roomCode);
+        if (room.gameId) this.roomOwners.set(room.gameId, owner);
+      }
+    }
+  }
+
+  // Note a change to a local room. Its first save happens right away, so
+  // the other instances can find the room by game id; later changes are
+  // saved on the next heartbeat.
+  async roomChanged(gameId) {
+    if (this.savedRooms.has(gameId)) {
+      this.dirtyRooms.add(gameId);
+      return;
+    }
+    await this.saveRoom(gameId);
+  }
+
+  // Save a local room's snapshot, so another instance can take the room
+  // over if this one goes down
+  async saveRoom(gameId) {
+    const snapshot = this.gameManager.exportRoom(gameId);
+    if (!snapshot) return;
+
+    const { roomCode } = snapshot.game;
+    if (
+      !this.claims.has(roomCode) &&
+      (await this.claimRoom(roomCode)) !== this.instanceId
+    ) {
+      logger.warn("Room is owned by another instance", { roomCode, gameId });
+      return;
+    }
+
+    // Changes made while saving wait for the next heartbeat
+    this.dirtyRooms.delete(gameId);
+    this.savedRooms.add(gameId);
+    const saved = await this.adapter.saveRoom(
+      roomCode,
+      this.instanceId,
+      gameId,
+      JSON.stringify(snapshot)
+    );
+
+    // This instance was taken for dead and the room moved on without it
+    if (!saved) {
+      logger.warn("Lost room to another instance", { roomCode, gameId });
+      this.claims.delete(roomCode);
+      this.savedRooms.delete(gameId);
+      this.dirtyRooms.delete(gameId);
+      this.gameManager.deleteGame(gameId);
+    }
+  }
+
+  // Give back claims on rooms that closed, or that were never opened
+  async releaseClosedRooms() {
+    const now = Date.now();
+    for (const [roomCode, claimedAt] of this.claims) {
+      if (this.localGame(roomCode) || now - claimedAt < this.leaseMs) continue;
+
+      this.claims.delete(roomCode);
+      await this.adapter.releaseRoom(roomCode, this.instanceId);
+    }
+
+    for (const gameId of this.savedRooms) {
+      if (!this.gameManager.games.has(gameId)) {
+        this.savedRooms.delete(gameId);
+        this.dirtyRooms.delete(gameId);
+      }
+    }
+  }
+
+  // Share this instance's public rooms with the other instances' room
+  // browsers
+  shareRooms(rooms) {
+    const serialized = JSON.stringify(rooms);
+    if (serialized === this.sharedRooms) return;
+
+    this.sharedRooms = serialized;
+    this.publish("rooms", rooms).catch((error) => {
+      logger.error("Error sharing room list", { error: error.message });
+    });
+  }
+
+  // Public rooms on the other live instances
+  getRemoteRooms() {
+    return [...this.remoteRooms]
+      .filter(([instanceId]) => this.liveInstances.has(instanceId))
+      .flatMap(([, rooms]) => rooms);
+  }
+
+  // Send a message to one instance, or to all the others without one
+  publish(type, data, to = null) {
+    return this.adapter.publish({ from: this.instanceId, to, type, data });
+  }
+
+  onMessage(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  handleMessage({ from, to, type, data }) {
+    if (from === this.instanceId || (to && to !== this.instanceId)) return;
+
+    if (type === "rooms") {
+      this.remoteRooms.set(from, data);
+    }
+    this.handlers.get(type)?.(data, from);
+  }
+}
+
+export default ClusterNode;
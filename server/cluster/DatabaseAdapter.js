@@ -0,0 +1,171 @@
+// Database cluster adapter - shares rooms through the game database, so
+// instances on one SQLite file or one SQLite Cloud database can run side by
+// side. Messages are rows the instances poll for.
+import { getDatabase } from "../database.js";
+import logger from "../utils/logger.js";
+
+// Messages older than this are pruned; every live instance has read them
+const MESSAGE_TTL = 60 * 1000;
+
+class DatabaseAdapter {
+  constructor({ leaseMs, pollMs }) {
+    this.name = "database";
+    this.leaseMs = leaseMs;
+    this.pollMs = pollMs;
+    this.handler = null;
+    this.lastMessageId = 0;
+    this.pollTimer = null;
+    this.polling = false;
+  }
+
+  async connect() {
+    const db = getDatabase();
+
+    await db.sql`
+      CREATE TABLE IF NOT EXISTS cluster_instances (
+        id TEXT PRIMARY KEY,
+        heartbeat_at INTEGER NOT NULL
+      )
+    `;
+    await db.sql`
+      CREATE TABLE IF NOT EXISTS cluster_rooms (
+        room_code TEXT PRIMARY KEY,
+        game_id TEXT,
+        instance_id TEXT NOT NULL,
+        snapshot TEXT,
+        updated_at INTEGER NOT NULL
+      )
+    `;
+    await db.sql`
+      CREATE TABLE IF NOT EXISTS cluster_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        payload TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+      )
+    `;
+
+    // Only messages sent from now on are for this instance
+    const [latest] = await db.sql`SELECT MAX(id) AS id FROM cluster_messages`;
+    this.lastMessageId = latest?.id || 0;
+    this.pollTimer = setInterval(() => this.poll(), this.pollMs);
+  }
+
+  async close() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+    this.handler = null;
+  }
+
+  async heartbeat(instanceId) {
+    const db = getDatabase();
+    const now = Date.now();
+
+    await db.sql`INSERT INTO cluster_instances (id, heartbeat_at) VALUES (${instanceId}, ${now})
+      ON CONFLICT(id) DO UPDATE SET heartbeat_at = excluded.heartbeat_at`;
+    await db.sql`DELETE FROM cluster_messages WHERE created_at < ${
+      now - MESSAGE_TTL
+    }`;
+  }
+
+  async getLiveInstances() {
+    const db = getDatabase();
+    const rows =
+      await db.sql`SELECT id FROM cluster_instances WHERE heartbeat_at >= ${
+        Date.now() - this.leaseMs
+      }`;
+    return rows.map((row) => row.id);
+  }
+
+  // Returns the owner after the claim: this instance unless a live one
+  // already had the room. One statement, so two instances can't both win.
+  async claimRoom(roomCode, instanceId) {
+    const db = getDatabase();
+    const now = Date.now();
+
+    await db.sql`INSERT INTO cluster_rooms (room_code, instance_id, updated_at) VALUES (${roomCode}, ${instanceId}, ${now})
+      ON CONFLICT(room_code) DO UPDATE SET instance_id = excluded.instance_id, updated_at = excluded.updated_at
+      WHERE cluster_rooms.instance_id = excluded.instance_id
+        OR cluster_rooms.instance_id NOT IN (SELECT id FROM cluster_instances WHERE heartbeat_at >= ${
+          now - this.leaseMs
+        })`;
+    const [room] =
+      await db.sql`SELECT instance_id FROM cluster_rooms WHERE room_code = ${roomCode}`;
+    return room?.instance_id || null;
+  }
+
+  // The snapshot is JSON text; only the owner may save it
+  async saveRoom(roomCode, instanceId, gameId, snapshot) {
+    const db = getDatabase();
+    const result =
+      await db.sql`UPDATE cluster_rooms SET game_id = ${gameId}, snapshot = ${snapshot}, updated_at = ${Date.now()}
+      WHERE room_code = ${roomCode} AND instance_id = ${instanceId}`;
+    return result.changes > 0;
+  }
+
+  async loadRoom(roomCode) {
+    const db = getDatabase();
+    const [room] =
+      await db.sql`SELECT snapshot FROM cluster_rooms WHERE room_code = ${roomCode}`;
+    return room?.snapshot ? JSON.parse(room.snapshot) : null;
+  }
+
+  async releaseRoom(roomCode, instanceId) {
+    const db = getDatabase();
+    await db.sql`DELETE FROM cluster_rooms WHERE room_code = ${roomCode} AND instance_id = ${instanceId}`;
+  }
+
+  async listRooms() {
+    const db = getDatabase();
+    const rows =
+      await db.sql`SELECT room_code, game_id, instance_id FROM cluster_rooms`;
+    return rows.map((row) => ({
+      roomCode: row.room_code,
+      gameId: row.game_id,
+      instanceId: row.instance_id,
+    }));
+  }
+
+  // Every instance reads every message, the sender included. Returns the
+  // message id.
+  async publish(message) {
+    const db = getDatabase();
+    const result =
+      await db.sql`INSERT INTO cluster_messages (payload, created_at) VALUES (${JSON.stringify(
+        message
+      )}, ${Date.now()})`;
+    return String(result.lastID);
+  }
+
+  subscribe(handler) {
+    this.handler = handler;
+  }
+
+  // Hand new messages to the subscriber in the order they were sent
+  async poll() {
+    if (this.polling || !this.handler) return;
+    this.polling = true;
+
+    try {
+      const db = getDatabase();
+      const rows =
+        await db.sql`SELECT id, payload FROM cluster_messages WHERE id > ${this.lastMessageId} ORDER BY id`;
+
+      for (const row of rows) {
+        this.lastMessageId = row.id;
+        try {
+          this.handler(JSON.parse(row.payload));
+        } catch (error) {
+          logger.error("Error handling cluster message", {
+            error: error.message,
+          });
+        }
+      }
+    } catch (error) {
+      logger.error("Error polling cluster messages", { error: error.message });
+    } finally {
+      this.polling = false;
+    }
+  }
+}
+
+export default DatabaseAdapter;
@@ -0,0 +1,111 @@
+// Local cluster adapter - an in-process stand-in for tests. Instances
+// created in one process share a hub, as separate servers would share a
+// database; nothing crosses process boundaries.
+
+function createHub() {
+  return {
+    // Instance id -> time of its last heartbeat
+    instances: new Map(),
+    // Room code -> { gameId, instanceId, snapshot }
+    rooms: new Map(),
+    subscribers: new Set(),
+  };
+}
+
+const sharedHub = createHub();
+
+class LocalAdapter {
+  constructor({ leaseMs, hub = sharedHub }) {
+    this.name = "local";
+    this.leaseMs = leaseMs;
+    this.hub = hub;
+    this.handler = null;
+  }
+
+  // A hub of its own, for tests that want a clean cluster
+  static createHub() {
+    return createHub();
+  }
+
+  async connect() {}
+
+  async close() {
+    this.hub.subscribers.delete(this.handler);
+    this.handler = null;
+  }
+
+  async heartbeat(instanceId) {
+    this.hub.instances.set(instanceId, Date.now());
+  }
+
+  async getLiveInstances() {
+    const since = Date.now() - this.leaseMs;
+    return [...this.hub.instances]
+      .filter(([, heartbeatAt]) => heartbeatAt >= since)
+      .map(([id]) => id);
+  }
+
+  // Returns the owner after the claim: this instance unless a live one
+  // already had the room
+  async claimRoom(roomCode, instanceId) {
+    const room = this.hub.rooms.get(roomCode);
+    const live = await this.getLiveInstances();
+
+    if (!room) {
+      this.hub.rooms.set(roomCode, {
+        gameId: null,
+        instanceId,
+        snapshot: null,
+      });
+    } else if (!live.includes(room.instanceId)) {
+      room.instanceId = instanceId;
+    }
+    return this.hub.rooms.get(roomCode).instanceId;
+  }
+
+  // The snapshot is JSON text; only the owner may save it
+  async saveRoom(roomCode, instanceId, gameId, snapshot) {
+    const room = this.hub.rooms.get(roomCode);
+    if (!room || room.instanceId !== instanceId) return false;
+
+    room.gameId = gameId;
+    room.snapshot = snapshot;
+    return true;
+  }
+
+  async loadRoom(roomCode) {
+    const snapshot = this.hub.rooms.get(roomCode)?.snapshot;
+    return snapshot ? JSON.parse(snapshot) : null;
+  }
+
+  async releaseRoom(roomCode, instanceId) {
+    if (this.hub.rooms.get(roomCode)?.instanceId === instanceId) {
+      this.hub.rooms.delete(roomCode);
+    }
+  }
+
+  async listRooms() {
+    return [...this.hub.rooms].map(([roomCode, room]) => ({
+      roomCode,
+      gameId: room.gameId,
+      instanceId: room.instanceId,
+    }));
+  }
+
+  // Messages go to every subscriber, the sender included, on a later tick
+  // and as copies, like they would over the wire
+  async publish(message) {
+    const payload = JSON.stringify(message);
+    setImmediate(() => {
+      this.hub.subscribers.forEach((handler) => handler(JSON.parse(payload)));
+    });
+    return "";
+  }
+
+  subscribe(handler) {
+    this.handler = handler;
+    this.hub.subscribers.add(handler);
+  }
+}
+
+export default LocalAdapter;
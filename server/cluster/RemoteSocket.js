@@ -0,0 +1,49 @@
+// Remote Socket - Stands in for a client of another instance, so the
+// instance owning a room can run the client's events for it. Everything it
+// sends reaches the real socket through the Socket.IO adapter.
+class RemoteSocket {
+  constructor(io, { id, handshake }) {
+    this.io = io;
+    this.id = id;
+    this.handshake = handshake;
+    this.handlers = new Map();
+  }
+
+  // What the owner needs to know about a real socket to stand in for it
+  static describe(socket) {
+    return {
+      id: socket.id,
+      handshake: {
+        headers: {
+          "x-forwarded-for": socket.handshake.headers["x-forwarded-for"],
+        },
+        address: socket.handshake.address,
+      },
+    };
+  }
+
+  on(event, handler) {
+    this.handlers.set(event, handler);
+    return this;
+  }
+
+  emit(event, ...args) {
+    this.io.to(this.id).emit(event, ...args);
+    return true;
+  }
+
+  join(room) {
+    this.io.in(this.id).socketsJoin(room);
+  }
+
+  leave(room) {
+    this.io.in(this.id).socketsLeave(room);
+  }
+
+  // Run the handler the connection code registered for an event
+  dispatch(event, args = []) {
+    return this.handlers.get(event)?.(...args);
+  }
+}
+
+export default RemoteSocket;
@@ -0,0 +1,56 @@
+// Cluster adapter - picks how server instances share rooms, from config
+//
+// Without CLUSTER_ADAPTER the server runs as a single instance, as before.
+// With it, each room is owned by one instance that runs its game and
+// timers; the others pass their clients' events for the room along to the
+// owner. Adapters provide:
+//   connect(), close()
+//   heartbeat(instanceId), getLiveInstances() - instance leases
+//   claimRoom(roomCode, instanceId) - atomic room ownership
+//   saveRoom(), loadRoom(), releaseRoom(), listRooms() - room snapshots
+//   publish(message), subscribe(handler) - messages between instances
+import os from "os";
+import { v4 as uuidv4 } from "uuid";
+
+export const CLUSTER_ADAPTERS = ["local", "database"];
+
+function parseMs(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed <= 0 ? fallback : parsed;
+}
+
+// Returns null when clustering is off. An instance whose heartbeat is older
+// than the lease counts as down and its rooms move to another instance.
+export function resolveClusterConfig(env = process.env) {
+  if (!env.CLUSTER_ADAPTER) return null;
+
+  const heartbeatMs = parseMs(env.CLUSTER_HEARTBEAT_MS, 2000);
+  return {
+    adapter: env.CLUSTER_ADAPTER,
+    instanceId:
+      env.CLUSTER_INSTANCE_ID || `${os.hostname()}-${uuidv4().slice(0, 8)}`,
+    heartbeatMs,
+    leaseMs: parseMs(env.CLUSTER_LEASE_MS, heartbeatMs * 3),
+    pollMs: parseMs(env.CLUSTER_POLL_MS, 50),
+  };
+}
+
+// Adapters are imported lazily so unused backends never load
+export async function createClusterAdapter(config) {
+  switch (config.adapter) {
+    case "local": {
+      const { default: LocalAdapter } = await import("./LocalAdapter.js");
+      return new LocalAdapter(config);
+    }
+    case "database": {
+      const { default: DatabaseAdapter } = await import("./DatabaseAdapter.js");
+      return new DatabaseAdapter(config);
+    }
+    default:
+      throw new Error(
+        `Unknown CLUSTER_ADAPTER "${
+          config.adapter
+        }". Expected one of: ${CLUSTER_ADAPTERS.join(", ")}`
+      );
+  }
+}
@@ -0,0 +1,52 @@
+// Socket.IO adapter that carries broadcasts between instances as cluster
+// messages, so io.to(room).emit and socketsJoin reach every instance's
+// clients
+import { ClusterAdapterWithHeartbeat } from "socket.io-adapter";
+
+class ClusterSocketAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, node) {
+    // Socket.IO counts instances on its own heartbeat; keep it in step with
+    // the cluster's leases
+    super(nsp, {
+      heartbeatInterval: node.heartbeatMs,
+      heartbeatTimeout: node.leaseMs,
+    });
+    this.node = node;
+    this.messageType = `socket.io:${nsp.name}`;
+
+    // Responses go back to the instance that asked
+    node.onMessage(this.messageType, ({ message, requesterUid }) => {
+      if (!requesterUid) {
+        this.onMessage(message);
+      } else if (requesterUid === this.uid) {
+        this.onResponse(message);
+      }
+    });
+  }
+
+  doPublish(message) {
+    return this.node.publish(this.messageType, { message });
+  }
+
+  async doPublishResponse(requesterUid, response) {
+    await this.node.publish(this.messageType, {
+      message: response,
+      requesterUid,
+    });
+  }
+}
+
+/**
+ * Socket.IO adapter for io.adapter(), sending through a cluster node
+ *
+ * @param {ClusterNode} node - This instance's cluster node
+ * @returns {Function} - Creates the adapter for each namespace
+ */
+export function createSocketAdapter(node) {
+  return function (nsp) {
+    const adapter = new ClusterSocketAdapter(nsp, node);
+    // Announce this instance so the others start counting it
+    adapter.init();
+    return adapter;
+  };
+}
@@ -1,17 +1,11 @@
-import { Database } from "@sqlitecloud/drivers";
 import dotenv from "dotenv";
+import { resolveStorageConfig, createDriver } from "./storage/index.js";
 
 // Load environment variables
 dotenv.config();
 
-// SQLite Cloud connection from environment variable
-const connectionString = process.env.SQLITECLOUD_CONNECTION_STRING;
-
-if (!connectionString) {
-  throw new Error(
-    "SQLITECLOUD_CONNECTION_STRING environment variable is required"
-  );
-}
+// Storage backend is chosen by DATABASE_DRIVER (sqlitecloud, sqlite, memory)
+let storageConfig = resolveStorageConfig();
 
 let db;
 let connectionRetries = 0;
@@ -21,17 +15,20 @@ const RETRY_DELAY = 1000; // 1 second
 // Initialize database connection with retry logic
 async function connectToDatabase() {
   try {
-    console.log("🔗 Connecting to SQLite Cloud...");
-    db = new Database(connectionString);
+    const driver = await createDriver(storageConfig);
+
+    console.log(`🔗 Connecting to ${driver.name} database...`);
+    await driver.connect();
 
     // Test the connection
-    await db.sql`SELECT 1`;
+    await driver.sql`SELECT 1`;
 
-    console.log("✅ Connected to SQLite Cloud successfully!");
+    db = driver;
+    console.log(`✅ Connected to ${driver.name} database successfully!`);
     connectionRetries = 0; // Reset retry counter on successful connection
     return db;
   } catch (error) {
-    console.error("❌ Error connecting to SQLite Cloud:", error);
+    console.error("❌ Error connecting to database:", error);
 
     if (connectionRetries < MAX_RETRIES) {
       connectionRetries++;
@@ -50,7 +47,7 @@ async function connectToDatabase() {
 async function reconnectDatabase() {
   console.log("🔄 Attempting to reconnect to database...");
   try {
-    db = null; // Clear existing connection
+    await closeDatabase();
     await connectToDatabase();
     return db;
   } catch (error) {
@@ -75,11 +72,7 @@ async function executeQuery(queryFn) {
       console.error(`❌ Query attempt ${attempt} failed:`, error.message);
 
       // Check if it's a connection error
-      if (
-        error.errorCode === "ERR_CONNECTION_NOT_ESTABLISHED" ||
-        error.message.includes("Connection unavailable") ||
-        error.message.includes("disconnected")
-      ) {
+      if (db && db.isConnectionError(error)) {
         if (attempt < maxAttempts) {
           console.log(
             `🔄 Reconnecting and retrying (attempt ${
@@ -106,8 +99,14 @@ async function executeQuery(queryFn) {
   }
 }
 
-// Initialize database tables
-export async function initDatabase() {
+// Initialize database tables. Options override the environment config,
+// e.g. initDatabase({ driver: "memory" }) for tests.
+export async function initDatabase(options = {}) {
+  if (Object.keys(options).length > 0) {
+    await closeDatabase();
+    storageConfig = { ...storageConfig, ...options };
+  }
+
   try {
     console.log("🏗️  Creating database tables...");
 
@@ -151,10 +150,85 @@ export async function initDatabase() {
         CREATE TABLE IF NOT EXISTS words (
           id INTEGER PRIMARY KEY AUTOINCREMENT,
           word TEXT NOT NULL UNIQUE,
-          difficulty TEXT DEFAULT 'medium'
+          difficulty TEXT DEFAULT 'medium',
+          category TEXT DEFAULT 'general'
         )
       `;
 
+      // Word tables created before categories existed lack the column
+      const wordColumns = await db.sql`PRAGMA table_info(words)`;
+      if (!wordColumns.some((column) => column.name === "category")) {
+        await db.sql`ALTER TABLE words ADD COLUMN category TEXT DEFAULT 'general'`;
+      }
+
+      await db.sql`CREATE INDEX IF NOT EXISTS idx_words_category ON words(category)`;
+
+      // Words offered or drawn per room, so rooms avoid repeating them
+      await db.sql`
+        CREATE TABLE IF NOT EXISTS word_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          room_code TEXT NOT NULL,
+          play_id TEXT NOT NULL,
+          word TEXT NOT NULL,
+          used_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `;
+
+      await db.sql`CREATE INDEX IF NOT EXISTS idx_word_history_room ON word_history(room_code, play_id)`;
+
+      // Players banned from a room, or from every room when room_code is
+      // "*". Bans match the player's token or, when enabled, their address;
+      // both are stored hashed.
+      await db.sql`
+        CREATE TABLE IF NOT EXISTS room_bans (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          room_code TEXT NOT NULL,
+          player_name TEXT NOT NULL,
+          token_hash TEXT,
+          client_key_hash TEXT,
+          banned_by TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `;
+
+      await db.sql`CREATE INDEX IF NOT EXISTS idx_room_bans_room ON room_bans(room_code)`;
+
+      // Players' reports of chat or a drawing, with what was said and drawn
+      // at the time. The reported player's identity is hashed as for bans.
+      await db.sql`
+        CREATE TABLE IF NOT EXISTS reports (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          game_id TEXT NOT NULL,
+          room_code TEXT NOT NULL,
+          kind TEXT NOT NULL,
+          reason TEXT,
+          reporter_id TEXT NOT NULL,
+          reporter_name TEXT NOT NULL,
+          reported_id TEXT NOT NULL,
+          reported_name TEXT NOT NULL,
+          token_hash TEXT,
+          client_key_hash TEXT,
+          word TEXT,
+          message_id INTEGER,
+          chat_snapshot TEXT,
+          drawing_snapshot TEXT,
+          status TEXT DEFAULT 'open',
+          resolution TEXT,
+          note TEXT,
+          resolved_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `;
+
+      // Report tables created before single messages could be reported
+      // lack the reported message's id
+      const reportColumns = await db.sql`PRAGMA table_info(reports)`;
+      if (!reportColumns.some((column) => column.name === "message_id")) {
+        await db.sql`ALTER TABLE reports ADD COLUMN message_id INTEGER`;
+      }
+
+      await db.sql`CREATE INDEX IF NOT EXISTS idx_reports_status ON reports(status)`;
+
       await db.sql`
         CREATE TABLE IF NOT EXISTS chat_messages (
           id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -176,10 +250,29 @@ export async function initDatabase() {
           total_score INTEGER DEFAULT 0,
           correct_guesses INTEGER DEFAULT 0,
           words_drawn INTEGER DEFAULT 0,
+          drawing_likes INTEGER DEFAULT 0,
+          drawing_dislikes INTEGER DEFAULT 0,
+          drawer_rating INTEGER,
+          player_key TEXT,
           last_played DATETIME DEFAULT CURRENT_TIMESTAMP,
           FOREIGN KEY (user_id) REFERENCES users(id)
         )
       `;
+
+      // Stats tables created before drawings could be rated lack the
+      // rating columns. drawer_rating is the percent of ratings that were
+      // likes, or NULL before any; player_key is the hash of the player
+      // token, so a drawer's ratings land on one row across reconnects.
+      const statsColumns = await db.sql`PRAGMA table_info(player_stats)`;
+      if (!statsColumns.some((column) => column.name === "drawer_rating")) {
+        await db.sql`ALTER TABLE player_stats ADD COLUMN drawing_likes INTEGER DEFAULT 0`;
+        await db.sql`ALTER TABLE player_stats ADD COLUMN drawing_dislikes INTEGER DEFAULT 0`;
+        await db.sql`ALTER TABLE player_stats ADD COLUMN drawer_rating INTEGER`;
+      }
+      if (!statsColumns.some((column) => column.name === "player_key")) {
+        await db.sql`ALTER TABLE player_stats ADD COLUMN player_key TEXT`;
+      }
+      await db.sql`CREATE INDEX IF NOT EXISTS idx_player_stats_key ON player_stats(player_key)`;
     });
 
     console.log("✅ Database tables created successfully");
@@ -198,9 +291,9 @@ export async function initDatabase() {
       console.log(`📊 Database contains ${wordCount} words`);
     }
 
-    console.log("🎉 SQLite Cloud database initialized successfully!");
+    console.log("🎉 Database initialized successfully!");
   } catch (error) {
-    console.error("❌ Error initializing SQLite Cloud database:", error);
+    console.error("❌ Error initializing database:", error);
     throw error;
   }
 }
@@ -216,6 +309,15 @@ export function getDatabase() {
   };
 }
 
+// Close the current connection, if any
+export async function closeDatabase() {
+  if (db) {
+    const current = db;
+    db = null;
+    await current.close();
+  }
+}
+
 // Health check function
 export async function checkDatabaseHealth() {
   try {
@@ -1,30 +1,148 @@
 import { v4 as uuidv4 } from "uuid";
 import { getDatabase, checkDatabaseHealth } from "./database.js";
-import { sanitizeGameForPlayer } from "./utils/gameSanitizer.js";
+import EventService from "./services/EventService.js";
+import messageQueue from "./services/MessageQueue.js";
+import ReplayRecorder from "./services/ReplayRecorder.js";
+import ReplayService from "./services/ReplayService.js";
+import WordService from "./services/WordService.js";
+import StatsService from "./services/StatsService.js";
+import {
+  sanitizeGameForPlayer,
+  getAllParticipants,
+} from "./utils/gameSanitizer.js";
+import {
+  isCloseGuess,
+  DEFAULT_CLOSE_GUESS_THRESHOLD,
+} from "./utils/guessMatcher.js";
+import {
+  getScoringStrategy,
+  DEFAULT_SCORING_STRATEGY,
+} from "./scoring/index.js";
+import {
+  createTeams,
+  smallestTeam,
+  balanceTeams,
+  interleaveByTeam,
+  getTeamScores,
+} from "./utils/teams.js";
+import {
+  hashPassword,
+  verifyPassword,
+  createInvite,
+  isInviteValid,
+} from "./utils/roomAccess.js";
+import {
+  DEFAULT_VOTE_KICK_MAJORITY,
+  rebindVoteKick,
+} from "./utils/voteKick.js";
+import { DEFAULT_CHAT_POLICY } from "./utils/chatModeration.js";
+import {
+  DEFAULT_RATING_BONUS,
+  countRatings,
+  drawingBonus,
+} from "./utils/drawingRatings.js";
+
+const { EVENT_TYPES } = EventService;
+
+// Number of words the drawer picks from each turn
+const WORD_CHOICE_COUNT = 3;
+
+// Word difficulties, easiest first. Mixed rooms offer one of each per turn.
+const DIFFICULTIES = ["easy", "medium", "hard"];
+
+// Harder words are worth more to everyone, whatever the scoring strategy
+const DIFFICULTY_MULTIPLIERS = { easy: 1, medium: 1.5, hard: 2 };
+
+// Seconds the other teams get to steal a word the drawer's team missed
+const STEAL_TIME = 15;
+
+// Plays of word history kept per room; covers the longest look-back window
+const WORD_HISTORY_KEEP_GAMES = 10;
+
+// Random sample of up to count items, without repeats
+function sampleWords(words, count) {
+  const pool = [...words];
+  for (let i = pool.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, count);
+}
 
 class GameManager {
   constructor() {
     this.games = new Map();
     this.timers = new Map();
     this.hintTimers = new Map();
+    // Durable player tokens -> { gameId, userId, clientKey } for session
+    // resumption and bans
+    this.playerSessions = new Map();
+    // Pending removals for disconnected players, keyed by user id
+    this.disconnectTimers = new Map();
+    // Undone strokes per game, newest last, until a new stroke is drawn
+    this.redoStacks = new Map();
+    // Room word lists, kept off the game object so they never reach guessers
+    this.wordLists = new Map();
+    // Each room's password hash and open invites, which never leave the
+    // server: { passwordHash, invites: Map of token to invite }
+    this.roomAccess = new Map();
+    // Words used per game: { playId, current, previous } where current holds
+    // this play's words and previous those of the room's recent plays
+    this.wordHistory = new Map();
+    // Scoring for each game's current turn: { awards, guessed, ratings }
+    // where awards make up the round-end breakdown, guessed holds who got
+    // the word and ratings maps each player who rated the drawing to 1 or -1
+    this.turnScores = new Map();
+    // Expiry timers for each room's open vote-kick, which lives on
+    // game.voteKick
+    this.voteKickTimers = new Map();
+    // Player tokens the room owner muted, per game, so a mute outlasts the
+    // muted player leaving and rejoining
+    this.mutedTokens = new Map();
+    this.replayRecorder = new ReplayRecorder();
+    this.replayService = new ReplayService();
+    this.wordService = new WordService();
+    this.statsService = new StatsService();
   }
 
   // Helper method to broadcast sanitized game updates
   broadcastGameUpdate(io, gameId, game) {
     if (!io || !game) return;
 
-    // Send personalized game state to each player
-    game.players.forEach((player) => {
+    // Send personalized game state to each player and spectator
+    getAllParticipants(game).forEach((player) => {
       const sanitizedGame = sanitizeGameForPlayer(game, player.id);
       io.to(player.id).emit("game-update", sanitizedGame);
     });
   }
 
+  // Queue an audit event; the game-events handler persists it in order
+  recordEvent(gameId, eventType, eventData = {}, userId = null) {
+    messageQueue.enqueue("game-events", {
+      gameId,
+      eventType,
+      eventData,
+      userId,
+    });
+  }
+
   async createGame(roomCode, settings = {}) {
     try {
       const db = getDatabase();
       const gameId = uuidv4();
-      const { drawTime = 80, maxRounds = 3 } = settings;
+      const {
+        drawTime = 80,
+        maxRounds = 3,
+        closeGuessThreshold = DEFAULT_CLOSE_GUESS_THRESHOLD,
+        scoringStrategy = DEFAULT_SCORING_STRATEGY,
+        teamCount = 0,
+        teamGuessing = "all",
+        isPublic = false,
+        language = "en",
+        voteKickMajority = DEFAULT_VOTE_KICK_MAJORITY,
+        chatPolicy = DEFAULT_CHAT_POLICY,
+        ratingBonus = DEFAULT_RATING_BONUS,
+      } = settings;
       let ownerId = null;
 
       await db.sql`INSERT INTO games (id, room_code, max_rounds, owner_id) VALUES (${gameId}, ${roomCode}, ${maxRounds}, ${ownerId})`;
@@ -34,14 +152,27 @@ class GameManager {
         roomCode,
         ownerId: null, // Will be set when first player joins
         players: [],
+        spectators: [],
         playersReady: [],
-        bannedPlayers: [],
         currentWord: null,
+        currentDifficulty: null,
         wordChoices: null,
         currentDrawer: null,
         round: 1,
         maxRounds,
         drawTime,
+        closeGuessThreshold,
+        scoringStrategy,
+        teams: teamCount ? createTeams(teamCount) : null,
+        teamGuessing,
+        stealWindow: false,
+        isPublic,
+        language,
+        hasPassword: false,
+        voteKickMajority,
+        voteKick: null,
+        chatPolicy,
+        ratingBonus,
         status: "waiting",
         gamePhase: "drawing",
         timeLeft: 0,
@@ -49,6 +180,13 @@ class GameManager {
         hints: "",
         finishedAt: null,
       });
+      this.setWordList(gameId, settings);
+
+      this.recordEvent(gameId, EVENT_TYPES.GAME_CREATED, {
+        roomCode,
+        drawTime,
+        maxRounds,
+      });
 
       return gameId;
     } catch (error) {
@@ -83,10 +221,18 @@ class GameManager {
       if (!existingPlayer) {
         game.players.push({
           ...user,
+          teamId: game.teams ? smallestTeam(game.teams, game.players) : null,
           score: 0,
           isDrawer: false,
           hasGuessed: false,
+          isConnected: true,
         });
+        this.recordEvent(
+          gameId,
+          EVENT_TYPES.PLAYER_JOINED,
+          { playerName: user.name, asSpectator: false },
+          user.id
+        );
       }
 
       return game;
@@ -96,6 +242,81 @@ class GameManager {
     }
   }
 
+  // Spectators watch the game but never draw, guess or score
+  async addSpectator(gameId, user) {
+    try {
+      const db = getDatabase();
+      const game = this.games.get(gameId);
+      if (!game) return null;
+
+      await db.sql`INSERT OR REPLACE INTO users (id, name, avatar) VALUES (${
+        user.id
+      }, ${user.name}, ${user.avatar || ""})`;
+
+      const existingSpectator = game.spectators.find((s) => s.id === user.id);
+      if (!existingSpectator) {
+        game.spectators.push({
+          ...user,
+          score: 0,
+          isDrawer: false,
+          isSpectator: true,
+          isConnected: true,
+        });
+        this.recordEvent(
+          gameId,
+          EVENT_TYPES.PLAYER_JOINED,
+          { playerName: user.name, asSpectator: true },
+          user.id
+        );
+      }
+
+      return game;
+    } catch (error) {
+      console.error("Error adding spectator:", error);
+      throw new Error("Failed to join game. Database connection issue.");
+    }
+  }
+
+  async promoteSpectator(gameId, userId) {
+    try {
+      const db = getDatabase();
+      const game = this.games.get(gameId);
+      if (!game) return null;
+
+      const spectator = game.spectators.find((s) => s.id === userId);
+      if (!spectator) return null;
+
+      game.spectators = game.spectators.filter((s) => s.id !== userId);
+      game.players.push({
+        id: spectator.id,
+        name: spectator.name,
+        avatar: spectator.avatar,
+        teamId: game.teams ? smallestTeam(game.teams, game.players) : null,
+        score: 0,
+        isDrawer: false,
+        hasGuessed: false,
+        isConnected: spectator.isConnected,
+        isMuted: Boolean(spectator.isMuted),
+      });
+
+      await db.sql`INSERT OR REPLACE INTO game_players (game_id, user_id, score) VALUES (${gameId}, ${userId}, ${0})`;
+
+      this.recordEvent(
+        gameId,
+        EVENT_TYPES.SPECTATOR_PROMOTED,
+        { playerName: spectator.name },
+        userId
+      );
+
+      return game;
+    } catch (error) {
+      console.error("Error promoting spectator:", error);
+      throw new Error(
+        "Failed to promote spectator. Database connection issue."
+      );
+    }
+  }
+
   async startGame(gameId, io) {
     try {
       const db = getDatabase();
@@ -108,18 +329,27 @@ class GameManager {
       });
 
       game.status = "playing";
-      game.currentDrawer = game.players[0];
+      game.currentDrawer = this.getDrawOrder(game)[0];
+
+      await this.beginWordHistory(gameId);
 
       // Get 3 random words for choice
-      const randomWords =
-        await db.sql`SELECT word FROM words ORDER BY RANDOM() LIMIT 3`;
-      game.wordChoices = randomWords.map((row) => row.word);
+      game.wordChoices = await this.pickWordChoices(gameId);
       game.gamePhase = "choosing";
       game.timeLeft = 10; // 10 seconds to choose
       game.hints = "";
 
       await db.sql`UPDATE games SET status = ${game.status}, current_drawer = ${game.currentDrawer.id} WHERE id = ${gameId}`;
 
+      this.replayRecorder.start(gameId);
+
+      this.recordEvent(gameId, EVENT_TYPES.GAME_STARTED, {
+        players: game.players.map((p) => ({ id: p.id, name: p.name })),
+        drawerId: game.currentDrawer.id,
+        maxRounds: game.maxRounds,
+        drawTime: game.drawTime,
+      });
+
       // Send word choices to drawer (only if io is provided)
       if (io) {
         io.to(gameId).emit("word-choices", { words: game.wordChoices });
@@ -139,8 +369,18 @@ class GameManager {
       const game = this.games.get(gameId);
       if (!game) return null;
 
+      const choice = game.wordChoices?.find((c) => c.word === word);
+
       game.currentWord = word;
+      game.currentDifficulty = choice ? choice.difficulty : null;
       game.wordChoices = null;
+      game.stealWindow = false;
+      this.turnScores.set(gameId, {
+        awards: [],
+        guessed: new Set(),
+        ratings: new Map(),
+      });
+      await this.rememberWords(gameId, [word]);
       game.gamePhase = "drawing";
       game.timeLeft = game.drawTime;
       // Create proper spacing for words with spaces
@@ -156,6 +396,15 @@ class GameManager {
 
       await db.sql`UPDATE games SET current_word = ${word} WHERE id = ${gameId}`;
 
+      this.replayRecorder.beginTurn(game);
+
+      this.recordEvent(
+        gameId,
+        EVENT_TYPES.WORD_SELECTED,
+        { word, difficulty: game.currentDifficulty, round: game.round },
+        game.currentDrawer?.id || null
+      );
+
       // Clear choice timer
       this.clearChoiceTimer(gameId);
 
@@ -177,9 +426,30 @@ class GameManager {
       const db = getDatabase();
       const game = this.games.get(gameId);
       if (!game) return null;
+      // The game may have been ended while a turn change was pending
+      if (game.status !== "playing") return game;
 
       // Clear existing timers
       this.clearGameTimers(gameId);
+      game.stealWindow = false;
+
+      this.replayRecorder.endTurn(gameId);
+
+      const ratings = this.getDrawingRatings(gameId);
+      const breakdown = await this.scoreTurnEnd(gameId);
+
+      this.recordEvent(
+        gameId,
+        EVENT_TYPES.ROUND_END,
+        {
+          word: game.currentWord,
+          round: game.round,
+          scores: this.getScoreSnapshot(game),
+          breakdown,
+          ratings,
+        },
+        game.currentDrawer?.id || null
+      );
 
       // Show round end screen before proceeding
       if (io) {
@@ -188,16 +458,20 @@ class GameManager {
           drawer: game.currentDrawer?.name,
           round: game.round,
           maxRounds: game.maxRounds,
+          breakdown,
+          ratings,
         });
       }
 
       // Wait 3 seconds before proceeding to next turn
       await new Promise((resolve) => setTimeout(resolve, 3000));
+      if (game.status !== "playing") return game;
 
       // Handle case where currentDrawer might be null (e.g., after restart)
+      const drawOrder = this.getDrawOrder(game);
       let currentDrawerIndex = -1;
       if (game.currentDrawer && game.currentDrawer.id) {
-        currentDrawerIndex = game.players.findIndex(
+        currentDrawerIndex = drawOrder.findIndex(
           (p) => p.id === game.currentDrawer.id
         );
       }
@@ -207,30 +481,25 @@ class GameManager {
         currentDrawerIndex = -1; // Will become 0 after increment
       }
 
-      const nextDrawerIndex = (currentDrawerIndex + 1) % game.players.length;
+      const nextDrawerIndex = (currentDrawerIndex + 1) % drawOrder.length;
 
       if (nextDrawerIndex === 0) {
         game.round++;
         if (game.round > game.maxRounds) {
-          game.status = "finished";
-          game.finishedAt = Date.now();
-          // Owner is automatically ready when game finishes
-          game.playersReady = [game.ownerId];
-          await db.sql`UPDATE games SET status = ${"finished"} WHERE id = ${gameId}`;
-          return game;
+          return await this.finishGame(gameId);
         }
       }
 
       this.resetGuessStatus(game);
 
-      game.currentDrawer = game.players[nextDrawerIndex];
-      const randomWords =
-        await db.sql`SELECT word FROM words ORDER BY RANDOM() LIMIT 3`;
-      game.wordChoices = randomWords.map((row) => row.word);
+      game.currentDrawer = drawOrder[nextDrawerIndex];
+      game.wordChoices = await this.pickWordChoices(gameId);
       game.currentWord = null;
+      game.currentDifficulty = null;
       game.gamePhase = "choosing";
       game.timeLeft = 10;
       game.drawingData = [];
+      this.clearRedoStack(gameId);
       game.hints = "";
 
       await db.sql`UPDATE games SET current_drawer = ${game.currentDrawer.id}, round = ${game.round} WHERE id = ${gameId}`;
@@ -247,6 +516,32 @@ class GameManager {
     }
   }
 
+  // End the game with the current scores; endedBy is recorded when the game
+  // is cut short
+  async finishGame(gameId, { endedBy = null } = {}) {
+    const db = getDatabase();
+    const game = this.games.get(gameId);
+    if (!game) return null;
+
+    this.clearGameTimers(gameId);
+    this.replayRecorder.endTurn(gameId);
+    this.turnScores.delete(gameId);
+    game.stealWindow = false;
+    game.status = "finished";
+    game.finishedAt = Date.now();
+    // Owner is automatically ready when game finishes
+    game.playersReady = [game.ownerId];
+    await db.sql`UPDATE games SET status = ${"finished"} WHERE id = ${gameId}`;
+    this.recordEvent(gameId, EVENT_TYPES.GAME_FINISHED, {
+      rounds: game.maxRounds,
+      scores: this.getScoreSnapshot(game),
+      teamScores: game.teams ? getTeamScores(game.teams, game.players) : null,
+      ...(endedBy && { endedBy }),
+    });
+    await this.saveReplay(game);
+    return game;
+  }
+
   startChoiceTimer(gameId, io) {
     this.clearChoiceTimer(gameId);
 
@@ -280,7 +575,7 @@ class GameManager {
         // Auto-select first word if time runs out
         if (game.wordChoices && game.wordChoices.length > 0) {
           try {
-            await this.selectWord(gameId, game.wordChoices[0], io);
+            await this.selectWord(gameId, game.wordChoices[0].word, io);
           } catch (error) {
             console.error("Error auto-selecting word:", error);
           }
@@ -326,6 +621,12 @@ class GameManager {
       if (timeLeft <= 0) {
         clearInterval(timer);
         this.timers.delete(gameId + "_draw");
+
+        if (this.shouldOpenStealWindow(game)) {
+          this.openStealWindow(gameId, io);
+          return;
+        }
+
         this.resetGuessStatus(game);
         try {
           await this.nextTurn(gameId, io);
@@ -343,13 +644,33 @@ class GameManager {
     this.timers.set(gameId + "_draw", timer);
   }
 
-  startHintTimer(gameId, io) {
+  // Give the other teams a last chance at a word the drawer's team missed
+  openStealWindow(gameId, io) {
+    const game = this.games.get(gameId);
+    if (!game) return;
+
+    game.stealWindow = true;
+    game.timeLeft = STEAL_TIME;
+
+    if (io) {
+      io.to(gameId).emit("steal-window", {
+        teamId: this.getPlayerTeam(game, game.currentDrawer?.id),
+        timeLeft: STEAL_TIME,
+      });
+      this.broadcastGameUpdate(io, gameId, game);
+    }
+
+    this.startDrawTimer(gameId, io);
+  }
+
+  // elapsed is how many seconds of the turn have already gone by
+  startHintTimer(gameId, io, { elapsed = 0 } = {}) {
     const game = this.games.get(gameId);
     if (!game || !game.currentWord) return;
 
     const word = game.currentWord;
     const totalTime = game.drawTime;
-    const startTime = Date.now();
+    const startTime = Date.now() - elapsed * 1000;
 
     // Only reveal hints for words longer than 3 characters
     if (word.length <= 3) return;
@@ -426,6 +747,292 @@ class GameManager {
     }
   }
 
+  // Take the most recent stroke off the canvas. A stroke is the run of
+  // drawingData entries sharing a strokeId; entries without one stand alone.
+  undoStroke(gameId) {
+    const game = this.games.get(gameId);
+    if (!game || game.drawingData.length === 0) return null;
+
+    const { drawingData } = game;
+    const last = drawingData[drawingData.length - 1];
+    let start = drawingData.length - 1;
+    if (last.strokeId) {
+      while (start > 0 && drawingData[start - 1].strokeId === last.strokeId) {
+        start--;
+      }
+    }
+
+    const items = drawingData.splice(start);
+    if (!this.redoStacks.has(gameId)) {
+      this.redoStacks.set(gameId, []);
+    }
+    this.redoStacks.get(gameId).push(items);
+
+    return { strokeId: last.strokeId || null, items };
+  }
+
+  // Put the most recently undone stroke back on the canvas
+  redoStroke(gameId) {
+    const game = this.games.get(gameId);
+    const stack = this.redoStacks.get(gameId);
+    if (!game || !stack || stack.length === 0) return null;
+
+    const items = stack.pop();
+    game.drawingData.push(...items);
+
+    return { strokeId: items[0].strokeId || null, items };
+  }
+
+  clearRedoStack(gameId) {
+    this.redoStacks.delete(gameId);
+  }
+
+  // Replace the room's custom word list (already validated)
+  setWordList(
+    gameId,
+    {
+      wordMode = "default",
+      customWords = [],
+      customWordPercent = 50,
+      wordCategories = [],
+      wordDifficulty = "mixed",
+      wordHistoryGames = 3,
+    } = {}
+  ) {
+    const game = this.games.get(gameId);
+    if (!game) return null;
+
+    const wordList = {
+      wordMode,
+      customWords,
+      customWordPercent,
+      wordCategories,
+      wordDifficulty,
+      wordHistoryGames,
+    };
+    this.wordLists.set(gameId, wordList);
+
+    // Players only see a summary, never the words themselves
+    game.wordList = {
+      mode: wordMode,
+      percent: customWordPercent,
+      count: customWords.length,
+      categories: wordCategories,
+      difficulty: wordDifficulty,
+      historyGames: wordHistoryGames,
+    };
+
+    return wordList;
+  }
+
+  getRoomAccess(gameId) {
+    if (!this.roomAccess.has(gameId)) {
+      this.roomAccess.set(gameId, { passwordHash: null, invites: new Map() });
+    }
+    return this.roomAccess.get(gameId);
+  }
+
+  // Set or, with an empty password, clear the room password
+  setRoomPassword(gameId, password) {
+    const game = this.games.get(gameId);
+    if (!game) return null;
+
+    this.getRoomAccess(gameId).passwordHash = password
+      ? hashPassword(password)
+      : null;
+    game.hasPassword = Boolean(password);
+    return game;
+  }
+
+  createInvite(gameId, options) {
+    if (!this.games.has(gameId)) return null;
+
+    const { invites } = this.getRoomAccess(gameId);
+    for (const [token, invite] of invites) {
+      if (!isInviteValid(invite)) invites.delete(token);
+    }
+
+    const invite = createInvite(options);
+    invites.set(invite.token, invite);
+    return invite;
+  }
+
+  // How a player may enter the room: "open" without a password, "invite"
+  // with a valid invite (single-use invites are used up here), "password"
+  // with the right password, or null if they may not
+  admitToRoom(gameId, { password, inviteToken } = {}) {
+    const access = this.roomAccess.get(gameId);
+
+    const invite = inviteToken && access?.invites.get(inviteToken);
+    if (isInviteValid(invite)) {
+      if (invite.singleUse) access.invites.delete(inviteToken);
+      return "invite";
+    }
+
+    if (!access?.passwordHash) return "open";
+    return verifyPassword(password, access.passwordHash) ? "password" : null;
+  }
+
+  getWordList(gameId) {
+    return this.wordLists.get(gameId) || null;
+  }
+
+  // Start a new play's word history, loading the words the room used in its
+  // last few plays so they aren't offered again
+  async beginWordHistory(gameId) {
+    const game = this.games.get(gameId);
+    if (!game) return;
+
+    const lookBack = this.wordLists.get(gameId)?.wordHistoryGames ?? 3;
+    await this.wordService.pruneWordHistory(
+      game.roomCode,
+      WORD_HISTORY_KEEP_GAMES
+    );
+    const previous =
+      lookBack > 0
+        ? await this.wordService.getRecentWords(game.roomCode, lookBack)
+        : [];
+
+    this.wordHistory.set(gameId, {
+      playId: uuidv4(),
+      current: new Set(),
+      previous: new Set(previous),
+    });
+  }
+
+  // Add words offered or drawn this play to the game's word history
+  async rememberWords(gameId, words) {
+    const game = this.games.get(gameId);
+    const history = this.wordHistory.get(gameId);
+    if (!game || !history) return;
+
+    const newWords = words.filter(
+      (word) => !history.current.has(word.toLowerCase())
+    );
+    newWords.forEach((word) => history.current.add(word.toLowerCase()));
+
+    if (newWords.length > 0) {
+      await this.wordService.recordWordHistory(
+        game.roomCode,
+        history.playId,
+        newWords
+      );
+    }
+  }
+
+  // Pick the drawer's word choices as { word, difficulty }, easiest first.
+  // Mixed rooms get one easy, one medium and one hard word; other rooms get
+  // words of their difficulty only. Choices come from the room's custom list
+  // and/or the default words in the room's categories, topped up from all
+  // default words, and from any difficulty if a tier has run dry.
+  //
+  // Words already used this play or in the room's recent plays are skipped.
+  // Once a pool runs out, words from earlier plays come back first, then
+  // words from this play.
+  async pickWordChoices(gameId) {
+    const wordList = this.wordLists.get(gameId);
+    const customWords =
+      wordList && wordList.wordMode !== "default" ? wordList.customWords : [];
+    const wordDifficulty = wordList?.wordDifficulty || "mixed";
+    const slots =
+      wordDifficulty === "mixed"
+        ? [...DIFFICULTIES]
+        : Array(WORD_CHOICE_COUNT).fill(wordDifficulty);
+
+    let customCount = 0;
+    if (customWords.length > 0) {
+      if (wordList.wordMode === "custom") {
+        customCount = WORD_CHOICE_COUNT;
+      } else {
+        for (let i = 0; i < WORD_CHOICE_COUNT; i++) {
+          if (Math.random() * 100 < wordList.customWordPercent) customCount++;
+        }
+      }
+    }
+
+    const history = this.wordHistory.get(gameId);
+    const usedThisPlay = history ? history.current : new Set();
+    const usedBefore = history ? history.previous : new Set();
+    // Words to avoid, most to least strict
+    const exclusionLevels = [
+      [...usedBefore, ...usedThisPlay],
+      [...usedThisPlay],
+      [],
+    ];
+
+    const choices = [];
+    const chosen = new Set();
+    const addChoice = (choice) => {
+      chosen.add(choice.word.toLowerCase());
+      choices.push(choice);
+    };
+
+    // Custom words fill their slots with a word of the slot's difficulty
+    // when the list has one. The owner picked every word, so none is ever
+    // left out for being too easy or too hard.
+    const ratedCustomWords = await Promise.all(
+      sampleWords(customWords, customWords.length).map(async (word) => ({
+        word,
+        difficulty: await this.wordService.categorizeWordDifficulty(word),
+      }))
+    );
+    const isUsed = (used, c) => used.has(c.word.toLowerCase());
+    // Fresh words first, then words from earlier plays, then this play's
+    const customPools = [
+      ratedCustomWords.filter(
+        (c) => !isUsed(usedBefore, c) && !isUsed(usedThisPlay, c)
+      ),
+      ratedCustomWords.filter(
+        (c) => isUsed(usedBefore, c) && !isUsed(usedThisPlay, c)
+      ),
+      ratedCustomWords.filter((c) => isUsed(usedThisPlay, c)),
+    ];
+    const remainingSlots = sampleWords(slots, slots.length);
+    while (choices.length < customCount) {
+      const pool = customPools.find((p) => p.length > 0);
+      if (!pool) break;
+      const difficulty = remainingSlots.shift();
+      const index = pool.findIndex((c) => c.difficulty === difficulty);
+      addChoice(pool.splice(Math.max(index, 0), 1)[0]);
+    }
+
+    const categoryPasses = wordList?.wordCategories?.length
+      ? [wordList.wordCategories, []]
+      : [[]];
+
+    for (const difficulty of remainingSlots) {
+      const passes = [
+        ...categoryPasses.map((categories) => [difficulty, categories]),
+        ...categoryPasses.map((categories) => [null, categories]),
+      ];
+
+      search: for (const [passDifficulty, categories] of passes) {
+        for (const excluded of exclusionLevels) {
+          const [entry] = await this.wordService.getRandomWordEntries(
+            1,
+            passDifficulty,
+            categories,
+            [...excluded, ...chosen]
+          );
+          if (entry) {
+            addChoice(entry);
+            break search;
+          }
+        }
+      }
+    }
+
+    await this.rememberWords(
+      gameId,
+      choices.map((choice) => choice.word)
+    );
+
+    return choices.sort(
+      (a, b) =>
+        DIFFICULTIES.indexOf(a.difficulty) - DIFFICULTIES.indexOf(b.difficulty)
+    );
+  }
+
   // Filter chat messages to hide the current word
   filterChatMessage(message, currentWord) {
     if (!currentWord) return message;
@@ -447,8 +1054,12 @@ class GameManager {
       if (!game || !game.currentWord || game.gamePhase !== "drawing")
         return false;
 
-      // Don't allow drawer to guess
-      if (game.currentDrawer && game.currentDrawer.id === userId) return false;
+      // Don't allow drawer, teams waiting their turn or players who already
+      // got it to guess
+      const guessers = this.getEligibleGuessers(game);
+      if (!guessers.some((p) => p.id === userId && !p.hasGuessed)) {
+        return false;
+      }
 
       const isCorrect =
         guess.toLowerCase().trim() === game.currentWord.toLowerCase();
@@ -456,26 +1067,48 @@ class GameManager {
       if (isCorrect) {
         const player = game.players.find((p) => p.id === userId);
         if (player) {
-          // Calculate points based on time left (more time = more points)
-          const basePoints = 100;
-          const timeBonus = Math.floor((game.timeLeft / game.drawTime) * 50);
-          const points = Math.max(10, basePoints + timeBonus);
-          player.score += points;
+          const awards = getScoringStrategy(game.scoringStrategy).scoreGuess({
+            timeLeft: game.timeLeft,
+            drawTime: game.drawTime,
+            guessOrder: guessers.filter((p) => p.hasGuessed).length + 1,
+            guesserCount: guessers.length,
+          });
+
+          // Mark player as having guessed correctly before awarding points,
+          // so a guess arriving during the writes counts the next place
+          player.hasGuessed = true;
+          this.turnScores.get(gameId)?.guessed.add(userId);
 
-          // Update score in database
-          await db.sql`UPDATE game_players SET score = ${player.score} WHERE game_id = ${gameId} AND user_id = ${userId}`;
+          const points = await this.awardPoints(game, player, awards.guesser);
 
-          // Give points to drawer for each correct guess
           const drawer = game.players.find(
             (p) => p.id === game.currentDrawer.id
           );
-          if (drawer) {
-            drawer.score += 25; // Drawer gets points for each correct guess
-            await db.sql`UPDATE game_players SET score = ${drawer.score} WHERE game_id = ${gameId} AND user_id = ${game.currentDrawer.id}`;
-          }
-
-          // Mark player as having guessed correctly
-          player.hasGuessed = true;
+          const drawerPoints = drawer
+            ? await this.awardPoints(game, drawer, awards.drawer)
+            : 0;
+
+          this.replayRecorder.recordChat(gameId, {
+            userId,
+            userName: player.name,
+            isCorrect: true,
+          });
+
+          this.recordEvent(
+            gameId,
+            EVENT_TYPES.CORRECT_GUESS,
+            {
+              playerName: player.name,
+              word: game.currentWord,
+              round: game.round,
+              timeLeft: game.timeLeft,
+              difficulty: game.currentDifficulty,
+              points,
+              drawerId: game.currentDrawer.id,
+              drawerPoints,
+            },
+            userId
+          );
         }
       }
 
@@ -489,17 +1122,233 @@ class GameManager {
     }
   }
 
-  // Check if all non-drawer players have guessed correctly
+  // Add a scoring strategy's award to the player's score and the turn's
+  // breakdown, scaled by the word's difficulty. Returns the points added.
+  async awardPoints(game, player, award) {
+    if (!award) return 0;
+
+    const db = getDatabase();
+    const multiplier = DIFFICULTY_MULTIPLIERS[game.currentDifficulty] || 1;
+    const points = Math.round(award.points * multiplier);
+    player.score += points;
+
+    // Update score in database
+    await db.sql`UPDATE game_players SET score = ${player.score} WHERE game_id = ${game.id} AND user_id = ${player.id}`;
+
+    const turn = this.turnScores.get(game.id);
+    if (turn) {
+      turn.awards.push({
+        userId: player.id,
+        userName: player.name,
+        points,
+        reason:
+          multiplier === 1
+            ? award.reason
+            : `${award.reason} (×${multiplier} ${game.currentDifficulty} word)`,
+      });
+    }
+
+    return points;
+  }
+
+  // Give the turn-end awards and return the turn's score breakdown
+  async scoreTurnEnd(gameId) {
+    const game = this.games.get(gameId);
+    const turn = this.turnScores.get(gameId);
+    if (!game || !turn) return [];
+
+    // Guess flags may already be reset, so count from the turn's record.
+    // On a team turn the drawer is judged by their own team.
+    const isTeamTurn = this.isTeamTurn(game);
+    const drawerTeam = this.getPlayerTeam(game, game.currentDrawer?.id);
+    const guessers = game.players.filter(
+      (p) =>
+        p.id !== game.currentDrawer?.id &&
+        (!isTeamTurn || p.teamId === drawerTeam)
+    );
+    const { drawer: drawerAward } = getScoringStrategy(
+      game.scoringStrategy
+    ).scoreTurnEnd({
+      correctCount: guessers.filter((p) => turn.guessed.has(p.id)).length,
+      guesserCount: guessers.length,
+    });
+
+    const drawer = game.players.find((p) => p.id === game.currentDrawer?.id);
+    if (drawer) {
+      await this.awardPoints(game, drawer, drawerAward);
+    }
+
+    const ratings = countRatings(turn.ratings);
+    const bonus = drawingBonus(ratings, game.ratingBonus || 0);
+    if (drawer && bonus > 0) {
+      await this.awardPoints(game, drawer, {
+        points: bonus,
+        reason: `Drawing liked by ${ratings.likes}`,
+      });
+    }
+    const drawerToken = drawer
+      ? this.getPlayerIdentity(gameId, drawer.id)?.playerToken
+      : null;
+    if (drawerToken && ratings.likes + ratings.dislikes > 0) {
+      await this.statsService.recordDrawingRatings(
+        drawer.id,
+        drawerToken,
+        ratings
+      );
+    }
+
+    this.turnScores.delete(gameId);
+    return turn.awards;
+  }
+
+  // Like (1) or dislike (-1) the current drawing, or take a rating back
+  // with 0. Callers check that the player may rate it.
+  setDrawingRating(gameId, userId, rating) {
+    const turn = this.turnScores.get(gameId);
+    if (!turn) return false;
+
+    if (rating === 0) {
+      turn.ratings.delete(userId);
+    } else {
+      turn.ratings.set(userId, rating);
+    }
+    return true;
+  }
+
+  // Likes and dislikes on the current drawing so far
+  getDrawingRatings(gameId) {
+    const turn = this.turnScores.get(gameId);
+    return turn ? countRatings(turn.ratings) : { likes: 0, dislikes: 0 };
+  }
+
+  // A wrong guess from a player still guessing that nearly matches the word
+  checkCloseGuess(gameId, userId, guess) {
+    const game = this.games.get(gameId);
+    if (!game || !game.currentWord || game.gamePhase !== "drawing")
+      return false;
+
+    const player = this.getEligibleGuessers(game).find((p) => p.id === userId);
+    if (!player || player.hasGuessed) return false;
+
+    return isCloseGuess(guess, game.currentWord, game.closeGuessThreshold);
+  }
+
+  // Save the finished game's recording so it can be replayed later
+  async saveReplay(game) {
+    const recording = this.replayRecorder.finish(game.id);
+    if (!recording) return;
+
+    await this.replayService.saveGameReplay(game, recording);
+  }
+
+  // Scores at this point in the game, for the event log
+  getScoreSnapshot(game) {
+    return game.players.map((p) => ({
+      id: p.id,
+      name: p.name,
+      score: p.score,
+      ...(game.teams && { teamId: p.teamId }),
+    }));
+  }
+
+  // Check if everyone who may guess has guessed correctly. During a steal
+  // the first correct guess is enough.
   allPlayersGuessed(game) {
-    const nonDrawers = game.players.filter(
+    const guessers = this.getEligibleGuessers(game);
+    const correctGuessers = guessers.filter((p) => p.hasGuessed);
+    if (game.stealWindow) return correctGuessers.length > 0;
+    return guessers.length > 0 && correctGuessers.length === guessers.length;
+  }
+
+  getPlayerTeam(game, userId) {
+    return game.players.find((p) => p.id === userId)?.teamId ?? null;
+  }
+
+  // Drawing order for a round; with teams the drawer alternates between them
+  getDrawOrder(game) {
+    return game.teams
+      ? interleaveByTeam(game.teams, game.players)
+      : game.players;
+  }
+
+  // Whether only the drawer's team guesses this turn. A drawer without
+  // teammates draws for everyone.
+  isTeamTurn(game) {
+    if (!game.teams || game.teamGuessing !== "drawer-team") return false;
+
+    const drawerTeam = this.getPlayerTeam(game, game.currentDrawer?.id);
+    return game.players.some(
+      (p) => p.id !== game.currentDrawer?.id && p.teamId === drawerTeam
+    );
+  }
+
+  // Players who may guess right now: everyone but the drawer, or on a team
+  // turn the drawer's teammates, and the other teams during a steal
+  getEligibleGuessers(game) {
+    const guessers = game.players.filter(
       (p) => p.id !== game.currentDrawer?.id
     );
-    const correctGuessers = nonDrawers.filter((p) => p.hasGuessed);
+    if (!this.isTeamTurn(game)) return guessers;
+
+    const drawerTeam = this.getPlayerTeam(game, game.currentDrawer?.id);
+    return guessers.filter((p) =>
+      game.stealWindow ? p.teamId !== drawerTeam : p.teamId === drawerTeam
+    );
+  }
+
+  // A steal opens when the drawer's team missed the word entirely and
+  // another team is there to take it
+  shouldOpenStealWindow(game) {
+    if (!this.isTeamTurn(game) || game.stealWindow) return false;
+
+    const drawerTeam = this.getPlayerTeam(game, game.currentDrawer?.id);
+    const teammates = this.getEligibleGuessers(game);
     return (
-      nonDrawers.length > 0 && correctGuessers.length === nonDrawers.length
+      !teammates.some((p) => p.hasGuessed) &&
+      game.players.some((p) => p.teamId !== drawerTeam)
     );
   }
 
+  // Turn teams on or off or change their number; players are dealt across
+  // new teams
+  setTeams(gameId, { teamCount = 0, teamGuessing = "all" } = {}) {
+    const game = this.games.get(gameId);
+    if (!game) return null;
+
+    game.teamGuessing = teamGuessing;
+    if ((game.teams?.length || 0) !== teamCount) {
+      game.teams = teamCount ? createTeams(teamCount) : null;
+      if (game.teams) {
+        balanceTeams(game.teams, game.players);
+      } else {
+        game.players.forEach((player) => {
+          player.teamId = null;
+        });
+      }
+    }
+
+    return game;
+  }
+
+  assignTeam(gameId, userId, teamId) {
+    const game = this.games.get(gameId);
+    if (!game || !game.teams) return null;
+
+    const player = game.players.find((p) => p.id === userId);
+    if (!player || !game.teams.some((team) => team.id === teamId)) return null;
+
+    player.teamId = teamId;
+    return game;
+  }
+
+  balanceTeams(gameId) {
+    const game = this.games.get(gameId);
+    if (!game || !game.teams) return null;
+
+    balanceTeams(game.teams, game.players);
+    return game;
+  }
+
   // Reset guess status for all players
   resetGuessStatus(game) {
     game.players.forEach((player) => {
@@ -507,13 +1356,29 @@ class GameManager {
     });
   }
 
+  // Returns the stored message's id, or null if it couldn't be stored
   async saveMessage(gameId, userId, message) {
+    const game = this.games.get(gameId);
+    const sender = game
+      ? getAllParticipants(game).find((p) => p.id === userId)
+      : null;
+    if (sender) {
+      this.replayRecorder.recordChat(gameId, {
+        userId,
+        userName: sender.name,
+        message,
+      });
+    }
+
     try {
       const db = getDatabase();
-      await db.sql`INSERT INTO chat_messages (game_id, user_id, message) VALUES (${gameId}, ${userId}, ${message})`;
+      const result =
+        await db.sql`INSERT INTO chat_messages (game_id, user_id, message) VALUES (${gameId}, ${userId}, ${message})`;
+      return result.lastID;
     } catch (error) {
       console.error("Error saving message:", error);
       // Don't throw error to prevent chat from breaking
+      return null;
     }
   }
 
@@ -548,13 +1413,26 @@ class GameManager {
             isDrawer: p.id === gameData.current_drawer,
             hasGuessed: false,
           })),
+          spectators: [],
           playersReady: [],
           currentWord: gameData.current_word,
+          currentDifficulty: null,
           wordChoices: null,
           currentDrawer: players.find((p) => p.id === gameData.current_drawer),
           round: gameData.round,
           maxRounds: gameData.max_rounds,
           drawTime: 80, // Default draw time for restored games
+          scoringStrategy: DEFAULT_SCORING_STRATEGY,
+          teams: null,
+          teamGuessing: "all",
+          stealWindow: false,
+          isPublic: false,
+          language: "en",
+          hasPassword: false,
+          voteKickMajority: DEFAULT_VOTE_KICK_MAJORITY,
+          voteKick: null,
+          chatPolicy: DEFAULT_CHAT_POLICY,
+          ratingBonus: DEFAULT_RATING_BONUS,
           status: gameData.status,
           gamePhase: "drawing",
           timeLeft: gameData.status === "playing" ? 80 : 0,
@@ -575,18 +1453,36 @@ class GameManager {
     }
   }
 
-  removePlayer(gameId, userId) {
+  removePlayer(gameId, userId, { reason = "left" } = {}) {
     const game = this.games.get(gameId);
     if (!game) return;
 
+    this.cancelPlayerRemoval(userId);
+    this.clearPlayerSessions(gameId, userId);
+
+    const leaving = getAllParticipants(game).find((p) => p.id === userId);
+    if (leaving) {
+      this.recordEvent(
+        gameId,
+        EVENT_TYPES.PLAYER_LEFT,
+        { playerName: leaving.name, reason },
+        userId
+      );
+    }
+
     const wasOwner = game.ownerId === userId;
     const wasDrawer = game.currentDrawer?.id === userId;
     game.players = game.players.filter((p) => p.id !== userId);
+    game.spectators = game.spectators.filter((s) => s.id !== userId);
     game.playersReady = game.playersReady.filter((id) => id !== userId);
 
-    if (game.players.length === 0) {
-      this.games.delete(gameId);
-      this.clearGameTimers(gameId);
+    // Nothing left to vote on once the target is gone
+    if (game.voteKick?.targetId === userId) {
+      this.clearVoteKick(gameId);
+    }
+
+    if (game.players.length === 0 && game.spectators.length === 0) {
+      this.deleteGame(gameId);
     } else {
       // If drawer left during active game, clear timers and handle turn
       if (wasDrawer && game.status === "playing") {
@@ -594,10 +1490,28 @@ class GameManager {
         console.log(`Drawer left game ${gameId}, clearing timers`);
       }
 
-      if (wasOwner && game.players.length > 0) {
-        // Transfer ownership to a random remaining player
-        const randomIndex = Math.floor(Math.random() * game.players.length);
-        const newOwnerId = game.players[randomIndex].id;
+      // Only spectators are left, so send them back to the lobby
+      if (game.players.length === 0 && game.status === "playing") {
+        this.clearGameTimers(gameId);
+        this.replayRecorder.discard(gameId);
+        game.status = "waiting";
+        game.currentDrawer = null;
+        game.currentWord = null;
+        game.currentDifficulty = null;
+        game.wordChoices = null;
+        game.stealWindow = false;
+        game.drawingData = [];
+        this.clearRedoStack(gameId);
+        game.hints = "";
+      }
+
+      if (wasOwner) {
+        // Transfer ownership to a random remaining player, or a spectator
+        // when no players are left so someone can promote new players
+        const candidates =
+          game.players.length > 0 ? game.players : game.spectators;
+        const randomIndex = Math.floor(Math.random() * candidates.length);
+        const newOwnerId = candidates[randomIndex].id;
         game.ownerId = newOwnerId;
 
         // New owner is automatically ready if game is finished
@@ -609,7 +1523,7 @@ class GameManager {
         }
 
         console.log(
-          `Ownership transferred to player: ${game.players[randomIndex].name}`
+          `Ownership transferred to player: ${candidates[randomIndex].name}`
         );
       }
     }
@@ -617,6 +1531,290 @@ class GameManager {
     return game;
   }
 
+  // Drop a room and everything kept for it
+  deleteGame(gameId) {
+    const game = this.games.get(gameId);
+    if (!game) return;
+
+    getAllParticipants(game).forEach((p) => {
+      this.cancelPlayerRemoval(p.id);
+      this.clearPlayerSessions(gameId, p.id);
+    });
+    this.games.delete(gameId);
+    this.clearGameTimers(gameId);
+    this.clearVoteKick(gameId);
+    this.clearRedoStack(gameId);
+    this.wordLists.delete(gameId);
+    this.roomAccess.delete(gameId);
+    this.wordHistory.delete(gameId);
+    this.turnScores.delete(gameId);
+    this.mutedTokens.delete(gameId);
+    this.replayRecorder.discard(gameId);
+  }
+
+  // Everything kept for a room, as plain JSON, so another server instance
+  // can take the room over with restoreRoom. Timers don't carry over.
+  exportRoom(gameId) {
+    const game = this.games.get(gameId);
+    if (!game) return null;
+
+    const access = this.roomAccess.get(gameId);
+    const history = this.wordHistory.get(gameId);
+    const turn = this.turnScores.get(gameId);
+
+    return {
+      game,
+      sessions: [...this.playerSessions].filter(
+        ([, session]) => session.gameId === gameId
+      ),
+      wordList: this.wordLists.get(gameId) || null,
+      access: access
+        ? { passwordHash: access.passwordHash, invites: [...access.invites] }
+        : null,
+      wordHistory: history
+        ? {
+            playId: history.playId,
+            current: [...history.current],
+            previous: [...history.previous],
+          }
+        : null,
+      turnScores: turn
+        ? {
+            awards: turn.awards,
+            guessed: [...turn.guessed],
+            ratings: [...turn.ratings],
+          }
+        : null,
+      redoStack: this.redoStacks.get(gameId) || null,
+      mutedTokens: [...(this.mutedTokens.get(gameId) || [])],
+      replay: this.replayRecorder.getRecording(gameId),
+    };
+  }
+
+  // Take over a room from exportRoom's snapshot; resumeTimers restarts it
+  restoreRoom(snapshot) {
+    const { game } = snapshot;
+    const gameId = game.id;
+
+    // The drawer is one of the players, not a copy of them
+    if (game.currentDrawer) {
+      game.currentDrawer =
+        getAllParticipants(game).find((p) => p.id === game.currentDrawer.id) ||
+        game.currentDrawer;
+    }
+    // A vote-kick can't expire without its timer, so it ends here
+    game.voteKick = null;
+
+    this.games.set(gameId, game);
+    snapshot.sessions.forEach(([token, session]) => {
+      this.playerSessions.set(token, session);
+    });
+    if (snapshot.wordList) {
+      this.wordLists.set(gameId, snapshot.wordList);
+    }
+    if (snapshot.access) {
+      this.roomAccess.set(gameId, {
+        passwordHash: snapshot.access.passwordHash,
+        invites: new Map(snapshot.access.invites),
+      });
+    }
+    if (snapshot.wordHistory) {
+      this.wordHistory.set(gameId, {
+        playId: snapshot.wordHistory.playId,
+        current: new Set(snapshot.wordHistory.current),
+        previous: new Set(snapshot.wordHistory.previous),
+      });
+    }
+    if (snapshot.turnScores) {
+      this.turnScores.set(gameId, {
+        awards: snapshot.turnScores.awards,
+        guessed: new Set(snapshot.turnScores.guessed),
+        ratings: new Map(snapshot.turnScores.ratings),
+      });
+    }
+    if (snapshot.redoStack) {
+      this.redoStacks.set(gameId, snapshot.redoStack);
+    }
+    if (snapshot.mutedTokens.length > 0) {
+      this.mutedTokens.set(gameId, new Set(snapshot.mutedTokens));
+    }
+    if (snapshot.replay) {
+      this.replayRecorder.restore(gameId, snapshot.replay);
+    }
+
+    return game;
+  }
+
+  // Restart a restored room's countdown where its snapshot left off
+  resumeTimers(gameId, io) {
+    const game = this.games.get(gameId);
+    if (!game || game.status !== "playing") return;
+
+    if (game.gamePhase === "choosing") {
+      this.startChoiceTimer(gameId, io);
+    } else if (game.currentWord) {
+      this.startDrawTimer(gameId, io);
+      if (!game.stealWindow) {
+        this.startHintTimer(gameId, io, {
+          elapsed: game.drawTime - game.timeLeft,
+        });
+      }
+    }
+  }
+
+  setPlayerSession(playerToken, gameId, userId, clientKey = null) {
+    this.playerSessions.set(playerToken, { gameId, userId, clientKey });
+  }
+
+  getPlayerSession(playerToken) {
+    if (!playerToken) return null;
+    return this.playerSessions.get(playerToken) || null;
+  }
+
+  // The token and address a player joined with, for banning them
+  getPlayerIdentity(gameId, userId) {
+    for (const [token, session] of this.playerSessions) {
+      if (session.gameId === gameId && session.userId === userId) {
+        return { playerToken: token, clientKey: session.clientKey };
+      }
+    }
+    return null;
+  }
+
+  setTokenMuted(gameId, playerToken, muted) {
+    if (!this.mutedTokens.has(gameId)) {
+      this.mutedTokens.set(gameId, new Set());
+    }
+    const tokens = this.mutedTokens.get(gameId);
+    if (muted) {
+      tokens.add(playerToken);
+    } else {
+      tokens.delete(playerToken);
+    }
+  }
+
+  isTokenMuted(gameId, playerToken) {
+    return Boolean(this.mutedTokens.get(gameId)?.has(playerToken));
+  }
+
+  clearPlayerSessions(gameId, userId) {
+    for (const [token, session] of this.playerSessions) {
+      if (session.gameId === gameId && session.userId === userId) {
+        this.playerSessions.delete(token);
+      }
+    }
+  }
+
+  // Remove a disconnected player once the grace period runs out
+  schedulePlayerRemoval(userId, gracePeriod, onExpire) {
+    this.cancelPlayerRemoval(userId);
+
+    const timer = setTimeout(() => {
+      this.disconnectTimers.delete(userId);
+      onExpire();
+    }, gracePeriod);
+
+    this.disconnectTimers.set(userId, timer);
+  }
+
+  // Run onExpire if the room's vote-kick is still open after duration
+  scheduleVoteKickExpiry(gameId, duration, onExpire) {
+    const timer = setTimeout(() => {
+      this.voteKickTimers.delete(gameId);
+      onExpire();
+    }, duration);
+
+    this.voteKickTimers.set(gameId, timer);
+  }
+
+  clearVoteKick(gameId) {
+    if (this.voteKickTimers.has(gameId)) {
+      clearTimeout(this.voteKickTimers.get(gameId));
+      this.voteKickTimers.delete(gameId);
+    }
+
+    const game = this.games.get(gameId);
+    if (game) game.voteKick = null;
+  }
+
+  cancelPlayerRemoval(userId) {
+    if (this.disconnectTimers.has(userId)) {
+      clearTimeout(this.disconnectTimers.get(userId));
+      this.disconnectTimers.delete(userId);
+    }
+  }
+
+  // Move an existing player slot over to a new socket id, keeping score,
+  // drawer status and ready state
+  async rebindPlayer(gameId, oldUserId, newUserId) {
+    const game = this.games.get(gameId);
+    if (!game) return null;
+
+    const player = getAllParticipants(game).find((p) => p.id === oldUserId);
+    if (!player) return null;
+
+    this.cancelPlayerRemoval(oldUserId);
+
+    const wasOwner = game.ownerId === oldUserId;
+    const wasDrawer = game.currentDrawer?.id === oldUserId;
+
+    player.id = newUserId;
+    player.isConnected = true;
+
+    this.recordEvent(
+      gameId,
+      EVENT_TYPES.PLAYER_RECONNECTED,
+      { playerName: player.name, previousId: oldUserId },
+      newUserId
+    );
+
+    if (wasOwner) {
+      game.ownerId = newUserId;
+    }
+    if (wasDrawer) {
+      game.currentDrawer.id = newUserId;
+    }
+    if (game.voteKick) {
+      rebindVoteKick(game.voteKick, oldUserId, newUserId);
+    }
+    game.playersReady = game.playersReady.map((id) =>
+      id === oldUserId ? newUserId : id
+    );
+    const turn = this.turnScores.get(gameId);
+    if (turn?.guessed.delete(oldUserId)) {
+      turn.guessed.add(newUserId);
+    }
+    if (turn?.ratings.has(oldUserId)) {
+      turn.ratings.set(newUserId, turn.ratings.get(oldUserId));
+      turn.ratings.delete(oldUserId);
+    }
+
+    for (const session of this.playerSessions.values()) {
+      if (session.gameId === gameId && session.userId === oldUserId) {
+        session.userId = newUserId;
+      }
+    }
+
+    try {
+      const db = getDatabase();
+      await db.sql`INSERT OR REPLACE INTO users (id, name, avatar) VALUES (${newUserId}, ${
+        player.name
+      }, ${player.avatar || ""})`;
+      await db.sql`UPDATE game_players SET user_id = ${newUserId} WHERE game_id = ${gameId} AND user_id = ${oldUserId}`;
+      if (wasOwner) {
+        await db.sql`UPDATE games SET owner_id = ${newUserId} WHERE id = ${gameId}`;
+      }
+      if (wasDrawer) {
+        await db.sql`UPDATE games SET current_drawer = ${newUserId} WHERE id = ${gameId}`;
+      }
+    } catch (error) {
+      // The in-memory slot is already rebound, so keep the player in the game
+      console.error("Error persisting rebound player:", error);
+    }
+
+    return player;
+  }
+
   async restartGame(gameId, settings = {}) {
     try {
       const db = getDatabase();
@@ -627,10 +1825,13 @@ class GameManager {
 
       // Clear any existing timers first
       this.clearGameTimers(gameId);
+      this.replayRecorder.discard(gameId);
 
       // Reset game state but keep players and room
       game.currentWord = null;
+      game.currentDifficulty = null;
       game.wordChoices = null;
+      game.stealWindow = false;
       game.currentDrawer = null;
       game.round = 1;
       game.maxRounds = maxRounds;
@@ -639,6 +1840,7 @@ class GameManager {
       game.gamePhase = "drawing";
       game.timeLeft = 0;
       game.drawingData = [];
+      this.clearRedoStack(gameId);
       game.hints = "";
       game.playersReady = [game.ownerId]; // Owner is automatically ready
 
@@ -655,6 +1857,13 @@ class GameManager {
       // Reset player scores in database
       await db.sql`UPDATE game_players SET score = 0 WHERE game_id = ${gameId}`;
 
+      this.recordEvent(
+        gameId,
+        EVENT_TYPES.GAME_RESTARTED,
+        { drawTime, maxRounds },
+        game.ownerId
+      );
+
       return game;
     } catch (error) {
       console.error("Error restarting game:", error);
@@ -1,30 +1,99 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import dotenv from 'dotenv';
-import { Database } from '@sqlitecloud/drivers';
-
-// Load environment variables
-dotenv.config();
+import { initDatabase, getDatabase } from './database.js';
+import { sanitizeCategory } from './utils/validation.js';
+import WordService from './services/WordService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Themed packs, one CSV per category named after the category
+const packsDir = path.join(__dirname, 'word-packs');
+
+const wordService = new WordService();
+
+// Parse a words CSV. The header names the columns: "word" is required,
+// "category" and "difficulty" are optional; words without a difficulty are
+// rated when imported.
+function parseWordsCSV(csvContent, defaultCategory) {
+  const [header = '', ...lines] = csvContent.split('\n');
+  const columnNames = header.split(',').map(name => name.trim().toLowerCase());
+  const wordColumn = Math.max(columnNames.indexOf('word'), 0);
+  const categoryColumn = columnNames.indexOf('category');
+  const difficultyColumn = columnNames.indexOf('difficulty');
+
+  const entries = new Map();
+
+  for (const line of lines) {
+    if (line.trim()) {
+      const columns = line.split(',');
+      const word = columns[wordColumn]?.trim();
+
+      // More strict validation for words
+      if (word && 
+          word !== '' && 
+          word !== 'word' && 
+          word.length > 0 && 
+          word.length <= 50 && // Reasonable max length
+          /^[a-zA-Z0-9\s\-'.&/]+$/.test(word)) { // Allow letters, numbers, spaces, hyphens, apostrophes, ampersands, slashes
+        const category = sanitizeCategory(columns[categoryColumn]) || defaultCategory;
+        const difficulty = ['easy', 'medium', 'hard'].includes(columns[difficultyColumn]?.trim())
+          ? columns[difficultyColumn].trim()
+          : null;
+
+        // Remove duplicates, keeping the first occurrence
+        if (!entries.has(word)) {
+          entries.set(word, { word, category, difficulty });
+        }
+      }
+    }
+  }
+
+  return [...entries.values()];
+}
+
+// Insert the file's words. Words that already exist move to this file's
+// category and difficulty, so packs can claim words from the main list.
+async function importWordsFile(db, csvPath, defaultCategory) {
+  const entries = parseWordsCSV(fs.readFileSync(csvPath, 'utf-8'), defaultCategory);
+  console.log(`📝 Found ${entries.length} unique valid words in ${path.basename(csvPath)}`);
+
+  let imported = 0;
+  let skipped = 0;
+
+  for (const { word, category, difficulty: listedDifficulty } of entries) {
+    try {
+      const difficulty = listedDifficulty || await wordService.categorizeWordDifficulty(word);
+
+      // Use template literal syntax supported by every storage driver
+      await db.sql`INSERT INTO words (word, difficulty, category) VALUES (${word}, ${difficulty}, ${category})
+        ON CONFLICT(word) DO UPDATE SET category = excluded.category, difficulty = excluded.difficulty`;
+      imported++;
+
+      // Show progress every 100 words
+      if ((imported + skipped) % 100 === 0) {
+        console.log(`📥 Processed ${imported + skipped}/${entries.length} words (${imported} imported, ${skipped} skipped)...`);
+      }
+    } catch (error) {
+      skipped++;
+      console.warn(`⚠️  Skipping word "${word}": ${error.message}`);
+    }
+  }
+
+  return { imported, skipped };
+}
+
 async function importWordsFromCSV() {
-  let db;
-  
   try {
-    // Connect to SQLite Cloud
-    const connectionString = process.env.SQLITECLOUD_CONNECTION_STRING;
+    // Connect through the configured storage driver and make sure tables exist
+    await initDatabase();
+    const db = getDatabase();
     
-    if (!connectionString) {
-      throw new Error('SQLITECLOUD_CONNECTION_STRING environment variable is required');
+    if (process.env.DATABASE_DRIVER === 'memory') {
+      console.warn('⚠️  DATABASE_DRIVER is "memory" - imported words will not persist');
     }
     
-    console.log('🔗 Connecting to SQLite Cloud...');
-    db = new Database(connectionString);
-    console.log('✅ Connected to SQLite Cloud successfully!');
-    
     console.log('🗑️  Clearing existing words...');
     // Clear existing words
     await db.sql`DELETE FROM words`;
@@ -39,57 +108,26 @@ async function importWordsFromCSV() {
       process.exit(1);
     }
     
-    const csvContent = fs.readFileSync(csvPath, 'utf-8');
-    
-    // Parse CSV (skip header row)
-    const lines = csvContent.split('\n').slice(1);
-    const words = [];
-    
-    for (const line of lines) {
-      if (line.trim()) {
-        // Split by comma and get the first column (word)
-        const columns = line.split(',');
-        const word = columns[0]?.trim();
-        
-        // More strict validation for words
-        if (word && 
-            word !== '' && 
-            word !== 'word' && 
-            word.length > 0 && 
-            word.length <= 50 && // Reasonable max length
-            /^[a-zA-Z0-9\s\-'.&/]+$/.test(word)) { // Allow letters, numbers, spaces, hyphens, apostrophes, ampersands, slashes
-          words.push(word);
-        }
-      }
-    }
-    
-    // Remove duplicates
-    const uniqueWords = [...new Set(words)];
-    console.log(`📝 Found ${uniqueWords.length} unique valid words to import`);
-    
-    // Insert words into database one by one with better error handling
-    let imported = 0;
-    let skipped = 0;
-    
-    for (let i = 0; i < uniqueWords.length; i++) {
-      const word = uniqueWords[i];
-      
-      try {
-        // Use template literal syntax for SQLite Cloud
-        await db.sql`INSERT INTO words (word, difficulty) VALUES (${word}, 'medium')`;
-        imported++;
-        
-        // Show progress every 100 words
-        if ((imported + skipped) % 100 === 0) {
-          console.log(`📥 Processed ${imported + skipped}/${uniqueWords.length} words (${imported} imported, ${skipped} skipped)...`);
-        }
-      } catch (error) {
-        skipped++;
-        console.warn(`⚠️  Skipping word "${word}": ${error.message}`);
+    let { imported, skipped } = await importWordsFile(db, csvPath, 'general');
+
+    // Then the themed packs
+    const packFiles = fs.existsSync(packsDir)
+      ? fs.readdirSync(packsDir).filter(file => file.endsWith('.csv')).sort()
+      : [];
+
+    for (const file of packFiles) {
+      const category = sanitizeCategory(path.basename(file, '.csv'));
+      if (!category) {
+        console.warn(`⚠️  Skipping pack "${file}": invalid category name`);
+        continue;
       }
+
+      const result = await importWordsFile(db, path.join(packsDir, file), category);
+      imported += result.imported;
+      skipped += result.skipped;
     }
     
-    console.log(`🎉 Successfully imported ${imported} words!`);
+    console.log(`🎉 Successfully imported ${imported} words (pack words already listed are moved to their pack)!`);
     if (skipped > 0) {
       console.log(`⏭️  Skipped ${skipped} invalid/duplicate words`);
     }
@@ -98,6 +136,12 @@ async function importWordsFromCSV() {
     const countResult = await db.sql`SELECT COUNT(*) as count FROM words`;
     const count = countResult[0].count;
     console.log(`📊 Total words in database: ${count}`);
+
+    const difficultyResult = await db.sql`SELECT difficulty, COUNT(*) as count FROM words GROUP BY difficulty ORDER BY difficulty`;
+    console.log('📶 Difficulties:', difficultyResult.map(row => `${row.difficulty} (${row.count})`).join(', '));
+
+    const categoryResult = await db.sql`SELECT category, COUNT(*) as count FROM words GROUP BY category ORDER BY category`;
+    console.log('🗂️  Categories:', categoryResult.map(row => `${row.category} (${row.count})`).join(', '));
     
     // Show some sample words
     const sampleResult = await db.sql`SELECT word FROM words ORDER BY RANDOM() LIMIT 5`;
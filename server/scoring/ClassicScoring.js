@@ -0,0 +1,25 @@
+// Classic scoring - guessers get 100 plus up to 50 for speed, and the drawer
+// gets 25 for every correct guess
+import ScoringStrategy from "./ScoringStrategy.js";
+
+class ClassicScoring extends ScoringStrategy {
+  constructor() {
+    super();
+    this.name = "classic";
+  }
+
+  scoreGuess({ timeLeft, drawTime }) {
+    // More time left = more points
+    const timeBonus = Math.floor((timeLeft / drawTime) * 50);
+
+    return {
+      guesser: {
+        points: Math.max(10, 100 + timeBonus),
+        reason: `Guessed with ${timeLeft}s left`,
+      },
+      drawer: { points: 25, reason: "A player guessed the drawing" },
+    };
+  }
+}
+
+export default ClassicScoring;
@@ -0,0 +1,27 @@
+// Drawer-efficiency scoring - guessers score as in classic, but the drawer is
+// scored once per turn by the share of players who guessed, up to 200
+import ClassicScoring from "./ClassicScoring.js";
+
+class DrawerEfficiencyScoring extends ClassicScoring {
+  constructor() {
+    super();
+    this.name = "drawer-efficiency";
+  }
+
+  scoreGuess(context) {
+    return { guesser: super.scoreGuess(context).guesser, drawer: null };
+  }
+
+  scoreTurnEnd({ correctCount, guesserCount }) {
+    if (guesserCount === 0) return { drawer: null };
+
+    return {
+      drawer: {
+        points: Math.round((200 * correctCount) / guesserCount),
+        reason: `${correctCount} of ${guesserCount} guessed the drawing`,
+      },
+    };
+  }
+}
+
+export default DrawerEfficiencyScoring;
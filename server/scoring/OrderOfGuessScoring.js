@@ -0,0 +1,36 @@
+// Order-of-guess scoring - the first guesser gets 200 and later guessers get
+// less, down to 100 for the last; the drawer gets 25 for every correct guess
+import ScoringStrategy from "./ScoringStrategy.js";
+
+function ordinal(n) {
+  const suffixes = { 1: "st", 2: "nd", 3: "rd" };
+  const lastTwo = n % 100;
+  const suffix =
+    lastTwo >= 11 && lastTwo <= 13 ? "th" : suffixes[n % 10] || "th";
+  return `${n}${suffix}`;
+}
+
+class OrderOfGuessScoring extends ScoringStrategy {
+  constructor() {
+    super();
+    this.name = "order-of-guess";
+  }
+
+  scoreGuess({ guessOrder, guesserCount }) {
+    // The bonus drops evenly from 100 for the first guesser to 0 for the last
+    const steps = Math.max(guesserCount - 1, 1);
+    const bonus = Math.round(
+      (100 * Math.max(steps - (guessOrder - 1), 0)) / steps
+    );
+
+    return {
+      guesser: {
+        points: 100 + bonus,
+        reason: `${ordinal(guessOrder)} to guess`,
+      },
+      drawer: { points: 25, reason: "A player guessed the drawing" },
+    };
+  }
+}
+
+export default OrderOfGuessScoring;
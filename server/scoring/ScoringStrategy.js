@@ -0,0 +1,29 @@
+// Scoring strategy - base class for a room's scoring rules
+//
+// Strategies return awards as { points, reason }, or null for no award.
+// Points are before the word difficulty multiplier, which GameManager applies
+// to every award.
+class ScoringStrategy {
+  constructor() {
+    this.name = "base";
+  }
+
+  // Called for each correct guess. The context has:
+  //   timeLeft, drawTime - seconds left in and length of the turn
+  //   guessOrder - 1 for the turn's first correct guess, 2 for the next...
+  //   guesserCount - players who could guess this turn
+  // Returns { guesser, drawer } awards.
+  scoreGuess() {
+    return { guesser: null, drawer: null };
+  }
+
+  // Called once when a turn ends. The context has:
+  //   correctCount - players who guessed the word
+  //   guesserCount - players who could guess this turn
+  // Returns { drawer } award.
+  scoreTurnEnd() {
+    return { drawer: null };
+  }
+}
+
+export default ScoringStrategy;
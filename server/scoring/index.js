@@ -0,0 +1,21 @@
+// Scoring rules - picks a room's scoring strategy by name
+import ClassicScoring from "./ClassicScoring.js";
+import OrderOfGuessScoring from "./OrderOfGuessScoring.js";
+import DrawerEfficiencyScoring from "./DrawerEfficiencyScoring.js";
+
+// Strategies hold no state, so rooms share one instance of each
+const strategies = new Map(
+  [
+    new ClassicScoring(),
+    new OrderOfGuessScoring(),
+    new DrawerEfficiencyScoring(),
+  ].map((strategy) => [strategy.name, strategy])
+);
+
+export const SCORING_STRATEGIES = [...strategies.keys()];
+export const DEFAULT_SCORING_STRATEGY = "classic";
+
+// Unknown names fall back to classic scoring
+export function getScoringStrategy(name) {
+  return strategies.get(name) || strategies.get(DEFAULT_SCORING_STRATEGY);
+}
@@ -4,6 +4,14 @@ import { Server } from "socket.io";
 import cors from "cors";
 import { initDatabase, checkDatabaseHealth } from "./database.js";
 import GameService from "./services/GameService.js";
+import EventService from "./services/EventService.js";
+import ReplayService from "./services/ReplayService.js";
+import ReportService, {
+  REPORT_STATUSES,
+  REPORT_ACTIONS,
+} from "./services/ReportService.js";
+import BanService, { ALL_ROOMS } from "./services/BanService.js";
+import messageQueue from "./services/MessageQueue.js";
 import RateLimiter from "./utils/rateLimiter.js";
 import logger from "./utils/logger.js";
 import {
@@ -11,13 +19,29 @@ import {
   sanitizeChatMessage,
   validateRoomCode,
   validateDrawingData,
+  validateDrawingBatch,
   validateGameSettings,
+  sanitizeCategory,
+  sanitizeRoomPassword,
+  validateInviteOptions,
+  validateWordUpdate,
 } from "./utils/validation.js";
+import { RoomAccessError } from "./utils/roomAccess.js";
+import { parseAdminKeys, requireAdmin } from "./utils/adminAuth.js";
+import {
+  resolveTrustedProxies,
+  getClientAddress,
+} from "./utils/clientAddress.js";
+import { resolveClusterConfig, createClusterAdapter } from "./cluster/index.js";
+import ClusterNode from "./cluster/ClusterNode.js";
+import RemoteSocket from "./cluster/RemoteSocket.js";
+import { createSocketAdapter } from "./cluster/socketAdapter.js";
 import {
   sanitizeGameForPlayer,
   canPlayerSeeWord,
   filterChatMessage,
   getPlayersWhoCanSeeWord,
+  getAllParticipants,
 } from "./utils/gameSanitizer.js";
 
 const app = express();
@@ -42,6 +66,12 @@ const io = new Server(server, {
 app.use(cors());
 app.use(express.json());
 
+// Admin API keys, comma-separated; the admin API is off without any
+const requireAdminKey = requireAdmin(
+  parseAdminKeys(process.env.ADMIN_API_KEYS)
+);
+app.use("/api/admin", requireAdminKey);
+
 // Health check endpoint for Render
 app.get("/health", async (_req, res) => {
   const dbHealthy = await checkDatabaseHealth();
@@ -62,17 +92,23 @@ app.get("/", (_req, res) => {
     endpoints: {
       health: "/health",
       leaderboard: "/api/leaderboard",
+      gameEvents: "/api/games/:id/events",
+      userEvents: "/api/users/:id/events",
+      replays: "/api/replays",
+      admin: "/api/admin",
       socket: "Socket.IO connection available",
     },
   });
 });
 
-// Leaderboard API endpoint
-app.get("/api/leaderboard", async (_req, res) => {
+// Leaderboard API endpoint; ?sort=rating ranks the best rated artists
+app.get("/api/leaderboard", async (req, res) => {
   try {
     const StatsService = (await import("./services/StatsService.js")).default;
     const statsService = new StatsService();
-    const leaderboard = await statsService.getLeaderboard(10);
+    const leaderboard = await statsService.getLeaderboard(10, {
+      sortBy: req.query.sort === "rating" ? "rating" : "score",
+    });
     res.json(leaderboard);
   } catch (error) {
     logger.error("Error fetching leaderboard", { error: error.message });
@@ -93,20 +129,27 @@ app.get("/api/words/count", async (_req, res) => {
   }
 });
 
-// Add custom words API endpoint (admin only - would need auth in production)
-app.post("/api/words/custom", async (req, res) => {
+// Add custom words API endpoint (admin only)
+app.post("/api/words/custom", requireAdminKey, async (req, res) => {
   try {
-    const { words, difficulty } = req.body;
+    const { words, difficulty, category } = req.body;
 
     if (!words || !Array.isArray(words)) {
       return res.status(400).json({ error: "Invalid words array" });
     }
 
+    const wordCategory =
+      category === undefined ? "general" : sanitizeCategory(category);
+    if (!wordCategory) {
+      return res.status(400).json({ error: "Invalid category" });
+    }
+
     const WordService = (await import("./services/WordService.js")).default;
     const wordService = new WordService();
     const success = await wordService.addCustomWords(
       words,
-      difficulty || "medium"
+      difficulty || "medium",
+      wordCategory
     );
 
     if (success) {
@@ -120,6 +163,110 @@ app.post("/api/words/custom", async (req, res) => {
   }
 });
 
+// Parse a ?limit= query value, falling back to a default within bounds
+function parseLimit(value, fallback, max) {
+  return Math.min(Math.max(parseInt(value, 10) || fallback, 1), max);
+}
+
+// Words stay out of the event log while their game is still being played
+function redactLiveGameEvents(events) {
+  return events.map((event) => {
+    const game = gameService.getGame(event.game_id);
+    if (!game || game.status !== "playing" || !("word" in event.event_data)) {
+      return event;
+    }
+    const { word, ...eventData } = event.event_data;
+    return { ...event, event_data: eventData };
+  });
+}
+
+// Game event log API endpoint
+app.get("/api/games/:id/events", async (req, res) => {
+  try {
+    const { type } = req.query;
+
+    if (type && !Object.values(EventService.EVENT_TYPES).includes(type)) {
+      return res.status(400).json({ error: "Invalid event type" });
+    }
+
+    const events = type
+      ? await eventService.getEventsByType(req.params.id, type)
+      : await eventService.getGameEvents(req.params.id);
+    res.json(redactLiveGameEvents(events));
+  } catch (error) {
+    logger.error("Error fetching game events", { error: error.message });
+    res.status(500).json({ error: "Failed to fetch game events" });
+  }
+});
+
+// Player event log API endpoint
+app.get("/api/users/:id/events", async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit, 100, 500);
+    const events = await eventService.getUserEvents(req.params.id, limit);
+    res.json(redactLiveGameEvents(events));
+  } catch (error) {
+    logger.error("Error fetching user events", { error: error.message });
+    res.status(500).json({ error: "Failed to fetch user events" });
+  }
+});
+
+// Recent replays API endpoint
+app.get("/api/replays", async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit, 10, 50);
+    const replays = await replayService.getRecentReplays(limit);
+    res.json(replays);
+  } catch (error) {
+    logger.error("Error fetching replays", { error: error.message });
+    res.status(500).json({ error: "Failed to fetch replays" });
+  }
+});
+
+// Single replay API endpoint
+app.get("/api/replays/:id", async (req, res) => {
+  try {
+    const replayId = parseInt(req.params.id, 10);
+    if (!Number.isInteger(replayId) || replayId < 1) {
+      return res.status(400).json({ error: "Invalid replay id" });
+    }
+
+    const replay = await replayService.getReplay(replayId);
+    if (!replay) {
+      return res.status(404).json({ error: "Replay not found" });
+    }
+
+    res.json(replay);
+  } catch (error) {
+    logger.error("Error fetching replay", { error: error.message });
+    res.status(500).json({ error: "Failed to fetch replay" });
+  }
+});
+
+// Player replays API endpoint
+app.get("/api/users/:id/replays", async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit, 10, 50);
+    const replays = await replayService.getUserReplays(req.params.id, limit);
+    res.json(replays);
+  } catch (error) {
+    logger.error("Error fetching user replays", { error: error.message });
+    res.status(500).json({ error: "Failed to fetch user replays" });
+  }
+});
+
+// Public rooms waiting for players, optionally in one language
+app.get("/api/rooms", (req, res) => {
+  try {
+    const language =
+      typeof req.query.language === "string" ? req.query.language : undefined;
+    res.json(gameService.getPublicRooms({ language }));
+  } catch (error) {
+    logger.error("Error fetching rooms", { error: error.message });
+    res.status(500).json({ error: "Failed to fetch rooms" });
+  }
+});
+
 // Server stats and monitoring endpoint
 app.get("/api/stats", (_req, res) => {
   try {
@@ -160,25 +307,553 @@ app.get("/api/stats", (_req, res) => {
   }
 });
 
+// Parse a numeric route parameter, null if it isn't a positive integer
+function parseId(value) {
+  const id = parseInt(value, 10);
+  return String(id) === value && id > 0 ? id : null;
+}
+
+// Admin: search the word list
+app.get("/api/admin/words", async (req, res) => {
+  try {
+    const WordService = (await import("./services/WordService.js")).default;
+    const wordService = new WordService();
+    const result = await wordService.searchWords({
+      search: typeof req.query.search === "string" ? req.query.search : "",
+      category: sanitizeCategory(req.query.category) || null,
+      difficulty:
+        typeof req.query.difficulty === "string" ? req.query.difficulty : null,
+      limit: parseLimit(req.query.limit, 50, 200),
+      offset: Math.max(parseInt(req.query.offset, 10) || 0, 0),
+    });
+    res.json(result);
+  } catch (error) {
+    logger.error("Error searching words", { error: error.message });
+    res.status(500).json({ error: "Failed to search words" });
+  }
+});
+
+// Admin: edit a word's spelling, difficulty or category
+app.patch("/api/admin/words/:id", async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(400).json({ error: "Invalid word id" });
+
+  const { updates, error } = validateWordUpdate(req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const WordService = (await import("./services/WordService.js")).default;
+    const wordService = new WordService();
+    const word = await wordService.updateWord(id, updates);
+    if (!word) return res.status(404).json({ error: "Word not found" });
+    res.json(word);
+  } catch (error) {
+    logger.error("Error updating word", { id, error: error.message });
+    res.status(409).json({ error: error.message });
+  }
+});
+
+// Admin: delete a word
+app.delete("/api/admin/words/:id", async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(400).json({ error: "Invalid word id" });
+
+  try {
+    const WordService = (await import("./services/WordService.js")).default;
+    const wordService = new WordService();
+    const deleted = await wordService.deleteWord(id);
+    if (!deleted) return res.status(404).json({ error: "Word not found" });
+    res.json({ message: "Word deleted" });
+  } catch (error) {
+    logger.error("Error deleting word", { id, error: error.message });
+    res.status(500).json({ error: "Failed to delete word" });
+  }
+});
+
+// Admin: move several words into one category
+app.post("/api/admin/words/recategorize", async (req, res) => {
+  const { ids, category } = req.body || {};
+  const wordCategory = sanitizeCategory(category);
+  if (!wordCategory) {
+    return res.status(400).json({ error: "Invalid category" });
+  }
+  if (
+    !Array.isArray(ids) ||
+    ids.length === 0 ||
+    ids.length > 500 ||
+    !ids.every((id) => Number.isInteger(id) && id > 0)
+  ) {
+    return res.status(400).json({ error: "Invalid word ids" });
+  }
+
+  try {
+    const WordService = (await import("./services/WordService.js")).default;
+    const wordService = new WordService();
+    const count = await wordService.setWordsCategory(ids, wordCategory);
+    res.json({ message: "Words re-categorized", count });
+  } catch (error) {
+    logger.error("Error re-categorizing words", { error: error.message });
+    res.status(500).json({ error: "Failed to re-categorize words" });
+  }
+});
+
+// Admin: every live room
+app.get("/api/admin/games", (_req, res) => {
+  res.json(gameService.listGames());
+});
+
+// Admin: end a game in progress with the current scores
+app.post("/api/admin/games/:id/end", async (req, res) => {
+  try {
+    const game = await gameService.endGame(req.params.id);
+    io.to(game.id).emit("admin-message", {
+      message: "An admin ended this game",
+    });
+    broadcastGameUpdate(io, game.id, game);
+    res.json({ message: "Game ended" });
+  } catch (error) {
+    logger.error("Error ending game", {
+      gameId: req.params.id,
+      error: error.message,
+    });
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Admin: close a room and send everyone in it back to the start screen
+app.delete("/api/admin/games/:id", (req, res) => {
+  try {
+    const participantIds = gameService.closeRoom(req.params.id);
+    participantIds.forEach((id) => {
+      io.to(id).emit("room-closed", {
+        message: "This room was closed by an admin",
+      });
+    });
+    io.in(req.params.id).socketsLeave(req.params.id);
+    publishRoomList(io);
+    res.json({ message: "Room closed" });
+  } catch (error) {
+    logger.error("Error closing room", {
+      gameId: req.params.id,
+      error: error.message,
+    });
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// Admin: announce a message in every room, or in one room
+app.post("/api/admin/broadcast", (req, res) => {
+  const message = sanitizeChatMessage(req.body?.message);
+  if (!message) return res.status(400).json({ error: "Invalid message" });
+
+  const { gameId } = req.body;
+  const gameIds = gameId ? [gameId] : gameService.listGames().map((g) => g.id);
+  if (gameId && !gameService.getGame(gameId)) {
+    return res.status(404).json({ error: "Game not found" });
+  }
+
+  gameIds.forEach((id) => io.to(id).emit("admin-message", { message }));
+  logger.info("Admin broadcast", { rooms: gameIds.length });
+  res.json({ message: "Message sent", rooms: gameIds.length });
+});
+
+// Admin: the report queue, open reports by default
+app.get("/api/admin/reports", async (req, res) => {
+  const status = req.query.status || "open";
+  if (status !== "all" && !REPORT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: "Invalid status" });
+  }
+
+  try {
+    const result = await reportService.listReports({
+      status: status === "all" ? null : status,
+      limit: parseLimit(req.query.limit, 50, 200),
+      offset: Math.max(parseInt(req.query.offset, 10) || 0, 0),
+    });
+    res.json(result);
+  } catch (error) {
+    logger.error("Error listing reports", { error: error.message });
+    res.status(500).json({ error: "Failed to list reports" });
+  }
+});
+
+// Admin: a report with the chat and drawing it captured
+app.get("/api/admin/reports/:id", async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(400).json({ error: "Invalid report id" });
+
+  try {
+    const report = await reportService.getReport(id);
+    if (!report) return res.status(404).json({ error: "Report not found" });
+    res.json(report);
+  } catch (error) {
+    logger.error("Error fetching report", { id, error: error.message });
+    res.status(500).json({ error: "Failed to fetch report" });
+  }
+});
+
+// Admin: close a report by dismissing it, resolving it, or banning the
+// reported player from every room
+app.post("/api/admin/reports/:id/resolve", async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(400).json({ error: "Invalid report id" });
+
+  const { action } = req.body || {};
+  if (!REPORT_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: "Invalid action" });
+  }
+  const note = sanitizeChatMessage(req.body.note) || null;
+
+  try {
+    const report = await reportService.resolveReport(id, { action, note });
+    if (!report) return res.status(404).json({ error: "Report not found" });
+
+    if (action === "ban") {
+      const { tokenHash } = await reportService.getReportedIdentity(id);
+      for (const { playerId, game } of gameService.removeBannedPlayer(
+        tokenHash
+      )) {
+        io.to(playerId).emit("kicked", {
+          message: "You have been banned by a moderator",
+        });
+        if (game) {
+          io.to(game.id).emit("player-kicked", { playerId });
+          broadcastGameUpdate(io, game.id, game);
+        }
+      }
+      publishRoomList(io);
+    }
+    res.json(report);
+  } catch (error) {
+    logger.error("Error resolving report", { id, error: error.message });
+    res.status(409).json({ error: error.message });
+  }
+});
+
+// Admin: players banned from every room
+app.get("/api/admin/bans", async (_req, res) => {
+  try {
+    res.json(await banService.listBans(ALL_ROOMS));
+  } catch (error) {
+    logger.error("Error listing bans", { error: error.message });
+    res.status(500).json({ error: "Failed to list bans" });
+  }
+});
+
+// Admin: lift a ban from every room
+app.delete("/api/admin/bans/:id", async (req, res) => {
+  const id = parseId(req.params.id);
+  if (!id) return res.status(400).json({ error: "Invalid ban id" });
+
+  try {
+    const lifted = await banService.liftBan(ALL_ROOMS, id);
+    if (!lifted) return res.status(404).json({ error: "Ban not found" });
+    res.json({ message: "Ban lifted" });
+  } catch (error) {
+    logger.error("Error lifting ban", { id, error: error.message });
+    res.status(500).json({ error: "Failed to lift ban" });
+  }
+});
+
 const gameService = new GameService();
+const eventService = new EventService();
+const replayService = new ReplayService();
+const reportService = new ReportService();
+const banService = new BanService();
 const rateLimiter = new RateLimiter();
 
+// Socket.IO room for clients with the room browser open
+const ROOM_BROWSER = "room-browser";
+
+// Set once the server joins its cluster, when CLUSTER_ADAPTER is set
+let cluster = null;
+// Clients of other instances whose events for this instance's rooms were
+// passed here, by socket id
+const remoteSockets = new Map();
+
 // Helper function to send sanitized game updates to all players
 function broadcastGameUpdate(io, gameId, game) {
   if (!game) return;
 
-  // Send personalized game state to each player
-  game.players.forEach((player) => {
+  // Send personalized game state to each player and spectator
+  getAllParticipants(game).forEach((player) => {
     const sanitizedGame = sanitizeGameForPlayer(game, player.id);
     io.to(player.id).emit("game-update", sanitizedGame);
   });
+
+  if (cluster) {
+    cluster.roomChanged(gameId).catch((error) => {
+      logger.error("Error saving room snapshot", {
+        gameId,
+        error: error.message,
+      });
+    });
+  }
+
+  publishRoomList(io);
+}
+
+// Push the public room list to open room browsers, only when it changed
+function publishRoomList(io) {
+  if (cluster) {
+    cluster.shareRooms(gameService.getLocalPublicRooms());
+  }
+  emitRoomList(io);
+}
+
+let lastRoomList = null;
+function emitRoomList(io) {
+  const rooms = gameService.getPublicRooms();
+  const serialized = JSON.stringify(rooms);
+  if (serialized === lastRoomList) return;
+
+  lastRoomList = serialized;
+  // Every instance sends the whole list to its own room browsers
+  (cluster ? io.local : io).to(ROOM_BROWSER).emit("room-list", rooms);
+}
+
+// Put a socket into the game it just joined or resumed
+function completeJoin(io, socket, result) {
+  const { game, user, resumed, previousId, playerToken } = result;
+
+  // A still-connected socket holding the same token loses its slot
+  if (resumed && previousId !== socket.id) {
+    io.to(previousId).emit("session-replaced", {
+      message: "You joined this room from another connection",
+    });
+    io.in(previousId).socketsLeave(game.id);
+
+    // Let the room carry what it keeps per player, like personal mutes, over
+    // to the new id
+    io.to(game.id).emit("player-reconnected", {
+      previousId,
+      playerId: socket.id,
+    });
+  }
+
+  socket.join(game.id);
+
+  logger.info("Player joined game", {
+    playerName: user.name,
+    gameId: game.id,
+    resumed,
+  });
+
+  socket.emit("game-joined", {
+    gameId: game.id,
+    roomCode: game.roomCode,
+    user,
+    playerToken,
+    resumed,
+  });
+
+  // Send sanitized game state to all players
+  broadcastGameUpdate(io, game.id, game);
 }
 
 // Clean up rate limiter every minute
 setInterval(() => {
   rateLimiter.cleanup();
+  gameService.accessFailures.cleanup();
+  gameService.voteKickCooldowns.cleanup();
+  gameService.chatRepeats.cleanup();
+  gameService.reportLimits.cleanup();
 }, 60000);
 
+// Proxies in front of the server whose X-Forwarded-For entries are trusted
+const TRUSTED_PROXIES = resolveTrustedProxies();
+
+// Identify the client across reconnects for brute-force throttling and IP
+// bans
+function getClientKey(socket) {
+  return getClientAddress(socket.handshake, TRUSTED_PROXIES);
+}
+
+// Tell the client why it couldn't get into a room, or fall back to a
+// generic message for unexpected failures
+function emitJoinError(socket, error, roomCode) {
+  if (error instanceof RoomAccessError) {
+    socket.emit("join-denied", {
+      roomCode,
+      reason: error.reason,
+      message: error.message,
+    });
+    return;
+  }
+
+  logger.error("Error joining game", {
+    error: error.message,
+    socketId: socket.id,
+  });
+  socket.emit("error", {
+    message: "Failed to join game. Please try again in a moment.",
+  });
+}
+
+// Tell the room a disconnected player is gone, once their slot is given up
+function announcePlayerLeft(io, userId, disconnectResult) {
+  if (!disconnectResult) return;
+
+  const { gameId, playerName, updatedGame } = disconnectResult;
+
+  io.to(gameId).emit("player-left", {
+    userId,
+    playerName,
+    newOwnerId: updatedGame?.ownerId,
+  });
+
+  if (updatedGame) {
+    broadcastGameUpdate(io, gameId, updatedGame);
+  } else {
+    // The room closed with its last player
+    publishRoomList(io);
+  }
+}
+
+// The instance that should run a socket event: the owner of the room it is
+// for, or null to run it here. Quick play picks its room here and then
+// joins it like any other room.
+async function findEventOwner(socket, packet) {
+  const [event, data] = packet;
+
+  if (event === "quick-play") {
+    const { roomCode, settings } = await gameService.pickQuickPlayRoom(
+      validateGameSettings({ language: data?.language }),
+      { playerToken: data?.playerToken, clientKey: getClientKey(socket) }
+    );
+    packet[0] = "join-game";
+    packet[1] = {
+      roomCode,
+      settings,
+      playerName: data?.playerName,
+      playerToken: data?.playerToken,
+    };
+  }
+
+  if (packet[0] === "join-game") {
+    const roomCode = packet[1]?.roomCode?.toUpperCase().trim();
+    return validateRoomCode(roomCode) ? cluster.claimRoom(roomCode) : null;
+  }
+
+  const gameId = data?.gameId;
+  return typeof gameId === "string" ? cluster.ownerOfGame(gameId) : null;
+}
+
+// In a cluster, pass a client's events for rooms another instance owns on
+// to that instance, which answers the client through the Socket.IO adapter
+function forwardRoomEvents(socket) {
+  const owners = new Set();
+
+  socket.use(async (packet, next) => {
+    if (!cluster) return next();
+
+    let owner;
+    try {
+      owner = await findEventOwner(socket, packet);
+    } catch (error) {
+      logger.error("Error finding room owner", {
+        event: packet[0],
+        error: error.message,
+      });
+    }
+    if (!owner || owner === cluster.instanceId) return next();
+
+    owners.add(owner);
+    cluster
+      .publish(
+        "socket-event",
+        { socket: RemoteSocket.describe(socket), packet },
+        owner
+      )
+      .catch((error) => {
+        logger.error("Error forwarding socket event", {
+          event: packet[0],
+          error: error.message,
+        });
+      });
+  });
+
+  socket.on("disconnect", () => {
+    owners.forEach((owner) => {
+      cluster
+        .publish("socket-disconnect", { socketId: socket.id }, owner)
+        .catch((error) => {
+          logger.error("Error forwarding disconnect", {
+            error: error.message,
+          });
+        });
+    });
+  });
+}
+
+// Run a client's event passed on by the instance it is connected to
+function handleForwardedEvent({ socket: description, packet }) {
+  let socket = remoteSockets.get(description.id);
+  if (!socket) {
+    socket = new RemoteSocket(io, description);
+    remoteSockets.set(socket.id, socket);
+    handleConnection(socket);
+  }
+
+  const [event, ...args] = packet;
+  socket.dispatch(event, args);
+}
+
+function handleForwardedDisconnect({ socketId }) {
+  const socket = remoteSockets.get(socketId);
+  if (!socket) return;
+
+  remoteSockets.delete(socketId);
+  socket.dispatch("disconnect");
+}
+
+// Pick up a room from an instance that went down: restart its timers and
+// hold the slots of players who were connected there for them to reconnect
+async function resumeRoom(game) {
+  gameService.gameManager.resumeTimers(game.id, io);
+
+  try {
+    const sockets = await io.fetchSockets();
+    const connected = new Set(sockets.map((s) => s.id));
+    getAllParticipants(game)
+      .filter((player) => !connected.has(player.id))
+      .forEach((player) => {
+        gameService.markPlayerDisconnected(player.id, (result) =>
+          announcePlayerLeft(io, player.id, result)
+        );
+      });
+  } catch (error) {
+    // Without the list every player keeps their slot
+    logger.warn("Could not check players of a restored room", {
+      gameId: game.id,
+      error: error.message,
+    });
+  }
+
+  broadcastGameUpdate(io, game.id, game);
+}
+
+// Share rooms with the other server instances when CLUSTER_ADAPTER is set
+async function startCluster() {
+  const config = resolveClusterConfig();
+  if (!config) return;
+
+  const node = new ClusterNode({
+    ...config,
+    adapter: await createClusterAdapter(config),
+    gameManager: gameService.gameManager,
+    onRoomRestored: resumeRoom,
+  });
+  node.onMessage("socket-event", handleForwardedEvent);
+  node.onMessage("socket-disconnect", handleForwardedDisconnect);
+  node.onMessage("rooms", () => emitRoomList(io));
+
+  await node.start();
+  io.adapter(createSocketAdapter(node));
+  gameService.cluster = node;
+  cluster = node;
+}
+
 // Clean up old games every 30 minutes
 setInterval(() => {
   const now = Date.now();
@@ -189,13 +864,29 @@ setInterval(() => {
       game.players.length === 0 &&
       now - game.finishedAt > 3600000
     ) {
-      gameService.gameManager.games.delete(gameId);
-      gameService.gameManager.clearGameTimers(gameId);
+      gameService.gameManager.deleteGame(gameId);
       logger.info("Cleaned up old game", { gameId });
     }
   }
 }, 1800000);
 
+// Persist queued game events once the event table exists
+async function initializeEventLog() {
+  await eventService.initializeEventTable();
+
+  messageQueue.registerHandler("game-events", (event) =>
+    eventService.recordEvent(
+      event.gameId,
+      event.eventType,
+      event.eventData,
+      event.userId
+    )
+  );
+
+  // Flush anything recorded before the handler was registered
+  messageQueue.processQueue("game-events");
+}
+
 // Initialize database with retry logic
 async function initializeServer() {
   let retries = 0;
@@ -204,6 +895,9 @@ async function initializeServer() {
   while (retries < maxRetries) {
     try {
       await initDatabase();
+      await initializeEventLog();
+      await replayService.initializeReplayTable();
+      await startCluster();
       console.log("✅ Server initialized successfully!");
       break;
     } catch (error) {
@@ -229,6 +923,13 @@ async function initializeServer() {
 initializeServer();
 
 io.on("connection", (socket) => {
+  forwardRoomEvents(socket);
+  handleConnection(socket);
+});
+
+// Register a client's event handlers. The socket may also be a RemoteSocket
+// standing in for a client of another instance.
+function handleConnection(socket) {
   logger.info("User connected", { socketId: socket.id });
 
   socket.on("join-game", async (data) => {
@@ -238,7 +939,15 @@ io.on("connection", (socket) => {
       return;
     }
 
-    const { roomCode, playerName, settings } = data;
+    const {
+      roomCode,
+      playerName,
+      settings,
+      playerToken,
+      asSpectator,
+      password,
+      inviteToken,
+    } = data;
 
     // Validate and sanitize inputs
     const sanitizedName = sanitizePlayerName(playerName);
@@ -263,39 +972,100 @@ io.on("connection", (socket) => {
     });
 
     try {
-      const { game, user } = await gameService.createOrJoinGame(
+      const result = await gameService.createOrJoinGame(
         sanitizedRoomCode,
         sanitizedName,
         validatedSettings,
-        socket.id
+        socket.id,
+        {
+          playerToken,
+          asSpectator: asSpectator === true,
+          roomPassword: sanitizeRoomPassword(settings?.password),
+          password: sanitizeRoomPassword(password),
+          inviteToken: typeof inviteToken === "string" ? inviteToken : null,
+          clientKey: getClientKey(socket),
+        }
       );
+      completeJoin(io, socket, result);
+    } catch (error) {
+      emitJoinError(socket, error, sanitizedRoomCode);
+    }
+  });
 
-      socket.join(game.id);
+  socket.on("quick-play", async (data) => {
+    if (!rateLimiter.checkLimit(socket.id, "join-game", 5, 10000)) {
+      socket.emit("error", { message: "Too many requests. Please slow down." });
+      return;
+    }
 
-      logger.info("Player joined game", {
-        playerName: sanitizedName,
-        gameId: game.id,
-      });
+    const { playerName, playerToken, language } = data;
 
-      socket.emit("game-joined", {
-        gameId: game.id,
-        roomCode: game.roomCode,
-        user,
-      });
+    const sanitizedName = sanitizePlayerName(playerName);
+    if (!sanitizedName) {
+      socket.emit("error", { message: "Invalid player name." });
+      return;
+    }
 
-      // Send sanitized game state to all players
-      broadcastGameUpdate(io, game.id, game);
+    try {
+      const result = await gameService.quickPlay(
+        sanitizedName,
+        validateGameSettings({ language }),
+        socket.id,
+        { playerToken, clientKey: getClientKey(socket) }
+      );
+      completeJoin(io, socket, result);
     } catch (error) {
-      logger.error("Error joining game", {
+      logger.error("Error in quick play", {
         error: error.message,
         socketId: socket.id,
       });
       socket.emit("error", {
-        message: "Failed to join game. Please try again in a moment.",
+        message: "Failed to find a game. Please try again in a moment.",
       });
     }
   });
 
+  socket.on("set-room-password", (data) => {
+    const { gameId, password } = data;
+
+    try {
+      const game = gameService.setRoomPassword(
+        gameId,
+        socket.id,
+        sanitizeRoomPassword(password)
+      );
+      broadcastGameUpdate(io, gameId, game);
+    } catch (error) {
+      logger.error("Error setting room password", { error: error.message });
+      socket.emit("error", { message: error.message });
+    }
+  });
+
+  socket.on("create-invite", (data) => {
+    const { gameId, options } = data;
+
+    try {
+      const invite = gameService.createInvite(
+        gameId,
+        socket.id,
+        validateInviteOptions(options)
+      );
+      socket.emit("invite-created", invite);
+    } catch (error) {
+      logger.error("Error creating invite", { error: error.message });
+      socket.emit("error", { message: error.message });
+    }
+  });
+
+  socket.on("watch-rooms", () => {
+    socket.join(ROOM_BROWSER);
+    socket.emit("room-list", gameService.getPublicRooms());
+  });
+
+  socket.on("unwatch-rooms", () => {
+    socket.leave(ROOM_BROWSER);
+  });
+
   socket.on("start-game", async (data) => {
     const { gameId } = data;
 
@@ -336,47 +1106,99 @@ io.on("connection", (socket) => {
     }
 
     const { gameId, drawingData } = data;
-    const game = gameService.getGame(gameId);
 
-    if (
-      game &&
-      game.currentDrawer &&
-      game.currentDrawer.id === socket.id &&
-      game.status === "playing"
-    ) {
-      // Validate drawing data
-      if (!validateDrawingData(drawingData)) {
-        logger.warn("Invalid drawing data received", { socketId: socket.id });
-        return;
-      }
+    // Validate drawing data
+    if (!validateDrawingData(drawingData)) {
+      logger.warn("Invalid drawing data received", { socketId: socket.id });
+      return;
+    }
 
-      // Limit drawing data to prevent memory issues
-      if (game.drawingData.length > 5000) {
-        game.drawingData = game.drawingData.slice(-4000);
-      }
-      game.drawingData.push(drawingData);
+    if (gameService.handleDrawing(gameId, drawingData, socket.id)) {
       // Broadcast to all players in the room (including drawer for confirmation)
       io.to(gameId).emit("drawing", drawingData);
     }
   });
 
+  socket.on("drawing-batch", (data) => {
+    if (!rateLimiter.checkLimit(socket.id, "drawing-batch", 60, 1000)) {
+      return;
+    }
+
+    const { gameId, batch } = data;
+
+    if (!validateDrawingBatch(batch)) {
+      logger.warn("Invalid drawing batch received", { socketId: socket.id });
+      return;
+    }
+
+    const broadcast = gameService.handleDrawingBatch(gameId, batch, socket.id);
+    if (broadcast) {
+      // Echo to the drawer too, like single drawing events
+      io.to(gameId).emit("drawing-batch", broadcast);
+    }
+  });
+
   socket.on("clear-canvas", (data) => {
     const { gameId } = data;
-    const game = gameService.getGame(gameId);
 
-    if (
-      game &&
-      game.currentDrawer &&
-      game.currentDrawer.id === socket.id &&
-      game.status === "playing"
-    ) {
-      game.drawingData = [];
-      // Broadcast clear to all other players in the room
-      socket.to(gameId).emit("clear-canvas");
+    if (gameService.clearCanvas(gameId, socket.id)) {
+      // Broadcast clear to everyone, including the drawer, so every canvas
+      // rebuilds from the same history
+      io.to(gameId).emit("clear-canvas");
       console.log(`Canvas cleared for room ${gameId}`);
     }
   });
 
+  socket.on("undo-stroke", (data) => {
+    if (!rateLimiter.checkLimit(socket.id, "undo-stroke", 20, 1000)) {
+      return;
+    }
+
+    const { gameId } = data;
+    const stroke = gameService.undoStroke(gameId, socket.id);
+
+    if (stroke) {
+      io.to(gameId).emit("undo-stroke", {
+        strokeId: stroke.strokeId,
+        count: stroke.items.length,
+      });
+    }
+  });
+
+  socket.on("redo-stroke", (data) => {
+    if (!rateLimiter.checkLimit(socket.id, "redo-stroke", 20, 1000)) {
+      return;
+    }
+
+    const { gameId } = data;
+    const stroke = gameService.redoStroke(gameId, socket.id);
+
+    if (stroke) {
+      io.to(gameId).emit("redo-stroke", {
+        strokeId: stroke.strokeId,
+        items: stroke.items,
+      });
+    }
+  });
+
+  socket.on("rate-drawing", (data) => {
+    if (!rateLimiter.checkLimit(socket.id, "rate-drawing", 10, 5000)) {
+      return;
+    }
+
+    const { gameId, rating } = data;
+
+    try {
+      // Counts stay hidden until the round ends, so only the rater hears back
+      socket.emit("drawing-rated", {
+        rating: gameService.rateDrawing(gameId, socket.id, rating),
+      });
+    } catch (error) {
+      logger.error("Error rating drawing", { error: error.message });
+      socket.emit("error", { message: error.message });
+    }
+  });
+
   socket.on("chat-message", async (data) => {
     // Rate limiting for chat messages
     if (!rateLimiter.checkLimit(socket.id, "chat-message", 10, 5000)) {
@@ -397,7 +1219,17 @@ io.on("connection", (socket) => {
         return;
       }
 
-      const { game, user, isCorrect } = result;
+      if (result.blocked) {
+        // Tell the sender why rather than dropping it silently
+        socket.emit("message-blocked", {
+          reason: result.blocked,
+          message: result.notice,
+        });
+        return;
+      }
+
+      const { game, user, isCorrect, isClose } = result;
+      const text = result.message;
 
       if (isCorrect && user.id !== game.currentDrawer.id) {
         // Get list of players who can see the word
@@ -433,18 +1265,26 @@ io.on("connection", (socket) => {
             }
           }, 3000);
         }
+      } else if (isClose) {
+        // Near misses stay private so they don't give the word away
+        socket.emit("close-guess", { guess: text });
       } else {
         // Filter message for players who haven't guessed
-        await gameService.gameManager.saveMessage(gameId, socket.id, message);
+        const messageId = await gameService.gameManager.saveMessage(
+          gameId,
+          socket.id,
+          text
+        );
 
         // Send different versions of the message based on player status
-        game.players.forEach((player) => {
+        getAllParticipants(game).forEach((player) => {
           const shouldSeeWord = canPlayerSeeWord(game, player.id);
           const displayMessage = shouldSeeWord
-            ? message
-            : filterChatMessage(message, game.currentWord);
+            ? text
+            : filterChatMessage(text, game.currentWord);
 
           const chatMessage = {
+            id: messageId,
             userId: socket.id,
             userName: user.name,
             message: displayMessage,
@@ -469,21 +1309,14 @@ io.on("connection", (socket) => {
     logger.info("User disconnected", { socketId: socket.id });
     rateLimiter.reset(socket.id);
 
-    // Remove player from all games
-    const disconnectResult = gameService.handlePlayerDisconnect(socket.id);
-
-    if (disconnectResult) {
-      const { gameId, playerName, updatedGame } = disconnectResult;
-
-      io.to(gameId).emit("player-left", {
-        userId: socket.id,
-        playerName,
-        newOwnerId: updatedGame?.ownerId,
-      });
+    // Hold the player's slot open so a reconnect can resume it
+    const pending = gameService.markPlayerDisconnected(
+      socket.id,
+      (disconnectResult) => announcePlayerLeft(io, socket.id, disconnectResult)
+    );
 
-      if (updatedGame) {
-        broadcastGameUpdate(io, gameId, updatedGame);
-      }
+    if (pending) {
+      broadcastGameUpdate(io, pending.gameId, pending.game);
     }
   });
 
@@ -521,11 +1354,107 @@ io.on("connection", (socket) => {
     }
   });
 
-  socket.on("kick-player", (data) => {
+  socket.on("get-word-list", (data) => {
+    const { gameId } = data;
+
+    try {
+      socket.emit("word-list", gameService.getWordList(gameId, socket.id));
+    } catch (error) {
+      socket.emit("error", { message: error.message });
+    }
+  });
+
+  socket.on("update-word-list", (data) => {
+    const { gameId, settings } = data;
+
+    try {
+      const { game, wordList } = gameService.updateWordList(
+        gameId,
+        socket.id,
+        settings
+      );
+
+      socket.emit("word-list", wordList);
+      broadcastGameUpdate(io, gameId, game);
+    } catch (error) {
+      logger.error("Error updating word list", { error: error.message });
+      socket.emit("error", { message: error.message });
+    }
+  });
+
+  socket.on("update-teams", (data) => {
+    const { gameId, settings } = data;
+
+    try {
+      const game = gameService.updateTeams(gameId, socket.id, settings);
+      broadcastGameUpdate(io, gameId, game);
+    } catch (error) {
+      logger.error("Error updating teams", { error: error.message });
+      socket.emit("error", { message: error.message });
+    }
+  });
+
+  socket.on("assign-team", (data) => {
+    const { gameId, targetPlayerId, teamId } = data;
+
+    try {
+      const game = gameService.assignTeam(
+        gameId,
+        socket.id,
+        targetPlayerId,
+        teamId
+      );
+      broadcastGameUpdate(io, gameId, game);
+    } catch (error) {
+      logger.error("Error assigning team", { error: error.message });
+      socket.emit("error", { message: error.message });
+    }
+  });
+
+  socket.on("balance-teams", (data) => {
+    const { gameId } = data;
+
+    try {
+      const game = gameService.balanceTeams(gameId, socket.id);
+      if (game) {
+        broadcastGameUpdate(io, gameId, game);
+      }
+    } catch (error) {
+      logger.error("Error balancing teams", { error: error.message });
+      socket.emit("error", { message: error.message });
+    }
+  });
+
+  socket.on("promote-spectator", async (data) => {
+    const { gameId, targetPlayerId } = data;
+
+    try {
+      const updatedGame = await gameService.promoteSpectator(
+        gameId,
+        socket.id,
+        targetPlayerId
+      );
+
+      if (updatedGame) {
+        broadcastGameUpdate(io, gameId, updatedGame);
+
+        logger.info("Spectator promoted", {
+          gameId,
+          targetPlayerId,
+          promotedBy: socket.id,
+        });
+      }
+    } catch (error) {
+      logger.error("Error promoting spectator", { error: error.message });
+      socket.emit("error", { message: error.message });
+    }
+  });
+
+  socket.on("kick-player", async (data) => {
     const { gameId, targetPlayerId } = data;
 
     try {
-      const updatedGame = gameService.kickPlayer(
+      const updatedGame = await gameService.kickPlayer(
         gameId,
         socket.id,
         targetPlayerId
@@ -543,6 +1472,7 @@ io.on("connection", (socket) => {
         });
 
         broadcastGameUpdate(io, gameId, updatedGame);
+        socket.emit("ban-list", await gameService.getBans(gameId, socket.id));
 
         logger.info("Player kicked", {
           gameId,
@@ -555,7 +1485,152 @@ io.on("connection", (socket) => {
       socket.emit("error", { message: error.message });
     }
   });
-});
+
+  socket.on("mute-player", (data) => {
+    const { gameId, targetPlayerId, muted } = data;
+
+    try {
+      const { game, player } = gameService.setPlayerMuted(
+        gameId,
+        socket.id,
+        targetPlayerId,
+        muted
+      );
+
+      io.to(gameId).emit("player-muted", {
+        playerId: player.id,
+        playerName: player.name,
+        muted: player.isMuted,
+      });
+      broadcastGameUpdate(io, gameId, game);
+
+      logger.info("Player mute changed", {
+        gameId,
+        targetPlayerId,
+        muted: player.isMuted,
+      });
+    } catch (error) {
+      logger.error("Error muting player", { error: error.message });
+      socket.emit("error", { message: error.message });
+    }
+  });
+
+  socket.on("start-vote-kick", (data) => {
+    const { gameId, targetPlayerId } = data;
+
+    try {
+      const { game, vote } = gameService.startVoteKick(
+        gameId,
+        socket.id,
+        targetPlayerId,
+        (expiredGame, expiredVote) => {
+          io.to(gameId).emit("vote-kick-ended", {
+            targetName: expiredVote.targetName,
+            result: "expired",
+          });
+          broadcastGameUpdate(io, gameId, expiredGame);
+        }
+      );
+
+      const starter = game.players.find((p) => p.id === socket.id);
+      io.to(gameId).emit("vote-kick-started", {
+        targetName: vote.targetName,
+        startedByName: starter?.name,
+      });
+      broadcastGameUpdate(io, gameId, game);
+    } catch (error) {
+      logger.error("Error starting vote-kick", { error: error.message });
+      socket.emit("vote-kick-denied", { message: error.message });
+    }
+  });
+
+  socket.on("vote-kick", async (data) => {
+    const { gameId, inFavor } = data;
+
+    try {
+      const { game, vote, result } = await gameService.voteOnKick(
+        gameId,
+        socket.id,
+        inFavor
+      );
+
+      if (result) {
+        io.to(gameId).emit("vote-kick-ended", {
+          targetName: vote.targetName,
+          result,
+        });
+      }
+
+      if (result === "passed") {
+        io.to(vote.targetId).emit("kicked", {
+          message: "You have been voted out of the game",
+        });
+        io.to(gameId).emit("player-kicked", {
+          playerId: vote.targetId,
+        });
+        if (game.ownerId) {
+          io.to(game.ownerId).emit(
+            "ban-list",
+            await gameService.getBans(gameId, game.ownerId)
+          );
+        }
+        logger.info("Player kicked", {
+          gameId,
+          targetPlayerId: vote.targetId,
+          kickedBy: "vote",
+        });
+      }
+
+      broadcastGameUpdate(io, gameId, game);
+    } catch (error) {
+      logger.error("Error voting on kick", { error: error.message });
+      socket.emit("vote-kick-denied", { message: error.message });
+    }
+  });
+
+  socket.on("report", async (data) => {
+    const { gameId, kind, targetPlayerId } = data;
+
+    try {
+      await gameService.reportPlayer(gameId, socket.id, {
+        kind,
+        targetPlayerId,
+        messageId: Number.isInteger(data.messageId) ? data.messageId : null,
+        reason: sanitizeChatMessage(data.reason),
+      });
+      socket.emit("report-received", {
+        message: "Thanks. A moderator will look at your report.",
+      });
+    } catch (error) {
+      logger.error("Error filing report", { error: error.message });
+      socket.emit("report-denied", { message: error.message });
+    }
+  });
+
+  socket.on("get-bans", async (data) => {
+    const { gameId } = data;
+
+    try {
+      socket.emit("ban-list", await gameService.getBans(gameId, socket.id));
+    } catch (error) {
+      logger.error("Error listing bans", { error: error.message });
+      socket.emit("error", { message: error.message });
+    }
+  });
+
+  socket.on("lift-ban", async (data) => {
+    const { gameId, banId } = data;
+
+    try {
+      const bans = await gameService.liftBan(gameId, socket.id, Number(banId));
+      socket.emit("ban-list", bans);
+      logger.info("Ban lifted", { gameId, banId, liftedBy: socket.id });
+    } catch (error) {
+      logger.error("Error lifting ban", { error: error.message });
+      socket.emit("error", { message: error.message });
+    }
+  });
+}
 
 const PORT = process.env.PORT || 3001;
 server.listen(PORT, () => {
@@ -0,0 +1,102 @@
+// Ban Service - Room bans that follow a player across reconnects
+import { createHash } from "crypto";
+import { getDatabase } from "../database.js";
+import logger from "../utils/logger.js";
+
+// Room code of bans that apply to every room
+export const ALL_ROOMS = "*";
+
+// Tokens and addresses are only ever compared, so only their hashes are kept
+export function hashIdentity(value) {
+  return value ? createHash("sha256").update(value).digest("hex") : null;
+}
+
+class BanService {
+  // Ban a player from a room by their token and, if given, their address
+  async banPlayer(roomCode, { playerName, playerToken, clientKey, bannedBy }) {
+    await this.banIdentity(roomCode, {
+      playerName,
+      tokenHash: hashIdentity(playerToken),
+      clientKeyHash: hashIdentity(clientKey),
+      bannedBy,
+    });
+  }
+
+  // Ban by identity hashes kept from earlier, such as on a report
+  async banIdentity(
+    roomCode,
+    { playerName, tokenHash, clientKeyHash, bannedBy }
+  ) {
+    const db = getDatabase();
+
+    await db.sql`
+      INSERT INTO room_bans (room_code, player_name, token_hash, client_key_hash, banned_by)
+      VALUES (${roomCode}, ${playerName}, ${tokenHash}, ${clientKeyHash}, ${bannedBy})
+    `;
+    logger.info("Player banned", { roomCode, playerName, bannedBy });
+  }
+
+  // The ban from this room, or from every room, matching this player, or
+  // null. Leave clientKey out to match on the token alone.
+  async findBan(roomCode, { playerToken, clientKey }) {
+    const db = getDatabase();
+    const tokenHash = hashIdentity(playerToken);
+    const clientKeyHash = hashIdentity(clientKey);
+    if (!tokenHash && !clientKeyHash) return null;
+
+    const rows = await db.sql`
+      SELECT id, player_name FROM room_bans
+      WHERE room_code IN (${roomCode}, ${ALL_ROOMS})
+        AND (token_hash = ${tokenHash} OR client_key_hash = ${clientKeyHash})
+      LIMIT 1
+    `;
+    return rows[0] || null;
+  }
+
+  // Room codes this player is banned from; ALL_ROOMS among them means
+  // every room
+  async getBannedRoomCodes({ playerToken, clientKey }) {
+    const db = getDatabase();
+    const tokenHash = hashIdentity(playerToken);
+    const clientKeyHash = hashIdentity(clientKey);
+    if (!tokenHash && !clientKeyHash) return [];
+
+    const rows = await db.sql`
+      SELECT DISTINCT room_code FROM room_bans
+      WHERE token_hash = ${tokenHash} OR client_key_hash = ${clientKeyHash}
+    `;
+    return rows.map((row) => row.room_code);
+  }
+
+  // A room's bans, newest first; ALL_ROOMS lists bans from every room
+  async listBans(roomCode) {
+    const db = getDatabase();
+    const rows = await db.sql`
+      SELECT id, player_name, banned_by, created_at FROM room_bans
+      WHERE room_code = ${roomCode}
+      ORDER BY id DESC
+    `;
+
+    return rows.map((row) => ({
+      id: row.id,
+      playerName: row.player_name,
+      bannedBy: row.banned_by,
+      createdAt: row.created_at,
+    }));
+  }
+
+  // Returns false if the room has no such ban
+  async liftBan(roomCode, banId) {
+    const db = getDatabase();
+    const rows = await db.sql`
+      SELECT id, player_name FROM room_bans WHERE id = ${banId} AND room_code = ${roomCode}
+    `;
+    if (rows.length === 0) return false;
+
+    await db.sql`DELETE FROM room_bans WHERE id = ${banId}`;
+    logger.info("Ban lifted", { roomCode, playerName: rows[0].player_name });
+    return true;
+  }
+}
+
+export default BanService;
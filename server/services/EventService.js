@@ -59,7 +59,7 @@ class EventService {
       const events = await db.sql`
         SELECT * FROM game_events 
         WHERE game_id = ${gameId}
-        ORDER BY timestamp ASC
+        ORDER BY timestamp ASC, id ASC
       `;
 
       return events.map((event) => ({
@@ -82,7 +82,7 @@ class EventService {
       const events = await db.sql`
         SELECT * FROM game_events 
         WHERE game_id = ${gameId} AND event_type = ${eventType}
-        ORDER BY timestamp ASC
+        ORDER BY timestamp ASC, id ASC
       `;
 
       return events.map((event) => ({
@@ -106,7 +106,7 @@ class EventService {
       const events = await db.sql`
         SELECT * FROM game_events 
         WHERE user_id = ${userId}
-        ORDER BY timestamp DESC
+        ORDER BY timestamp DESC, id DESC
         LIMIT ${limit}
       `;
 
@@ -134,6 +134,10 @@ class EventService {
     ROUND_END: "round_end",
     GAME_FINISHED: "game_finished",
     PLAYER_KICKED: "player_kicked",
+    PLAYER_MUTED: "player_muted",
+    PLAYER_RECONNECTED: "player_reconnected",
+    SPECTATOR_PROMOTED: "spectator_promoted",
+    GAME_RESTARTED: "game_restarted",
   };
 }
 
@@ -1,42 +1,375 @@
 // Game Service - Business logic layer
+import { v4 as uuidv4 } from "uuid";
 import GameManager from "../gameManager.js";
+import EventService from "./EventService.js";
+import BanService, { hashIdentity } from "./BanService.js";
+import ReportService, { REPORT_KINDS } from "./ReportService.js";
 import logger from "../utils/logger.js";
+import {
+  validatePlayerToken,
+  validateGameSettings,
+  sanitizeChatMessage,
+} from "../utils/validation.js";
+import RateLimiter from "../utils/rateLimiter.js";
+import {
+  RoomAccessError,
+  MAX_ACCESS_FAILURES,
+  MAX_ROOM_ACCESS_FAILURES,
+  ACCESS_FAILURE_WINDOW,
+} from "../utils/roomAccess.js";
+import {
+  createVoteKick,
+  castVoteKick,
+  getVoteKickResult,
+  MIN_VOTE_KICK_VOTERS,
+  VOTE_KICK_DURATION,
+  VOTE_KICK_COOLDOWN,
+  VOTE_KICK_TARGET_COOLDOWN,
+} from "../utils/voteKick.js";
+import {
+  moderateChatMessage,
+  MAX_CHAT_REPEATS,
+  CHAT_REPEAT_WINDOW,
+} from "../utils/chatModeration.js";
+import { getAllParticipants } from "../utils/gameSanitizer.js";
+import { decodeStrokeBatch, findStrokeStyle } from "../utils/strokeBatch.js";
+import { RATINGS } from "../utils/drawingRatings.js";
+
+// Rooms seat this many players; anyone else joins as a spectator
+const MAX_PLAYERS = 12;
+
+// How long a disconnected player keeps their slot before being removed
+const parsedGracePeriod = parseInt(process.env.RECONNECT_GRACE_PERIOD_MS, 10);
+const RECONNECT_GRACE_PERIOD = Number.isNaN(parsedGracePeriod)
+  ? 30000
+  : parsedGracePeriod;
+
+// Reports one player may file in ten minutes, and how often they may
+// report the same player
+const MAX_REPORTS = 5;
+const REPORT_WINDOW = 10 * 60 * 1000;
+
+// Bans always match the player's token; with BAN_BY_IP=true they also match
+// the address they joined from, at the risk of catching others behind it.
+// Behind a proxy that address only holds up with TRUST_PROXY set, and only
+// if the proxy overwrites or appends to X-Forwarded-For.
+const BAN_BY_IP = process.env.BAN_BY_IP === "true";
 
 class GameService {
-  constructor() {
+  constructor({
+    reconnectGracePeriod = RECONNECT_GRACE_PERIOD,
+    voteKickDuration = VOTE_KICK_DURATION,
+    banByIp = BAN_BY_IP,
+  } = {}) {
     this.gameManager = new GameManager();
+    this.banService = new BanService();
+    this.reportService = new ReportService();
+    this.banByIp = banByIp;
+    this.reconnectGracePeriod = reconnectGracePeriod;
+    this.voteKickDuration = voteKickDuration;
+    // Failed password and invite attempts, per client and room and per
+    // room
+    this.accessFailures = new RateLimiter();
+    // Vote-kicks started, per player and per room and target
+    this.voteKickCooldowns = new RateLimiter();
+    // Repeats of the same chat message, per player
+    this.chatRepeats = new RateLimiter();
+    // Reports filed, per player and per player and target
+    this.reportLimits = new RateLimiter();
+    // The cluster node when rooms are shared with other server instances
+    this.cluster = null;
   }
 
-  async createOrJoinGame(roomCode, playerName, settings, socketId) {
+  async createOrJoinGame(
+    roomCode,
+    playerName,
+    settings,
+    socketId,
+    {
+      playerToken,
+      asSpectator = false,
+      roomPassword,
+      password,
+      inviteToken,
+      clientKey = socketId,
+    } = {}
+  ) {
     try {
       let game = await this.gameManager.getGameByRoomCode(roomCode);
 
-      if (!game) {
+      // Resume an existing slot if this token already belongs to the room
+      const session = this.gameManager.getPlayerSession(playerToken);
+      if (game && session && session.gameId === game.id) {
+        const previousId = session.userId;
+        const player = await this.gameManager.rebindPlayer(
+          game.id,
+          previousId,
+          socketId
+        );
+
+        if (player) {
+          logger.info("Player resumed session", {
+            playerName: player.name,
+            gameId: game.id,
+          });
+
+          const user = {
+            id: player.id,
+            name: player.name,
+            avatar: player.avatar,
+            isSpectator: Boolean(player.isSpectator),
+            isMuted: Boolean(player.isMuted),
+          };
+          return { game, user, playerToken, resumed: true, previousId };
+        }
+      }
+
+      await this.checkBan(roomCode, { playerToken, clientKey });
+
+      if (game) {
+        this.checkRoomAccess(game, { password, inviteToken, clientKey });
+      } else {
         logger.info("Creating new game", { roomCode });
         const gameId = await this.gameManager.createGame(roomCode, settings);
         game = this.gameManager.getGame(gameId);
+        if (roomPassword) {
+          this.gameManager.setRoomPassword(gameId, roomPassword);
+        }
       }
 
+      // New rooms always seat their creator. Otherwise fall back to
+      // spectating when the game is already running or the room is full.
+      const isNewRoom =
+        game.players.length === 0 && game.spectators.length === 0;
+      const joinAsSpectator =
+        !isNewRoom &&
+        (asSpectator ||
+          game.status === "playing" ||
+          game.players.length >= MAX_PLAYERS);
+
+      const token = validatePlayerToken(playerToken) ? playerToken : uuidv4();
       const user = {
         id: socketId,
         name: playerName,
         avatar: `https://api.dicebear.com/7.x/avataaars/svg?seed=${playerName}`,
+        isSpectator: joinAsSpectator,
+        // A mute from the room owner sticks to the token, so rejoining
+        // doesn't lift it
+        isMuted: this.gameManager.isTokenMuted(game.id, token),
       };
 
-      await this.gameManager.joinGame(game.id, user);
+      if (joinAsSpectator) {
+        await this.gameManager.addSpectator(game.id, user);
+      } else {
+        await this.gameManager.joinGame(game.id, user);
+      }
+
+      this.gameManager.setPlayerSession(token, game.id, user.id, clientKey);
 
       logger.info("Player joined game", {
         playerName,
         gameId: game.id,
+        asSpectator: joinAsSpectator,
       });
 
-      return { game, user };
+      return { game, user, playerToken: token, resumed: false };
     } catch (error) {
-      logger.error("Error in createOrJoinGame", { error: error.message });
+      if (!(error instanceof RoomAccessError)) {
+        logger.error("Error in createOrJoinGame", { error: error.message });
+      }
       throw error;
     }
   }
 
+  // What a ban matches a player on
+  getBanIdentity({ playerToken, clientKey }) {
+    return {
+      playerToken: validatePlayerToken(playerToken) ? playerToken : null,
+      clientKey: this.banByIp ? clientKey : null,
+    };
+  }
+
+  // Throws a RoomAccessError if the player is banned from the room
+  async checkBan(roomCode, identity) {
+    const ban = await this.banService.findBan(
+      roomCode,
+      this.getBanIdentity(identity)
+    );
+    if (ban) {
+      logger.warn("Banned player turned away", { roomCode });
+      throw new RoomAccessError("banned", "You are banned from this room.");
+    }
+  }
+
+  // Throws a RoomAccessError unless the player may enter the room. Repeated
+  // failures from one client lock it out of the room for a while.
+  checkRoomAccess(game, { password, inviteToken, clientKey }) {
+    const throttleKey = `${clientKey}:${game.id}`;
+    if (
+      this.accessFailures.isLimited(
+        throttleKey,
+        "room-access",
+        MAX_ACCESS_FAILURES
+      ) ||
+      this.accessFailures.isLimited(
+        game.id,
+        "room-access-total",
+        MAX_ROOM_ACCESS_FAILURES
+      )
+    ) {
+      throw new RoomAccessError(
+        "too-many-attempts",
+        "Too many failed attempts. Try again in a few minutes."
+      );
+    }
+
+    if (this.gameManager.admitToRoom(game.id, { password, inviteToken })) {
+      return;
+    }
+
+    this.accessFailures.checkLimit(
+      throttleKey,
+      "room-access",
+      MAX_ACCESS_FAILURES,
+      ACCESS_FAILURE_WINDOW
+    );
+    this.accessFailures.checkLimit(
+      game.id,
+      "room-access-total",
+      MAX_ROOM_ACCESS_FAILURES,
+      ACCESS_FAILURE_WINDOW
+    );
+    logger.warn("Room access denied", { gameId: game.id, clientKey });
+
+    if (inviteToken && !password) {
+      throw new RoomAccessError(
+        "invite-invalid",
+        "This invite link has expired or was already used."
+      );
+    }
+    if (!password) {
+      throw new RoomAccessError(
+        "password-required",
+        "This room needs a password."
+      );
+    }
+    throw new RoomAccessError("wrong-password", "Wrong room password.");
+  }
+
+  setRoomPassword(gameId, ownerId, password) {
+    const game = this.gameManager.getGame(gameId);
+
+    if (!game || game.ownerId !== ownerId) {
+      throw new Error("Only the room owner can change the password");
+    }
+
+    return this.gameManager.setRoomPassword(gameId, password);
+  }
+
+  createInvite(gameId, ownerId, options) {
+    const game = this.gameManager.getGame(gameId);
+
+    if (!game || game.ownerId !== ownerId) {
+      throw new Error("Only the room owner can create invites");
+    }
+
+    return this.gameManager.createInvite(gameId, options);
+  }
+
+  // Public rooms still in their lobby, as listed in the room browser; with
+  // a cluster this includes the other instances' rooms
+  getPublicRooms({ language } = {}) {
+    const remoteRooms = this.cluster ? this.cluster.getRemoteRooms() : [];
+    return [...this.getLocalPublicRooms(), ...remoteRooms].filter(
+      (room) => !language || room.language === language
+    );
+  }
+
+  // This instance's public rooms still in their lobby
+  getLocalPublicRooms() {
+    return Array.from(this.gameManager.games.values())
+      .filter(
+        (game) =>
+          game.isPublic && game.status === "waiting" && game.players.length > 0
+      )
+      .map((game) => ({
+        roomCode: game.roomCode,
+        ownerName:
+          game.players.find((p) => p.id === game.ownerId)?.name || null,
+        playerCount: game.players.length,
+        spectatorCount: game.spectators.length,
+        maxPlayers: MAX_PLAYERS,
+        language: game.language,
+        drawTime: game.drawTime,
+        maxRounds: game.maxRounds,
+        scoringStrategy: game.scoringStrategy,
+        teamCount: game.teams?.length || 0,
+        wordList: game.wordList || null,
+        hasPassword: Boolean(game.hasPassword),
+      }));
+  }
+
+  // The public room closest to filling up that still has a seat; the
+  // oldest room wins a tie
+  findQuickPlayRoom(language, excludedRoomCodes = []) {
+    const open = this.getPublicRooms({ language }).filter(
+      (room) =>
+        room.playerCount < room.maxPlayers &&
+        !room.hasPassword &&
+        !excludedRoomCodes.includes(room.roomCode)
+    );
+    return open.reduce(
+      (best, room) =>
+        !best || room.playerCount > best.playerCount ? room : best,
+      null
+    );
+  }
+
+  // Seat the player in the best public room, or open a new public room
+  async quickPlay(
+    playerName,
+    settings,
+    socketId,
+    { playerToken, clientKey } = {}
+  ) {
+    const room = await this.pickQuickPlayRoom(settings, {
+      playerToken,
+      clientKey,
+    });
+    return await this.createOrJoinGame(
+      room.roomCode,
+      playerName,
+      room.settings,
+      socketId,
+      { playerToken, clientKey }
+    );
+  }
+
+  // The room quick play would seat the player in, as { roomCode, settings }
+  // with the settings for a new public room when none has a seat
+  async pickQuickPlayRoom(settings, { playerToken, clientKey } = {}) {
+    const bannedFrom = await this.banService.getBannedRoomCodes(
+      this.getBanIdentity({ playerToken, clientKey })
+    );
+    const room = this.findQuickPlayRoom(settings.language, bannedFrom);
+    if (room) {
+      return { roomCode: room.roomCode, settings };
+    }
+
+    const roomCode = await this.generateRoomCode();
+    logger.info("Quick play opening public room", { roomCode });
+    return { roomCode, settings: { ...settings, isPublic: true } };
+  }
+
+  async generateRoomCode() {
+    for (;;) {
+      const roomCode = uuidv4().replace(/-/g, "").slice(0, 6).toUpperCase();
+      if (!(await this.gameManager.getGameByRoomCode(roomCode))) {
+        return roomCode;
+      }
+    }
+  }
+
   async startGame(gameId, ownerId, io) {
     const game = this.gameManager.getGame(gameId);
 
@@ -51,7 +384,8 @@ class GameService {
     return await this.gameManager.selectWord(gameId, word, io);
   }
 
-  handleDrawing(gameId, drawingData, socketId) {
+  // The game, if socketId is its current drawer and may change the canvas
+  getDrawableGame(gameId, socketId) {
     const game = this.gameManager.getGame(gameId);
 
     if (
@@ -63,55 +397,185 @@ class GameService {
       return null;
     }
 
+    return game;
+  }
+
+  handleDrawing(gameId, drawingData, socketId) {
+    const game = this.getDrawableGame(gameId, socketId);
+    if (!game) return null;
+
+    // Starting a new stroke discards anything that could be redone
+    const last = game.drawingData[game.drawingData.length - 1];
+    if (!drawingData.strokeId || drawingData.strokeId !== last?.strokeId) {
+      this.gameManager.clearRedoStack(gameId);
+    }
+
     // Limit drawing data to prevent memory issues
     if (game.drawingData.length > 5000) {
       game.drawingData = game.drawingData.slice(-4000);
     }
 
     game.drawingData.push(drawingData);
+    this.gameManager.replayRecorder.recordStroke(gameId, drawingData);
     return game;
   }
 
+  // Expand a freehand batch into segments; returns the batch to broadcast
+  handleDrawingBatch(gameId, batch, socketId) {
+    const game = this.getDrawableGame(gameId, socketId);
+    if (!game) return null;
+
+    const style =
+      batch.style || findStrokeStyle(game.drawingData, batch.strokeId);
+    if (!style) return null;
+
+    decodeStrokeBatch(batch, style).forEach((segment) =>
+      this.handleDrawing(gameId, segment, socketId)
+    );
+
+    // Only pass on known fields
+    const { strokeId, points } = batch;
+    if (!batch.style) return { strokeId, points };
+    const { type, color, lineWidth } = style;
+    return { strokeId, style: { type, color, lineWidth }, points };
+  }
+
   clearCanvas(gameId, socketId) {
+    const game = this.getDrawableGame(gameId, socketId);
+    if (!game) return null;
+
+    game.drawingData = [];
+    this.gameManager.clearRedoStack(gameId);
+    this.gameManager.replayRecorder.recordClear(gameId);
+    return game;
+  }
+
+  undoStroke(gameId, socketId) {
+    if (!this.getDrawableGame(gameId, socketId)) return null;
+
+    const stroke = this.gameManager.undoStroke(gameId);
+    if (stroke) {
+      this.gameManager.replayRecorder.recordUndo(gameId, stroke.items.length);
+    }
+    return stroke;
+  }
+
+  redoStroke(gameId, socketId) {
+    if (!this.getDrawableGame(gameId, socketId)) return null;
+
+    const stroke = this.gameManager.redoStroke(gameId);
+    if (stroke) {
+      stroke.items.forEach((item) =>
+        this.gameManager.replayRecorder.recordStroke(gameId, item)
+      );
+    }
+    return stroke;
+  }
+
+  // Like (1) or dislike (-1) the drawing on the canvas, or take a rating
+  // back with 0. Only players other than the drawer rate, while drawing.
+  rateDrawing(gameId, playerId, rating) {
     const game = this.gameManager.getGame(gameId);
+    if (!game) throw new Error("Game not found");
+    if (!RATINGS.includes(rating)) throw new Error("Invalid rating");
 
-    if (
-      !game ||
-      !game.currentDrawer ||
-      game.currentDrawer.id !== socketId ||
-      game.status !== "playing"
-    ) {
-      return null;
+    if (game.gamePhase !== "drawing" || !game.currentWord) {
+      throw new Error("There is no drawing to rate");
+    }
+    if (!game.players.some((p) => p.id === playerId)) {
+      throw new Error("Only players can rate drawings");
+    }
+    if (game.currentDrawer?.id === playerId) {
+      throw new Error("You can't rate your own drawing");
     }
 
-    game.drawingData = [];
-    return game;
+    this.gameManager.setDrawingRating(gameId, playerId, rating);
+    return rating;
   }
 
-  async processChatMessage(gameId, message, socketId) {
+  // Sanitize a chat message and check it as a guess. Anything that would be
+  // shown to the room goes through the room's chat policy first; result has
+  // blocked and notice set if it may not be sent.
+  async processChatMessage(gameId, rawMessage, socketId) {
     const game = this.gameManager.getGame(gameId);
+    const message = sanitizeChatMessage(rawMessage);
 
-    if (!game) {
+    if (!game || !message) {
       return null;
     }
 
     const user = game.players.find((p) => p.id === socketId);
     if (!user) {
-      return null;
+      // Spectators can chat but never guess
+      const spectator = game.spectators.find((s) => s.id === socketId);
+      if (!spectator) {
+        return null;
+      }
+      return {
+        game,
+        user: spectator,
+        isCorrect: false,
+        ...this.moderateChat(game, spectator, message),
+      };
     }
 
+    // Guesses are checked before moderation so a room can still guess a
+    // word that's on a filter list; neither correct nor close guesses are
+    // shown to the room
     const isCorrect = await this.gameManager.checkGuess(
       gameId,
       socketId,
       message
     );
+    const isClose =
+      !isCorrect && this.gameManager.checkCloseGuess(gameId, socketId, message);
+    if (isCorrect || isClose) {
+      return { game, user, message, isCorrect, isClose };
+    }
+
+    return {
+      game,
+      user,
+      isCorrect,
+      isClose,
+      ...this.moderateChat(game, user, message),
+    };
+  }
+
+  // Hold back chat from a player the owner muted, apply the room's chat
+  // policy, then turn away a message repeated too often; returns
+  // { message } or { blocked, notice }
+  moderateChat(game, sender, message) {
+    if (sender.isMuted) {
+      return {
+        blocked: "muted",
+        notice: "The room owner muted you. Your guesses still count.",
+      };
+    }
 
-    return { game, user, isCorrect };
+    const result = moderateChatMessage(message, game.chatPolicy);
+    if (result.blocked || game.chatPolicy === "off") return result;
+
+    const repeatKey = `repeat:${message.toLowerCase()}`;
+    if (
+      !this.chatRepeats.checkLimit(
+        sender.id,
+        repeatKey,
+        MAX_CHAT_REPEATS,
+        CHAT_REPEAT_WINDOW
+      )
+    ) {
+      return {
+        blocked: "repeat",
+        notice: "You already said that. Give it a moment.",
+      };
+    }
+    return result;
   }
 
   handlePlayerDisconnect(socketId) {
     for (const [gameId, game] of this.gameManager.games) {
-      const player = game.players.find((p) => p.id === socketId);
+      const player = getAllParticipants(game).find((p) => p.id === socketId);
       if (player) {
         const updatedGame = this.gameManager.removePlayer(gameId, socketId);
         return { gameId, playerName: player.name, updatedGame };
@@ -120,6 +584,39 @@ class GameService {
     return null;
   }
 
+  // Keep a disconnected player's slot open for the grace period, then remove
+  // them. onRemoved receives the same result as handlePlayerDisconnect.
+  markPlayerDisconnected(socketId, onRemoved) {
+    for (const [gameId, game] of this.gameManager.games) {
+      const player = getAllParticipants(game).find((p) => p.id === socketId);
+      if (!player) continue;
+
+      if (this.reconnectGracePeriod <= 0) {
+        onRemoved(this.handlePlayerDisconnect(socketId));
+        return null;
+      }
+
+      player.isConnected = false;
+      this.gameManager.schedulePlayerRemoval(
+        socketId,
+        this.reconnectGracePeriod,
+        () => {
+          const result = this.handlePlayerDisconnect(socketId);
+          if (result) {
+            logger.info("Player removed after grace period", {
+              gameId,
+              playerName: player.name,
+            });
+            onRemoved(result);
+          }
+        }
+      );
+
+      return { gameId, game };
+    }
+    return null;
+  }
+
   async restartGame(gameId, ownerId, settings) {
     const game = this.gameManager.getGame(gameId);
 
@@ -134,7 +631,86 @@ class GameService {
     return this.gameManager.togglePlayerReady(gameId, socketId);
   }
 
-  kickPlayer(gameId, ownerId, targetPlayerId) {
+  getWordList(gameId, ownerId) {
+    const game = this.gameManager.getGame(gameId);
+
+    if (!game || game.ownerId !== ownerId) {
+      throw new Error("Only the room owner can view the word list");
+    }
+
+    return this.gameManager.getWordList(gameId);
+  }
+
+  updateWordList(gameId, ownerId, settings) {
+    const game = this.gameManager.getGame(gameId);
+
+    if (!game || game.ownerId !== ownerId) {
+      throw new Error("Only the room owner can change the word list");
+    }
+
+    if (game.status === "playing") {
+      throw new Error("The word list can't be changed during a game");
+    }
+
+    const {
+      wordMode,
+      customWords,
+      customWordPercent,
+      wordCategories,
+      wordDifficulty,
+      wordHistoryGames,
+    } = validateGameSettings(settings);
+    const wordList = this.gameManager.setWordList(gameId, {
+      wordMode,
+      customWords,
+      customWordPercent,
+      wordCategories,
+      wordDifficulty,
+      wordHistoryGames,
+    });
+
+    return { game, wordList };
+  }
+
+  // Teams are only rearranged between games
+  getTeamGame(gameId, ownerId) {
+    const game = this.gameManager.getGame(gameId);
+
+    if (!game || game.ownerId !== ownerId) {
+      throw new Error("Only the room owner can change teams");
+    }
+
+    if (game.status === "playing") {
+      throw new Error("Teams can't be changed during a game");
+    }
+
+    return game;
+  }
+
+  updateTeams(gameId, ownerId, settings) {
+    this.getTeamGame(gameId, ownerId);
+
+    const { teamCount, teamGuessing } = validateGameSettings(settings);
+    return this.gameManager.setTeams(gameId, { teamCount, teamGuessing });
+  }
+
+  assignTeam(gameId, ownerId, targetPlayerId, teamId) {
+    this.getTeamGame(gameId, ownerId);
+
+    const game = this.gameManager.assignTeam(gameId, targetPlayerId, teamId);
+    if (!game) {
+      throw new Error("Player or team not found");
+    }
+    return game;
+  }
+
+  balanceTeams(gameId, ownerId) {
+    this.getTeamGame(gameId, ownerId);
+
+    return this.gameManager.balanceTeams(gameId);
+  }
+
+  async kickPlayer(gameId, ownerId, targetPlayerId) {
     const game = this.gameManager.getGame(gameId);
 
     if (!game || game.ownerId !== ownerId) {
@@ -145,21 +721,377 @@ class GameService {
       throw new Error("Cannot kick yourself");
     }
 
-    // Add to banned list
-    if (!game.bannedPlayers) {
-      game.bannedPlayers = [];
+    return await this.banAndRemove(game, targetPlayerId, ownerId);
+  }
+
+  // Mute or unmute a player or spectator for the whole room. Their guesses
+  // are still checked, but nothing else they type reaches the room.
+  setPlayerMuted(gameId, ownerId, targetPlayerId, muted) {
+    const game = this.gameManager.getGame(gameId);
+
+    if (!game || game.ownerId !== ownerId) {
+      throw new Error("Only the room owner can mute players");
     }
-    game.bannedPlayers.push(targetPlayerId);
+
+    if (targetPlayerId === ownerId) {
+      throw new Error("Cannot mute yourself");
+    }
+
+    const target = getAllParticipants(game).find(
+      (p) => p.id === targetPlayerId
+    );
+    if (!target) throw new Error("Player not found");
+
+    target.isMuted = Boolean(muted);
+    const identity = this.gameManager.getPlayerIdentity(
+      game.id,
+      targetPlayerId
+    );
+    if (identity) {
+      this.gameManager.setTokenMuted(
+        game.id,
+        identity.playerToken,
+        target.isMuted
+      );
+    }
+
+    this.gameManager.recordEvent(
+      game.id,
+      EventService.EVENT_TYPES.PLAYER_MUTED,
+      { playerName: target.name, muted: target.isMuted },
+      targetPlayerId
+    );
+
+    return { game, player: target };
+  }
+
+  // Ban a player from the room and remove them; kickedBy is the owner's id
+  // or "vote"
+  async banAndRemove(game, targetPlayerId, kickedBy) {
+    const target = getAllParticipants(game).find(
+      (p) => p.id === targetPlayerId
+    );
+    if (!target) throw new Error("Player not found");
+
+    // The ban follows the player's token, not their socket, so reloading
+    // doesn't get them back in
+    const identity = this.gameManager.getPlayerIdentity(
+      game.id,
+      targetPlayerId
+    );
+    await this.banService.banPlayer(game.roomCode, {
+      playerName: target.name,
+      ...this.getBanIdentity(identity || {}),
+      bannedBy: kickedBy === "vote" ? "vote" : "owner",
+    });
+
+    this.gameManager.recordEvent(
+      game.id,
+      EventService.EVENT_TYPES.PLAYER_KICKED,
+      { playerName: target.name, kickedBy },
+      targetPlayerId
+    );
 
     // Remove player
-    const updatedGame = this.gameManager.removePlayer(gameId, targetPlayerId);
+    const updatedGame = this.gameManager.removePlayer(game.id, targetPlayerId, {
+      reason: "kicked",
+    });
     return updatedGame;
   }
 
-  isPlayerBanned(gameId, playerId) {
+  // File a report of a player's chat, or of one of their messages, or of
+  // the drawing on the canvas against its drawer. Returns the report id.
+  async reportPlayer(
+    gameId,
+    reporterId,
+    { kind, targetPlayerId, messageId = null, reason }
+  ) {
     const game = this.gameManager.getGame(gameId);
-    if (!game) return false;
-    return game.bannedPlayers?.includes(playerId) || false;
+    if (!game) throw new Error("Game not found");
+    if (!REPORT_KINDS.includes(kind)) throw new Error("Invalid report");
+
+    const participants = getAllParticipants(game);
+    const reporter = participants.find((p) => p.id === reporterId);
+    if (!reporter) throw new Error("You are not in this game");
+
+    if (kind === "drawing") {
+      if (!game.currentDrawer || game.drawingData.length === 0) {
+        throw new Error("There is no drawing to report");
+      }
+      targetPlayerId = game.currentDrawer.id;
+      messageId = null;
+    }
+
+    const reported = participants.find((p) => p.id === targetPlayerId);
+    if (!reported) throw new Error("Player not found");
+    if (reported.id === reporterId) {
+      throw new Error("You can't report yourself");
+    }
+    if (messageId !== null) {
+      const message = await this.reportService.getChatMessage(
+        game.id,
+        messageId
+      );
+      if (!message || message.userId !== reported.id) {
+        throw new Error("Message not found");
+      }
+    }
+
+    if (
+      this.reportLimits.isLimited(
+        reporterId,
+        `target:${gameId}:${reported.id}`,
+        1
+      )
+    ) {
+      throw new Error(`You already reported ${reported.name}`);
+    }
+    if (
+      !this.reportLimits.checkLimit(
+        reporterId,
+        "report",
+        MAX_REPORTS,
+        REPORT_WINDOW
+      )
+    ) {
+      throw new Error("You've sent a lot of reports. Try again later.");
+    }
+    this.reportLimits.checkLimit(
+      reporterId,
+      `target:${gameId}:${reported.id}`,
+      1,
+      REPORT_WINDOW
+    );
+
+    const identity = this.gameManager.getPlayerIdentity(game.id, reported.id);
+    return await this.reportService.createReport({
+      game,
+      kind,
+      reason,
+      reporter,
+      reported,
+      messageId,
+      identity: this.getBanIdentity(identity || {}),
+    });
+  }
+
+  // Take a player an admin banned from every room out of every room they
+  // are in, found by the hash of their player token so a reconnect since
+  // the report doesn't hide them. Returns the player's id and the room
+  // (null once empty) for each room they were removed from.
+  removeBannedPlayer(tokenHash) {
+    if (!tokenHash) return [];
+
+    const sessions = [...this.gameManager.playerSessions]
+      .filter(([token]) => hashIdentity(token) === tokenHash)
+      .map(([, session]) => session);
+
+    const removed = [];
+    for (const { gameId, userId } of sessions) {
+      const game = this.gameManager.getGame(gameId);
+      const player = game
+        ? getAllParticipants(game).find((p) => p.id === userId)
+        : null;
+      if (!player) continue;
+
+      this.gameManager.recordEvent(
+        gameId,
+        EventService.EVENT_TYPES.PLAYER_KICKED,
+        { playerName: player.name, kickedBy: "admin" },
+        userId
+      );
+      removed.push({
+        playerId: userId,
+        game:
+          this.gameManager.removePlayer(gameId, userId, {
+            reason: "kicked",
+          }) || null,
+      });
+    }
+    return removed;
+  }
+
+  // Let any player put a kick to the room's vote. onExpire(game, vote) runs
+  // if the vote is still undecided when time runs out.
+  startVoteKick(gameId, starterId, targetPlayerId, onExpire) {
+    const game = this.gameManager.getGame(gameId);
+    if (!game) throw new Error("Game not found");
+
+    if (!game.players.some((p) => p.id === starterId)) {
+      throw new Error("Only players can start a vote-kick");
+    }
+
+    const target = getAllParticipants(game).find(
+      (p) => p.id === targetPlayerId
+    );
+    if (!target) throw new Error("Player not found");
+    if (targetPlayerId === starterId) {
+      throw new Error("Cannot vote to kick yourself");
+    }
+    if (game.voteKick) throw new Error("A vote-kick is already running");
+
+    const voters = game.players
+      .filter((p) => p.id !== targetPlayerId && p.isConnected !== false)
+      .map((p) => p.id);
+    if (voters.length < MIN_VOTE_KICK_VOTERS) {
+      throw new Error("Not enough players for a vote-kick");
+    }
+
+    const targetKey = `${gameId}:${targetPlayerId}`;
+    if (this.voteKickCooldowns.isLimited(starterId, "start-vote-kick", 1)) {
+      throw new Error("Wait a minute before starting another vote-kick");
+    }
+    if (this.voteKickCooldowns.isLimited(targetKey, "vote-kick-target", 1)) {
+      throw new Error(`${target.name} was voted on recently`);
+    }
+    this.voteKickCooldowns.checkLimit(
+      starterId,
+      "start-vote-kick",
+      1,
+      VOTE_KICK_COOLDOWN
+    );
+    this.voteKickCooldowns.checkLimit(
+      targetKey,
+      "vote-kick-target",
+      1,
+      VOTE_KICK_TARGET_COOLDOWN
+    );
+
+    const vote = createVoteKick({
+      target,
+      startedBy: starterId,
+      voters,
+      majority: game.voteKickMajority,
+      duration: this.voteKickDuration,
+    });
+    game.voteKick = vote;
+    this.gameManager.scheduleVoteKickExpiry(
+      gameId,
+      this.voteKickDuration,
+      () => {
+        if (game.voteKick !== vote) return;
+        this.gameManager.clearVoteKick(gameId);
+        logger.info("Vote-kick expired", { gameId, target: target.name });
+        onExpire(game, vote);
+      }
+    );
+
+    logger.info("Vote-kick started", { gameId, target: target.name });
+    return { game, vote };
+  }
+
+  // Record a player's vote. Returns { game, vote, result } where result is
+  // null while the vote is open; a passed vote bans and removes the target.
+  async voteOnKick(gameId, voterId, inFavor) {
+    const game = this.gameManager.getGame(gameId);
+    const vote = game?.voteKick;
+    if (!vote) throw new Error("There is no vote-kick running");
+
+    if (!castVoteKick(vote, voterId, inFavor === true)) {
+      throw new Error("You can't vote on this kick");
+    }
+
+    const result = getVoteKickResult(vote);
+    if (!result) return { game, vote, result };
+
+    this.gameManager.clearVoteKick(gameId);
+    logger.info("Vote-kick decided", {
+      gameId,
+      target: vote.targetName,
+      result,
+    });
+
+    if (result === "passed") {
+      const updatedGame = await this.banAndRemove(game, vote.targetId, "vote");
+      return { game: updatedGame, vote, result };
+    }
+    return { game, vote, result };
+  }
+
+  async promoteSpectator(gameId, ownerId, spectatorId) {
+    const game = this.gameManager.getGame(gameId);
+
+    if (!game || game.ownerId !== ownerId) {
+      throw new Error("Only the room owner can promote spectators");
+    }
+
+    if (game.status === "playing") {
+      throw new Error("Spectators can only join between games");
+    }
+
+    if (game.players.length >= MAX_PLAYERS) {
+      throw new Error("The room is full");
+    }
+
+    return await this.gameManager.promoteSpectator(gameId, spectatorId);
+  }
+
+  async getBans(gameId, ownerId) {
+    const game = this.gameManager.getGame(gameId);
+
+    if (!game || game.ownerId !== ownerId) {
+      throw new Error("Only the room owner can see bans");
+    }
+
+    return await this.banService.listBans(game.roomCode);
+  }
+
+  async liftBan(gameId, ownerId, banId) {
+    const game = this.gameManager.getGame(gameId);
+
+    if (!game || game.ownerId !== ownerId) {
+      throw new Error("Only the room owner can lift bans");
+    }
+
+    if (!(await this.banService.liftBan(game.roomCode, banId))) {
+      throw new Error("Ban not found");
+    }
+    return await this.banService.listBans(game.roomCode);
+  }
+
+  // Every live room, for the admin console
+  listGames() {
+    return Array.from(this.gameManager.games.values()).map((game) => ({
+      id: game.id,
+      roomCode: game.roomCode,
+      status: game.status,
+      ownerName: game.players.find((p) => p.id === game.ownerId)?.name || null,
+      players: game.players.map((p) => ({
+        id: p.id,
+        name: p.name,
+        score: p.score,
+        isConnected: p.isConnected,
+      })),
+      spectatorCount: game.spectators.length,
+      round: game.round,
+      maxRounds: game.maxRounds,
+      isPublic: Boolean(game.isPublic),
+      hasPassword: Boolean(game.hasPassword),
+      language: game.language,
+    }));
+  }
+
+  // End a game in progress with the current scores
+  async endGame(gameId) {
+    const game = this.gameManager.getGame(gameId);
+    if (!game) throw new Error("Game not found");
+    if (game.status !== "playing") {
+      throw new Error("Game is not in progress");
+    }
+
+    logger.info("Game ended by admin", { gameId });
+    return await this.gameManager.finishGame(gameId, { endedBy: "admin" });
+  }
+
+  // Close a room for good; returns the ids of everyone who was in it
+  closeRoom(gameId) {
+    const game = this.gameManager.getGame(gameId);
+    if (!game) throw new Error("Game not found");
+
+    const participantIds = getAllParticipants(game).map((p) => p.id);
+    this.gameManager.deleteGame(gameId);
+    logger.info("Room closed by admin", { gameId, roomCode: game.roomCode });
+    return participantIds;
   }
 
   getGame(gameId) {
@@ -0,0 +1,144 @@
+// Replay Recorder - Collects turn-by-turn strokes and chat for live games
+import logger from "../utils/logger.js";
+
+// Drawing beyond this is dropped to bound memory for long turns, and the
+// turn is marked truncated
+export const MAX_STROKES_PER_TURN = 5000;
+
+class ReplayRecorder {
+  constructor() {
+    this.recordings = new Map();
+  }
+
+  // Begin a fresh recording when a game starts
+  start(gameId) {
+    this.recordings.set(gameId, {
+      startedAt: Date.now(),
+      turnStartedAt: null,
+      turnOpen: false,
+      turns: [],
+      chat: [],
+    });
+  }
+
+  // Open a new turn once the drawer has picked a word
+  beginTurn(game) {
+    const recording = this.recordings.get(game.id);
+    if (!recording) return;
+
+    const now = Date.now();
+    recording.turnStartedAt = now;
+    recording.turnOpen = true;
+    recording.turns.push({
+      round: game.round,
+      drawer: game.currentDrawer
+        ? { id: game.currentDrawer.id, name: game.currentDrawer.name }
+        : null,
+      word: game.currentWord,
+      startedAt: now - recording.startedAt,
+      duration: 0,
+      strokes: [],
+      truncated: false,
+    });
+  }
+
+  endTurn(gameId) {
+    const turn = this.getOpenTurn(gameId);
+    if (!turn) return;
+
+    const recording = this.recordings.get(gameId);
+    turn.duration = Date.now() - recording.turnStartedAt;
+    recording.turnOpen = false;
+  }
+
+  // Strokes only count while a turn is being drawn
+  getOpenTurn(gameId) {
+    const recording = this.recordings.get(gameId);
+    if (!recording || !recording.turnOpen) return null;
+    return recording.turns[recording.turns.length - 1];
+  }
+
+  // Add an entry to the open turn's strokes. Once a turn is truncated
+  // nothing more is kept, as later undos would take back strokes the
+  // replay never had.
+  pushStroke(gameId, entry) {
+    const turn = this.getOpenTurn(gameId);
+    if (!turn || turn.truncated) return;
+    if (turn.strokes.length >= MAX_STROKES_PER_TURN) {
+      turn.truncated = true;
+      return;
+    }
+
+    const recording = this.recordings.get(gameId);
+    turn.strokes.push({ t: Date.now() - recording.turnStartedAt, ...entry });
+  }
+
+  recordStroke(gameId, drawingData) {
+    this.pushStroke(gameId, { data: drawingData });
+  }
+
+  recordClear(gameId) {
+    this.pushStroke(gameId, { clear: true });
+  }
+
+  // Undo removes the last `count` strokes entries; redo is recorded as the
+  // strokes being drawn again
+  recordUndo(gameId, count) {
+    this.pushStroke(gameId, { undo: count });
+  }
+
+  // Chat is keyed to the latest turn, with t relative to that turn's start
+  recordChat(gameId, { userId, userName, message = "", isCorrect = false }) {
+    const recording = this.recordings.get(gameId);
+    if (!recording) return;
+
+    const turnIndex = Math.max(recording.turns.length - 1, 0);
+    const t = recording.turnStartedAt
+      ? Date.now() - recording.turnStartedAt
+      : 0;
+
+    recording.chat.push({
+      turn: turnIndex,
+      t,
+      userId,
+      userName,
+      message,
+      isCorrect,
+    });
+  }
+
+  // Hand back the finished recording and stop tracking the game
+  finish(gameId) {
+    const recording = this.recordings.get(gameId);
+    if (!recording) return null;
+
+    this.endTurn(gameId);
+    this.recordings.delete(gameId);
+
+    logger.debug("Replay recording finished", {
+      gameId,
+      turns: recording.turns.length,
+    });
+
+    return { turns: recording.turns, chat: recording.chat };
+  }
+
+  // The recording in progress, for handing a room to another instance
+  getRecording(gameId) {
+    return this.recordings.get(gameId) || null;
+  }
+
+  restore(gameId, recording) {
+    this.recordings.set(gameId, recording);
+  }
+
+  discard(gameId) {
+    this.recordings.delete(gameId);
+  }
+
+  isRecording(gameId) {
+    return this.recordings.has(gameId);
+  }
+}
+
+export default ReplayRecorder;
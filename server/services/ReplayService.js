@@ -29,13 +29,16 @@ class ReplayService {
     }
   }
 
-  async saveGameReplay(game, chatHistory) {
+  // Persist a finished game. drawing_data holds one entry per turn with its
+  // strokes, and chat_history holds chat keyed to those turns; both use
+  // timestamps relative to the start of their turn.
+  async saveGameReplay(game, { turns = [], chat = [] } = {}) {
     try {
       const db = getDatabase();
 
       // Find winner
       const sortedPlayers = [...game.players].sort((a, b) => b.score - a.score);
-      const winner = sortedPlayers[0];
+      const winner = sortedPlayers[0] || null;
 
       // Prepare data for storage
       const playersData = JSON.stringify(
@@ -46,8 +49,8 @@ class ReplayService {
         }))
       );
 
-      const drawingData = JSON.stringify(game.drawingData);
-      const chatData = JSON.stringify(chatHistory);
+      const drawingData = JSON.stringify(turns);
+      const chatData = JSON.stringify(chat);
 
       await db.sql`
         INSERT INTO game_replays (
@@ -63,15 +66,18 @@ class ReplayService {
           ${game.id},
           ${game.roomCode},
           ${playersData},
-          ${winner.id},
-          ${winner.name},
+          ${winner?.id || null},
+          ${winner?.name || null},
           ${game.maxRounds},
           ${drawingData},
           ${chatData}
         )
       `;
 
-      logger.info("Game replay saved", { gameId: game.id });
+      logger.info("Game replay saved", {
+        gameId: game.id,
+        turns: turns.length,
+      });
       return true;
     } catch (error) {
       logger.error("Error saving game replay", { error: error.message });
@@ -120,7 +126,7 @@ class ReplayService {
           total_rounds,
           created_at
         FROM game_replays
-        ORDER BY created_at DESC
+        ORDER BY created_at DESC, id DESC
         LIMIT ${limit}
       `;
 
@@ -149,7 +155,7 @@ class ReplayService {
           created_at
         FROM game_replays
         WHERE players LIKE '%' || ${userId} || '%'
-        ORDER BY created_at DESC
+        ORDER BY created_at DESC, id DESC
         LIMIT ${limit}
       `;
 
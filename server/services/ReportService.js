@@ -0,0 +1,262 @@
+// Report Service - Player reports of chat and drawings, and their review
+import { getDatabase } from "../database.js";
+import logger from "../utils/logger.js";
+import BanService, { ALL_ROOMS, hashIdentity } from "./BanService.js";
+
+// Chat kept with a report: the reported player's recent messages, the
+// messages either side of a reported message and the room's latest few
+const REPORTED_MESSAGES = 20;
+const MESSAGE_CONTEXT = 5;
+const RECENT_MESSAGES = 10;
+
+export const REPORT_KINDS = ["chat", "drawing"];
+export const REPORT_STATUSES = ["open", "resolved", "dismissed"];
+// "ban" also bans the reported player from every room
+export const REPORT_ACTIONS = ["dismiss", "resolve", "ban"];
+
+function parseJson(value, fallback) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function toSummary(row) {
+  return {
+    id: row.id,
+    gameId: row.game_id,
+    roomCode: row.room_code,
+    kind: row.kind,
+    reason: row.reason,
+    reporterName: row.reporter_name,
+    reportedId: row.reported_id,
+    reportedName: row.reported_name,
+    word: row.word,
+    messageId: row.message_id,
+    status: row.status,
+    resolution: row.resolution,
+    note: row.note,
+    resolvedAt: row.resolved_at,
+    createdAt: row.created_at,
+  };
+}
+
+function toChatMessage(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    userName: row.user_name,
+    message: row.message,
+    timestamp: row.timestamp,
+  };
+}
+
+class ReportService {
+  constructor() {
+    this.banService = new BanService();
+  }
+
+  // A chat message sent in the game, or null
+  async getChatMessage(gameId, messageId) {
+    const db = getDatabase();
+    const rows = await db.sql`
+      SELECT c.id, c.user_id, u.name AS user_name, c.message, c.timestamp
+      FROM chat_messages c
+      LEFT JOIN users u ON u.id = c.user_id
+      WHERE c.game_id = ${gameId} AND c.id = ${messageId}
+    `;
+    return rows.length > 0 ? toChatMessage(rows[0]) : null;
+  }
+
+  // The chat to keep with a report, oldest first. Chatter from others can't
+  // push the reported player's messages out of it.
+  async getChatSnapshot(gameId, reportedId, messageId = null) {
+    const db = getDatabase();
+
+    const reportedRows = await db.sql`
+      SELECT c.id, c.user_id, u.name AS user_name, c.message, c.timestamp
+      FROM chat_messages c
+      LEFT JOIN users u ON u.id = c.user_id
+      WHERE c.game_id = ${gameId} AND c.user_id = ${reportedId}
+      ORDER BY c.id DESC
+      LIMIT ${REPORTED_MESSAGES}
+    `;
+    const recentRows = await db.sql`
+      SELECT c.id, c.user_id, u.name AS user_name, c.message, c.timestamp
+      FROM chat_messages c
+      LEFT JOIN users u ON u.id = c.user_id
+      WHERE c.game_id = ${gameId}
+      ORDER BY c.id DESC
+      LIMIT ${RECENT_MESSAGES}
+    `;
+    let contextRows = [];
+    if (messageId !== null) {
+      const before = await db.sql`
+        SELECT c.id, c.user_id, u.name AS user_name, c.message, c.timestamp
+        FROM chat_messages c
+        LEFT JOIN users u ON u.id = c.user_id
+        WHERE c.game_id = ${gameId} AND c.id <= ${messageId}
+        ORDER BY c.id DESC
+        LIMIT ${MESSAGE_CONTEXT + 1}
+      `;
+      const after = await db.sql`
+        SELECT c.id, c.user_id, u.name AS user_name, c.message, c.timestamp
+        FROM chat_messages c
+        LEFT JOIN users u ON u.id = c.user_id
+        WHERE c.game_id = ${gameId} AND c.id > ${messageId}
+        ORDER BY c.id
+        LIMIT ${MESSAGE_CONTEXT}
+      `;
+      contextRows = [...before, ...after];
+    }
+
+    const byId = new Map();
+    for (const row of [...reportedRows, ...contextRows, ...recentRows]) {
+      byId.set(row.id, row);
+    }
+    return [...byId.values()].sort((a, b) => a.id - b.id).map(toChatMessage);
+  }
+
+  // Store a report with the chat around it and, for a drawing, the canvas
+  // as it was. messageId is the reported chat message, if any. identity is
+  // what a ban would match the reported player on.
+  async createReport({
+    game,
+    kind,
+    reason,
+    reporter,
+    reported,
+    messageId = null,
+    identity = {},
+  }) {
+    const db = getDatabase();
+
+    const chatSnapshot = JSON.stringify(
+      await this.getChatSnapshot(game.id, reported.id, messageId)
+    );
+    const drawingSnapshot =
+      kind === "drawing" ? JSON.stringify(game.drawingData) : null;
+
+    const result = await db.sql`
+      INSERT INTO reports (
+        game_id,
+        room_code,
+        kind,
+        reason,
+        reporter_id,
+        reporter_name,
+        reported_id,
+        reported_name,
+        token_hash,
+        client_key_hash,
+        word,
+        message_id,
+        chat_snapshot,
+        drawing_snapshot
+      ) VALUES (
+        ${game.id},
+        ${game.roomCode},
+        ${kind},
+        ${reason || null},
+        ${reporter.id},
+        ${reporter.name},
+        ${reported.id},
+        ${reported.name},
+        ${hashIdentity(identity.playerToken)},
+        ${hashIdentity(identity.clientKey)},
+        ${game.currentWord || null},
+        ${messageId},
+        ${chatSnapshot},
+        ${drawingSnapshot}
+      )
+    `;
+    logger.info("Report filed", {
+      gameId: game.id,
+      kind,
+      reported: reported.name,
+    });
+    return result.lastID;
+  }
+
+  // Reports for review, newest first, without their snapshots
+  async listReports({ status = null, limit = 50, offset = 0 } = {}) {
+    const db = getDatabase();
+
+    const rows = await db.sql`
+      SELECT * FROM reports
+      WHERE (${status} IS NULL OR status = ${status})
+      ORDER BY id DESC
+      LIMIT ${limit} OFFSET ${offset}
+    `;
+    const result = await db.sql`
+      SELECT COUNT(*) as total FROM reports
+      WHERE (${status} IS NULL OR status = ${status})
+    `;
+
+    return { reports: rows.map(toSummary), total: result[0].total };
+  }
+
+  // One report with the chat and drawing it captured, or null
+  async getReport(id) {
+    const db = getDatabase();
+    const rows = await db.sql`SELECT * FROM reports WHERE id = ${id}`;
+    if (rows.length === 0) return null;
+
+    return {
+      ...toSummary(rows[0]),
+      chat: parseJson(rows[0].chat_snapshot, []),
+      drawingData: parseJson(rows[0].drawing_snapshot, null),
+    };
+  }
+
+  // The identity hashes a ban on this report matches the reported player on
+  async getReportedIdentity(id) {
+    const db = getDatabase();
+    const rows =
+      await db.sql`SELECT token_hash, client_key_hash FROM reports WHERE id = ${id}`;
+    if (rows.length === 0) return null;
+
+    return {
+      tokenHash: rows[0].token_hash,
+      clientKeyHash: rows[0].client_key_hash,
+    };
+  }
+
+  // Close an open report. Returns the updated report, or null if there is
+  // no such report; throws if it was already closed.
+  async resolveReport(id, { action, note = null }) {
+    const db = getDatabase();
+    const rows = await db.sql`SELECT * FROM reports WHERE id = ${id}`;
+    if (rows.length === 0) return null;
+
+    const report = rows[0];
+    if (report.status !== "open") {
+      throw new Error("Report is already closed");
+    }
+
+    if (action === "ban") {
+      if (!report.token_hash && !report.client_key_hash) {
+        throw new Error("Nothing to ban this player by");
+      }
+      await this.banService.banIdentity(ALL_ROOMS, {
+        playerName: report.reported_name,
+        tokenHash: report.token_hash,
+        clientKeyHash: report.client_key_hash,
+        bannedBy: "admin",
+      });
+    }
+
+    const status = action === "dismiss" ? "dismissed" : "resolved";
+    await db.sql`
+      UPDATE reports
+      SET status = ${status}, resolution = ${action}, note = ${note}, resolved_at = CURRENT_TIMESTAMP
+      WHERE id = ${id}
+    `;
+
+    logger.info("Report closed", { id, action });
+    return await this.getReport(id);
+  }
+}
+
+export default ReportService;
@@ -1,6 +1,13 @@
 // Statistics Service
 import { getDatabase } from "../database.js";
 import logger from "../utils/logger.js";
+import { hashIdentity } from "./BanService.js";
+import { drawerRating, MIN_RATINGS_TO_RANK } from "../utils/drawingRatings.js";
+
+// Leaderboards are public, so they leave out the token hash
+function withoutPlayerKey({ player_key: _playerKey, ...stats }) {
+  return stats;
+}
 
 class StatsService {
   async initializeStatsTable() {
@@ -15,6 +22,10 @@ class StatsService {
           total_score INTEGER DEFAULT 0,
           correct_guesses INTEGER DEFAULT 0,
           words_drawn INTEGER DEFAULT 0,
+          drawing_likes INTEGER DEFAULT 0,
+          drawing_dislikes INTEGER DEFAULT 0,
+          drawer_rating INTEGER,
+          player_key TEXT,
           last_played DATETIME DEFAULT CURRENT_TIMESTAMP
         )
       `;
@@ -36,6 +47,8 @@ class StatsService {
 
       if (currentStats.length === 0) {
         // Create new stats entry
+        const likes = updates.drawingLikes || 0;
+        const dislikes = updates.drawingDislikes || 0;
         await db.sql`
           INSERT INTO player_stats (
             user_id, 
@@ -43,19 +56,28 @@ class StatsService {
             games_won, 
             total_score, 
             correct_guesses, 
-            words_drawn
+            words_drawn,
+            drawing_likes,
+            drawing_dislikes,
+            drawer_rating
           ) VALUES (
             ${userId}, 
             ${updates.gamesPlayed || 0}, 
             ${updates.gamesWon || 0}, 
             ${updates.totalScore || 0}, 
             ${updates.correctGuesses || 0}, 
-            ${updates.wordsDrawn || 0}
+            ${updates.wordsDrawn || 0},
+            ${likes},
+            ${dislikes},
+            ${drawerRating(likes, dislikes)}
           )
         `;
       } else {
         // Update existing stats
         const stats = currentStats[0];
+        const likes = (stats.drawing_likes || 0) + (updates.drawingLikes || 0);
+        const dislikes =
+          (stats.drawing_dislikes || 0) + (updates.drawingDislikes || 0);
         await db.sql`
           UPDATE player_stats SET
             games_played = ${stats.games_played + (updates.gamesPlayed || 0)},
@@ -65,6 +87,9 @@ class StatsService {
               stats.correct_guesses + (updates.correctGuesses || 0)
             },
             words_drawn = ${stats.words_drawn + (updates.wordsDrawn || 0)},
+            drawing_likes = ${likes},
+            drawing_dislikes = ${dislikes},
+            drawer_rating = ${drawerRating(likes, dislikes)},
             last_played = CURRENT_TIMESTAMP
           WHERE user_id = ${userId}
         `;
@@ -97,10 +122,28 @@ class StatsService {
     }
   }
 
-  async getLeaderboard(limit = 10) {
+  // Top players by total score with their drawer rating, or with sortBy
+  // "rating" the best rated artists among those rated often enough to
+  // rank
+  async getLeaderboard(limit = 10, { sortBy = "score" } = {}) {
     try {
       const db = getDatabase();
 
+      if (sortBy === "rating") {
+        const artists = await db.sql`
+          SELECT 
+            ps.*,
+            u.name,
+            u.avatar
+          FROM player_stats ps
+          JOIN users u ON ps.user_id = u.id
+          WHERE ps.drawing_likes + ps.drawing_dislikes >= ${MIN_RATINGS_TO_RANK}
+          ORDER BY ps.drawer_rating DESC, ps.drawing_likes DESC
+          LIMIT ${limit}
+        `;
+        return artists.map(withoutPlayerKey);
+      }
+
       const leaderboard = await db.sql`
         SELECT 
           ps.*,
@@ -112,7 +155,7 @@ class StatsService {
         LIMIT ${limit}
       `;
 
-      return leaderboard;
+      return leaderboard.map(withoutPlayerKey);
     } catch (error) {
       logger.error("Error getting leaderboard", { error: error.message });
       return [];
@@ -156,6 +199,36 @@ class StatsService {
     }
   }
 
+  // Add a turn's likes and dislikes to the drawer's rating. Ratings go to
+  // the stats row first rated under the drawer's player token, so one
+  // artist keeps one rating across reconnects.
+  async recordDrawingRatings(userId, playerToken, { likes, dislikes }) {
+    try {
+      const db = getDatabase();
+      const playerKey = hashIdentity(playerToken);
+
+      const rated = await db.sql`
+        SELECT user_id FROM player_stats WHERE player_key = ${playerKey} LIMIT 1
+      `;
+      const statsUserId = rated[0]?.user_id || userId;
+
+      await this.updatePlayerStats(statsUserId, {
+        drawingLikes: likes,
+        drawingDislikes: dislikes,
+      });
+      if (rated.length === 0) {
+        await db.sql`
+          UPDATE player_stats SET player_key = ${playerKey} WHERE user_id = ${userId}
+        `;
+      }
+    } catch (error) {
+      logger.error("Error recording drawing ratings", {
+        error: error.message,
+        userId,
+      });
+    }
+  }
+
   async recordWordDrawn(userId) {
     try {
       await this.updatePlayerStats(userId, { wordsDrawn: 1 });
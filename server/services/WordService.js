@@ -1,37 +1,50 @@
-// Word Service - Manages word selection and difficulty
+// Word Service - Manages word selection, difficulty and categories
 import { getDatabase } from "../database.js";
 import logger from "../utils/logger.js";
 
 class WordService {
-  async getRandomWords(count = 3, difficulty = null) {
+  async getRandomWords(count = 3, difficulty = null, categories = [], exclude = []) {
+    const entries = await this.getRandomWordEntries(count, difficulty, categories, exclude);
+    return entries.map((entry) => entry.word);
+  }
+
+  // Random words with their difficulty, as { word, difficulty }. Words in
+  // exclude (lowercase) are never returned.
+  async getRandomWordEntries(count = 3, difficulty = null, categories = [], exclude = []) {
     try {
       const db = getDatabase();
+
+      // Lists are passed as one JSON array parameter each; null means none
+      const categoryList =
+        categories && categories.length > 0 ? JSON.stringify(categories) : null;
+      const excludeList =
+        exclude && exclude.length > 0 ? JSON.stringify(exclude) : null;
+
+      const words = await db.sql`
+        SELECT word, difficulty FROM words 
+        WHERE (${difficulty} IS NULL OR difficulty = ${difficulty})
+          AND (${categoryList} IS NULL OR category IN (SELECT value FROM json_each(${categoryList})))
+          AND (${excludeList} IS NULL OR lower(word) NOT IN (SELECT value FROM json_each(${excludeList})))
+        ORDER BY RANDOM() 
+        LIMIT ${count}
+      `;
       
-      let words;
-      if (difficulty) {
-        words = await db.sql`
-          SELECT word FROM words 
-          WHERE difficulty = ${difficulty}
-          ORDER BY RANDOM() 
-          LIMIT ${count}
-        `;
-      } else {
-        words = await db.sql`
-          SELECT word FROM words 
-          ORDER BY RANDOM() 
-          LIMIT ${count}
-        `;
-      }
-      
-      return words.map((row) => row.word);
+      return words.map((row) => ({
+        word: row.word,
+        difficulty: row.difficulty || "medium",
+      }));
     } catch (error) {
       logger.error("Error getting random words", { error: error.message });
       // Return fallback words
-      return ["cat", "dog", "house"];
+      return [
+        { word: "cat", difficulty: "easy" },
+        { word: "dog", difficulty: "easy" },
+        { word: "house", difficulty: "medium" },
+      ];
     }
   }
 
-  async categor izeWordDifficulty(word) {
+  async categorizeWordDifficulty(word) {
     // Simple difficulty categorization based on word length and complexity
     const length = word.length;
     const hasSpaces = word.includes(" ");
@@ -68,15 +81,15 @@ class WordService {
     }
   }
 
-  async addCustomWords(words, difficulty = "medium") {
+  async addCustomWords(words, difficulty = "medium", category = "general") {
     try {
       const db = getDatabase();
       
       for (const word of words) {
         try {
           await db.sql`
-            INSERT OR IGNORE INTO words (word, difficulty) 
-            VALUES (${word.toLowerCase().trim()}, ${difficulty})
+            INSERT OR IGNORE INTO words (word, difficulty, category) 
+            VALUES (${word.toLowerCase().trim()}, ${difficulty}, ${category})
           `;
         } catch (error) {
           // Skip duplicates
@@ -92,6 +105,66 @@ class WordService {
     }
   }
 
+  // Remember words offered or drawn in a room, grouped by play (one run of
+  // a game from start to finish)
+  async recordWordHistory(roomCode, playId, words) {
+    try {
+      const db = getDatabase();
+
+      for (const word of words) {
+        await db.sql`
+          INSERT INTO word_history (room_code, play_id, word) 
+          VALUES (${roomCode}, ${playId}, ${word.toLowerCase()})
+        `;
+      }
+    } catch (error) {
+      logger.error("Error recording word history", { error: error.message });
+    }
+  }
+
+  // Lowercase words used in the room's last `games` plays
+  async getRecentWords(roomCode, games) {
+    try {
+      const db = getDatabase();
+
+      const words = await db.sql`
+        SELECT DISTINCT word FROM word_history 
+        WHERE room_code = ${roomCode} AND play_id IN (
+          SELECT play_id FROM word_history 
+          WHERE room_code = ${roomCode}
+          GROUP BY play_id 
+          ORDER BY MAX(id) DESC 
+          LIMIT ${games}
+        )
+      `;
+
+      return words.map((row) => row.word);
+    } catch (error) {
+      logger.error("Error getting recent words", { error: error.message });
+      return [];
+    }
+  }
+
+  // Forget all but the room's last `games` plays
+  async pruneWordHistory(roomCode, games) {
+    try {
+      const db = getDatabase();
+
+      await db.sql`
+        DELETE FROM word_history 
+        WHERE room_code = ${roomCode} AND play_id NOT IN (
+          SELECT play_id FROM word_history 
+          WHERE room_code = ${roomCode}
+          GROUP BY play_id 
+          ORDER BY MAX(id) DESC 
+          LIMIT ${games}
+        )
+      `;
+    } catch (error) {
+      logger.error("Error pruning word history", { error: error.message });
+    }
+  }
+
   async getWordsByDifficulty(difficulty) {
     try {
       const db = getDatabase();
@@ -107,6 +180,94 @@ class WordService {
     }
   }
 
+  // Words for the admin console, filtered and paged, with the number of
+  // words matching the filters
+  async searchWords({ search = "", category = null, difficulty = null, limit = 50, offset = 0 } = {}) {
+    const db = getDatabase();
+
+    // Match search as a plain substring, not a LIKE pattern
+    const pattern = `%${search.toLowerCase().replace(/[\\%_]/g, "\\$&")}%`;
+
+    const words = await db.sql`
+      SELECT id, word, difficulty, category FROM words
+      WHERE lower(word) LIKE ${pattern} ESCAPE '\\'
+        AND (${category} IS NULL OR category = ${category})
+        AND (${difficulty} IS NULL OR difficulty = ${difficulty})
+      ORDER BY word
+      LIMIT ${limit} OFFSET ${offset}
+    `;
+    const result = await db.sql`
+      SELECT COUNT(*) as total FROM words
+      WHERE lower(word) LIKE ${pattern} ESCAPE '\\'
+        AND (${category} IS NULL OR category = ${category})
+        AND (${difficulty} IS NULL OR difficulty = ${difficulty})
+    `;
+
+    return { words, total: result[0].total };
+  }
+
+  async getWord(id) {
+    const db = getDatabase();
+    const rows = await db.sql`SELECT id, word, difficulty, category FROM words WHERE id = ${id}`;
+    return rows[0] || null;
+  }
+
+  // Change a word's spelling, difficulty or category. Returns the updated
+  // word, or null if there is no such word.
+  async updateWord(id, { word, difficulty, category }) {
+    const db = getDatabase();
+    const existing = await this.getWord(id);
+    if (!existing) return null;
+
+    const updated = {
+      ...existing,
+      ...(word !== undefined && { word: word.toLowerCase() }),
+      ...(difficulty !== undefined && { difficulty }),
+      ...(category !== undefined && { category }),
+    };
+
+    const duplicate = await db.sql`
+      SELECT id FROM words WHERE lower(word) = ${updated.word.toLowerCase()} AND id != ${id}
+    `;
+    if (duplicate.length > 0) {
+      throw new Error(`"${updated.word}" is already in the word list`);
+    }
+
+    await db.sql`
+      UPDATE words
+      SET word = ${updated.word}, difficulty = ${updated.difficulty}, category = ${updated.category}
+      WHERE id = ${id}
+    `;
+    logger.info("Word updated", { id, word: updated.word });
+    return updated;
+  }
+
+  async deleteWord(id) {
+    const db = getDatabase();
+    const existing = await this.getWord(id);
+    if (!existing) return false;
+
+    await db.sql`DELETE FROM words WHERE id = ${id}`;
+    logger.info("Word deleted", { id, word: existing.word });
+    return true;
+  }
+
+  // Move words into a category; returns how many words were found
+  async setWordsCategory(ids, category) {
+    const db = getDatabase();
+    const idList = JSON.stringify(ids);
+
+    const found = await db.sql`
+      SELECT id FROM words WHERE id IN (SELECT value FROM json_each(${idList}))
+    `;
+    await db.sql`
+      UPDATE words SET category = ${category}
+      WHERE id IN (SELECT value FROM json_each(${idList}))
+    `;
+    logger.info("Words re-categorized", { count: found.length, category });
+    return found.length;
+  }
+
   async getWordCount() {
     try {
       const db = getDatabase();
@@ -119,11 +280,22 @@ class WordService {
           SUM(CASE WHEN difficulty = 'hard' THEN 1 ELSE 0 END) as hard
         FROM words
       `;
+
+      const categoryRows = await db.sql`
+        SELECT category, COUNT(*) as count
+        FROM words
+        GROUP BY category
+        ORDER BY category
+      `;
+      const categories = {};
+      for (const row of categoryRows) {
+        categories[row.category || "general"] = row.count;
+      }
       
-      return result[0];
+      return { ...result[0], categories };
     } catch (error) {
       logger.error("Error getting word count", { error: error.message });
-      return { total: 0, easy: 0, medium: 0, hard: 0 };
+      return { total: 0, easy: 0, medium: 0, hard: 0, categories: {} };
     }
   }
 }
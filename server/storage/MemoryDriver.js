@@ -0,0 +1,11 @@
+// In-memory storage driver - nothing is persisted between restarts
+import SQLiteDriver from "./SQLiteDriver.js";
+
+class MemoryDriver extends SQLiteDriver {
+  constructor() {
+    super({ filename: ":memory:" });
+    this.name = "in-memory";
+  }
+}
+
+export default MemoryDriver;
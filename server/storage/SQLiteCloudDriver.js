@@ -0,0 +1,41 @@
+// SQLite Cloud storage driver
+import { Database } from "@sqlitecloud/drivers";
+
+class SQLiteCloudDriver {
+  constructor({ connectionString }) {
+    if (!connectionString) {
+      throw new Error(
+        "SQLITECLOUD_CONNECTION_STRING environment variable is required"
+      );
+    }
+
+    this.name = "SQLite Cloud";
+    this.connectionString = connectionString;
+    this.db = null;
+  }
+
+  async connect() {
+    this.db = new Database(this.connectionString);
+  }
+
+  async sql(strings, ...values) {
+    return this.db.sql(strings, ...values);
+  }
+
+  isConnectionError(error) {
+    return (
+      error.errorCode === "ERR_CONNECTION_NOT_ESTABLISHED" ||
+      error.message.includes("Connection unavailable") ||
+      error.message.includes("disconnected")
+    );
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+export default SQLiteCloudDriver;
@@ -0,0 +1,57 @@
+// Local SQLite storage driver backed by better-sqlite3
+import Database from "better-sqlite3";
+
+// better-sqlite3 only binds numbers, strings, bigints, buffers and null
+function toSqliteValue(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+class SQLiteDriver {
+  constructor({ filename }) {
+    this.name = filename === ":memory:" ? "in-memory SQLite" : "SQLite";
+    this.filename = filename;
+    this.db = null;
+  }
+
+  async connect() {
+    this.db = new Database(this.filename);
+
+    // Match stock SQLite, which leaves foreign keys unenforced
+    this.db.pragma("foreign_keys = OFF");
+
+    if (this.filename !== ":memory:") {
+      this.db.pragma("journal_mode = WAL");
+    }
+  }
+
+  // Accepts the same tagged template calls as the SQLite Cloud driver
+  async sql(strings, ...values) {
+    const query = typeof strings === "string" ? strings : strings.join("?");
+    const statement = this.db.prepare(query);
+    const params = values.map(toSqliteValue);
+
+    if (statement.reader) {
+      return statement.all(...params);
+    }
+
+    const info = statement.run(...params);
+    return { changes: info.changes, lastID: Number(info.lastInsertRowid) };
+  }
+
+  isConnectionError() {
+    // A local database has no connection to lose
+    return false;
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+export default SQLiteDriver;
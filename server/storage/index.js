@@ -0,0 +1,48 @@
+// Storage adapter - picks the database driver from config
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const STORAGE_DRIVERS = ["sqlitecloud", "sqlite", "memory"];
+
+// DATABASE_DRIVER wins; otherwise use SQLite Cloud when it is configured and
+// fall back to a local SQLite file for development
+export function resolveStorageConfig(env = process.env) {
+  const connectionString = env.SQLITECLOUD_CONNECTION_STRING;
+  const driver =
+    env.DATABASE_DRIVER || (connectionString ? "sqlitecloud" : "sqlite");
+
+  return {
+    driver,
+    connectionString,
+    filename: env.SQLITE_FILE || path.join(__dirname, "..", "skribbl.db"),
+  };
+}
+
+// Drivers are imported lazily so unused backends never load
+export async function createDriver(config) {
+  switch (config.driver) {
+    case "sqlitecloud": {
+      const { default: SQLiteCloudDriver } = await import(
+        "./SQLiteCloudDriver.js"
+      );
+      return new SQLiteCloudDriver(config);
+    }
+    case "sqlite": {
+      const { default: SQLiteDriver } = await import("./SQLiteDriver.js");
+      return new SQLiteDriver(config);
+    }
+    case "memory": {
+      const { default: MemoryDriver } = await import("./MemoryDriver.js");
+      return new MemoryDriver(config);
+    }
+    default:
+      throw new Error(
+        `Unknown DATABASE_DRIVER "${
+          config.driver
+        }". Expected one of: ${STORAGE_DRIVERS.join(", ")}`
+      );
+  }
+}
@@ -0,0 +1,150 @@
+// Tests for the admin API: key checks, word moderation and room control
+import { initDatabase, closeDatabase } from "../database.js";
+import GameService from "../services/GameService.js";
+import WordService from "../services/WordService.js";
+import { validateWordUpdate } from "../utils/validation.js";
+import { parseAdminKeys, isAdminKey } from "../utils/adminAuth.js";
+import { test, assertEquals, errorMessage, createRoom } from "./helpers.js";
+
+console.log("\n=== Running Admin Tests ===\n");
+
+await test("checks admin keys", async () => {
+  const keys = parseAdminKeys(" first-key ,, second-key ");
+  assertEquals(keys, ["first-key", "second-key"], "Should parse the list");
+  assertEquals(parseAdminKeys(undefined), [], "Should allow no keys");
+
+  assertEquals(isAdminKey("second-key", keys), true, "Should accept a key");
+  assertEquals(isAdminKey("second-ke", keys), false, "Should reject a prefix");
+  assertEquals(isAdminKey("", keys), false, "Should reject an empty key");
+  assertEquals(isAdminKey(null, keys), false, "Should reject a missing key");
+});
+
+await test("validates word edits", async () => {
+  assertEquals(
+    validateWordUpdate({ word: " Fire  Truck ", category: "Vehicles" }),
+    { updates: { word: "Fire Truck", category: "vehicles" } },
+    "Should clean the fields"
+  );
+  assertEquals(
+    validateWordUpdate({ difficulty: "extreme" }),
+    { error: "Invalid difficulty" },
+    "Should reject unknown difficulties"
+  );
+  assertEquals(
+    validateWordUpdate({}),
+    { error: "Nothing to update" },
+    "Should need a field"
+  );
+});
+
+await initDatabase({ driver: "memory" });
+const wordService = new WordService();
+await wordService.addCustomWords(["lion", "tiger", "pizza"], "easy", "animals");
+await wordService.addCustomWords(["50%_off"], "hard", "general");
+
+await test("searches words by text, category and difficulty", async () => {
+  const { words, total } = await wordService.searchWords({ search: "I" });
+  assertEquals(
+    words.map((w) => w.word),
+    ["lion", "pizza", "tiger"],
+    "Should match case-insensitively, sorted"
+  );
+  assertEquals(total, 3, "Should count the matches");
+
+  const paged = await wordService.searchWords({
+    search: "i",
+    limit: 1,
+    offset: 1,
+  });
+  assertEquals(
+    paged.words.map((w) => w.word),
+    ["pizza"],
+    "Should page"
+  );
+  assertEquals(paged.total, 3, "Should count past the page");
+
+  const literal = await wordService.searchWords({ search: "%_" });
+  assertEquals(
+    literal.words.map((w) => w.word),
+    ["50%_off"],
+    "Should not treat the search as a pattern"
+  );
+
+  const hard = await wordService.searchWords({ difficulty: "hard" });
+  assertEquals(hard.total, 1, "Should filter by difficulty");
+});
+
+await test("edits, re-categorizes and deletes words", async () => {
+  const { words } = await wordService.searchWords({ category: "animals" });
+  const [lion, pizza, tiger] = words;
+
+  const updated = await wordService.updateWord(lion.id, { word: "Lioness" });
+  assertEquals(updated.word, "lioness", "Should store the new spelling");
+  assertEquals(
+    await errorMessage(() =>
+      wordService.updateWord(tiger.id, { word: "lioness" })
+    ),
+    '"lioness" is already in the word list',
+    "Should refuse duplicates"
+  );
+  assertEquals(
+    await wordService.updateWord(9999, { word: "ghost" }),
+    null,
+    "Should report a missing word"
+  );
+
+  assertEquals(
+    await wordService.setWordsCategory([pizza.id, 9999], "food"),
+    1,
+    "Should count the words moved"
+  );
+  assertEquals(
+    (await wordService.getWord(pizza.id)).category,
+    "food",
+    "Should move the word"
+  );
+
+  assertEquals(await wordService.deleteWord(tiger.id), true, "Should delete");
+  assertEquals(await wordService.deleteWord(tiger.id), false, "Should be gone");
+});
+
+await test("admins can end a game early", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "ADMN01", ["owner"]);
+
+  assertEquals(
+    await errorMessage(() => gameService.endGame(game.id)),
+    "Game is not in progress",
+    "Should only end running games"
+  );
+
+  game.status = "playing";
+  await gameService.endGame(game.id);
+  assertEquals(game.status, "finished", "Should finish the game");
+  assertEquals(
+    gameService.listGames().map((g) => [g.roomCode, g.status]),
+    [["ADMN01", "finished"]],
+    "Should list the room"
+  );
+});
+
+await test("admins can close a room", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "ADMN02", ["owner", "guest"]);
+
+  assertEquals(
+    gameService.closeRoom(game.id),
+    ["owner", "guest"],
+    "Should return everyone to notify"
+  );
+  assertEquals(gameService.getGame(game.id), undefined, "Should drop the room");
+  assertEquals(
+    await errorMessage(() => gameService.closeRoom(game.id)),
+    "Game not found",
+    "Should not close a room twice"
+  );
+});
+
+await closeDatabase();
+
+console.log("\n=== Tests Complete ===\n");
@@ -0,0 +1,173 @@
+// Tests for room bans that follow a player across reconnects
+import { v4 as uuidv4 } from "uuid";
+import { initDatabase, closeDatabase } from "../database.js";
+import GameService from "../services/GameService.js";
+import { validateGameSettings } from "../utils/validation.js";
+import { getClientAddress } from "../utils/clientAddress.js";
+import { test, assertEquals, errorMessage, createRoom } from "./helpers.js";
+
+function join(gameService, roomCode, socketId, options = {}) {
+  return gameService.createOrJoinGame(
+    roomCode,
+    socketId.toUpperCase(),
+    validateGameSettings({ isPublic: true }),
+    socketId,
+    options
+  );
+}
+
+// The reason a join is refused, or null if it succeeds
+async function joinDenial(gameService, roomCode, socketId, options) {
+  try {
+    await join(gameService, roomCode, socketId, options);
+    return null;
+  } catch (error) {
+    return error.reason || error.message;
+  }
+}
+
+// A room owned by "owner" with a kicked player who had the given identity
+async function roomWithBan(gameService, roomCode, identity) {
+  const { game } = await createRoom(gameService, roomCode, ["owner"], {
+    isPublic: true,
+  });
+  await join(gameService, roomCode, "pest", identity);
+  await gameService.kickPlayer(game.id, "owner", "pest");
+  return game;
+}
+
+console.log("\n=== Running Ban Tests ===\n");
+
+await initDatabase({ driver: "memory" });
+
+await test("a ban survives rejoining from a new socket", async () => {
+  const gameService = new GameService();
+  const playerToken = uuidv4();
+  await roomWithBan(gameService, "BAN001", { playerToken });
+
+  assertEquals(
+    await joinDenial(gameService, "BAN001", "pest-2", { playerToken }),
+    "banned",
+    "Should refuse the same token"
+  );
+  assertEquals(
+    await joinDenial(gameService, "BAN001", "other", { playerToken: uuidv4() }),
+    null,
+    "Should let other players in"
+  );
+  assertEquals(
+    await joinDenial(gameService, "BAN002", "pest-3", { playerToken }),
+    null,
+    "Should only ban from that room"
+  );
+});
+
+await test("bans match the address only when enabled", async () => {
+  const byToken = new GameService();
+  await roomWithBan(byToken, "BAN003", {
+    playerToken: uuidv4(),
+    clientKey: "10.0.0.1",
+  });
+  assertEquals(
+    await joinDenial(byToken, "BAN003", "pest-2", { clientKey: "10.0.0.1" }),
+    null,
+    "Should ignore the address by default"
+  );
+
+  const byIp = new GameService({ banByIp: true });
+  await roomWithBan(byIp, "BAN004", {
+    playerToken: uuidv4(),
+    clientKey: "10.0.0.2",
+  });
+  assertEquals(
+    await joinDenial(byIp, "BAN004", "pest-2", { clientKey: "10.0.0.2" }),
+    "banned",
+    "Should refuse a new token from the same address"
+  );
+});
+
+await test("a spoofed header doesn't get round an address ban", async () => {
+  const gameService = new GameService({ banByIp: true });
+  // Connecting directly, so X-Forwarded-For isn't trusted
+  const from = (forwardedFor) =>
+    getClientAddress(
+      { address: "10.0.0.3", headers: { "x-forwarded-for": forwardedFor } },
+      0
+    );
+  await roomWithBan(gameService, "BAN008", {
+    playerToken: uuidv4(),
+    clientKey: from("1.1.1.1"),
+  });
+
+  assertEquals(
+    await joinDenial(gameService, "BAN008", "pest-2", {
+      playerToken: uuidv4(),
+      clientKey: from("2.2.2.2"),
+    }),
+    "banned",
+    "Should still match the connecting address"
+  );
+});
+
+await test("the owner can list and lift bans", async () => {
+  const gameService = new GameService();
+  const playerToken = uuidv4();
+  const game = await roomWithBan(gameService, "BAN005", { playerToken });
+
+  const bans = await gameService.getBans(game.id, "owner");
+  assertEquals(
+    bans.map((ban) => [ban.playerName, ban.bannedBy]),
+    [["PEST", "owner"]],
+    "Should list the ban"
+  );
+
+  const remaining = await gameService.liftBan(game.id, "owner", bans[0].id);
+  assertEquals(remaining, [], "Should return the remaining bans");
+  assertEquals(
+    await joinDenial(gameService, "BAN005", "pest-2", { playerToken }),
+    null,
+    "Should let the player back in"
+  );
+});
+
+await test("only the owner can see or lift bans", async () => {
+  const gameService = new GameService();
+  const game = await roomWithBan(gameService, "BAN006", {
+    playerToken: uuidv4(),
+  });
+  await join(gameService, "BAN006", "guest");
+  const [ban] = await gameService.getBans(game.id, "owner");
+
+  assertEquals(
+    await errorMessage(() => gameService.getBans(game.id, "guest")),
+    "Only the room owner can see bans",
+    "Should hide bans"
+  );
+  assertEquals(
+    await errorMessage(() => gameService.liftBan(game.id, "guest", ban.id)),
+    "Only the room owner can lift bans",
+    "Should refuse"
+  );
+});
+
+await test("quick play skips rooms the player is banned from", async () => {
+  const gameService = new GameService();
+  const playerToken = uuidv4();
+  await roomWithBan(gameService, "BAN007", { playerToken });
+
+  const { game } = await gameService.quickPlay(
+    "Pest",
+    validateGameSettings({}),
+    "pest-2",
+    { playerToken }
+  );
+  assertEquals(
+    game.roomCode === "BAN007",
+    false,
+    "Should not seat the player in the room"
+  );
+});
+
+await closeDatabase();
+
+console.log("\n=== Tests Complete ===\n");
@@ -0,0 +1,191 @@
+// Tests for chat moderation
+import { initDatabase, closeDatabase } from "../database.js";
+import GameService from "../services/GameService.js";
+import { validateGameSettings } from "../utils/validation.js";
+import {
+  parseWordList,
+  containsListedWord,
+  maskListedWords,
+  moderateChatMessage,
+} from "../utils/chatModeration.js";
+import { test, assertEquals, createRoom } from "./helpers.js";
+
+console.log("\n=== Running Chat Moderation Tests ===\n");
+
+await test("parses configured word lists", async () => {
+  assertEquals(
+    parseWordList(" Foo, bar ,,BAZ "),
+    ["foo", "bar", "baz"],
+    "Should trim, lowercase and drop blanks"
+  );
+  assertEquals(parseWordList(undefined), [], "Should allow no list");
+});
+
+await test("matches whole words and common disguises", async () => {
+  const words = ["shit", "ass"];
+  assertEquals(containsListedWord("sh1t happens", words), true, "Leetspeak");
+  assertEquals(containsListedWord("SHIIIIT", words), true, "Stretched");
+  assertEquals(containsListedWord("shit!", words), true, "Punctuation");
+  assertEquals(containsListedWord("asses", words), true, "Plurals");
+  assertEquals(
+    containsListedWord("a classic assessment", words),
+    false,
+    "Should not match inside other words"
+  );
+});
+
+await test("only strips endings that leave a listed word", async () => {
+  const words = ["cock", "dick", "fuck"];
+  assertEquals(containsListedWord("fucking", words), true, "Listed stem");
+  assertEquals(containsListedWord("fuckers", words), true, "Listed stem");
+  assertEquals(
+    containsListedWord("a cocker spaniel", words),
+    false,
+    "Should let through known harmless words"
+  );
+  assertEquals(
+    containsListedWord("cocking the hammer, dickering", words),
+    false,
+    "Should let through harmless words and other stems"
+  );
+  assertEquals(
+    containsListedWord("c0cker", words),
+    false,
+    "Should allow the word however it's spelled"
+  );
+  assertEquals(
+    containsListedWord("cocker", ["cock", "cocker"]),
+    true,
+    "Should still match an allowed word that is listed outright"
+  );
+  assertEquals(
+    containsListedWord("dicker", words, []),
+    true,
+    "Should take the allowed words as a list"
+  );
+});
+
+await test("masks listed words", async () => {
+  assertEquals(
+    maskListedWords("oh shit, it's a cat", ["shit"]),
+    "oh s***, it's a cat",
+    "Should keep the first letter"
+  );
+});
+
+await test("applies the room's policy", async () => {
+  const lists = { profanity: ["crap"], slurs: ["slurword"] };
+
+  assertEquals(
+    moderateChatMessage("what crap", "standard", lists),
+    { message: "what c***" },
+    "Standard should mask profanity"
+  );
+  assertEquals(
+    moderateChatMessage("what crap", "family-friendly", lists).blocked,
+    "profanity",
+    "Family friendly should block profanity"
+  );
+  assertEquals(
+    moderateChatMessage("you slurword", "standard", lists).blocked,
+    "slur",
+    "Should always block slurs"
+  );
+  assertEquals(
+    moderateChatMessage("join www.example.com", "standard", lists).blocked,
+    "link",
+    "Should block links"
+  );
+  assertEquals(
+    moderateChatMessage("a".repeat(30), "standard", lists).blocked,
+    "spam",
+    "Should block flooding"
+  );
+  assertEquals(
+    moderateChatMessage("crap www.example.com", "off", lists),
+    { message: "crap www.example.com" },
+    "Off should let everything through"
+  );
+});
+
+await initDatabase({ driver: "memory" });
+
+await test("sanitizes messages before anything else", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "CHAT01", ["a", "b"]);
+
+  const result = await gameService.processChatMessage(
+    game.id,
+    "<b>hello</b> there",
+    "b"
+  );
+  assertEquals(result.message, "hello there", "Should strip HTML");
+  assertEquals(
+    await gameService.processChatMessage(game.id, "<i></i>  ", "b"),
+    null,
+    "Should drop empty messages"
+  );
+});
+
+await test("blocks messages with a notice for the sender", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "CHAT02", ["a", "b"], {
+    chatPolicy: "family-friendly",
+  });
+
+  const result = await gameService.processChatMessage(
+    game.id,
+    "this is crap",
+    "b"
+  );
+  assertEquals(result.blocked, "profanity", "Should block profanity");
+  assertEquals(typeof result.notice, "string", "Should explain why");
+});
+
+await test("moderates spectators too", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "CHAT03", ["a", "b"]);
+  await gameService.createOrJoinGame(
+    "CHAT03",
+    "Watcher",
+    validateGameSettings({}),
+    "w",
+    { asSpectator: true }
+  );
+
+  const result = await gameService.processChatMessage(
+    game.id,
+    "see https://example.com",
+    "w"
+  );
+  assertEquals(result.blocked, "link", "Should block the spectator's link");
+});
+
+await test("blocks a message repeated too often", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "CHAT04", ["a", "b"]);
+
+  const send = () => gameService.processChatMessage(game.id, "Hi!", "b");
+  assertEquals((await send()).blocked, undefined, "First is fine");
+  assertEquals((await send()).blocked, undefined, "Second is fine");
+  assertEquals((await send()).blocked, "repeat", "Third is spam");
+});
+
+await test("a filtered word can still be guessed", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "CHAT05", ["a", "b"], {
+    chatPolicy: "family-friendly",
+  });
+  game.status = "playing";
+  game.gamePhase = "drawing";
+  game.currentDrawer = game.players[0];
+  game.currentWord = "crap";
+
+  const result = await gameService.processChatMessage(game.id, "Crap", "b");
+  assertEquals(result.isCorrect, true, "Should count the guess");
+  assertEquals(result.blocked, undefined, "Should not block it");
+});
+
+await closeDatabase();
+
+console.log("\n=== Tests Complete ===\n");
@@ -0,0 +1,273 @@
+// Tests for sharing rooms between server instances, on the in-process
+// cluster adapter
+import { initDatabase, closeDatabase } from "../database.js";
+import GameService from "../services/GameService.js";
+import ClusterNode from "../cluster/ClusterNode.js";
+import LocalAdapter from "../cluster/LocalAdapter.js";
+import {
+  resolveClusterConfig,
+  createClusterAdapter,
+} from "../cluster/index.js";
+import { validateGameSettings } from "../utils/validation.js";
+import { test, assertEquals, createRoom } from "./helpers.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Short leases so a stopped instance is soon taken for dead; heartbeats
+// are run by hand
+const LEASE_MS = 100;
+
+// An instance: its own game service and a cluster node on the given hub
+async function startInstance(hub, instanceId, onRoomRestored) {
+  const gameService = new GameService();
+  const node = new ClusterNode({
+    adapter: new LocalAdapter({ leaseMs: LEASE_MS, hub }),
+    instanceId,
+    gameManager: gameService.gameManager,
+    heartbeatMs: 60000,
+    leaseMs: LEASE_MS,
+    onRoomRestored,
+  });
+  gameService.cluster = node;
+  await node.start();
+  return { gameService, node };
+}
+
+console.log("\n=== Running Cluster Tests ===\n");
+
+await test("clustering stays off without CLUSTER_ADAPTER", () => {
+  assertEquals(resolveClusterConfig({}), null, "Should be off");
+
+  const config = resolveClusterConfig({
+    CLUSTER_ADAPTER: "database",
+    CLUSTER_INSTANCE_ID: "a",
+    CLUSTER_HEARTBEAT_MS: "500",
+  });
+  assertEquals(
+    [config.adapter, config.instanceId, config.heartbeatMs, config.leaseMs],
+    ["database", "a", 500, 1500],
+    "Should default the lease to three heartbeats"
+  );
+});
+
+await test("createClusterAdapter rejects unknown adapters", async () => {
+  let message = null;
+  try {
+    await createClusterAdapter({ adapter: "redis" });
+  } catch (error) {
+    message = error.message;
+  }
+  assertEquals(
+    message,
+    'Unknown CLUSTER_ADAPTER "redis". Expected one of: local, database',
+    "Should list the adapters"
+  );
+});
+
+await initDatabase({ driver: "memory" });
+
+await test("only one live instance owns a room", async () => {
+  const hub = LocalAdapter.createHub();
+  const a = await startInstance(hub, "a");
+  const b = await startInstance(hub, "b");
+
+  assertEquals(await a.node.claimRoom("CLU001"), "a", "Should claim it");
+  assertEquals(await b.node.claimRoom("CLU001"), "a", "Should keep it");
+
+  const { game } = await createRoom(a.gameService, "CLU001", ["p1"]);
+  await a.node.saveRoom(game.id);
+  assertEquals(
+    [await a.node.ownerOfGame(game.id), await b.node.ownerOfGame(game.id)],
+    ["a", "a"],
+    "Should both find the owner by game"
+  );
+
+  await a.node.stop();
+  await b.node.stop();
+});
+
+await test("room changes are saved on the heartbeat", async () => {
+  const hub = LocalAdapter.createHub();
+  const a = await startInstance(hub, "a");
+  const { game } = await createRoom(a.gameService, "CLU007", ["p1", "p2"]);
+
+  // The first change saves the room so other instances can find it
+  await a.node.roomChanged(game.id);
+  game.players[1].score = 50;
+  await a.node.roomChanged(game.id);
+  const scoreOf = async () =>
+    (await a.node.adapter.loadRoom("CLU007")).game.players[1].score;
+  assertEquals(await scoreOf(), 0, "Should wait for the heartbeat");
+
+  await a.node.heartbeat();
+  assertEquals(await scoreOf(), 50, "Should save the change");
+
+  a.gameService.gameManager.deleteGame(game.id);
+  await a.node.stop();
+});
+
+await test("a room snapshot carries players, sessions and mutes", async () => {
+  const hub = LocalAdapter.createHub();
+  const a = await startInstance(hub, "a");
+  const b = await startInstance(hub, "b");
+  const { game, tokens } = await createRoom(a.gameService, "CLU002", [
+    "p1",
+    "p2",
+  ]);
+  a.gameService.setPlayerMuted(game.id, "p1", "p2", true);
+  a.gameService.setRoomPassword(game.id, "p1", "secret");
+
+  const snapshot = JSON.parse(
+    JSON.stringify(a.gameService.gameManager.exportRoom(game.id))
+  );
+  const restored = b.gameService.gameManager.restoreRoom(snapshot);
+  assertEquals(
+    restored.players.map((p) => [p.id, Boolean(p.isMuted)]),
+    [
+      ["p1", false],
+      ["p2", true],
+    ],
+    "Should keep the players"
+  );
+
+  const resumed = await b.gameService.createOrJoinGame(
+    "CLU002",
+    "P2",
+    validateGameSettings({}),
+    "p2-again",
+    { playerToken: tokens.p2 }
+  );
+  assertEquals(resumed.resumed, true, "Should resume the player's slot");
+  assertEquals(
+    b.gameService.gameManager.admitToRoom(game.id, { password: "secret" }),
+    "password",
+    "Should keep the room password"
+  );
+
+  await a.node.stop();
+  await b.node.stop();
+});
+
+await test("a dead instance's rooms fail over with their timers", async () => {
+  const hub = LocalAdapter.createHub();
+  const restored = [];
+  const a = await startInstance(hub, "a");
+  const b = await startInstance(hub, "b", (game) => restored.push(game));
+
+  const { game } = await createRoom(a.gameService, "CLU003", ["p1", "p2"]);
+  game.status = "playing";
+  game.currentDrawer = game.players[0];
+  game.wordChoices = [{ word: "apple", difficulty: "easy" }];
+  await a.gameService.gameManager.selectWord(game.id, "apple");
+  game.timeLeft = 42;
+  await a.node.heartbeat();
+
+  // a stops renewing its lease, as if it crashed
+  await a.node.stop();
+  await sleep(LEASE_MS * 2);
+  await b.node.heartbeat();
+
+  assertEquals(
+    restored.map((g) => [g.id, g.currentWord, g.timeLeft]),
+    [[game.id, "apple", 42]],
+    "Should take the room over"
+  );
+  assertEquals(await b.node.ownerOfGame(game.id), "b", "Should own it");
+
+  const { gameManager } = b.gameService;
+  gameManager.resumeTimers(game.id, null);
+  assertEquals(
+    gameManager.timers.has(game.id + "_draw"),
+    true,
+    "Should restart the draw timer"
+  );
+  assertEquals(
+    gameManager.getGame(game.id).currentDrawer ===
+      gameManager.getGame(game.id).players[0],
+    true,
+    "Should point the drawer at the player"
+  );
+
+  gameManager.deleteGame(game.id);
+  await b.node.stop();
+});
+
+await test("a new claim on a dead instance's room restores it", async () => {
+  const hub = LocalAdapter.createHub();
+  const a = await startInstance(hub, "a");
+  const b = await startInstance(hub, "b");
+  const { game } = await createRoom(a.gameService, "CLU004", ["p1"]);
+  await a.node.heartbeat();
+  await a.node.stop();
+  await sleep(LEASE_MS * 2);
+
+  // A join reaching b before its heartbeat notices a is gone
+  assertEquals(await b.node.claimRoom("CLU004"), "b", "Should win the claim");
+  assertEquals(
+    b.gameService.getGame(game.id)?.players.map((p) => p.id),
+    ["p1"],
+    "Should restore the room"
+  );
+
+  b.gameService.gameManager.deleteGame(game.id);
+  await b.node.stop();
+});
+
+await test("closed rooms are given back", async () => {
+  const hub = LocalAdapter.createHub();
+  const a = await startInstance(hub, "a");
+  const { game } = await createRoom(a.gameService, "CLU005", ["p1"]);
+  await a.node.heartbeat();
+
+  a.gameService.gameManager.removePlayer(game.id, "p1");
+  await sleep(LEASE_MS * 2);
+  await a.node.heartbeat();
+  assertEquals(
+    (await a.node.adapter.listRooms()).map((room) => room.roomCode),
+    [],
+    "Should release the claim"
+  );
+
+  await a.node.stop();
+});
+
+await test("room browsers list every instance's public rooms", async () => {
+  const hub = LocalAdapter.createHub();
+  const a = await startInstance(hub, "a");
+  const b = await startInstance(hub, "b");
+  const { game } = await createRoom(a.gameService, "CLU006", ["p1"], {
+    isPublic: true,
+  });
+
+  a.node.shareRooms(a.gameService.getLocalPublicRooms());
+  await sleep(10);
+  assertEquals(
+    b.gameService.getPublicRooms().map((room) => room.roomCode),
+    ["CLU006"],
+    "Should list the other instance's room"
+  );
+  assertEquals(
+    (await b.gameService.pickQuickPlayRoom(validateGameSettings({}))).roomCode,
+    "CLU006",
+    "Should quick play into it"
+  );
+
+  await a.node.saveRoom(game.id);
+  await a.node.stop();
+  await sleep(LEASE_MS * 2);
+  await b.node.heartbeat();
+  assertEquals(
+    [
+      b.node.getRemoteRooms(),
+      b.gameService.getLocalPublicRooms().map((room) => room.roomCode),
+    ],
+    [[], ["CLU006"]],
+    "Should list the room from its new owner"
+  );
+
+  await b.node.stop();
+});
+
+await closeDatabase();
+
+console.log("\n=== Tests Complete ===\n");
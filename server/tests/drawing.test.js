@@ -0,0 +1,177 @@
+// Tests for canvas history: drawing, undo and redo
+import GameService from "../services/GameService.js";
+
+function test(description, fn) {
+  try {
+    fn();
+    console.log(`✓ ${description}`);
+  } catch (error) {
+    console.error(`✗ ${description}`);
+    console.error(`  ${error.message}`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(
+      `${message || "Assertion failed"}: expected ${JSON.stringify(
+        expected
+      )}, got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+function assertNull(value, message) {
+  if (value !== null) {
+    throw new Error(message || `Expected null, got ${value}`);
+  }
+}
+
+// A game in progress with "drawer" at the canvas
+function createService() {
+  const gameService = new GameService();
+  gameService.gameManager.games.set("game1", {
+    id: "game1",
+    status: "playing",
+    currentDrawer: { id: "drawer", name: "Alice" },
+    players: [],
+    spectators: [],
+    drawingData: [],
+  });
+  return gameService;
+}
+
+function segment(strokeId, x) {
+  return {
+    x,
+    y: 10,
+    prevX: x - 1,
+    prevY: 10,
+    color: "#000000",
+    lineWidth: 3,
+    type: "draw",
+    strokeId,
+  };
+}
+
+function strokeIds(gameService) {
+  return gameService
+    .getGame("game1")
+    .drawingData.map((item) => `${item.strokeId}:${item.x}`);
+}
+
+console.log("\n=== Running Drawing History Tests ===\n");
+
+test("handleDrawing only accepts the current drawer", () => {
+  const gameService = createService();
+  assertNull(
+    gameService.handleDrawing("game1", segment("a", 1), "guesser"),
+    "Should ignore other players"
+  );
+  assertEquals(strokeIds(gameService), [], "Should not draw");
+});
+
+test("undoStroke removes every segment of the last stroke", () => {
+  const gameService = createService();
+  gameService.handleDrawing("game1", segment("a", 1), "drawer");
+  gameService.handleDrawing("game1", segment("b", 2), "drawer");
+  gameService.handleDrawing("game1", segment("b", 3), "drawer");
+
+  const stroke = gameService.undoStroke("game1", "drawer");
+  assertEquals(stroke.strokeId, "b", "Should undo the last stroke");
+  assertEquals(stroke.items.length, 2, "Should undo both segments");
+  assertEquals(strokeIds(gameService), ["a:1"], "Should keep earlier strokes");
+});
+
+test("redoStroke restores undone strokes in order", () => {
+  const gameService = createService();
+  gameService.handleDrawing("game1", segment("a", 1), "drawer");
+  gameService.handleDrawing("game1", segment("b", 2), "drawer");
+  gameService.undoStroke("game1", "drawer");
+  gameService.undoStroke("game1", "drawer");
+
+  assertEquals(gameService.redoStroke("game1", "drawer").strokeId, "a");
+  assertEquals(gameService.redoStroke("game1", "drawer").strokeId, "b");
+  assertNull(gameService.redoStroke("game1", "drawer"), "Nothing to redo");
+  assertEquals(strokeIds(gameService), ["a:1", "b:2"], "Should restore all");
+});
+
+test("a new stroke discards the redo history", () => {
+  const gameService = createService();
+  gameService.handleDrawing("game1", segment("a", 1), "drawer");
+  gameService.undoStroke("game1", "drawer");
+  gameService.handleDrawing("game1", segment("c", 5), "drawer");
+
+  assertNull(gameService.redoStroke("game1", "drawer"), "Should not redo");
+  assertEquals(strokeIds(gameService), ["c:5"], "Should keep new stroke");
+});
+
+test("clearCanvas discards the redo history", () => {
+  const gameService = createService();
+  gameService.handleDrawing("game1", segment("a", 1), "drawer");
+  gameService.undoStroke("game1", "drawer");
+  gameService.clearCanvas("game1", "drawer");
+
+  assertNull(gameService.redoStroke("game1", "drawer"), "Should not redo");
+});
+
+test("handleDrawingBatch stores a batch as segments", () => {
+  const gameService = createService();
+  const broadcast = gameService.handleDrawingBatch(
+    "game1",
+    {
+      strokeId: "a",
+      style: { type: "draw", color: "#000000", lineWidth: 3 },
+      points: [1, 10, 1, 0, 1, 0],
+    },
+    "drawer"
+  );
+
+  assertEquals(
+    gameService.getGame("game1").drawingData,
+    [segment("a", 2), segment("a", 3)],
+    "Should decode deltas into segments"
+  );
+  assertEquals(
+    broadcast.style,
+    { type: "draw", color: "#000000", lineWidth: 3 },
+    "Should broadcast the style"
+  );
+});
+
+test("handleDrawingBatch continues a stroke with its earlier style", () => {
+  const gameService = createService();
+  gameService.handleDrawing("game1", segment("a", 2), "drawer");
+
+  const broadcast = gameService.handleDrawingBatch(
+    "game1",
+    { strokeId: "a", points: [2, 10, 1, 0] },
+    "drawer"
+  );
+
+  assertEquals(strokeIds(gameService), ["a:2", "a:3"], "Should append");
+  assertEquals(broadcast, { strokeId: "a", points: [2, 10, 1, 0] });
+});
+
+test("handleDrawingBatch ignores batches of unknown strokes", () => {
+  const gameService = createService();
+  assertNull(
+    gameService.handleDrawingBatch(
+      "game1",
+      { strokeId: "b", points: [2, 10, 1, 0] },
+      "drawer"
+    ),
+    "Should need a style"
+  );
+  assertEquals(strokeIds(gameService), [], "Should not draw");
+});
+
+test("undoStroke ignores players who are not drawing", () => {
+  const gameService = createService();
+  gameService.handleDrawing("game1", segment("a", 1), "drawer");
+
+  assertNull(gameService.undoStroke("game1", "guesser"), "Should refuse");
+  assertEquals(strokeIds(gameService), ["a:1"], "Should keep the stroke");
+});
+
+console.log("\n=== Tests Complete ===\n");
@@ -0,0 +1,131 @@
+// Integration tests for the game event log
+import { initDatabase, closeDatabase } from "../database.js";
+import EventService from "../services/EventService.js";
+import messageQueue from "../services/MessageQueue.js";
+import GameService from "../services/GameService.js";
+import { test, assertEquals, createRoom } from "./helpers.js";
+
+const { EVENT_TYPES } = EventService;
+
+// Wait for the game-events queue to drain
+async function flushEvents() {
+  while (
+    messageQueue.getStats("game-events").length > 0 ||
+    messageQueue.getStats("game-events").processing
+  ) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+console.log("\n=== Running Event Log Tests ===\n");
+
+await initDatabase({ driver: "memory" });
+
+const eventService = new EventService();
+await eventService.initializeEventTable();
+messageQueue.registerHandler("game-events", (event) =>
+  eventService.recordEvent(
+    event.gameId,
+    event.eventType,
+    event.eventData,
+    event.userId
+  )
+);
+
+await test("getGameEvents returns events in the order recorded", async () => {
+  await eventService.recordEvent("g1", EVENT_TYPES.GAME_CREATED, {});
+  await eventService.recordEvent("g1", EVENT_TYPES.PLAYER_JOINED, {}, "u1");
+  await eventService.recordEvent("g1", EVENT_TYPES.GAME_STARTED, {});
+
+  const events = await eventService.getGameEvents("g1");
+  assertEquals(
+    events.map((e) => e.event_type),
+    ["game_created", "player_joined", "game_started"],
+    "Should keep insertion order"
+  );
+});
+
+await test("getUserEvents returns newest events first", async () => {
+  await eventService.recordEvent("g2", EVENT_TYPES.PLAYER_JOINED, {}, "u2");
+  await eventService.recordEvent("g2", EVENT_TYPES.PLAYER_LEFT, {}, "u2");
+
+  const events = await eventService.getUserEvents("u2", 1);
+  assertEquals(events.length, 1, "Should honour the limit");
+  assertEquals(events[0].event_type, "player_left", "Should be newest");
+});
+
+await test("GameManager records the game lifecycle", async () => {
+  const gameService = new GameService();
+  const { gameManager } = gameService;
+  const { game } = await createRoom(gameService, "EVT123", ["p1"], {
+    maxRounds: 2,
+  });
+  const gameId = game.id;
+  await gameManager.addSpectator(gameId, { id: "p2", name: "Bob" });
+  gameManager.removePlayer(gameId, "p2");
+  await flushEvents();
+
+  const events = await eventService.getGameEvents(gameId);
+  assertEquals(
+    events.map((e) => e.event_type),
+    ["game_created", "player_joined", "player_joined", "player_left"],
+    "Should record each transition"
+  );
+  assertEquals(events[0].event_data.maxRounds, 2, "Should keep settings");
+  assertEquals(
+    events[2].event_data,
+    { playerName: "Bob", asSpectator: true },
+    "Should flag spectators"
+  );
+  assertEquals(events[3].user_id, "p2", "Should attribute the event");
+});
+
+await test("GameManager records correct guesses with points", async () => {
+  const gameService = new GameService();
+  const { gameManager } = gameService;
+  const { game } = await createRoom(gameService, "EVT456", ["d1", "g1"]);
+  const gameId = game.id;
+  game.status = "playing";
+  game.currentDrawer = game.players[0];
+  game.currentWord = "apple";
+  game.gamePhase = "drawing";
+  game.timeLeft = game.drawTime;
+
+  await gameManager.checkGuess(gameId, "g1", "Apple");
+  await flushEvents();
+
+  const [event] = await eventService.getEventsByType(
+    gameId,
+    EVENT_TYPES.CORRECT_GUESS
+  );
+  assertEquals(event.user_id, "g1", "Should attribute the guesser");
+  assertEquals(event.event_data.points, 150, "Should record points");
+  assertEquals(
+    event.event_data.drawerPoints,
+    25,
+    "Should record drawer points"
+  );
+});
+
+await test("GameManager scales points by word difficulty", async () => {
+  const gameService = new GameService();
+  const { gameManager } = gameService;
+  const { game } = await createRoom(gameService, "EVT789", ["d1", "g1"]);
+  const gameId = game.id;
+  game.status = "playing";
+  game.currentDrawer = game.players[0];
+  game.currentWord = "skyscraper";
+  game.currentDifficulty = "hard";
+  game.gamePhase = "drawing";
+  game.timeLeft = game.drawTime;
+
+  await gameManager.checkGuess(gameId, "g1", "skyscraper");
+  await flushEvents();
+
+  assertEquals(game.players[1].score, 300, "Should double guesser points");
+  assertEquals(game.players[0].score, 50, "Should double drawer points");
+});
+
+await closeDatabase();
+
+console.log("\n=== Tests Complete ===\n");
@@ -4,6 +4,8 @@ import {
   canPlayerSeeWord,
   filterChatMessage,
   getPlayersWhoCanSeeWord,
+  isSpectator,
+  getAllParticipants,
 } from "../utils/gameSanitizer.js";
 
 function test(description, fn) {
@@ -202,6 +204,63 @@ test("getPlayersWhoCanSeeWord - handles all players guessed", () => {
   assertEquals(players.length, 3, "Should return all players");
 });
 
+// Tests for spectators
+test("canPlayerSeeWord - spectator cannot see word while drawing", () => {
+  const game = createMockGame({
+    spectators: [{ id: "spectator1", name: "Watcher" }],
+  });
+  assertFalse(canPlayerSeeWord(game, "spectator1"));
+});
+
+test("canPlayerSeeWord - spectator can see word in results phase", () => {
+  const game = createMockGame({
+    gamePhase: "results",
+    spectators: [{ id: "spectator1", name: "Watcher" }],
+  });
+  assertTrue(canPlayerSeeWord(game, "spectator1"));
+});
+
+test("sanitizeGameForPlayer - hides word from spectator", () => {
+  const game = createMockGame({
+    spectators: [{ id: "spectator1", name: "Watcher" }],
+  });
+  const sanitized = sanitizeGameForPlayer(game, "spectator1");
+  assertNull(sanitized.currentWord, "Word should be hidden");
+  assertEquals(sanitized.hints, game.hints, "Hints should be shown");
+});
+
+test("getPlayersWhoCanSeeWord - never includes spectators", () => {
+  const game = createMockGame({
+    spectators: [{ id: "spectator1", name: "Watcher", hasGuessed: true }],
+  });
+  const players = getPlayersWhoCanSeeWord(game);
+  assertFalse(players.includes("spectator1"), "Should exclude spectators");
+});
+
+test("isSpectator - identifies spectators only", () => {
+  const game = createMockGame({
+    spectators: [{ id: "spectator1", name: "Watcher" }],
+  });
+  assertTrue(isSpectator(game, "spectator1"), "Should detect spectator");
+  assertFalse(isSpectator(game, "player2"), "Players are not spectators");
+  assertFalse(
+    isSpectator(createMockGame(), "spectator1"),
+    "Should handle games without spectators"
+  );
+});
+
+test("getAllParticipants - returns players then spectators", () => {
+  const game = createMockGame({
+    spectators: [{ id: "spectator1", name: "Watcher" }],
+  });
+  const ids = getAllParticipants(game).map((p) => p.id);
+  assertEquals(
+    ids,
+    ["drawer1", "player2", "player3", "spectator1"],
+    "Should include everyone"
+  );
+});
+
 // Edge case tests
 test("Edge case - null game returns null", () => {
   const sanitized = sanitizeGameForPlayer(null, "player1");
@@ -0,0 +1,87 @@
+// Unit tests for close-guess detection
+import { editDistance, isCloseGuess } from "../utils/guessMatcher.js";
+import GameManager from "../gameManager.js";
+
+function test(description, fn) {
+  try {
+    fn();
+    console.log(`✓ ${description}`);
+  } catch (error) {
+    console.error(`✗ ${description}`);
+    console.error(`  ${error.message}`);
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(
+      `${message || "Assertion failed"}: expected ${expected}, got ${actual}`
+    );
+  }
+}
+
+function assertTrue(value, message) {
+  if (!value) {
+    throw new Error(message || "Expected true");
+  }
+}
+
+function assertFalse(value, message) {
+  if (value) {
+    throw new Error(message || "Expected false");
+  }
+}
+
+console.log("\n=== Running Guess Matcher Tests ===\n");
+
+test("editDistance counts single-character edits", () => {
+  assertEquals(editDistance("kitten", "sitting"), 3);
+  assertEquals(editDistance("apple", "apple"), 0);
+  assertEquals(editDistance("", "cat"), 3);
+});
+
+test("isCloseGuess accepts plural and singular forms", () => {
+  assertTrue(isCloseGuess("dinosaurs", "dinosaur"), "Should accept plural");
+  assertTrue(isCloseGuess("bus", "buses"), "Should accept singular");
+  assertTrue(isCloseGuess("Cherries", "cherry"), "Should accept -ies");
+});
+
+test("isCloseGuess accepts typos within the threshold", () => {
+  assertTrue(isCloseGuess("elefant", "elephant"), "Should accept typo");
+  assertTrue(isCloseGuess("bat", "cat"), "Short words allow one edit");
+  assertFalse(isCloseGuess("dog", "cat"), "Should reject other words");
+  assertFalse(isCloseGuess("giraffe", "elephant"), "Should reject far guesses");
+});
+
+test("isCloseGuess ignores exact matches and empty guesses", () => {
+  assertFalse(isCloseGuess(" Apple ", "apple"), "Exact match is not close");
+  assertFalse(isCloseGuess("   ", "apple"), "Empty guess is not close");
+});
+
+test("isCloseGuess follows the room threshold", () => {
+  assertFalse(isCloseGuess("dinosaurs", "dinosaur", 0), "0 turns it off");
+  assertFalse(isCloseGuess("elefnt", "elephant", 0.25), "Too far at 0.25");
+  assertTrue(isCloseGuess("elefnt", "elephant", 0.5), "Close at 0.5");
+});
+
+test("checkCloseGuess only hints players still guessing", () => {
+  const gameManager = new GameManager();
+  gameManager.games.set("game1", {
+    id: "game1",
+    currentWord: "dinosaur",
+    gamePhase: "drawing",
+    currentDrawer: { id: "drawer" },
+    players: [
+      { id: "drawer", hasGuessed: false },
+      { id: "guesser", hasGuessed: false },
+      { id: "done", hasGuessed: true },
+    ],
+    closeGuessThreshold: 0.25,
+  });
+
+  assertTrue(gameManager.checkCloseGuess("game1", "guesser", "dinosaurs"));
+  assertFalse(gameManager.checkCloseGuess("game1", "drawer", "dinosaurs"));
+  assertFalse(gameManager.checkCloseGuess("game1", "done", "dinosaurs"));
+});
+
+console.log("\n=== Tests Complete ===\n");
@@ -0,0 +1,72 @@
+// Shared helpers for the server tests: a small test runner, assertions and
+// room fixtures
+import { v4 as uuidv4 } from "uuid";
+import { validateGameSettings } from "../utils/validation.js";
+
+export async function test(description, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${description}`);
+  } catch (error) {
+    console.error(`✗ ${description}`);
+    console.error(`  ${error.message}`);
+  }
+}
+
+export function assertEquals(actual, expected, message) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(
+      `${message || "Assertion failed"}: expected ${JSON.stringify(
+        expected
+      )}, got ${JSON.stringify(actual)}`
+    );
+  }
+}
+
+export function assertTrue(value, message) {
+  if (!value) {
+    throw new Error(message || "Expected true, got false");
+  }
+}
+
+export function assertNull(value, message) {
+  if (value !== null) {
+    throw new Error(message || `Expected null, got ${value}`);
+  }
+}
+
+// The message fn throws with, or null if it doesn't throw
+export async function errorMessage(fn) {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * A room with the given players, each joining with their own player token
+ *
+ * @param {GameService} gameService - Service to create the room in
+ * @param {string} roomCode - Code of the room
+ * @param {string[]} ids - Socket ids of the players; the first one owns the
+ *   room and each player is named after their id in capitals
+ * @param {Object} settings - Room settings, before validation
+ * @returns {Promise<Object>} - { game, tokens } with the token per player id
+ */
+export async function createRoom(gameService, roomCode, ids, settings = {}) {
+  let game;
+  const tokens = {};
+  for (const id of ids) {
+    tokens[id] = uuidv4();
+    ({ game } = await gameService.createOrJoinGame(
+      roomCode,
+      id.toUpperCase(),
+      validateGameSettings(settings),
+      id,
+      { playerToken: tokens[id] }
+    ));
+  }
+  return { game, tokens };
+}
@@ -0,0 +1,178 @@
+// Tests for running several server instances side by side. Starts two real
+// servers sharing one SQLite file, connects a client to each and stops one
+// of them mid-game.
+import { spawn } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { io as connect } from "socket.io-client";
+import { test, assertEquals } from "./helpers.js";
+
+const serverDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "skribbl-cluster-"));
+const basePort = 40000 + Math.floor(Math.random() * 10000);
+const instances = [];
+const clients = [];
+
+// Start a server instance on the shared database. Resolves once it has
+// joined the cluster.
+function startInstance(name, port) {
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: serverDir,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATABASE_DRIVER: "sqlite",
+      SQLITE_FILE: path.join(dataDir, "skribbl.db"),
+      CLUSTER_ADAPTER: "database",
+      CLUSTER_INSTANCE_ID: name,
+      CLUSTER_HEARTBEAT_MS: "200",
+      CLUSTER_LEASE_MS: "1000",
+      LOG_LEVEL: "ERROR",
+    },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  instances.push(child);
+
+  return new Promise((resolve, reject) => {
+    let output = "";
+    const timeout = setTimeout(() => {
+      reject(new Error(`Instance ${name} did not start`));
+    }, 15000);
+
+    child.stdout.on("data", (chunk) => {
+      output += chunk;
+      if (output.includes("Server initialized successfully")) {
+        clearTimeout(timeout);
+        resolve({ child, url: `http://localhost:${port}` });
+      }
+    });
+    child.on("exit", () => {
+      clearTimeout(timeout);
+      reject(new Error(`Instance ${name} exited`));
+    });
+  });
+}
+
+function connectClient(url) {
+  const socket = connect(url, {
+    transports: ["websocket"],
+    forceNew: true,
+    reconnection: false,
+  });
+  clients.push(socket);
+  return socket;
+}
+
+// The next event of a kind that passes the check
+function nextEvent(socket, event, check = () => true, timeout = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, handler);
+      reject(new Error(`No "${event}" event`));
+    }, timeout);
+    function handler(data) {
+      if (!check(data)) return;
+      clearTimeout(timer);
+      socket.off(event, handler);
+      resolve(data);
+    }
+    socket.on(event, handler);
+  });
+}
+
+// The database starts without words, so the room brings its own
+const settings = {
+  wordMode: "custom",
+  customWords: ["apple", "banana", "cherry", "grape"],
+};
+
+function joinRoom(socket, playerName, playerToken) {
+  const joined = nextEvent(socket, "game-joined");
+  socket.emit("join-game", {
+    roomCode: "MULTI1",
+    playerName,
+    playerToken,
+    settings,
+  });
+  return joined;
+}
+
+console.log("\n=== Running Multi-Instance Tests ===\n");
+
+let a;
+let b;
+let alice;
+let bob;
+let aliceToken;
+let gameId;
+
+try {
+  a = await startInstance("a", basePort);
+  b = await startInstance("b", basePort + 1);
+  alice = connectClient(a.url);
+  bob = connectClient(b.url);
+
+  await test("players on different instances share a room", async () => {
+    ({ gameId, playerToken: aliceToken } = await joinRoom(alice, "Alice"));
+
+    const aliceSeesBob = nextEvent(
+      alice,
+      "game-update",
+      (game) => game.players.length === 2
+    );
+    const joined = await joinRoom(bob, "Bob");
+    assertEquals(joined.gameId, gameId, "Should join the same game");
+    await aliceSeesBob;
+  });
+
+  await test("chat reaches players on the other instance", async () => {
+    const received = nextEvent(alice, "chat-message");
+    bob.emit("chat-message", { gameId, message: "hello" });
+    const message = await received;
+    assertEquals(
+      [message.userName, message.message],
+      ["Bob", "hello"],
+      "Should pass the message on"
+    );
+  });
+
+  await test("the game clock keeps running when its instance dies", async () => {
+    const choices = nextEvent(alice, "word-choices");
+    const bobTold = nextEvent(bob, "word-choices");
+    alice.emit("start-game", { gameId });
+    const { words } = await choices;
+    await bobTold;
+
+    alice.emit("word-select", { gameId, word: words[0].word });
+    const before = await nextEvent(bob, "timer-update");
+
+    a.child.kill("SIGKILL");
+    // Ticks from b once it has taken the room over
+    const after = await nextEvent(
+      bob,
+      "timer-update",
+      (update) => update.timeLeft < before.timeLeft - 1
+    );
+    assertEquals(after.timeLeft > 0, true, "Should still be mid-turn");
+  });
+
+  await test("players of the dead instance can resume elsewhere", async () => {
+    const aliceAgain = connectClient(b.url);
+    const joined = await joinRoom(aliceAgain, "Alice", aliceToken);
+    assertEquals(
+      [joined.gameId, joined.resumed],
+      [gameId, true],
+      "Should resume Alice's slot"
+    );
+  });
+} catch (error) {
+  console.error(`✗ ${error.message}`);
+} finally {
+  clients.forEach((socket) => socket.close());
+  instances.forEach((child) => child.kill("SIGKILL"));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+}
+
+console.log("\n=== Tests Complete ===\n");
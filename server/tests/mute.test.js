@@ -0,0 +1,125 @@
+// Tests for the room owner muting players
+import { initDatabase, closeDatabase } from "../database.js";
+import GameService from "../services/GameService.js";
+import { validateGameSettings } from "../utils/validation.js";
+import { test, assertEquals, errorMessage, createRoom } from "./helpers.js";
+
+function findPlayer(game, id) {
+  return [...game.players, ...game.spectators].find((p) => p.id === id);
+}
+
+console.log("\n=== Running Mute Tests ===\n");
+
+await initDatabase({ driver: "memory" });
+
+await test("only the owner can mute, and not themselves", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "MUTE01", ["a", "b", "c"]);
+
+  assertEquals(
+    await errorMessage(() =>
+      gameService.setPlayerMuted(game.id, "b", "c", true)
+    ),
+    "Only the room owner can mute players",
+    "Should refuse a non-owner"
+  );
+  assertEquals(
+    await errorMessage(() =>
+      gameService.setPlayerMuted(game.id, "a", "a", true)
+    ),
+    "Cannot mute yourself",
+    "Should refuse a self-mute"
+  );
+  assertEquals(
+    await errorMessage(() =>
+      gameService.setPlayerMuted(game.id, "a", "nobody", true)
+    ),
+    "Player not found",
+    "Should need a player in the room"
+  );
+});
+
+await test("a muted player's chat is held back", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "MUTE02", ["a", "b"]);
+
+  gameService.setPlayerMuted(game.id, "a", "b", true);
+  assertEquals(findPlayer(game, "b").isMuted, true, "Should flag the player");
+
+  const result = await gameService.processChatMessage(game.id, "hello", "b");
+  assertEquals(result.blocked, "muted", "Should block the message");
+  assertEquals(typeof result.notice, "string", "Should tell the sender");
+
+  gameService.setPlayerMuted(game.id, "a", "b", false);
+  const unmuted = await gameService.processChatMessage(game.id, "hi", "b");
+  assertEquals(unmuted.blocked, undefined, "Should let chat through again");
+});
+
+await test("a muted player's guesses still count", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "MUTE03", ["a", "b"]);
+  game.status = "playing";
+  game.gamePhase = "drawing";
+  game.currentDrawer = game.players[0];
+  game.currentWord = "cat";
+
+  gameService.setPlayerMuted(game.id, "a", "b", true);
+  const result = await gameService.processChatMessage(game.id, "Cat", "b");
+  assertEquals(result.isCorrect, true, "Should count the guess");
+  assertEquals(result.blocked, undefined, "Should not block it");
+});
+
+await test("spectators can be muted too", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "MUTE04", ["a", "b"]);
+  await gameService.createOrJoinGame(
+    "MUTE04",
+    "Watcher",
+    validateGameSettings({}),
+    "w",
+    { asSpectator: true }
+  );
+
+  gameService.setPlayerMuted(game.id, "a", "w", true);
+  const result = await gameService.processChatMessage(game.id, "hello", "w");
+  assertEquals(result.blocked, "muted", "Should block the spectator");
+});
+
+await test("a mute survives reconnecting and rejoining", async () => {
+  const gameService = new GameService();
+  const { game, tokens } = await createRoom(gameService, "MUTE05", ["a", "b"]);
+  gameService.setPlayerMuted(game.id, "a", "b", true);
+
+  const resumed = await gameService.createOrJoinGame(
+    "MUTE05",
+    "B",
+    validateGameSettings({}),
+    "b-2",
+    { playerToken: tokens.b }
+  );
+  assertEquals(resumed.resumed, true, "Should resume the slot");
+  assertEquals(findPlayer(game, "b-2").isMuted, true, "Should stay muted");
+
+  gameService.gameManager.removePlayer(game.id, "b-2");
+  await gameService.createOrJoinGame(
+    "MUTE05",
+    "B",
+    validateGameSettings({}),
+    "b-3",
+    { playerToken: tokens.b }
+  );
+  assertEquals(
+    findPlayer(game, "b-3").isMuted,
+    true,
+    "Should stay muted after leaving"
+  );
+  assertEquals(
+    (await gameService.processChatMessage(game.id, "back", "b-3")).blocked,
+    "muted",
+    "Should still hold back chat"
+  );
+});
+
+await closeDatabase();
+
+console.log("\n=== Tests Complete ===\n");
@@ -95,4 +95,14 @@ test("RateLimiter reset clears user limits", () => {
   assertTrue(limiter.checkLimit("user8", "action8", 5, 1000));
 });
 
+test("RateLimiter isLimited checks without counting", () => {
+  const limiter = new RateLimiter();
+  assertFalse(limiter.isLimited("user9", "action9", 2));
+  limiter.checkLimit("user9", "action9", 2, 1000);
+  assertFalse(limiter.isLimited("user9", "action9", 2));
+  limiter.checkLimit("user9", "action9", 2, 1000);
+  assertTrue(limiter.isLimited("user9", "action9", 2));
+  assertTrue(limiter.isLimited("user9", "action9", 2));
+});
+
 console.log("\n=== Tests Complete ===\n");
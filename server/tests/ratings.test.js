@@ -0,0 +1,225 @@
+// Tests for drawing likes, dislikes and drawer ratings
+import { initDatabase, closeDatabase } from "../database.js";
+import GameService from "../services/GameService.js";
+import StatsService from "../services/StatsService.js";
+import { validateGameSettings } from "../utils/validation.js";
+import {
+  countRatings,
+  drawingBonus,
+  drawerRating,
+} from "../utils/drawingRatings.js";
+import { test, assertEquals, errorMessage, createRoom } from "./helpers.js";
+
+// A room with the given players mid-turn, with the first one drawing
+// "apple"
+async function createDrawingRoom(gameService, roomCode, ids, settings = {}) {
+  const { game } = await createRoom(gameService, roomCode, ids, settings);
+  game.status = "playing";
+  game.currentDrawer = game.players[0];
+  game.wordChoices = [{ word: "apple", difficulty: "easy" }];
+  await gameService.gameManager.selectWord(game.id, "apple");
+  return game;
+}
+
+console.log("\n=== Running Drawing Rating Tests ===\n");
+
+await test("counts ratings and works out the bonus", async () => {
+  const ratings = new Map([
+    ["a", 1],
+    ["b", 1],
+    ["c", -1],
+  ]);
+  assertEquals(
+    countRatings(ratings),
+    { likes: 2, dislikes: 1 },
+    "Should count likes and dislikes"
+  );
+  assertEquals(
+    drawingBonus({ likes: 2, dislikes: 1 }, 10),
+    10,
+    "Should pay for likes beyond the dislikes"
+  );
+  assertEquals(
+    drawingBonus({ likes: 1, dislikes: 3 }, 10),
+    0,
+    "Should never take points away"
+  );
+});
+
+await test("rates drawers by their share of likes", async () => {
+  assertEquals(drawerRating(3, 1), 75, "Should be a percent");
+  assertEquals(drawerRating(0, 0), null, "Should be unrated without ratings");
+});
+
+await initDatabase({ driver: "memory" });
+
+await test("only other players can rate, while drawing", async () => {
+  const gameService = new GameService();
+  const game = await createDrawingRoom(gameService, "RATE01", ["a", "b"]);
+  await gameService.createOrJoinGame(
+    "RATE01",
+    "Watcher",
+    validateGameSettings({}),
+    "w",
+    { asSpectator: true }
+  );
+
+  assertEquals(
+    await errorMessage(() => gameService.rateDrawing(game.id, "a", 1)),
+    "You can't rate your own drawing",
+    "Should refuse the drawer"
+  );
+  assertEquals(
+    await errorMessage(() => gameService.rateDrawing(game.id, "w", 1)),
+    "Only players can rate drawings",
+    "Should refuse spectators"
+  );
+  assertEquals(
+    await errorMessage(() => gameService.rateDrawing(game.id, "b", 5)),
+    "Invalid rating",
+    "Should refuse other values"
+  );
+
+  game.gamePhase = "choosing";
+  assertEquals(
+    await errorMessage(() => gameService.rateDrawing(game.id, "b", 1)),
+    "There is no drawing to rate",
+    "Should need a drawing"
+  );
+});
+
+await test("a player's latest rating is the one that counts", async () => {
+  const gameService = new GameService();
+  const { gameManager } = gameService;
+  const game = await createDrawingRoom(gameService, "RATE02", ["a", "b", "c"]);
+
+  gameService.rateDrawing(game.id, "b", 1);
+  gameService.rateDrawing(game.id, "b", -1);
+  gameService.rateDrawing(game.id, "c", 1);
+  assertEquals(
+    gameManager.getDrawingRatings(game.id),
+    { likes: 1, dislikes: 1 },
+    "Should replace the earlier rating"
+  );
+
+  gameService.rateDrawing(game.id, "c", 0);
+  assertEquals(
+    gameManager.getDrawingRatings(game.id),
+    { likes: 0, dislikes: 1 },
+    "Should take a rating back"
+  );
+});
+
+await test("likes earn the drawer the room's bonus", async () => {
+  const gameService = new GameService();
+  const { gameManager } = gameService;
+  const game = await createDrawingRoom(gameService, "RATE03", ["a", "b", "c"], {
+    ratingBonus: 10,
+  });
+
+  gameService.rateDrawing(game.id, "b", 1);
+  gameService.rateDrawing(game.id, "c", 1);
+  const breakdown = await gameManager.scoreTurnEnd(game.id);
+
+  assertEquals(
+    breakdown.find((award) => award.reason === "Drawing liked by 2"),
+    { userId: "a", userName: "A", points: 20, reason: "Drawing liked by 2" },
+    "Should award the bonus per like"
+  );
+});
+
+await test("no bonus unless the room turns it on", async () => {
+  const gameService = new GameService();
+  const { gameManager } = gameService;
+  const game = await createDrawingRoom(gameService, "RATE04", ["a", "b"]);
+
+  gameService.rateDrawing(game.id, "b", 1);
+  const breakdown = await gameManager.scoreTurnEnd(game.id);
+  assertEquals(breakdown, [], "Should not award anything");
+});
+
+await test("ratings add up to a drawer rating across reconnects", async () => {
+  const gameService = new GameService();
+  const { gameManager } = gameService;
+  const game = await createDrawingRoom(gameService, "RATE05", [
+    "artist",
+    "b",
+    "c",
+    "d",
+  ]);
+  const { playerToken } = gameManager.getPlayerIdentity(game.id, "artist");
+
+  gameService.rateDrawing(game.id, "b", 1);
+  gameService.rateDrawing(game.id, "c", 1);
+  gameService.rateDrawing(game.id, "d", -1);
+  await gameManager.scoreTurnEnd(game.id);
+
+  // The artist comes back under a new socket id before drawing again
+  await gameService.createOrJoinGame(
+    "RATE05",
+    "ARTIST",
+    validateGameSettings({}),
+    "artist-2",
+    { playerToken }
+  );
+  await gameManager.selectWord(game.id, "apple");
+  gameService.rateDrawing(game.id, "b", 1);
+  gameService.rateDrawing(game.id, "c", 1);
+  await gameManager.scoreTurnEnd(game.id);
+
+  const statsService = new StatsService();
+  const stats = await statsService.getPlayerStats("artist");
+  assertEquals(
+    [stats.drawing_likes, stats.drawing_dislikes, stats.drawer_rating],
+    [4, 1, 80],
+    "Should add up every turn's ratings on the artist's first row"
+  );
+  assertEquals(
+    await statsService.getPlayerStats("artist-2"),
+    null,
+    "Should not start a row for the new socket"
+  );
+});
+
+await test("the leaderboard shows and ranks drawer ratings", async () => {
+  const statsService = new StatsService();
+  const { tokens } = await createRoom(new GameService(), "RATE06", [
+    "star",
+    "rookie",
+  ]);
+
+  await statsService.updatePlayerStats("star", { totalScore: 10 });
+  await statsService.recordDrawingRatings("star", tokens.star, {
+    likes: 9,
+    dislikes: 1,
+  });
+  // Perfectly rated, but too rarely to rank among the artists
+  await statsService.updatePlayerStats("rookie", { totalScore: 5000 });
+  await statsService.recordDrawingRatings("rookie", tokens.rookie, {
+    likes: 2,
+    dislikes: 0,
+  });
+
+  const [top] = await statsService.getLeaderboard(1);
+  assertEquals(
+    [top.user_id, top.drawer_rating, "player_key" in top],
+    ["rookie", 100, false],
+    "Should rank by score and show the rating"
+  );
+
+  const artists = await statsService.getLeaderboard(10, { sortBy: "rating" });
+  assertEquals(
+    artists.map((row) => row.user_id).slice(0, 2),
+    ["star", "artist"],
+    "Should rank by rating among rated drawers"
+  );
+  assertEquals(
+    artists.some((row) => row.user_id === "rookie"),
+    false,
+    "Should leave out drawers with too few ratings"
+  );
+});
+
+await closeDatabase();
+
+console.log("\n=== Tests Complete ===\n");
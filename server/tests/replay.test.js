@@ -0,0 +1,176 @@
+// Tests for replay recording and storage
+import { initDatabase, closeDatabase } from "../database.js";
+import ReplayRecorder, {
+  MAX_STROKES_PER_TURN,
+} from "../services/ReplayRecorder.js";
+import ReplayService from "../services/ReplayService.js";
+import GameService from "../services/GameService.js";
+import {
+  test,
+  assertEquals,
+  assertTrue,
+  assertNull,
+  createRoom,
+} from "./helpers.js";
+
+// A room of two players, in p1's turn to draw "apple"
+async function roomInTurn(gameService, roomCode) {
+  const { game } = await createRoom(gameService, roomCode, ["p1", "p2"]);
+  game.currentWord = "apple";
+  game.currentDrawer = game.players[0];
+  return game;
+}
+
+const stroke = { x: 10, y: 10, prevX: 0, prevY: 0, color: "#000000" };
+
+console.log("\n=== Running Replay Tests ===\n");
+
+await initDatabase({ driver: "memory" });
+
+const gameService = new GameService();
+
+// Tests for ReplayRecorder
+await test("ReplayRecorder keeps each turn's strokes separately", async () => {
+  const recorder = new ReplayRecorder();
+  const game = await roomInTurn(gameService, "RPL001");
+  recorder.start(game.id);
+
+  recorder.beginTurn(game);
+  recorder.recordStroke(game.id, stroke);
+  recorder.recordClear(game.id);
+  recorder.endTurn(game.id);
+
+  game.currentWord = "tree";
+  game.currentDrawer = game.players[1];
+  recorder.beginTurn(game);
+  recorder.recordStroke(game.id, stroke);
+
+  const { turns } = recorder.finish(game.id);
+  assertEquals(turns.length, 2, "Should record two turns");
+  assertEquals(turns[0].word, "apple", "Should keep the first word");
+  assertEquals(turns[0].strokes.length, 2, "Should keep first turn strokes");
+  assertTrue(turns[0].strokes[1].clear, "Should record canvas clears");
+  assertEquals(turns[1].drawer, { id: "p2", name: "P2" }, "Should keep drawer");
+  assertEquals(turns[1].strokes.length, 1, "Should keep second turn strokes");
+});
+
+await test("ReplayRecorder ignores strokes between turns", async () => {
+  const recorder = new ReplayRecorder();
+  const game = await roomInTurn(gameService, "RPL002");
+  recorder.start(game.id);
+
+  recorder.recordStroke(game.id, stroke);
+  recorder.beginTurn(game);
+  recorder.endTurn(game.id);
+  recorder.recordStroke(game.id, stroke);
+
+  const { turns } = recorder.finish(game.id);
+  assertEquals(turns[0].strokes.length, 0, "Should drop stray strokes");
+});
+
+await test("ReplayRecorder stops a turn at the stroke limit", async () => {
+  const recorder = new ReplayRecorder();
+  const game = await roomInTurn(gameService, "RPL005");
+  recorder.start(game.id);
+  recorder.beginTurn(game);
+
+  for (let i = 0; i < MAX_STROKES_PER_TURN + 10; i++) {
+    recorder.recordStroke(game.id, stroke);
+  }
+  recorder.recordUndo(game.id, 3);
+  recorder.recordClear(game.id);
+
+  const [turn] = recorder.finish(game.id).turns;
+  assertEquals(
+    turn.strokes.length,
+    MAX_STROKES_PER_TURN,
+    "Should keep strokes up to the limit"
+  );
+  assertTrue(
+    turn.strokes.every((entry) => entry.data),
+    "Should not record undos or clears past the limit"
+  );
+  assertTrue(turn.truncated, "Should mark the turn truncated");
+});
+
+await test("ReplayRecorder keys chat to the current turn", async () => {
+  const recorder = new ReplayRecorder();
+  const game = await roomInTurn(gameService, "RPL003");
+  recorder.start(game.id);
+  recorder.beginTurn(game);
+  recorder.recordChat(game.id, {
+    userId: "p2",
+    userName: "P2",
+    message: "hi",
+  });
+  recorder.recordChat(game.id, {
+    userId: "p2",
+    userName: "P2",
+    isCorrect: true,
+  });
+
+  const { chat } = recorder.finish(game.id);
+  assertEquals(chat.length, 2, "Should record chat");
+  assertEquals(chat[0].turn, 0, "Should attach to first turn");
+  assertEquals(chat[0].message, "hi", "Should keep message text");
+  assertTrue(chat[1].isCorrect, "Should flag correct guesses");
+});
+
+await test("ReplayRecorder ignores games it is not recording", () => {
+  const recorder = new ReplayRecorder();
+  recorder.recordStroke("missing", stroke);
+  assertNull(recorder.finish("missing"), "Should have no recording");
+});
+
+await test("ReplayRecorder discards abandoned games", () => {
+  const recorder = new ReplayRecorder();
+  recorder.start("game1");
+  recorder.discard("game1");
+  assertTrue(!recorder.isRecording("game1"), "Should stop recording");
+});
+
+// Tests for ReplayService against the in-memory driver
+const replayService = new ReplayService();
+await replayService.initializeReplayTable();
+
+await test("ReplayService saves and loads a turn-by-turn replay", async () => {
+  const recorder = new ReplayRecorder();
+  const game = await roomInTurn(gameService, "RPL004");
+  game.players[0].score = 50;
+  game.players[1].score = 150;
+  recorder.start(game.id);
+  recorder.beginTurn(game);
+  recorder.recordStroke(game.id, stroke);
+  recorder.recordChat(game.id, {
+    userId: "p2",
+    userName: "P2",
+    message: "hi",
+  });
+
+  const saved = await replayService.saveGameReplay(
+    game,
+    recorder.finish(game.id)
+  );
+  assertTrue(saved, "Should save replay");
+
+  const [summary] = await replayService.getRecentReplays(1);
+  assertEquals(summary.winner_name, "P2", "Should record the winner");
+
+  const replay = await replayService.getReplay(summary.id);
+  assertEquals(replay.drawing_data.length, 1, "Should load turns");
+  assertEquals(
+    replay.drawing_data[0].strokes[0].data,
+    stroke,
+    "Should load strokes"
+  );
+  assertEquals(replay.chat_history[0].message, "hi", "Should load chat");
+});
+
+await test("ReplayService finds replays by player", async () => {
+  const replays = await replayService.getUserReplays("p2");
+  assertEquals(replays.length, 1, "Should find the player's replay");
+});
+
+await closeDatabase();
+
+console.log("\n=== Tests Complete ===\n");
@@ -0,0 +1,303 @@
+// Tests for player reports and their review
+import { initDatabase, closeDatabase } from "../database.js";
+import GameService from "../services/GameService.js";
+import { validateGameSettings } from "../utils/validation.js";
+import { test, assertEquals, errorMessage, createRoom } from "./helpers.js";
+
+console.log("\n=== Running Report Tests ===\n");
+
+await initDatabase({ driver: "memory" });
+
+await test("a chat report keeps the room's recent chat", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "REP001", ["a", "b"]);
+  await gameService.gameManager.saveMessage(game.id, "a", "hello");
+  await gameService.gameManager.saveMessage(game.id, "b", "something rude");
+
+  const id = await gameService.reportPlayer(game.id, "a", {
+    kind: "chat",
+    targetPlayerId: "b",
+    reason: "Rude",
+  });
+  const report = await gameService.reportService.getReport(id);
+
+  assertEquals(
+    [report.kind, report.reporterName, report.reportedName, report.status],
+    ["chat", "A", "B", "open"],
+    "Should record who reported whom"
+  );
+  assertEquals(
+    report.chat.map((m) => [m.userName, m.message]),
+    [
+      ["A", "hello"],
+      ["B", "something rude"],
+    ],
+    "Should keep the chat in order"
+  );
+  assertEquals(report.drawingData, null, "Should not keep a drawing");
+});
+
+await test("a reported message outlasts the room's chatter", async () => {
+  const gameService = new GameService();
+  const { gameManager } = gameService;
+  const { game } = await createRoom(gameService, "REP011", ["a", "b", "c"]);
+  await gameManager.saveMessage(game.id, "a", "hello");
+  const messageId = await gameManager.saveMessage(
+    game.id,
+    "b",
+    "something rude"
+  );
+  for (let i = 1; i <= 40; i++) {
+    await gameManager.saveMessage(game.id, "c", `chatter ${i}`);
+  }
+  await gameManager.saveMessage(game.id, "b", "more rudeness");
+
+  const id = await gameService.reportPlayer(game.id, "a", {
+    kind: "chat",
+    targetPlayerId: "b",
+    messageId,
+    reason: "Rude",
+  });
+  const report = await gameService.reportService.getReport(id);
+  const said = report.chat.map((m) => m.message);
+
+  assertEquals(report.messageId, messageId, "Should keep the message id");
+  assertEquals(
+    report.chat.filter((m) => m.userName === "B").map((m) => m.message),
+    ["something rude", "more rudeness"],
+    "Should keep everything the reported player said"
+  );
+  assertEquals(
+    said.slice(0, 7),
+    [
+      "hello",
+      "something rude",
+      "chatter 1",
+      "chatter 2",
+      "chatter 3",
+      "chatter 4",
+      "chatter 5",
+    ],
+    "Should keep the chat around the reported message"
+  );
+  assertEquals(
+    said.includes("chatter 20"),
+    false,
+    "Should leave out chatter away from the reported player"
+  );
+});
+
+await test("a reported message must be the reported player's", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "REP012", ["a", "b", "c"]);
+  const messageId = await gameService.gameManager.saveMessage(
+    game.id,
+    "c",
+    "innocent"
+  );
+
+  assertEquals(
+    await errorMessage(() =>
+      gameService.reportPlayer(game.id, "a", {
+        kind: "chat",
+        targetPlayerId: "b",
+        messageId,
+      })
+    ),
+    "Message not found",
+    "Should refuse someone else's message"
+  );
+});
+
+await test("a drawing report targets the drawer and keeps the canvas", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "REP002", ["a", "b"]);
+  const stroke = { type: "draw", x: 1, y: 2, prevX: 0, prevY: 0 };
+  game.currentDrawer = game.players[1];
+  game.currentWord = "cat";
+  game.drawingData = [stroke];
+
+  const id = await gameService.reportPlayer(game.id, "a", {
+    kind: "drawing",
+  });
+  const report = await gameService.reportService.getReport(id);
+
+  assertEquals(report.reportedName, "B", "Should report the drawer");
+  assertEquals(report.word, "cat", "Should keep the word");
+  assertEquals(report.drawingData, [stroke], "Should keep the drawing");
+});
+
+await test("guards against bad and repeated reports", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "REP003", ["a", "b"]);
+
+  assertEquals(
+    await errorMessage(() =>
+      gameService.reportPlayer(game.id, "a", {
+        kind: "chat",
+        targetPlayerId: "a",
+      })
+    ),
+    "You can't report yourself",
+    "Should refuse a self-report"
+  );
+  assertEquals(
+    await errorMessage(() =>
+      gameService.reportPlayer(game.id, "a", { kind: "drawing" })
+    ),
+    "There is no drawing to report",
+    "Should need a drawing"
+  );
+
+  await gameService.reportPlayer(game.id, "a", {
+    kind: "chat",
+    targetPlayerId: "b",
+  });
+  assertEquals(
+    await errorMessage(() =>
+      gameService.reportPlayer(game.id, "a", {
+        kind: "chat",
+        targetPlayerId: "b",
+      })
+    ),
+    "You already reported B",
+    "Should refuse a repeat report"
+  );
+});
+
+await test("lists reports by status and closes them once", async () => {
+  const gameService = new GameService();
+  const { reportService } = gameService;
+  const { game } = await createRoom(gameService, "REP004", ["a", "b"]);
+  const id = await gameService.reportPlayer(game.id, "b", {
+    kind: "chat",
+    targetPlayerId: "a",
+  });
+
+  const open = await reportService.listReports({ status: "open" });
+  assertEquals(
+    open.reports.some((r) => r.id === id),
+    true,
+    "Should list the open report"
+  );
+
+  const report = await reportService.resolveReport(id, {
+    action: "dismiss",
+    note: "Fine",
+  });
+  assertEquals(
+    [report.status, report.resolution, report.note],
+    ["dismissed", "dismiss", "Fine"],
+    "Should dismiss the report"
+  );
+  assertEquals(
+    await errorMessage(() =>
+      reportService.resolveReport(id, { action: "ban" })
+    ),
+    "Report is already closed",
+    "Should not close a report twice"
+  );
+  assertEquals(
+    await reportService.resolveReport(999999, { action: "dismiss" }),
+    null,
+    "Should report a missing report"
+  );
+});
+
+await test("a ban from a report applies to every room", async () => {
+  const gameService = new GameService();
+  const { game, tokens } = await createRoom(gameService, "REP005", ["a", "b"]);
+  const id = await gameService.reportPlayer(game.id, "a", {
+    kind: "chat",
+    targetPlayerId: "b",
+  });
+
+  await gameService.reportService.resolveReport(id, { action: "ban" });
+  const { tokenHash } = await gameService.reportService.getReportedIdentity(id);
+  const [removed] = gameService.removeBannedPlayer(tokenHash);
+  assertEquals(
+    [removed.playerId, removed.game.players.map((p) => p.id)],
+    ["b", ["a"]],
+    "Should take the player out of the room"
+  );
+
+  assertEquals(
+    await errorMessage(() =>
+      gameService.createOrJoinGame(
+        "REP006",
+        "B",
+        validateGameSettings({}),
+        "b-2",
+        { playerToken: tokens.b }
+      )
+    ),
+    "You are banned from this room.",
+    "Should keep the player out of other rooms"
+  );
+});
+
+await test("a ban from a report finds the player after a reconnect", async () => {
+  const gameService = new GameService();
+  const { game, tokens } = await createRoom(gameService, "REP007", [
+    "a",
+    "b",
+    "c",
+  ]);
+  const id = await gameService.reportPlayer(game.id, "a", {
+    kind: "chat",
+    targetPlayerId: "b",
+  });
+
+  // b comes back under a new socket id before the report is reviewed
+  await gameService.createOrJoinGame(
+    "REP007",
+    "B",
+    validateGameSettings({}),
+    "b-2",
+    { playerToken: tokens.b }
+  );
+
+  await gameService.reportService.resolveReport(id, { action: "ban" });
+  const { tokenHash } = await gameService.reportService.getReportedIdentity(id);
+  const removed = gameService.removeBannedPlayer(tokenHash);
+  assertEquals(
+    [
+      removed.map((r) => r.playerId),
+      gameService.getGame(game.id).players.map((p) => p.id),
+    ],
+    [["b-2"], ["a", "c"]],
+    "Should remove the reconnected player"
+  );
+});
+
+await test("a ban from a report reaches the room the player moved to", async () => {
+  const gameService = new GameService();
+  const { game, tokens } = await createRoom(gameService, "REP009", ["a", "b"]);
+  const other = await createRoom(gameService, "REP010", ["c"]);
+  const id = await gameService.reportPlayer(game.id, "a", {
+    kind: "chat",
+    targetPlayerId: "b",
+  });
+
+  gameService.gameManager.removePlayer(game.id, "b");
+  await gameService.createOrJoinGame(
+    "REP010",
+    "B",
+    validateGameSettings({}),
+    "b-2",
+    { playerToken: tokens.b }
+  );
+
+  await gameService.reportService.resolveReport(id, { action: "ban" });
+  const { tokenHash } = await gameService.reportService.getReportedIdentity(id);
+  const [removed] = gameService.removeBannedPlayer(tokenHash);
+  assertEquals(
+    [removed.playerId, removed.game.id, removed.game.players.map((p) => p.id)],
+    ["b-2", other.game.id, ["c"]],
+    "Should take the player out of the other room"
+  );
+});
+
+await closeDatabase();
+
+console.log("\n=== Tests Complete ===\n");
@@ -0,0 +1,243 @@
+// Integration tests for room passwords and invite links
+import { initDatabase, closeDatabase } from "../database.js";
+import GameService from "../services/GameService.js";
+import { validateGameSettings } from "../utils/validation.js";
+import {
+  hashPassword,
+  verifyPassword,
+  RoomAccessError,
+  MAX_ACCESS_FAILURES,
+  MAX_ROOM_ACCESS_FAILURES,
+} from "../utils/roomAccess.js";
+import {
+  resolveTrustedProxies,
+  getClientAddress,
+} from "../utils/clientAddress.js";
+import { test, assertEquals, createRoom } from "./helpers.js";
+
+// The reason a join is refused, or null if it succeeds
+async function joinDenial(gameService, roomCode, socketId, options = {}) {
+  try {
+    await gameService.createOrJoinGame(
+      roomCode,
+      socketId,
+      validateGameSettings({}),
+      socketId,
+      { clientKey: socketId, ...options }
+    );
+    return null;
+  } catch (error) {
+    if (!(error instanceof RoomAccessError)) throw error;
+    return error.reason;
+  }
+}
+
+// A room owned by "owner" with the password "hunter2"
+async function openLockedRoom(gameService, roomCode, settings = {}) {
+  const { game } = await createRoom(gameService, roomCode, ["owner"], settings);
+  gameService.setRoomPassword(game.id, "owner", "hunter2");
+  return game;
+}
+
+console.log("\n=== Running Room Access Tests ===\n");
+
+await test("hashes and verifies passwords", async () => {
+  const stored = hashPassword("hunter2");
+  assertEquals(stored.includes("hunter2"), false, "Should not store it plain");
+  assertEquals(verifyPassword("hunter2", stored), true, "Should match");
+  assertEquals(verifyPassword("hunter3", stored), false, "Should not match");
+  assertEquals(
+    stored === hashPassword("hunter2"),
+    false,
+    "Should salt each hash"
+  );
+});
+
+await initDatabase({ driver: "memory" });
+
+await test("password rooms turn away players without the password", async () => {
+  const gameService = new GameService();
+  const game = await openLockedRoom(gameService, "LOCK01");
+
+  assertEquals(game.hasPassword, true, "Should flag the room");
+  assertEquals(
+    await joinDenial(gameService, "LOCK01", "p1"),
+    "password-required",
+    "Should ask for the password"
+  );
+  assertEquals(
+    await joinDenial(gameService, "LOCK01", "p1", { password: "nope" }),
+    "wrong-password",
+    "Should reject a wrong password"
+  );
+  assertEquals(
+    await joinDenial(gameService, "LOCK01", "p1", { password: "hunter2" }),
+    null,
+    "Should admit the right password"
+  );
+  assertEquals(game.players.length, 2, "Should seat the player");
+});
+
+await test("invites let players skip the password", async () => {
+  const gameService = new GameService();
+  const game = await openLockedRoom(gameService, "LOCK02");
+
+  const once = gameService.createInvite(game.id, "owner", {
+    singleUse: true,
+    expiresInMinutes: 60,
+  });
+  assertEquals(
+    await joinDenial(gameService, "LOCK02", "p1", { inviteToken: once.token }),
+    null,
+    "Should admit an invited player"
+  );
+  assertEquals(
+    await joinDenial(gameService, "LOCK02", "p2", { inviteToken: once.token }),
+    "invite-invalid",
+    "Should use up a single-use invite"
+  );
+
+  const expired = gameService.createInvite(game.id, "owner", {
+    singleUse: false,
+    expiresInMinutes: 10,
+  });
+  expired.expiresAt = Date.now() - 1;
+  assertEquals(
+    await joinDenial(gameService, "LOCK02", "p3", {
+      inviteToken: expired.token,
+    }),
+    "invite-invalid",
+    "Should reject an expired invite"
+  );
+});
+
+await test("only the owner manages passwords and invites", async () => {
+  const gameService = new GameService();
+  const game = await openLockedRoom(gameService, "LOCK03");
+
+  let error = null;
+  try {
+    gameService.createInvite(game.id, "intruder", {});
+  } catch (e) {
+    error = e.message;
+  }
+  assertEquals(error, "Only the room owner can create invites");
+
+  gameService.setRoomPassword(game.id, "owner", "");
+  assertEquals(game.hasPassword, false, "Should clear the password");
+  assertEquals(
+    await joinDenial(gameService, "LOCK03", "p1"),
+    null,
+    "Should let anyone in again"
+  );
+});
+
+await test("repeated failures lock the client out", async () => {
+  const gameService = new GameService();
+  await openLockedRoom(gameService, "LOCK04");
+
+  for (let i = 0; i < MAX_ACCESS_FAILURES; i++) {
+    await joinDenial(gameService, "LOCK04", "guesser", { password: `${i}` });
+  }
+  assertEquals(
+    await joinDenial(gameService, "LOCK04", "guesser", {
+      password: "hunter2",
+    }),
+    "too-many-attempts",
+    "Should refuse even the right password while locked out"
+  );
+  assertEquals(
+    await joinDenial(gameService, "LOCK04", "someone", {
+      password: "hunter2",
+    }),
+    null,
+    "Should not lock out other clients"
+  );
+});
+
+await test("quick play skips password rooms", async () => {
+  const gameService = new GameService();
+  const game = await openLockedRoom(gameService, "LOCK05", { isPublic: true });
+
+  assertEquals(
+    gameService.getPublicRooms()[0].hasPassword,
+    true,
+    "Should list the room as locked"
+  );
+  const { game: joined } = await gameService.quickPlay(
+    "Quick",
+    validateGameSettings({}),
+    "quick"
+  );
+  assertEquals(joined.id !== game.id, true, "Should open another room");
+});
+
+await test("X-Forwarded-For is only read behind trusted proxies", async () => {
+  const handshake = {
+    address: "10.0.0.1",
+    headers: { "x-forwarded-for": "1.2.3.4, 5.6.7.8" },
+  };
+  assertEquals(
+    getClientAddress(handshake, resolveTrustedProxies({})),
+    "10.0.0.1",
+    "Should ignore the header without a proxy"
+  );
+  assertEquals(
+    getClientAddress(handshake, resolveTrustedProxies({ TRUST_PROXY: "1" })),
+    "5.6.7.8",
+    "Should take the entry our proxy added"
+  );
+  assertEquals(
+    getClientAddress(handshake, 5),
+    "1.2.3.4",
+    "Should stop at the first entry"
+  );
+});
+
+await test("a spoofed header doesn't reset the lockout", async () => {
+  const gameService = new GameService();
+  await openLockedRoom(gameService, "LOCK06");
+
+  // A client sending a new X-Forwarded-For with every attempt
+  const spoofed = (i) =>
+    getClientAddress(
+      { address: "10.0.0.9", headers: { "x-forwarded-for": `1.1.1.${i}` } },
+      0
+    );
+  for (let i = 0; i < MAX_ACCESS_FAILURES; i++) {
+    await joinDenial(gameService, "LOCK06", `guesser-${i}`, {
+      clientKey: spoofed(i),
+      password: `${i}`,
+    });
+  }
+  assertEquals(
+    await joinDenial(gameService, "LOCK06", "guesser", {
+      clientKey: spoofed(99),
+      password: "hunter2",
+    }),
+    "too-many-attempts",
+    "Should still lock the client out"
+  );
+});
+
+await test("too many failures across clients lock the room", async () => {
+  const gameService = new GameService();
+  await openLockedRoom(gameService, "LOCK07");
+
+  for (let i = 0; i < MAX_ROOM_ACCESS_FAILURES; i++) {
+    await joinDenial(gameService, "LOCK07", `guesser-${i}`, {
+      password: `${i}`,
+    });
+  }
+  assertEquals(
+    await joinDenial(gameService, "LOCK07", "newcomer", {
+      password: "hunter2",
+    }),
+    "too-many-attempts",
+    "Should refuse new clients for the rest of the window"
+  );
+});
+
+await closeDatabase();
+
+console.log("\n=== Tests Complete ===\n");
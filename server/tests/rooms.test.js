@@ -0,0 +1,84 @@
+// Integration tests for the public room browser and quick play
+import { initDatabase, closeDatabase } from "../database.js";
+import GameService from "../services/GameService.js";
+import { validateGameSettings } from "../utils/validation.js";
+import { test, assertEquals, assertTrue, createRoom } from "./helpers.js";
+
+// Open a room and seat playerCount players in it, each with their own socket
+async function openRoom(gameService, roomCode, settings, playerCount) {
+  const ids = Array.from(
+    { length: playerCount },
+    (_, i) => `${roomCode.toLowerCase()}-${i}`
+  );
+  const { game } = await createRoom(gameService, roomCode, ids, settings);
+  return game;
+}
+
+const roomCodes = (rooms) => rooms.map((room) => room.roomCode);
+
+console.log("\n=== Running Room Browser Tests ===\n");
+
+await initDatabase({ driver: "memory" });
+
+await test("lists public rooms that are waiting for players", async () => {
+  const gameService = new GameService();
+  await openRoom(gameService, "PUB001", { isPublic: true }, 2);
+  await openRoom(gameService, "PRIV01", { isPublic: false }, 2);
+  const started = await openRoom(gameService, "PUB002", { isPublic: true }, 2);
+  started.status = "playing";
+
+  const rooms = gameService.getPublicRooms();
+  assertEquals(roomCodes(rooms), ["PUB001"], "Should hide private and busy");
+  assertEquals(rooms[0].ownerName, "PUB001-0", "Should name the owner");
+  assertEquals(rooms[0].playerCount, 2, "Should count players");
+  assertEquals(rooms[0].language, "en", "Should default to English");
+});
+
+await test("filters rooms by language", async () => {
+  const gameService = new GameService();
+  await openRoom(gameService, "LANG01", { isPublic: true }, 1);
+  await openRoom(gameService, "LANG02", { isPublic: true, language: "de" }, 1);
+
+  assertEquals(
+    roomCodes(gameService.getPublicRooms({ language: "de" })),
+    ["LANG02"],
+    "Should only list German rooms"
+  );
+});
+
+await test("quick play joins the fullest open room", async () => {
+  const gameService = new GameService();
+  await openRoom(gameService, "QP0001", { isPublic: true }, 1);
+  await openRoom(gameService, "QP0002", { isPublic: true }, 3);
+  const full = await openRoom(gameService, "QP0003", { isPublic: true }, 4);
+  full.players.push(
+    ...Array.from({ length: 8 }, (_, i) => ({ id: `extra${i}` }))
+  );
+
+  const { game, user } = await gameService.quickPlay(
+    "Quick",
+    validateGameSettings({}),
+    "quick-1"
+  );
+  assertEquals(game.roomCode, "QP0002", "Should pick the fullest open room");
+  assertEquals(user.isSpectator, false, "Should seat the player");
+});
+
+await test("quick play opens a public room when none fit", async () => {
+  const gameService = new GameService();
+  await openRoom(gameService, "QPEN01", { isPublic: true }, 2);
+
+  const { game } = await gameService.quickPlay(
+    "Quick",
+    validateGameSettings({ language: "fr" }),
+    "quick-2"
+  );
+  assertTrue(game.roomCode !== "QPEN01", "Should not join another language");
+  assertEquals(game.isPublic, true, "Should make the new room public");
+  assertEquals(game.language, "fr", "Should use the player's language");
+  assertEquals(game.ownerId, "quick-2", "Should make the player the owner");
+});
+
+await closeDatabase();
+
+console.log("\n=== Tests Complete ===\n");
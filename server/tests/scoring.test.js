@@ -0,0 +1,180 @@
+// Tests for the scoring strategies
+import { initDatabase, closeDatabase } from "../database.js";
+import GameService from "../services/GameService.js";
+import { getScoringStrategy, SCORING_STRATEGIES } from "../scoring/index.js";
+import { test, assertEquals, createRoom } from "./helpers.js";
+
+// Points a strategy gives each of guesserCount players, guessing in order
+function guesserPoints(strategy, guesserCount) {
+  return Array.from(
+    { length: guesserCount },
+    (_, i) =>
+      strategy.scoreGuess({
+        timeLeft: 40,
+        drawTime: 80,
+        guessOrder: i + 1,
+        guesserCount,
+      }).guesser.points
+  );
+}
+
+// A room where d1 is drawing "apple" for g1 and g2 to guess
+async function roomInTurn(roomCode, scoringStrategy, difficulty) {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, roomCode, ["d1", "g1", "g2"], {
+    scoringStrategy,
+  });
+  game.status = "playing";
+  game.currentDrawer = game.players[0];
+  game.wordChoices = [{ word: "apple", difficulty }];
+  await gameService.gameManager.selectWord(game.id, "apple");
+  return { gameManager: gameService.gameManager, game, gameId: game.id };
+}
+
+console.log("\n=== Running Scoring Tests ===\n");
+
+await test("strategies are looked up by name", async () => {
+  assertEquals(
+    SCORING_STRATEGIES,
+    ["classic", "order-of-guess", "drawer-efficiency"],
+    "Should list every strategy"
+  );
+  assertEquals(
+    getScoringStrategy("nonsense").name,
+    "classic",
+    "Should fall back to classic"
+  );
+});
+
+await test("classic scoring rewards fast guesses", async () => {
+  const classic = getScoringStrategy("classic");
+  const awards = classic.scoreGuess({
+    timeLeft: 80,
+    drawTime: 80,
+    guessOrder: 1,
+    guesserCount: 3,
+  });
+  assertEquals(awards.guesser.points, 150, "Should add the full time bonus");
+  assertEquals(awards.drawer.points, 25, "Should pay the drawer per guess");
+  assertEquals(guesserPoints(classic, 2), [125, 125], "Should ignore order");
+});
+
+await test("order-of-guess scoring favours the first guesser", async () => {
+  const strategy = getScoringStrategy("order-of-guess");
+  assertEquals(
+    guesserPoints(strategy, 4),
+    [200, 167, 133, 100],
+    "Should step down to the last guesser"
+  );
+  assertEquals(guesserPoints(strategy, 1), [200], "Should handle one guesser");
+});
+
+await test("drawer-efficiency scoring pays the drawer at turn end", async () => {
+  const strategy = getScoringStrategy("drawer-efficiency");
+  const awards = strategy.scoreGuess({
+    timeLeft: 80,
+    drawTime: 80,
+    guessOrder: 1,
+    guesserCount: 4,
+  });
+  assertEquals(awards.guesser.points, 150, "Should score guessers as classic");
+  assertEquals(awards.drawer, null, "Should not pay the drawer per guess");
+
+  assertEquals(
+    strategy.scoreTurnEnd({ correctCount: 3, guesserCount: 4 }).drawer.points,
+    150,
+    "Should pay by the share who guessed"
+  );
+  assertEquals(
+    strategy.scoreTurnEnd({ correctCount: 0, guesserCount: 0 }).drawer,
+    null,
+    "Should skip turns without guessers"
+  );
+});
+
+await initDatabase({ driver: "memory" });
+
+await test("GameManager returns the turn's score breakdown", async () => {
+  const { gameManager, game, gameId } = await roomInTurn(
+    "SCORE1",
+    "drawer-efficiency",
+    "medium"
+  );
+
+  await gameManager.checkGuess(gameId, "g1", "apple");
+  // The server clears guess flags before the turn ends
+  gameManager.resetGuessStatus(game);
+  const breakdown = await gameManager.scoreTurnEnd(gameId);
+
+  assertEquals(
+    breakdown,
+    [
+      {
+        userId: "g1",
+        userName: "G1",
+        points: 225,
+        reason: "Guessed with 80s left (×1.5 medium word)",
+      },
+      {
+        userId: "d1",
+        userName: "D1",
+        points: 150,
+        reason: "1 of 2 guessed the drawing (×1.5 medium word)",
+      },
+    ],
+    "Should list each award with its reason"
+  );
+  assertEquals(
+    game.players.map((p) => p.score),
+    [150, 225, 0],
+    "Should add the awards to the scores"
+  );
+  assertEquals(
+    await gameManager.scoreTurnEnd(gameId),
+    [],
+    "Should only score a turn once"
+  );
+});
+
+await test("a guesser who reconnects still counts for the drawer", async () => {
+  const { gameManager, game, gameId } = await roomInTurn(
+    "SCORE2",
+    "drawer-efficiency",
+    "easy"
+  );
+
+  await gameManager.checkGuess(gameId, "g1", "apple");
+  await gameManager.rebindPlayer(gameId, "g1", "g1-again");
+  gameManager.resetGuessStatus(game);
+  const breakdown = await gameManager.scoreTurnEnd(gameId);
+
+  assertEquals(
+    breakdown.find((award) => award.userId === "d1").reason,
+    "1 of 2 guessed the drawing",
+    "Should count the guess under the new id"
+  );
+});
+
+await test("guesses arriving together get separate places", async () => {
+  const { gameManager, game, gameId } = await roomInTurn(
+    "SCORE3",
+    "order-of-guess",
+    "easy"
+  );
+
+  // Neither waits for the other's points to be written
+  await Promise.all([
+    gameManager.checkGuess(gameId, "g1", "apple"),
+    gameManager.checkGuess(gameId, "g2", "apple"),
+  ]);
+
+  assertEquals(
+    game.players.slice(1).map((p) => p.score),
+    [200, 100],
+    "Should give first place points once"
+  );
+});
+
+await closeDatabase();
+
+console.log("\n=== Tests Complete ===\n");
@@ -0,0 +1,109 @@
+// Integration tests for the storage adapter layer
+import { initDatabase, getDatabase, closeDatabase } from "../database.js";
+import { resolveStorageConfig, createDriver } from "../storage/index.js";
+import WordService from "../services/WordService.js";
+import StatsService from "../services/StatsService.js";
+import { test, assertEquals, assertTrue, errorMessage } from "./helpers.js";
+
+console.log("\n=== Running Storage Tests ===\n");
+
+// Tests for resolveStorageConfig
+await test("resolveStorageConfig prefers SQLite Cloud when configured", () => {
+  const config = resolveStorageConfig({
+    SQLITECLOUD_CONNECTION_STRING: "sqlitecloud://example",
+  });
+  assertEquals(config.driver, "sqlitecloud", "Should pick sqlitecloud");
+});
+
+await test("resolveStorageConfig falls back to a local SQLite file", () => {
+  const config = resolveStorageConfig({});
+  assertEquals(config.driver, "sqlite", "Should pick sqlite");
+  assertTrue(config.filename.endsWith("skribbl.db"), "Should default file");
+});
+
+await test("resolveStorageConfig honours DATABASE_DRIVER", () => {
+  const config = resolveStorageConfig({
+    DATABASE_DRIVER: "memory",
+    SQLITECLOUD_CONNECTION_STRING: "sqlitecloud://example",
+  });
+  assertEquals(config.driver, "memory", "Should pick memory");
+});
+
+await test("createDriver rejects unknown drivers", async () => {
+  assertTrue(
+    await errorMessage(() => createDriver({ driver: "postgres" })),
+    "Should throw for unknown driver"
+  );
+});
+
+// Tests against the in-memory driver
+await initDatabase({ driver: "memory" });
+
+await test("memory driver runs tagged template queries", async () => {
+  const db = getDatabase();
+  await db.sql`INSERT INTO users (id, name, avatar) VALUES (${"u1"}, ${"Alice"}, ${""})`;
+  const rows = await db.sql`SELECT name FROM users WHERE id = ${"u1"}`;
+  assertEquals(rows, [{ name: "Alice" }], "Should return inserted row");
+});
+
+await test("memory driver binds booleans and reports inserted ids", async () => {
+  const db = getDatabase();
+  const result =
+    await db.sql`INSERT INTO chat_messages (game_id, user_id, message, is_guess) VALUES (${"g1"}, ${"u1"}, ${"hi"}, ${true})`;
+  assertTrue(result.lastID > 0, "Should report lastID");
+
+  const rows =
+    await db.sql`SELECT is_guess FROM chat_messages WHERE id = ${result.lastID}`;
+  assertEquals(rows[0].is_guess, 1, "Should store booleans as integers");
+});
+
+await test("WordService works against the memory driver", async () => {
+  const wordService = new WordService();
+  await wordService.addCustomWords(["Apple", "banana", "apple"], "easy");
+
+  const count = await wordService.getWordCount();
+  assertEquals(count.total, 2, "Should dedupe words");
+  assertEquals(count.easy, 2, "Should count by difficulty");
+
+  const words = await wordService.getRandomWords(3, "easy");
+  assertEquals(words.sort(), ["apple", "banana"], "Should pick stored words");
+});
+
+await test("WordService filters and counts by category", async () => {
+  const wordService = new WordService();
+  await wordService.addCustomWords(["lion", "tiger"], "medium", "animals");
+  await wordService.addCustomWords(["pizza"], "medium", "food");
+
+  const words = await wordService.getRandomWords(5, null, ["animals"]);
+  assertEquals(words.sort(), ["lion", "tiger"], "Should pick from category");
+
+  const mixed = await wordService.getRandomWords(5, null, ["animals", "food"]);
+  assertEquals(mixed.length, 3, "Should pick from several categories");
+
+  const count = await wordService.getWordCount();
+  assertEquals(
+    count.categories,
+    { animals: 2, food: 1, general: 2 },
+    "Should count per category"
+  );
+});
+
+await test("StatsService works against the memory driver", async () => {
+  const statsService = new StatsService();
+  await statsService.updatePlayerStats("u1", {
+    gamesPlayed: 1,
+    totalScore: 50,
+  });
+  await statsService.updatePlayerStats("u1", {
+    gamesPlayed: 1,
+    totalScore: 25,
+  });
+
+  const stats = await statsService.getPlayerStats("u1");
+  assertEquals(stats.games_played, 2, "Should accumulate games played");
+  assertEquals(stats.total_score, 75, "Should accumulate score");
+});
+
+await closeDatabase();
+
+console.log("\n=== Tests Complete ===\n");
@@ -0,0 +1,216 @@
+// Tests for team mode
+import { initDatabase, closeDatabase } from "../database.js";
+import GameService from "../services/GameService.js";
+import {
+  createTeams,
+  smallestTeam,
+  balanceTeams,
+  interleaveByTeam,
+  getTeamScores,
+} from "../utils/teams.js";
+import { test, assertEquals, createRoom } from "./helpers.js";
+
+const ids = (players) => players.map((p) => p.id);
+
+// A two-team room with four players, mid-turn with a1 drawing
+async function createTeamGame(roomCode, teamGuessing) {
+  const gameService = new GameService();
+  const { gameManager } = gameService;
+  const { game } = await createRoom(
+    gameService,
+    roomCode,
+    ["a1", "b1", "a2", "b2"],
+    { teamCount: 2, teamGuessing }
+  );
+
+  game.status = "playing";
+  game.currentDrawer = game.players[0];
+  game.wordChoices = [{ word: "apple", difficulty: "easy" }];
+  await gameManager.selectWord(game.id, "apple");
+  return { gameManager, gameId: game.id, game };
+}
+
+console.log("\n=== Running Team Tests ===\n");
+
+await test("creates named, coloured teams", async () => {
+  const teams = createTeams(3);
+  assertEquals(
+    teams.map((team) => [team.id, team.name]),
+    [
+      [1, "Red"],
+      [2, "Blue"],
+      [3, "Green"],
+    ],
+    "Should number and name the teams"
+  );
+});
+
+await test("balances players across teams", async () => {
+  const teams = createTeams(2);
+  const players = [{ id: "p1" }, { id: "p2" }, { id: "p3" }];
+  balanceTeams(teams, players);
+  assertEquals(
+    players.map((p) => p.teamId),
+    [1, 2, 1],
+    "Should deal players in turn"
+  );
+  assertEquals(smallestTeam(teams, players), 2, "Should pick the smaller team");
+});
+
+await test("interleaves the drawing order by team", async () => {
+  const teams = createTeams(2);
+  const players = [
+    { id: "r1", teamId: 1 },
+    { id: "r2", teamId: 1 },
+    { id: "r3", teamId: 1 },
+    { id: "b1", teamId: 2 },
+    { id: "x1", teamId: null },
+  ];
+  assertEquals(
+    ids(interleaveByTeam(teams, players)),
+    ["r1", "b1", "r2", "r3", "x1"],
+    "Should alternate teams and keep unassigned players last"
+  );
+});
+
+await test("totals team scores", async () => {
+  const teams = createTeams(2);
+  const scores = getTeamScores(teams, [
+    { id: "r1", teamId: 1, score: 100 },
+    { id: "b1", teamId: 2, score: 150 },
+    { id: "b2", teamId: 2, score: 25 },
+  ]);
+  assertEquals(
+    scores.map((team) => [team.name, team.score, team.playerIds]),
+    [
+      ["Blue", 175, ["b1", "b2"]],
+      ["Red", 100, ["r1"]],
+    ],
+    "Should sum members and sort highest first"
+  );
+});
+
+await initDatabase({ driver: "memory" });
+
+await test("GameManager assigns joining players to teams", async () => {
+  const { gameManager, game } = await createTeamGame("TEAM01", "all");
+
+  assertEquals(
+    game.players.map((p) => p.teamId),
+    [1, 2, 1, 2],
+    "Should fill the smallest team"
+  );
+  assertEquals(
+    ids(gameManager.getDrawOrder(game)),
+    ["a1", "b1", "a2", "b2"],
+    "Should alternate drawers between teams"
+  );
+});
+
+await test("only the drawer's team guesses on a team turn", async () => {
+  const { gameManager, gameId, game } = await createTeamGame(
+    "TEAM02",
+    "drawer-team"
+  );
+
+  assertEquals(
+    ids(gameManager.getEligibleGuessers(game)),
+    ["a2"],
+    "Should limit guessers to teammates"
+  );
+  assertEquals(
+    await gameManager.checkGuess(gameId, "b1", "apple"),
+    false,
+    "Should ignore other teams' guesses"
+  );
+  assertEquals(
+    await gameManager.checkGuess(gameId, "a2", "apple"),
+    true,
+    "Should accept a teammate's guess"
+  );
+  assertEquals(
+    gameManager.allPlayersGuessed(game),
+    true,
+    "Should end the turn once the team has guessed"
+  );
+  assertEquals(
+    gameManager.shouldOpenStealWindow(game),
+    false,
+    "Should not offer a steal after a team guess"
+  );
+});
+
+await test("other teams may steal a missed word", async () => {
+  const { gameManager, gameId, game } = await createTeamGame(
+    "TEAM03",
+    "drawer-team"
+  );
+
+  assertEquals(
+    gameManager.shouldOpenStealWindow(game),
+    true,
+    "Should offer a steal when the team missed"
+  );
+  gameManager.openStealWindow(gameId);
+  gameManager.clearGameTimers(gameId);
+
+  assertEquals(
+    ids(gameManager.getEligibleGuessers(game)),
+    ["b1", "b2"],
+    "Should hand guessing to the other teams"
+  );
+  assertEquals(
+    await gameManager.checkGuess(gameId, "a2", "apple"),
+    false,
+    "Should lock out the drawer's team"
+  );
+  assertEquals(
+    await gameManager.checkGuess(gameId, "b2", "apple"),
+    true,
+    "Should accept a steal"
+  );
+  assertEquals(
+    gameManager.allPlayersGuessed(game),
+    true,
+    "Should end the turn on the first steal"
+  );
+  assertEquals(
+    gameManager.shouldOpenStealWindow(game),
+    false,
+    "Should only steal once per turn"
+  );
+});
+
+await test("GameManager changes and rebalances teams", async () => {
+  const { gameManager, gameId, game } = await createTeamGame("TEAM04", "all");
+
+  assertEquals(
+    gameManager.assignTeam(gameId, "b1", 1).players[1].teamId,
+    1,
+    "Should move a player"
+  );
+  assertEquals(
+    gameManager.assignTeam(gameId, "b1", 9),
+    null,
+    "Should reject unknown teams"
+  );
+
+  gameManager.setTeams(gameId, { teamCount: 3, teamGuessing: "all" });
+  assertEquals(
+    game.players.map((p) => p.teamId),
+    [1, 2, 3, 1],
+    "Should deal players across the new teams"
+  );
+
+  gameManager.setTeams(gameId, { teamCount: 0 });
+  assertEquals(game.teams, null, "Should turn teams off");
+  assertEquals(
+    game.players.map((p) => p.teamId),
+    [null, null, null, null],
+    "Should clear team assignments"
+  );
+});
+
+await closeDatabase();
+
+console.log("\n=== Tests Complete ===\n");
@@ -3,8 +3,12 @@ import {
   sanitizePlayerName,
   sanitizeChatMessage,
   validateRoomCode,
+  validatePlayerToken,
   validateDrawingData,
+  validateDrawingBatch,
   validateGameSettings,
+  sanitizeWordList,
+  sanitizeCategory,
 } from "../utils/validation.js";
 
 // Simple test runner
@@ -87,6 +91,24 @@ test("validateRoomCode rejects invalid codes", () => {
   assertFalse(validateRoomCode(null), "Should reject null");
 });
 
+// Tests for validatePlayerToken
+test("validatePlayerToken accepts v4 UUIDs", () => {
+  assertTrue(
+    validatePlayerToken("3b241101-e2bb-4255-8caf-4136c566a962"),
+    "Should accept a v4 UUID"
+  );
+});
+
+test("validatePlayerToken rejects invalid tokens", () => {
+  assertFalse(validatePlayerToken("not-a-token"), "Should reject garbage");
+  assertFalse(
+    validatePlayerToken("3b241101-e2bb-1255-8caf-4136c566a962"),
+    "Should reject non-v4 UUIDs"
+  );
+  assertFalse(validatePlayerToken(null), "Should reject null");
+  assertFalse(validatePlayerToken(42), "Should reject numbers");
+});
+
 // Tests for validateDrawingData
 test("validateDrawingData accepts valid data", () => {
   const validData = {
@@ -143,12 +165,117 @@ test("validateDrawingData rejects invalid type", () => {
   assertFalse(validateDrawingData(invalidData), "Should reject invalid type");
 });
 
+test("validateDrawingData accepts shapes with end coordinates", () => {
+  const shapeData = {
+    x: 100,
+    y: 200,
+    prevX: 100,
+    prevY: 200,
+    endX: 300,
+    endY: 250,
+    color: "#FF0000",
+    lineWidth: 5,
+    type: "rectangle",
+  };
+  assertTrue(validateDrawingData(shapeData), "Should accept rectangle");
+});
+
+test("validateDrawingData rejects malformed stroke ids", () => {
+  const strokeData = {
+    x: 100,
+    y: 200,
+    prevX: 90,
+    prevY: 190,
+    color: "#FF0000",
+    lineWidth: 5,
+    type: "draw",
+    strokeId: "<script>",
+  };
+  assertFalse(validateDrawingData(strokeData), "Should reject stroke id");
+  strokeData.strokeId = "lq3k9x-a1b2c3";
+  assertTrue(validateDrawingData(strokeData), "Should accept stroke id");
+});
+
+test("validateDrawingData rejects shapes without end coordinates", () => {
+  const shapeData = {
+    x: 100,
+    y: 200,
+    prevX: 100,
+    prevY: 200,
+    color: "#FF0000",
+    lineWidth: 5,
+    type: "circle",
+  };
+  assertFalse(validateDrawingData(shapeData), "Should reject circle");
+});
+
+// Tests for validateDrawingBatch
+test("validateDrawingBatch accepts delta-encoded points", () => {
+  const batch = {
+    strokeId: "lq3k9x-a1b2c3",
+    style: { type: "draw", color: "#FF0000", lineWidth: 5 },
+    points: [100, 200, 3, -2, 4, 0],
+  };
+  assertTrue(validateDrawingBatch(batch), "Should accept first batch");
+  delete batch.style;
+  assertTrue(validateDrawingBatch(batch), "Should accept continuation");
+});
+
+test("validateDrawingBatch rejects malformed batches", () => {
+  const valid = { strokeId: "s1", points: [10, 10, 1, 1] };
+  assertFalse(
+    validateDrawingBatch({ ...valid, points: [10, 10] }),
+    "Should reject a single point"
+  );
+  assertFalse(
+    validateDrawingBatch({ ...valid, points: [10, 10, 1] }),
+    "Should reject odd point lists"
+  );
+  assertFalse(
+    validateDrawingBatch({ ...valid, points: [10, 10, 1.5, 1] }),
+    "Should reject fractional coordinates"
+  );
+  assertFalse(
+    validateDrawingBatch({ ...valid, points: [10, 10, -20, 0] }),
+    "Should reject points out of bounds"
+  );
+  assertFalse(
+    validateDrawingBatch({ ...valid, strokeId: "<script>" }),
+    "Should reject stroke id"
+  );
+  assertFalse(
+    validateDrawingBatch({
+      ...valid,
+      style: { type: "fill", color: "#FF0000", lineWidth: 5 },
+    }),
+    "Should reject non-freehand style"
+  );
+});
+
 // Tests for validateGameSettings
 test("validateGameSettings returns defaults for invalid input", () => {
   const result = validateGameSettings(null);
   assertEquals(
     result,
-    { drawTime: 80, maxRounds: 3 },
+    {
+      drawTime: 80,
+      maxRounds: 3,
+      closeGuessThreshold: 0.25,
+      scoringStrategy: "classic",
+      teamCount: 0,
+      teamGuessing: "all",
+      isPublic: false,
+      language: "en",
+      voteKickMajority: 51,
+      chatPolicy: "standard",
+      ratingBonus: 0,
+      wordMode: "default",
+      customWords: [],
+      customWordPercent: 50,
+      wordCategories: [],
+      wordDifficulty: "mixed",
+      wordHistoryGames: 3,
+    },
     "Should return defaults"
   );
 });
@@ -175,6 +302,163 @@ test("validateGameSettings validates maxRounds range", () => {
   assertEquals(result3.maxRounds, 5, "Should accept valid value");
 });
 
+test("validateGameSettings validates closeGuessThreshold range", () => {
+  const result1 = validateGameSettings({ closeGuessThreshold: -1 });
+  assertEquals(result1.closeGuessThreshold, 0.25, "Should default too low");
+
+  const result2 = validateGameSettings({ closeGuessThreshold: 0.9 });
+  assertEquals(result2.closeGuessThreshold, 0.25, "Should default too high");
+
+  const result3 = validateGameSettings({ closeGuessThreshold: 0 });
+  assertEquals(result3.closeGuessThreshold, 0, "Should allow turning off");
+});
+
+test("sanitizeWordList splits, cleans and dedupes words", () => {
+  assertEquals(
+    sanitizeWordList("Kubernetes\n  stand-up ,kubernetes\n<b>OKR</b>\nx\n"),
+    ["Kubernetes", "stand-up", "OKR"],
+    "Should clean pasted text"
+  );
+  assertEquals(
+    sanitizeWordList(["sprint", 42, "Sprint", "retro  board"]),
+    ["sprint", "retro board"],
+    "Should clean arrays"
+  );
+  assertEquals(sanitizeWordList(null), [], "Should handle missing lists");
+});
+
+test("validateGameSettings validates custom word settings", () => {
+  const result1 = validateGameSettings({
+    wordMode: "mix",
+    customWords: "sprint\nretro",
+    customWordPercent: 30,
+  });
+  assertEquals(result1.wordMode, "mix", "Should keep mix mode");
+  assertEquals(result1.customWords, ["sprint", "retro"], "Should parse words");
+  assertEquals(result1.customWordPercent, 30, "Should keep percentage");
+
+  const result2 = validateGameSettings({ wordMode: "custom", customWords: "" });
+  assertEquals(result2.wordMode, "default", "Should need custom words");
+
+  const result3 = validateGameSettings({ customWordPercent: 150 });
+  assertEquals(result3.customWordPercent, 50, "Should default percentage");
+});
+
+test("sanitizeCategory normalizes category names", () => {
+  assertEquals(sanitizeCategory(" Board Games "), "board-games");
+  assertEquals(sanitizeCategory("<script>"), "", "Should reject markup");
+  assertEquals(sanitizeCategory(null), "", "Should handle missing names");
+});
+
+test("validateGameSettings validates word categories", () => {
+  const result1 = validateGameSettings({
+    wordCategories: ["Animals", "food", "animals", "!!"],
+  });
+  assertEquals(result1.wordCategories, ["animals", "food"], "Should clean");
+
+  const result2 = validateGameSettings({ wordCategories: "animals" });
+  assertEquals(result2.wordCategories, [], "Should need an array");
+});
+
+test("validateGameSettings validates the scoring strategy", () => {
+  const result1 = validateGameSettings({ scoringStrategy: "order-of-guess" });
+  assertEquals(result1.scoringStrategy, "order-of-guess", "Should keep it");
+
+  const result2 = validateGameSettings({ scoringStrategy: "winner-takes-all" });
+  assertEquals(result2.scoringStrategy, "classic", "Should default to classic");
+});
+
+test("validateGameSettings validates team settings", () => {
+  const result1 = validateGameSettings({
+    teamCount: 3,
+    teamGuessing: "drawer-team",
+  });
+  assertEquals(result1.teamCount, 3, "Should keep a valid team count");
+  assertEquals(result1.teamGuessing, "drawer-team", "Should keep the rule");
+
+  const result2 = validateGameSettings({ teamCount: 5, teamGuessing: "any" });
+  assertEquals(result2.teamCount, 0, "Should turn teams off for too many");
+  assertEquals(result2.teamGuessing, "all", "Should default to all");
+
+  const result3 = validateGameSettings({ teamCount: 1 });
+  assertEquals(result3.teamCount, 0, "Should need at least two teams");
+});
+
+test("validateGameSettings validates room listing settings", () => {
+  const result1 = validateGameSettings({ isPublic: true, language: "fr" });
+  assertEquals(result1.isPublic, true, "Should keep a public room");
+  assertEquals(result1.language, "fr", "Should keep a known language");
+
+  const result2 = validateGameSettings({ isPublic: "yes", language: "xx" });
+  assertEquals(result2.isPublic, false, "Should default to private");
+  assertEquals(result2.language, "en", "Should default to English");
+});
+
+test("validateGameSettings validates the vote-kick majority", () => {
+  assertEquals(
+    validateGameSettings({ voteKickMajority: 75 }).voteKickMajority,
+    75,
+    "Should keep a known majority"
+  );
+  assertEquals(
+    validateGameSettings({ voteKickMajority: 10 }).voteKickMajority,
+    51,
+    "Should default to a simple majority"
+  );
+});
+
+test("validateGameSettings validates the chat policy", () => {
+  assertEquals(
+    validateGameSettings({ chatPolicy: "family-friendly" }).chatPolicy,
+    "family-friendly",
+    "Should keep a known policy"
+  );
+  assertEquals(
+    validateGameSettings({ chatPolicy: "strict" }).chatPolicy,
+    "standard",
+    "Should default to standard"
+  );
+});
+
+test("validateGameSettings validates the rating bonus", () => {
+  assertEquals(
+    validateGameSettings({ ratingBonus: 10 }).ratingBonus,
+    10,
+    "Should keep a known bonus"
+  );
+  assertEquals(
+    validateGameSettings({ ratingBonus: 1000 }).ratingBonus,
+    0,
+    "Should default to no bonus"
+  );
+});
+
+test("validateGameSettings validates word difficulty", () => {
+  const result1 = validateGameSettings({ wordDifficulty: "hard" });
+  assertEquals(result1.wordDifficulty, "hard", "Should keep a known tier");
+
+  const result2 = validateGameSettings({ wordDifficulty: "extreme" });
+  assertEquals(result2.wordDifficulty, "mixed", "Should default to mixed");
+});
+
+test("validateGameSettings validates the word history window", () => {
+  assertEquals(
+    validateGameSettings({ wordHistoryGames: 0 }).wordHistoryGames,
+    0,
+    "Should allow turning it off"
+  );
+  assertEquals(
+    validateGameSettings({ wordHistoryGames: 11 }).wordHistoryGames,
+    3,
+    "Should use default for too high"
+  );
+  assertEquals(
+    validateGameSettings({ wordHistoryGames: 1.5 }).wordHistoryGames,
+    3,
+    "Should need a whole number"
+  );
+});
+
 console.log("\n=== Running Validation Tests ===\n");
 // Run all tests (they're already executed above)
 console.log("\n=== Tests Complete ===\n");
@@ -0,0 +1,155 @@
+// Tests for player vote-kicks
+import { initDatabase, closeDatabase } from "../database.js";
+import GameService from "../services/GameService.js";
+import {
+  votesNeeded,
+  createVoteKick,
+  castVoteKick,
+  getVoteKickResult,
+} from "../utils/voteKick.js";
+import { test, assertEquals, errorMessage, createRoom } from "./helpers.js";
+
+const noop = () => {};
+
+console.log("\n=== Running Vote Kick Tests ===\n");
+
+await test("works out the votes needed", async () => {
+  assertEquals(votesNeeded(2, 51), 2, "Should need both of two voters");
+  assertEquals(votesNeeded(4, 51), 3, "Should need a strict majority");
+  assertEquals(votesNeeded(6, 66), 4, "Should need two thirds");
+  assertEquals(votesNeeded(5, 100), 5, "Should need everyone");
+});
+
+await test("settles a vote once the outcome is certain", async () => {
+  const vote = createVoteKick({
+    target: { id: "t", name: "T" },
+    startedBy: "a",
+    voters: ["a", "b", "c", "d"],
+    majority: 51,
+  });
+  assertEquals(vote.yes, ["a"], "Should count the starter's vote");
+  assertEquals(getVoteKickResult(vote), null, "Should stay open");
+
+  assertEquals(castVoteKick(vote, "t", false), false, "Target can't vote");
+  castVoteKick(vote, "b", false);
+  assertEquals(getVoteKickResult(vote), null, "Should still be winnable");
+  castVoteKick(vote, "c", false);
+  assertEquals(getVoteKickResult(vote), "failed", "Should fail when lost");
+
+  castVoteKick(vote, "b", true);
+  castVoteKick(vote, "c", true);
+  assertEquals(vote.no, [], "Should let voters change their mind");
+  assertEquals(getVoteKickResult(vote), "passed", "Should pass");
+});
+
+await initDatabase({ driver: "memory" });
+
+await test("a passed vote removes and bans the target", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "VOTE01", [
+    "a",
+    "b",
+    "c",
+    "t",
+  ]);
+
+  gameService.startVoteKick(game.id, "b", "t", noop);
+  assertEquals(game.voteKick.needed, 2, "Should need two of three voters");
+
+  const { result } = await gameService.voteOnKick(game.id, "c", true);
+  assertEquals(result, "passed", "Should pass");
+  assertEquals(
+    game.players.map((p) => p.id),
+    ["a", "b", "c"],
+    "Should remove the target"
+  );
+  const bans = await gameService.getBans(game.id, "a");
+  assertEquals(
+    bans.map((ban) => [ban.playerName, ban.bannedBy]),
+    [["T", "vote"]],
+    "Should ban the target"
+  );
+  assertEquals(game.voteKick, null, "Should close the vote");
+});
+
+await test("the owner can be voted out", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "VOTE02", ["owner", "b", "c"]);
+
+  gameService.startVoteKick(game.id, "b", "owner", noop);
+  await gameService.voteOnKick(game.id, "c", true);
+  assertEquals(
+    ["b", "c"].includes(game.ownerId),
+    true,
+    "Should hand the room to someone else"
+  );
+});
+
+await test("guards against vote spam", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "VOTE03", [
+    "a",
+    "b",
+    "c",
+    "d",
+  ]);
+
+  gameService.startVoteKick(game.id, "a", "d", noop);
+  assertEquals(
+    await errorMessage(() =>
+      gameService.startVoteKick(game.id, "b", "c", noop)
+    ),
+    "A vote-kick is already running",
+    "Should allow one vote at a time"
+  );
+
+  await gameService.voteOnKick(game.id, "b", false);
+  await gameService.voteOnKick(game.id, "c", false);
+  assertEquals(game.voteKick, null, "Should close a failed vote");
+
+  assertEquals(
+    await errorMessage(() =>
+      gameService.startVoteKick(game.id, "a", "c", noop)
+    ),
+    "Wait a minute before starting another vote-kick",
+    "Should cool down the starter"
+  );
+  assertEquals(
+    await errorMessage(() =>
+      gameService.startVoteKick(game.id, "b", "d", noop)
+    ),
+    "D was voted on recently",
+    "Should cool down the target"
+  );
+});
+
+await test("needs enough players to vote", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "VOTE04", ["a", "b"]);
+
+  assertEquals(
+    await errorMessage(() =>
+      gameService.startVoteKick(game.id, "a", "b", noop)
+    ),
+    "Not enough players for a vote-kick",
+    "Should not let one player kick another"
+  );
+});
+
+await test("an undecided vote expires", async () => {
+  const gameService = new GameService({ voteKickDuration: 20 });
+  const { game } = await createRoom(gameService, "VOTE05", ["a", "b", "c"]);
+
+  let expired = null;
+  gameService.startVoteKick(game.id, "a", "c", (_game, vote) => {
+    expired = vote.targetName;
+  });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  assertEquals(expired, "C", "Should report the expired vote");
+  assertEquals(game.voteKick, null, "Should close the vote");
+});
+
+await closeDatabase();
+
+console.log("\n=== Tests Complete ===\n");
@@ -0,0 +1,121 @@
+// Integration tests for avoiding repeated words
+import { initDatabase, closeDatabase, getDatabase } from "../database.js";
+import GameService from "../services/GameService.js";
+import { test, assertEquals, assertTrue, createRoom } from "./helpers.js";
+
+// Two words per difficulty, so two turns use up the pool
+const WORDS = {
+  easy: ["cat", "sun"],
+  medium: ["apple", "guitar"],
+  hard: ["skyscraper", "volcano eruption"],
+};
+
+async function pickWords(gameService, gameId) {
+  const choices = await gameService.gameManager.pickWordChoices(gameId);
+  return choices.map((choice) => choice.word).sort();
+}
+
+console.log("\n=== Running Word History Tests ===\n");
+
+await initDatabase({ driver: "memory" });
+const db = getDatabase();
+for (const [difficulty, words] of Object.entries(WORDS)) {
+  for (const word of words) {
+    await db.sql`INSERT INTO words (word, difficulty) VALUES (${word}, ${difficulty})`;
+  }
+}
+
+await test("words are not offered twice in one game", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "HIST01", ["owner"]);
+  const gameId = game.id;
+  await gameService.gameManager.beginWordHistory(gameId);
+
+  const first = await pickWords(gameService, gameId);
+  const second = await pickWords(gameService, gameId);
+  assertTrue(
+    second.every((word) => !first.includes(word)),
+    `Should offer new words, got ${first} then ${second}`
+  );
+});
+
+await test("exhausted pools fall back to used words", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "HIST02", ["owner"]);
+  const gameId = game.id;
+  await gameService.gameManager.beginWordHistory(gameId);
+
+  await pickWords(gameService, gameId);
+  await pickWords(gameService, gameId);
+  const third = await pickWords(gameService, gameId);
+  assertEquals(third.length, 3, "Should still offer three words");
+});
+
+await test("rooms avoid words from their recent games", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "HIST03", ["owner"], {
+    wordHistoryGames: 1,
+  });
+  const gameId = game.id;
+  const { gameManager } = gameService;
+
+  await gameManager.beginWordHistory(gameId);
+  const firstGame = await pickWords(gameService, gameId);
+
+  await gameManager.beginWordHistory(gameId);
+  const secondGame = await pickWords(gameService, gameId);
+  assertTrue(
+    secondGame.every((word) => !firstGame.includes(word)),
+    `Should skip the last game's words, got ${firstGame} then ${secondGame}`
+  );
+
+  // The window only reaches back one game, so the first game's words return
+  await gameManager.beginWordHistory(gameId);
+  const thirdGame = await pickWords(gameService, gameId);
+  assertEquals(thirdGame, firstGame, "Should reuse words outside the window");
+});
+
+await test("history outlives the room's game object", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "HIST04", ["owner"]);
+  await gameService.gameManager.beginWordHistory(game.id);
+  const words = await pickWords(gameService, game.id);
+
+  // Same room code, new server-side game
+  const recreated = new GameService();
+  const { game: recreatedGame } = await createRoom(recreated, "HIST04", [
+    "owner",
+  ]);
+  await recreated.gameManager.beginWordHistory(recreatedGame.id);
+
+  const next = await pickWords(recreated, recreatedGame.id);
+  assertTrue(
+    next.every((word) => !words.includes(word)),
+    `Should remember the room's words, got ${words} then ${next}`
+  );
+});
+
+await test("custom words cycle before repeating", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "HIST05", ["owner"], {
+    wordMode: "custom",
+    customWords: ["okr", "standup", "retro", "kubernetes"],
+  });
+  const gameId = game.id;
+  await gameService.gameManager.beginWordHistory(gameId);
+
+  const first = await pickWords(gameService, gameId);
+  const second = await pickWords(gameService, gameId);
+  const unused = ["okr", "standup", "retro", "kubernetes"].find(
+    (word) => !first.includes(word)
+  );
+  assertTrue(second.includes(unused), `Should offer ${unused} next`);
+  assertTrue(
+    second.every((word) => !Object.values(WORDS).flat().includes(word)),
+    "Should not top up from default words"
+  );
+});
+
+await closeDatabase();
+
+console.log("\n=== Tests Complete ===\n");
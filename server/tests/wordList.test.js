@@ -0,0 +1,191 @@
+// Integration tests for room word lists
+import { initDatabase, closeDatabase, getDatabase } from "../database.js";
+import GameService from "../services/GameService.js";
+import {
+  test,
+  assertEquals,
+  assertTrue,
+  errorMessage,
+  createRoom,
+} from "./helpers.js";
+
+const DEFAULT_WORDS = ["apple", "banana", "cherry", "dragon", "eagle"];
+const CUSTOM_WORDS = ["kubernetes", "standup", "okr", "retro"];
+
+console.log("\n=== Running Word List Tests ===\n");
+
+await initDatabase({ driver: "memory" });
+const db = getDatabase();
+for (const word of DEFAULT_WORDS) {
+  await db.sql`INSERT INTO words (word) VALUES (${word})`;
+}
+await db.sql`INSERT INTO words (word, category) VALUES (${"lion"}, ${"animals"})`;
+await db.sql`INSERT INTO words (word, difficulty) VALUES (${"sun"}, ${"easy"})`;
+await db.sql`INSERT INTO words (word, difficulty) VALUES (${"skyscraper"}, ${"hard"})`;
+
+async function pickWords(gameService, gameId) {
+  const choices = await gameService.gameManager.pickWordChoices(gameId);
+  return choices.map((choice) => choice.word);
+}
+
+await test("custom-only rooms draw every choice from their list", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "WORDS1", ["owner"], {
+    wordMode: "custom",
+    customWords: CUSTOM_WORDS.join("\n"),
+  });
+
+  const choices = await pickWords(gameService, game.id);
+  assertEquals(choices.length, 3, "Should offer three words");
+  assertTrue(
+    choices.every((word) => CUSTOM_WORDS.includes(word)),
+    `Should only use custom words, got ${choices}`
+  );
+});
+
+await test("short custom lists are topped up with default words", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "WORDS2", ["owner"], {
+    wordMode: "custom",
+    customWords: "okr",
+  });
+
+  const choices = await pickWords(gameService, game.id);
+  assertEquals(choices.length, 3, "Should offer three words");
+  assertTrue(choices.includes("okr"), "Should include the custom word");
+  assertEquals(
+    choices.filter((word) => word !== "okr").length,
+    2,
+    "Should fill up with default words"
+  );
+});
+
+await test("mix mode follows the custom word percentage", async () => {
+  const gameService = new GameService();
+
+  const { game } = await createRoom(gameService, "WORDS3", ["owner"], {
+    wordMode: "mix",
+    customWords: CUSTOM_WORDS,
+    customWordPercent: 0,
+  });
+  let choices = await pickWords(gameService, game.id);
+  assertTrue(
+    choices.every((word) => !CUSTOM_WORDS.includes(word)),
+    "0% should only use default words"
+  );
+
+  gameService.updateWordList(game.id, "owner", {
+    wordMode: "mix",
+    customWords: CUSTOM_WORDS,
+    customWordPercent: 100,
+  });
+  choices = await pickWords(gameService, game.id);
+  assertTrue(
+    choices.every((word) => CUSTOM_WORDS.includes(word)),
+    "100% should only use custom words"
+  );
+});
+
+await test("rooms draw default words from their categories first", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "WORDS4", ["owner"], {
+    wordCategories: ["animals"],
+  });
+
+  const choices = await pickWords(gameService, game.id);
+  assertEquals(choices.length, 3, "Should top up a small category");
+  assertTrue(choices.includes("lion"), "Should include the category word");
+});
+
+await test("mixed rooms offer one word of each difficulty", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "WORDS5", ["owner"]);
+
+  const choices = await gameService.gameManager.pickWordChoices(game.id);
+  assertEquals(
+    choices.map((choice) => choice.difficulty),
+    ["easy", "medium", "hard"],
+    "Should offer easy, medium and hard, in that order"
+  );
+  assertEquals(choices[0].word, "sun", "Should pick the easy word");
+  assertEquals(choices[2].word, "skyscraper", "Should pick the hard word");
+});
+
+await test("rooms can restrict word difficulty", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "WORDS6", ["owner"], {
+    wordDifficulty: "medium",
+  });
+
+  let choices = await gameService.gameManager.pickWordChoices(game.id);
+  assertTrue(
+    choices.every((choice) => choice.difficulty === "medium"),
+    "Should only offer medium words"
+  );
+
+  gameService.updateWordList(game.id, "owner", { wordDifficulty: "hard" });
+  choices = await pickWords(gameService, game.id);
+  assertEquals(choices.length, 3, "Should top up a small tier");
+  assertTrue(choices.includes("skyscraper"), "Should include the hard word");
+});
+
+await test("custom words are rated by difficulty", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "WORDS7", ["owner"], {
+    wordMode: "custom",
+    customWords: ["okr", "standup", "kubernetes"],
+  });
+
+  const choices = await gameService.gameManager.pickWordChoices(game.id);
+  assertEquals(
+    choices,
+    [
+      { word: "okr", difficulty: "easy" },
+      { word: "standup", difficulty: "medium" },
+      { word: "kubernetes", difficulty: "hard" },
+    ],
+    "Should fill each tier from the custom list"
+  );
+});
+
+await test("word lists are summarised on the game, not exposed", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "WORDS8", ["owner"], {
+    wordMode: "mix",
+    customWords: CUSTOM_WORDS,
+  });
+
+  assertEquals(
+    gameService.getGame(game.id).wordList,
+    {
+      mode: "mix",
+      percent: 50,
+      count: 4,
+      categories: [],
+      difficulty: "mixed",
+      historyGames: 3,
+    },
+    "Should only expose a summary"
+  );
+  assertEquals(
+    gameService.getWordList(game.id, "owner").customWords,
+    CUSTOM_WORDS,
+    "Owner should see the words"
+  );
+});
+
+await test("only the owner can manage the word list", async () => {
+  const gameService = new GameService();
+  const { game } = await createRoom(gameService, "WORDS9", ["owner"]);
+
+  for (const action of [
+    () => gameService.getWordList(game.id, "guesser"),
+    () => gameService.updateWordList(game.id, "guesser", {}),
+  ]) {
+    assertTrue(await errorMessage(action), "Should refuse other players");
+  }
+});
+
+await closeDatabase();
+
+console.log("\n=== Tests Complete ===\n");
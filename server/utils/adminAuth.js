@@ -0,0 +1,76 @@
+// Admin Auth - API keys for the admin API
+import { createHash, timingSafeEqual } from "crypto";
+import RateLimiter from "./rateLimiter.js";
+import logger from "./logger.js";
+
+// Wrong keys allowed per client per minute before it is turned away
+const MAX_AUTH_FAILURES = 10;
+const AUTH_FAILURE_WINDOW = 60 * 1000;
+
+/**
+ * Read the admin keys from a comma-separated list
+ *
+ * @param {string} value - e.g. process.env.ADMIN_API_KEYS
+ * @returns {Array} - Non-empty keys
+ */
+export function parseAdminKeys(value) {
+  if (!value || typeof value !== "string") return [];
+  return value
+    .split(",")
+    .map((key) => key.trim())
+    .filter(Boolean);
+}
+
+const digest = (value) => createHash("sha256").update(value).digest();
+
+/**
+ * Check a key against the admin keys in constant time
+ *
+ * @param {string} key - Key sent by the client
+ * @param {Array} keys - Admin keys
+ * @returns {boolean} - True if the key is one of them
+ */
+export function isAdminKey(key, keys) {
+  if (!key || typeof key !== "string") return false;
+
+  // Comparing digests keeps the comparison length-independent
+  const attempt = digest(key);
+  return keys.some((adminKey) => timingSafeEqual(attempt, digest(adminKey)));
+}
+
+/**
+ * Express middleware that only lets requests with an admin key through.
+ * The key is sent as "Authorization: Bearer <key>". Without any keys
+ * configured the admin API is switched off.
+ *
+ * @param {Array} keys - Admin keys
+ * @returns {Function} - Middleware
+ */
+export function requireAdmin(keys) {
+  const failures = new RateLimiter();
+
+  return (req, res, next) => {
+    if (keys.length === 0) {
+      return res.status(503).json({ error: "Admin API is not configured" });
+    }
+
+    if (failures.isLimited(req.ip, "admin-auth", MAX_AUTH_FAILURES)) {
+      return res.status(429).json({ error: "Too many failed attempts" });
+    }
+
+    const header = req.get("authorization") || "";
+    const key = header.startsWith("Bearer ") ? header.slice(7) : null;
+    if (!isAdminKey(key, keys)) {
+      failures.checkLimit(
+        req.ip,
+        "admin-auth",
+        MAX_AUTH_FAILURES,
+        AUTH_FAILURE_WINDOW
+      );
+      logger.warn("Rejected admin request", { ip: req.ip, path: req.path });
+      return res.status(401).json({ error: "Invalid admin key" });
+    }
+
+    next();
+  };
+}
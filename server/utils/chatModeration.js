@@ -0,0 +1,220 @@
+// Chat Moderation - Profanity, slur, link and spam filtering for chat
+
+// Per-room policy. "standard" masks profanity, "family-friendly" blocks it,
+// "off" only sanitizes. Slurs, links and spam are blocked unless off.
+export const CHAT_POLICIES = ["family-friendly", "standard", "off"];
+export const DEFAULT_CHAT_POLICY = "standard";
+
+// Times the same message may be sent within the window before it's spam
+export const MAX_CHAT_REPEATS = 2;
+export const CHAT_REPEAT_WINDOW = 30 * 1000;
+
+const DEFAULT_PROFANITY = [
+  "arse",
+  "ass",
+  "asshole",
+  "bastard",
+  "bitch",
+  "bollocks",
+  "bullshit",
+  "cock",
+  "crap",
+  "cunt",
+  "damn",
+  "dick",
+  "douche",
+  "fuck",
+  "fucker",
+  "motherfucker",
+  "piss",
+  "prick",
+  "pussy",
+  "shit",
+  "slut",
+  "twat",
+  "wank",
+  "wanker",
+  "whore",
+];
+
+// Everyday words that are a listed word plus an ending
+const DEFAULT_ALLOWED = [
+  "cocked",
+  "cocker",
+  "cockers",
+  "cocking",
+  "dicker",
+  "dickers",
+  "pricked",
+  "pricker",
+  "prickers",
+  "pricking",
+];
+
+/**
+ * Parse a comma-separated word list, such as from an environment variable
+ *
+ * @param {string} value - "word, word, ..."
+ * @returns {string[]} - Lowercased words
+ */
+export function parseWordList(value) {
+  if (!value || typeof value !== "string") return [];
+  return value
+    .split(",")
+    .map((word) => word.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Operators extend the masked and allowed lists and supply slurs, which
+// are always blocked, through the environment
+const PROFANITY = [
+  ...DEFAULT_PROFANITY,
+  ...parseWordList(process.env.CHAT_MASKED_WORDS),
+];
+const SLURS = parseWordList(process.env.CHAT_BLOCKED_WORDS);
+const ALLOWED = [
+  ...DEFAULT_ALLOWED,
+  ...parseWordList(process.env.CHAT_ALLOWED_WORDS),
+];
+
+// Characters commonly swapped in to dodge filters
+const LOOKALIKES = {
+  0: "o",
+  1: "i",
+  3: "e",
+  4: "a",
+  5: "s",
+  7: "t",
+  "@": "a",
+  $: "s",
+  "!": "i",
+};
+
+const SUFFIXES = ["s", "es", "ed", "er", "ers", "ing", "in"];
+
+const LINK_PATTERN =
+  /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|io|gg|co|me|tv|ly|xyz|ru|app|dev|link|site|info)\b/i;
+
+// A character repeated this many times in a row is flooding
+const FLOOD_PATTERN = /(.)\1{14,}/;
+
+// Spellings of a word to compare against the lists: lookalikes replaced
+// and stretched letters ("fuuuck") squeezed
+function spellings(token) {
+  const plain = token
+    .toLowerCase()
+    .replace(/[0-9@$!]/g, (char) => LOOKALIKES[char] || char);
+  return new Set([
+    plain,
+    plain.replace(/(.)\1{2,}/g, "$1"),
+    plain.replace(/(.)\1{2,}/g, "$1$1"),
+  ]);
+}
+
+// A spelling is listed as is, or as a listed word plus a common ending
+// ("fucking"). Allowed words only escape the second check, so an operator
+// can still list one outright.
+function isListed(token, words, allowed) {
+  for (const word of spellings(token)) {
+    if (words.includes(word)) return true;
+    if (allowed.includes(word)) continue;
+
+    for (const suffix of SUFFIXES) {
+      if (
+        word.endsWith(suffix) &&
+        words.includes(word.slice(0, word.length - suffix.length))
+      ) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+// Words are letters plus the lookalikes, so "sh1t" is one word; "!" only
+// counts inside a word, so "shit!" is still caught
+const WORD_PATTERN = /[\p{L}\p{N}@$]+(?:!+[\p{L}\p{N}@$]+)*/gu;
+
+/**
+ * Check a message against a word list. Only whole words count, so
+ * "classic" doesn't match "ass".
+ *
+ * @param {string} message - Sanitized message
+ * @param {string[]} words - Lowercased words
+ * @param {string[]} allowed - Lowercased words that only look like a listed
+ *   word with an ending, such as "cocker"
+ * @returns {boolean} - True if any word is listed
+ */
+export function containsListedWord(message, words, allowed = ALLOWED) {
+  if (words.length === 0) return false;
+  return (message.match(WORD_PATTERN) || []).some((token) =>
+    isListed(token, words, allowed)
+  );
+}
+
+/**
+ * Replace listed words with asterisks, keeping the first letter
+ *
+ * @param {string} message - Sanitized message
+ * @param {string[]} words - Lowercased words
+ * @param {string[]} allowed - As for containsListedWord
+ * @returns {string} - The masked message
+ */
+export function maskListedWords(message, words, allowed = ALLOWED) {
+  return message.replace(WORD_PATTERN, (token) =>
+    isListed(token, words, allowed)
+      ? token[0] + "*".repeat(token.length - 1)
+      : token
+  );
+}
+
+/**
+ * Run a sanitized message through a room's policy
+ *
+ * @param {string} message - Sanitized message
+ * @param {string} policy - One of CHAT_POLICIES
+ * @param {Object} lists - { profanity, slurs, allowed } to override the
+ *   configured word lists
+ * @returns {Object} - { message } to send, masked if needed, or
+ *   { blocked, notice } with the reason and text for the sender
+ */
+export function moderateChatMessage(
+  message,
+  policy,
+  { profanity = PROFANITY, slurs = SLURS, allowed = ALLOWED } = {}
+) {
+  if (policy === "off") return { message };
+
+  if (containsListedWord(message, slurs, allowed)) {
+    return {
+      blocked: "slur",
+      notice: "Your message wasn't sent because it contains a slur.",
+    };
+  }
+
+  if (LINK_PATTERN.test(message)) {
+    return {
+      blocked: "link",
+      notice: "Links aren't allowed in this room.",
+    };
+  }
+
+  if (FLOOD_PATTERN.test(message)) {
+    return {
+      blocked: "spam",
+      notice: "Your message wasn't sent because it looks like spam.",
+    };
+  }
+
+  if (containsListedWord(message, profanity, allowed)) {
+    if (policy === "family-friendly") {
+      return {
+        blocked: "profanity",
+        notice: "This room is family friendly. Please keep it clean.",
+      };
+    }
+    return { message: maskListedWords(message, profanity, allowed) };
+  }
+
+  return { message };
+}
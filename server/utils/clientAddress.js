@@ -0,0 +1,36 @@
+// Client Address - Where a socket connects from, for throttling room
+// access and for IP bans
+
+/**
+ * Read how many proxies in front of the server append to X-Forwarded-For
+ *
+ * @param {Object} env - Environment, with TRUST_PROXY as a hop count
+ * @returns {number} - 0 when the header should be ignored
+ */
+export function resolveTrustedProxies(env = process.env) {
+  const hops = parseInt(env.TRUST_PROXY, 10);
+  return Number.isNaN(hops) || hops < 0 ? 0 : hops;
+}
+
+/**
+ * The address a socket connects from. X-Forwarded-For is only read behind
+ * trusted proxies, and then from the right: entries left of the ones our
+ * proxies added are whatever the client chose to send.
+ *
+ * @param {Object} handshake - The socket's handshake
+ * @param {number} trustedProxies - From resolveTrustedProxies
+ * @returns {string} - The client's address
+ */
+export function getClientAddress(handshake, trustedProxies = 0) {
+  const forwarded = handshake.headers?.["x-forwarded-for"];
+  if (trustedProxies === 0 || typeof forwarded !== "string") {
+    return handshake.address;
+  }
+
+  const entries = forwarded
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  if (entries.length === 0) return handshake.address;
+  return entries[Math.max(0, entries.length - trustedProxies)];
+}
@@ -0,0 +1,51 @@
+// Drawing Ratings - Likes and dislikes guessers give the drawing each turn
+
+// Points the drawer gets per like beyond the dislikes; 0 turns the bonus off
+export const RATING_BONUS_OPTIONS = [0, 5, 10, 25];
+export const DEFAULT_RATING_BONUS = 0;
+
+// Ratings a drawer needs before they're ranked among the best artists
+export const MIN_RATINGS_TO_RANK = 5;
+
+// 1 is a like, -1 a dislike and 0 takes a rating back
+export const RATINGS = [1, -1, 0];
+
+/**
+ * Count a turn's ratings
+ *
+ * @param {Map<string, number>} ratings - Rating per player id
+ * @returns {Object} - { likes, dislikes }
+ */
+export function countRatings(ratings) {
+  let likes = 0;
+  let dislikes = 0;
+  for (const rating of ratings.values()) {
+    if (rating > 0) likes++;
+    if (rating < 0) dislikes++;
+  }
+  return { likes, dislikes };
+}
+
+/**
+ * Bonus points for a drawing, per like beyond the dislikes
+ *
+ * @param {Object} counts - { likes, dislikes }
+ * @param {number} bonusPerLike - The room's bonus, from RATING_BONUS_OPTIONS
+ * @returns {number} - Never negative
+ */
+export function drawingBonus({ likes, dislikes }, bonusPerLike) {
+  return Math.max(0, likes - dislikes) * bonusPerLike;
+}
+
+/**
+ * A drawer's rating as the percent of their ratings that were likes
+ *
+ * @param {number} likes - Likes received
+ * @param {number} dislikes - Dislikes received
+ * @returns {number|null} - 0 to 100, or null before any ratings
+ */
+export function drawerRating(likes, dislikes) {
+  const total = likes + dislikes;
+  if (total === 0) return null;
+  return Math.round((likes / total) * 100);
+}
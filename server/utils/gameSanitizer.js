@@ -66,6 +66,11 @@ export function canPlayerSeeWord(game, playerId) {
     return true;
   }
 
+  // Spectators are treated like players who haven't guessed
+  if (isSpectator(game, playerId)) {
+    return game.gamePhase === "results";
+  }
+
   // Player has guessed correctly
   const player = game.players.find((p) => p.id === playerId);
   if (player && player.hasGuessed) {
@@ -86,6 +91,35 @@ export function canPlayerSeeWord(game, playerId) {
   return false;
 }
 
+/**
+ * Determine if a user is watching the game as a spectator
+ *
+ * @param {Object} game - The game object
+ * @param {string} playerId - The user's socket ID
+ * @returns {boolean} - True if the user is a spectator
+ */
+export function isSpectator(game, playerId) {
+  if (!game || !playerId) {
+    return false;
+  }
+
+  return game.spectators?.some((s) => s.id === playerId) || false;
+}
+
+/**
+ * Get everyone who receives game updates: players and spectators
+ *
+ * @param {Object} game - The game object
+ * @returns {Array} - Players followed by spectators
+ */
+export function getAllParticipants(game) {
+  if (!game) {
+    return [];
+  }
+
+  return [...game.players, ...(game.spectators || [])];
+}
+
 /**
  * Filter chat message to hide the word from non-guessers
  *
@@ -122,8 +156,8 @@ export function sanitizeGameForBroadcast(game) {
 
   const sanitizedGames = new Map();
 
-  // Sanitize for each player
-  game.players.forEach((player) => {
+  // Sanitize for each player and spectator
+  getAllParticipants(game).forEach((player) => {
     sanitizedGames.set(player.id, sanitizeGameForPlayer(game, player.id));
   });
 
@@ -0,0 +1,92 @@
+// Guess Matcher - Detect near misses so guessers can be told they're close
+
+// Share of the word's length that may differ for a guess to count as close
+export const DEFAULT_CLOSE_GUESS_THRESHOLD = 0.25;
+
+function normalize(text) {
+  return text.toLowerCase().trim().replace(/\s+/g, " ");
+}
+
+// Reduce common English plurals to their singular form
+function singularize(text) {
+  if (/[^aeiou]ies$/.test(text)) {
+    return text.slice(0, -3) + "y";
+  }
+  if (/(s|x|z|ch|sh)es$/.test(text)) {
+    return text.slice(0, -2);
+  }
+  if (/[^su]s$/.test(text)) {
+    return text.slice(0, -1);
+  }
+  return text;
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} - Insertions, deletions and substitutions needed
+ */
+export function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Check whether a wrong guess is close to the word
+ * Plural/singular variants always count; otherwise the edit distance may be
+ * up to threshold * word length (at least one edit). A threshold of 0
+ * turns close-guess detection off.
+ *
+ * @param {string} guess - The guess as typed
+ * @param {string} word - The word being drawn
+ * @param {number} threshold - Allowed edits relative to word length
+ * @returns {boolean} - True for a near miss, false for exact or far guesses
+ */
+export function isCloseGuess(
+  guess,
+  word,
+  threshold = DEFAULT_CLOSE_GUESS_THRESHOLD
+) {
+  if (typeof guess !== "string" || typeof word !== "string") {
+    return false;
+  }
+  if (!(threshold > 0)) {
+    return false;
+  }
+
+  const normalizedGuess = normalize(guess);
+  const normalizedWord = normalize(word);
+  if (!normalizedGuess || normalizedGuess === normalizedWord) {
+    return false;
+  }
+
+  if (singularize(normalizedGuess) === singularize(normalizedWord)) {
+    return true;
+  }
+
+  const maxDistance = Math.max(
+    1,
+    Math.floor(normalizedWord.length * threshold)
+  );
+  if (Math.abs(normalizedGuess.length - normalizedWord.length) > maxDistance) {
+    return false;
+  }
+
+  return editDistance(normalizedGuess, normalizedWord) <= maxDistance;
+}
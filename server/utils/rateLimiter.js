@@ -36,6 +36,16 @@ class RateLimiter {
     return false;
   }
 
+  // Check whether the limit is used up, without counting a request
+  isLimited(userId, action, maxRequests = 10) {
+    const limit = this.limits.get(`${userId}:${action}`);
+    return (
+      Boolean(limit) &&
+      Date.now() <= limit.resetTime &&
+      limit.count >= maxRequests
+    );
+  }
+
   // Clean up old entries periodically
   cleanup() {
     const now = Date.now();
@@ -0,0 +1,78 @@
+// Room Access - Room passwords and invite links
+import { randomBytes, scryptSync, timingSafeEqual } from "crypto";
+
+// Failed password or invite attempts allowed per client and room before
+// they are locked out for the rest of the window
+export const MAX_ACCESS_FAILURES = 5;
+export const ACCESS_FAILURE_WINDOW = 5 * 60 * 1000;
+
+// Failed attempts allowed per room from all clients together, so a client
+// that changes address can't keep guessing
+export const MAX_ROOM_ACCESS_FAILURES = 20;
+
+/**
+ * Thrown when a player may not join a room. reason tells the client
+ * whether to ask for a password.
+ */
+export class RoomAccessError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = "RoomAccessError";
+    this.reason = reason;
+  }
+}
+
+/**
+ * Hash a room password with a fresh salt
+ *
+ * @param {string} password - The plain password
+ * @returns {string} - "salt:hash", both hex
+ */
+export function hashPassword(password) {
+  const salt = randomBytes(16).toString("hex");
+  const hash = scryptSync(password, salt, 32).toString("hex");
+  return `${salt}:${hash}`;
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ *
+ * @param {string} password - The attempted password
+ * @param {string} stored - Hash from hashPassword
+ * @returns {boolean} - True if the password matches
+ */
+export function verifyPassword(password, stored) {
+  if (typeof password !== "string" || !stored) return false;
+
+  const [salt, hash] = stored.split(":");
+  const expected = Buffer.from(hash, "hex");
+  const actual = scryptSync(password, salt, expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+/**
+ * Create an invite
+ *
+ * @param {Object} options - { singleUse, expiresInMinutes }; no expiry
+ *   when expiresInMinutes is 0
+ * @returns {Object} - { token, singleUse, expiresAt }
+ */
+export function createInvite({ singleUse, expiresInMinutes }) {
+  return {
+    token: randomBytes(18).toString("base64url"),
+    singleUse,
+    expiresAt: expiresInMinutes ? Date.now() + expiresInMinutes * 60000 : null,
+  };
+}
+
+/**
+ * Whether an invite may still be used
+ *
+ * @param {Object} invite - Invite from createInvite
+ * @returns {boolean} - False once expired
+ */
+export function isInviteValid(invite) {
+  return (
+    Boolean(invite) && (!invite.expiresAt || invite.expiresAt > Date.now())
+  );
+}
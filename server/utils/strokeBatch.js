@@ -0,0 +1,42 @@
+// Decoding for batched freehand strokes
+//
+// A batch carries a strokeId, the stroke style (first batch only) and a flat
+// list of points: the first pair absolute, the rest deltas from the previous
+// point. Batches are expanded into ordinary drawing segments for storage.
+
+// Continuation batches reuse the style of the stroke's latest segment
+export function findStrokeStyle(drawingData, strokeId) {
+  const last = drawingData[drawingData.length - 1];
+  if (!last || last.strokeId !== strokeId) {
+    return null;
+  }
+  if (last.type !== "draw" && last.type !== "erase") {
+    return null;
+  }
+  return { type: last.type, color: last.color, lineWidth: last.lineWidth };
+}
+
+export function decodeStrokeBatch(batch, style) {
+  const segments = [];
+  let prevX = batch.points[0];
+  let prevY = batch.points[1];
+
+  for (let i = 2; i < batch.points.length; i += 2) {
+    const x = prevX + batch.points[i];
+    const y = prevY + batch.points[i + 1];
+    segments.push({
+      x,
+      y,
+      prevX,
+      prevY,
+      color: style.color,
+      lineWidth: style.lineWidth,
+      type: style.type,
+      strokeId: batch.strokeId,
+    });
+    prevX = x;
+    prevY = y;
+  }
+
+  return segments;
+}
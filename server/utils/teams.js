@@ -0,0 +1,98 @@
+// Teams - Split players into teams and total their scores
+
+export const MIN_TEAMS = 2;
+export const MAX_TEAMS = 4;
+
+const TEAM_STYLES = [
+  { name: "Red", color: "#ef4444" },
+  { name: "Blue", color: "#3b82f6" },
+  { name: "Green", color: "#22c55e" },
+  { name: "Yellow", color: "#eab308" },
+];
+
+/**
+ * Create the teams for a room
+ *
+ * @param {number} count - Number of teams, MIN_TEAMS to MAX_TEAMS
+ * @returns {Array} - Teams as { id, name, color }
+ */
+export function createTeams(count) {
+  return TEAM_STYLES.slice(0, count).map((style, index) => ({
+    id: index + 1,
+    ...style,
+  }));
+}
+
+/**
+ * The team with the fewest players, first team on a tie
+ *
+ * @param {Array} teams - The room's teams
+ * @param {Array} players - Players, each with a teamId
+ * @returns {number} - Team id
+ */
+export function smallestTeam(teams, players) {
+  const sizes = teams.map(
+    (team) => players.filter((p) => p.teamId === team.id).length
+  );
+  return teams[sizes.indexOf(Math.min(...sizes))].id;
+}
+
+/**
+ * Deal players across the teams in turn so team sizes differ by at most one
+ *
+ * @param {Array} teams - The room's teams
+ * @param {Array} players - Players to assign; their teamId is set in place
+ */
+export function balanceTeams(teams, players) {
+  players.forEach((player, index) => {
+    player.teamId = teams[index % teams.length].id;
+  });
+}
+
+/**
+ * Drawing order that alternates between teams: the first player of each
+ * team, then the second of each, and so on. Every player draws once.
+ *
+ * @param {Array} teams - The room's teams
+ * @param {Array} players - Players in join order
+ * @returns {Array} - The same players, reordered
+ */
+export function interleaveByTeam(teams, players) {
+  const byTeam = teams.map((team) =>
+    players.filter((p) => p.teamId === team.id)
+  );
+  // Players without a team still get their turn, at the end
+  const unassigned = players.filter(
+    (p) => !teams.some((team) => team.id === p.teamId)
+  );
+
+  const order = [];
+  const longest = Math.max(0, ...byTeam.map((members) => members.length));
+  for (let i = 0; i < longest; i++) {
+    byTeam.forEach((members) => {
+      if (members[i]) order.push(members[i]);
+    });
+  }
+
+  return [...order, ...unassigned];
+}
+
+/**
+ * Team totals, highest first
+ *
+ * @param {Array} teams - The room's teams
+ * @param {Array} players - Players, each with a teamId and score
+ * @returns {Array} - { id, name, color, score, playerIds }
+ */
+export function getTeamScores(teams, players) {
+  return teams
+    .map((team) => {
+      const members = players.filter((p) => p.teamId === team.id);
+      return {
+        ...team,
+        score: members.reduce((total, p) => total + p.score, 0),
+        playerIds: members.map((p) => p.id),
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}
@@ -1,4 +1,22 @@
 // Input validation and sanitization utilities
+import { DEFAULT_CLOSE_GUESS_THRESHOLD } from "./guessMatcher.js";
+import {
+  SCORING_STRATEGIES,
+  DEFAULT_SCORING_STRATEGY,
+} from "../scoring/index.js";
+import { MIN_TEAMS, MAX_TEAMS } from "./teams.js";
+import {
+  VOTE_KICK_MAJORITIES,
+  DEFAULT_VOTE_KICK_MAJORITY,
+} from "./voteKick.js";
+import { CHAT_POLICIES, DEFAULT_CHAT_POLICY } from "./chatModeration.js";
+import {
+  RATING_BONUS_OPTIONS,
+  DEFAULT_RATING_BONUS,
+} from "./drawingRatings.js";
+
+// Languages a room can be listed under in the room browser
+export const ROOM_LANGUAGES = ["en", "es", "fr", "de", "pt", "it", "nl", "pl"];
 
 export function sanitizePlayerName(name) {
   if (!name || typeof name !== "string") {
@@ -38,6 +56,41 @@ export function validateRoomCode(roomCode) {
   return regex.test(roomCode.toUpperCase());
 }
 
+export function validatePlayerToken(token) {
+  if (!token || typeof token !== "string") {
+    return false;
+  }
+
+  // Player tokens are v4 UUIDs issued by the server
+  const regex =
+    /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  return regex.test(token);
+}
+
+// Room passwords are compared as typed apart from surrounding whitespace;
+// an empty result means no password
+export function sanitizeRoomPassword(password) {
+  if (!password || typeof password !== "string") {
+    return "";
+  }
+
+  return password.trim().substring(0, 64);
+}
+
+// Invite lifetimes the owner can pick from, in minutes; 0 never expires
+export const INVITE_EXPIRY_OPTIONS = [0, 10, 60, 1440, 10080];
+
+export function validateInviteOptions(options) {
+  const singleUse = options?.singleUse !== false;
+  const expiresInMinutes = INVITE_EXPIRY_OPTIONS.includes(
+    options?.expiresInMinutes
+  )
+    ? options.expiresInMinutes
+    : 60;
+
+  return { singleUse, expiresInMinutes };
+}
+
 export function validateDrawingData(data) {
   if (!data || typeof data !== "object") {
     return false;
@@ -81,6 +134,14 @@ export function validateDrawingData(data) {
     return false;
   }
 
+  // Stroke ids group the segments of one pointer-down to pointer-up stroke
+  if (
+    data.strokeId !== undefined &&
+    (typeof data.strokeId !== "string" || !/^[\w-]{1,64}$/.test(data.strokeId))
+  ) {
+    return false;
+  }
+
   // Validate endX and endY for shape tools
   if (["line", "circle", "rectangle"].includes(type)) {
     const { endX, endY } = data;
@@ -99,9 +160,159 @@ export function validateDrawingData(data) {
   return true;
 }
 
+// Freehand batches: strokeId, optional style and delta-encoded points
+export function validateDrawingBatch(batch) {
+  if (!batch || typeof batch !== "object") {
+    return false;
+  }
+
+  const { strokeId, style, points } = batch;
+
+  if (typeof strokeId !== "string" || !/^[\w-]{1,64}$/.test(strokeId)) {
+    return false;
+  }
+
+  // Style is only sent with the first batch of a stroke
+  if (style !== undefined) {
+    if (!style || typeof style !== "object") {
+      return false;
+    }
+    if (!["draw", "erase"].includes(style.type)) {
+      return false;
+    }
+    if (!/^#[0-9A-F]{6}$/i.test(style.color)) {
+      return false;
+    }
+    if (
+      typeof style.lineWidth !== "number" ||
+      style.lineWidth < 1 ||
+      style.lineWidth > 50
+    ) {
+      return false;
+    }
+  }
+
+  // At least one segment, at most 256 points
+  if (
+    !Array.isArray(points) ||
+    points.length < 4 ||
+    points.length > 512 ||
+    points.length % 2 !== 0
+  ) {
+    return false;
+  }
+
+  // Every decoded point must stay within bounds
+  const maxCoord = 10000;
+  let x = 0;
+  let y = 0;
+  for (let i = 0; i < points.length; i += 2) {
+    if (!Number.isInteger(points[i]) || !Number.isInteger(points[i + 1])) {
+      return false;
+    }
+    x += points[i];
+    y += points[i + 1];
+    if (x < 0 || x > maxCoord || y < 0 || y > maxCoord) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+// Word categories are lowercase slugs, e.g. "animals" or "board-games"
+export function sanitizeCategory(category) {
+  if (!category || typeof category !== "string") {
+    return "";
+  }
+
+  const sanitized = category.trim().toLowerCase().replace(/\s+/g, "-");
+  return /^[a-z0-9-]{1,30}$/.test(sanitized) ? sanitized : "";
+}
+
+// Custom word lists arrive as an array or as pasted/uploaded text, one word
+// or phrase per line or comma-separated
+export function sanitizeWordList(words) {
+  const entries =
+    typeof words === "string"
+      ? words.split(/[\n,]/)
+      : Array.isArray(words)
+      ? words
+      : [];
+
+  const seen = new Set();
+  const sanitized = [];
+  for (const entry of entries) {
+    if (typeof entry !== "string") continue;
+
+    const word = entry
+      .replace(/<[^>]*>/g, "")
+      .replace(/\s+/g, " ")
+      .trim();
+    if (word.length < 2 || word.length > 30) continue;
+
+    // Dedupe case-insensitively, keeping the first spelling
+    const key = word.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    sanitized.push(word);
+    if (sanitized.length >= 500) break;
+  }
+
+  return sanitized;
+}
+
+// Admin edits to a stored word; returns the fields to change or an error
+export function validateWordUpdate(fields) {
+  const updates = {};
+
+  if (fields?.word !== undefined) {
+    const [word] = sanitizeWordList([fields.word]);
+    if (!word) return { error: "Words must be 2-30 characters" };
+    updates.word = word;
+  }
+
+  if (fields?.difficulty !== undefined) {
+    if (!["easy", "medium", "hard"].includes(fields.difficulty)) {
+      return { error: "Invalid difficulty" };
+    }
+    updates.difficulty = fields.difficulty;
+  }
+
+  if (fields?.category !== undefined) {
+    const category = sanitizeCategory(fields.category);
+    if (!category) return { error: "Invalid category" };
+    updates.category = category;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return { error: "Nothing to update" };
+  }
+  return { updates };
+}
+
 export function validateGameSettings(settings) {
   if (!settings || typeof settings !== "object") {
-    return { drawTime: 80, maxRounds: 3 };
+    return {
+      drawTime: 80,
+      maxRounds: 3,
+      closeGuessThreshold: DEFAULT_CLOSE_GUESS_THRESHOLD,
+      scoringStrategy: DEFAULT_SCORING_STRATEGY,
+      teamCount: 0,
+      teamGuessing: "all",
+      isPublic: false,
+      language: "en",
+      voteKickMajority: DEFAULT_VOTE_KICK_MAJORITY,
+      chatPolicy: DEFAULT_CHAT_POLICY,
+      ratingBonus: DEFAULT_RATING_BONUS,
+      wordMode: "default",
+      customWords: [],
+      customWordPercent: 50,
+      wordCategories: [],
+      wordDifficulty: "mixed",
+      wordHistoryGames: 3,
+    };
   }
 
   const drawTime =
@@ -118,5 +329,109 @@ export function validateGameSettings(settings) {
       ? settings.maxRounds
       : 3;
 
-  return { drawTime, maxRounds };
+  // Relative edit distance for "you're close" hints; 0 turns them off
+  const closeGuessThreshold =
+    typeof settings.closeGuessThreshold === "number" &&
+    settings.closeGuessThreshold >= 0 &&
+    settings.closeGuessThreshold <= 0.5
+      ? settings.closeGuessThreshold
+      : DEFAULT_CLOSE_GUESS_THRESHOLD;
+
+  const scoringStrategy = SCORING_STRATEGIES.includes(settings.scoringStrategy)
+    ? settings.scoringStrategy
+    : DEFAULT_SCORING_STRATEGY;
+
+  // 0 is free-for-all
+  const teamCount =
+    Number.isInteger(settings.teamCount) &&
+    settings.teamCount >= MIN_TEAMS &&
+    settings.teamCount <= MAX_TEAMS
+      ? settings.teamCount
+      : 0;
+
+  // "drawer-team" lets only the drawer's team guess, then the other teams
+  // get a chance to steal
+  const teamGuessing =
+    settings.teamGuessing === "drawer-team" ? "drawer-team" : "all";
+
+  // Public rooms are listed in the room browser and used for quick play
+  const isPublic = settings.isPublic === true;
+
+  const language = ROOM_LANGUAGES.includes(settings.language)
+    ? settings.language
+    : "en";
+
+  // Percent of players who must agree to vote someone out
+  const voteKickMajority = VOTE_KICK_MAJORITIES.includes(
+    settings.voteKickMajority
+  )
+    ? settings.voteKickMajority
+    : DEFAULT_VOTE_KICK_MAJORITY;
+
+  // How strictly chat is filtered; see chatModeration.js
+  const chatPolicy = CHAT_POLICIES.includes(settings.chatPolicy)
+    ? settings.chatPolicy
+    : DEFAULT_CHAT_POLICY;
+
+  // Points the drawer gets per net like on their drawing; 0 is no bonus
+  const ratingBonus = RATING_BONUS_OPTIONS.includes(settings.ratingBonus)
+    ? settings.ratingBonus
+    : DEFAULT_RATING_BONUS;
+
+  // Custom words replace or mix with the default list; without any valid
+  // words the room falls back to the default list
+  const customWords = sanitizeWordList(settings.customWords);
+  const wordMode =
+    ["custom", "mix"].includes(settings.wordMode) && customWords.length > 0
+      ? settings.wordMode
+      : "default";
+
+  const customWordPercent =
+    typeof settings.customWordPercent === "number" &&
+    settings.customWordPercent >= 0 &&
+    settings.customWordPercent <= 100
+      ? Math.round(settings.customWordPercent)
+      : 50;
+
+  // Categories to draw default words from; none means every category
+  const wordCategories = Array.isArray(settings.wordCategories)
+    ? [...new Set(settings.wordCategories.map(sanitizeCategory))]
+        .filter(Boolean)
+        .slice(0, 20)
+    : [];
+
+  // "mixed" offers one word of each difficulty per turn
+  const wordDifficulty = ["easy", "medium", "hard"].includes(
+    settings.wordDifficulty
+  )
+    ? settings.wordDifficulty
+    : "mixed";
+
+  // How many previous games in the room to avoid repeating words from
+  const wordHistoryGames =
+    Number.isInteger(settings.wordHistoryGames) &&
+    settings.wordHistoryGames >= 0 &&
+    settings.wordHistoryGames <= 10
+      ? settings.wordHistoryGames
+      : 3;
+
+  return {
+    drawTime,
+    maxRounds,
+    closeGuessThreshold,
+    scoringStrategy,
+    teamCount,
+    teamGuessing,
+    isPublic,
+    language,
+    voteKickMajority,
+    chatPolicy,
+    ratingBonus,
+    wordMode,
+    customWords,
+    customWordPercent,
+    wordCategories,
+    wordDifficulty,
+    wordHistoryGames,
+  };
 }
@@ -0,0 +1,103 @@
+// Vote Kick - Player votes to remove someone from a room
+
+// Share of voters, in percent, that must vote yes for a kick; 51 is a
+// simple majority
+export const VOTE_KICK_MAJORITIES = [51, 66, 75, 100];
+export const DEFAULT_VOTE_KICK_MAJORITY = 51;
+
+// How long a vote stays open
+export const VOTE_KICK_DURATION = 30 * 1000;
+// How often one player may start a vote, and how often the same player
+// may be voted on
+export const VOTE_KICK_COOLDOWN = 60 * 1000;
+export const VOTE_KICK_TARGET_COOLDOWN = 2 * 60 * 1000;
+
+// A vote needs at least this many voters, so two players can't kick each
+// other
+export const MIN_VOTE_KICK_VOTERS = 2;
+
+/**
+ * Yes votes needed to pass a vote
+ *
+ * @param {number} voterCount - Players who may vote
+ * @param {number} majority - Percent from VOTE_KICK_MAJORITIES
+ * @returns {number} - Never fewer than two
+ */
+export function votesNeeded(voterCount, majority) {
+  return Math.max(
+    MIN_VOTE_KICK_VOTERS,
+    Math.ceil((voterCount * majority) / 100)
+  );
+}
+
+/**
+ * Open a vote; the player who starts it votes yes
+ *
+ * @param {Object} options - { target, startedBy, voters, majority, duration }
+ *   where target is the player and voters are the ids of who may vote
+ * @returns {Object} - The vote, safe to send to every player
+ */
+export function createVoteKick({
+  target,
+  startedBy,
+  voters,
+  majority,
+  duration = VOTE_KICK_DURATION,
+}) {
+  return {
+    targetId: target.id,
+    targetName: target.name,
+    startedBy,
+    voters,
+    yes: [startedBy],
+    no: [],
+    needed: votesNeeded(voters.length, majority),
+    expiresAt: Date.now() + duration,
+  };
+}
+
+/**
+ * Record a vote; a player may change their mind while the vote is open
+ *
+ * @param {Object} vote - Vote from createVoteKick
+ * @param {string} voterId - Who is voting
+ * @param {boolean} inFavor - True to kick
+ * @returns {boolean} - False if the player may not vote
+ */
+export function castVoteKick(vote, voterId, inFavor) {
+  if (!vote.voters.includes(voterId)) return false;
+
+  vote.yes = vote.yes.filter((id) => id !== voterId);
+  vote.no = vote.no.filter((id) => id !== voterId);
+  (inFavor ? vote.yes : vote.no).push(voterId);
+  return true;
+}
+
+/**
+ * The outcome once it is settled
+ *
+ * @param {Object} vote - Vote from createVoteKick
+ * @returns {string|null} - "passed", "failed" once enough players voted
+ *   no, or null while undecided
+ */
+export function getVoteKickResult(vote) {
+  if (vote.yes.length >= vote.needed) return "passed";
+  if (vote.voters.length - vote.no.length < vote.needed) return "failed";
+  return null;
+}
+
+/**
+ * Follow a voter or the target to a new socket id after a reconnect
+ *
+ * @param {Object} vote - Vote from createVoteKick
+ * @param {string} oldId - Previous socket id
+ * @param {string} newId - New socket id
+ */
+export function rebindVoteKick(vote, oldId, newId) {
+  const rebind = (id) => (id === oldId ? newId : id);
+  vote.targetId = rebind(vote.targetId);
+  vote.startedBy = rebind(vote.startedBy);
+  vote.voters = vote.voters.map(rebind);
+  vote.yes = vote.yes.map(rebind);
+  vote.no = vote.no.map(rebind);
+}